@@ -0,0 +1,48 @@
+-- Migration: per-currency prices in price_config
+-- Usage: wrangler d1 execute consentbit-licenses --file=add-currency-to-price-config.sql
+-- Run after add-stripe-mode-to-price-config.sql.
+--
+-- Each billing period may have one row per currency (e.g. usd, eur, gbp), each pointing at a Stripe price in that
+-- currency. Checkout picks the currency per customer (src/lib/currency.js); a currency without a row falls back to
+-- DEFAULT_CURRENCY (usd when unset). Rows without a currency are treated as the default currency.
+-- SQLite cannot alter the UNIQUE(price_type, stripe_mode) constraint in place, so the table is rebuilt with
+-- UNIQUE(price_type, stripe_mode, currency).
+
+CREATE TABLE IF NOT EXISTS price_config_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  price_type TEXT NOT NULL,  -- 'monthly' or 'yearly'
+  price_id TEXT NOT NULL,  -- Stripe price ID (e.g., price_xxxxx)
+  product_id TEXT,  -- Stripe product ID (e.g., prod_xxxxx)
+  unit_amount INTEGER,  -- Price in the smallest currency unit
+  currency TEXT DEFAULT 'usd',  -- Lowercase ISO code, must match the Stripe price
+  stripe_mode TEXT,  -- 'test', 'live' or NULL for both
+  discount_allowance REAL DEFAULT 0,
+  discount_type TEXT DEFAULT 'percentage',
+  coupon_code TEXT,
+  is_active INTEGER DEFAULT 1,
+  description TEXT,
+  created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+  updated_at INTEGER NOT NULL DEFAULT (unixepoch()),
+  UNIQUE(price_type, stripe_mode, currency)
+);
+
+INSERT INTO price_config_new
+  (id, price_type, price_id, product_id, unit_amount, currency, stripe_mode, discount_allowance, discount_type, coupon_code, is_active, description, created_at, updated_at)
+SELECT id, price_type, price_id, product_id, unit_amount, LOWER(currency), stripe_mode, discount_allowance, discount_type, coupon_code, is_active, description, created_at, updated_at
+FROM price_config;
+
+DROP TABLE price_config;
+ALTER TABLE price_config_new RENAME TO price_config;
+
+CREATE INDEX IF NOT EXISTS idx_price_config_price_type ON price_config(price_type);
+CREATE INDEX IF NOT EXISTS idx_price_config_is_active ON price_config(is_active);
+CREATE INDEX IF NOT EXISTS idx_price_config_price_id ON price_config(price_id);
+CREATE INDEX IF NOT EXISTS idx_price_config_product_id ON price_config(product_id);
+CREATE INDEX IF NOT EXISTS idx_price_config_currency ON price_config(currency);
+
+-- Example: EUR and GBP prices next to the existing USD rows
+-- INSERT INTO price_config (price_type, price_id, product_id, unit_amount, currency, is_active)
+-- VALUES ('monthly', 'price_monthly_eur', 'prod_xxxxx', 800, 'eur', 1),
+--        ('yearly', 'price_yearly_eur', 'prod_xxxxx', 7200, 'eur', 1),
+--        ('monthly', 'price_monthly_gbp', 'prod_xxxxx', 700, 'gbp', 1),
+--        ('yearly', 'price_yearly_gbp', 'prod_xxxxx', 6200, 'gbp', 1);
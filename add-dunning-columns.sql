@@ -0,0 +1,11 @@
+-- Migration: Add dunning columns to subscriptions table
+-- Tracks failed renewal payments: grace period while Stripe retries, then license suspension
+-- Usage: wrangler d1 execute consentbit-licenses --file=add-dunning-columns.sql
+
+ALTER TABLE subscriptions ADD COLUMN dunning_status TEXT;  -- NULL, 'grace' (licenses keep working) or 'suspended'
+ALTER TABLE subscriptions ADD COLUMN payment_failed_at INTEGER;  -- First failed payment of the current dunning cycle
+ALTER TABLE subscriptions ADD COLUMN payment_attempt_count INTEGER DEFAULT 0;  -- Stripe invoice attempt_count
+ALTER TABLE subscriptions ADD COLUMN grace_period_ends_at INTEGER;  -- Licenses are suspended after this if still unpaid
+ALTER TABLE subscriptions ADD COLUMN payment_update_url TEXT;  -- Hosted invoice page where the customer can pay with a new card
+
+CREATE INDEX IF NOT EXISTS idx_subscriptions_dunning_status ON subscriptions(dunning_status);
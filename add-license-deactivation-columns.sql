@@ -0,0 +1,6 @@
+-- Add deactivation tracking to licenses table
+-- last_deactivated_at is used by POST /deactivate-license to enforce the cooldown
+-- (LICENSE_DEACTIVATION_COOLDOWN_SECONDS, default 24 hours) so keys can't be hopped between sites endlessly
+-- Usage: wrangler d1 execute consentbit-licenses --file=add-license-deactivation-columns.sql
+
+ALTER TABLE licenses ADD COLUMN last_deactivated_at INTEGER;
@@ -0,0 +1,9 @@
+-- Migration: Use Case 3 quantity mode (UC3_SUBSCRIPTION_MODE=quantity)
+-- A quantity purchase maps its license keys onto one shared subscription item with quantity = number of keys
+-- Usage: wrangler d1 execute consentbit-licenses --file=add-quantity-subscription-columns.sql
+
+ALTER TABLE subscriptions ADD COLUMN license_model TEXT;  -- 'quantity' for a shared license subscription, NULL otherwise
+ALTER TABLE subscription_queue ADD COLUMN license_keys TEXT;  -- JSON array of keys for a quantity-mode batch row (one row per purchase)
+
+CREATE INDEX IF NOT EXISTS idx_licenses_item_id ON licenses(item_id);
+CREATE INDEX IF NOT EXISTS idx_subscriptions_license_model ON subscriptions(customer_id, license_model);
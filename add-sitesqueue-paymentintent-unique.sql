@@ -0,0 +1,14 @@
+-- Migration: one sites queue job per payment intent (Use Case 2)
+-- Usage: wrangler d1 execute consentbit-licenses --file=add-sitesqueue-paymentintent-unique.sql
+--
+-- checkout.session.completed and payment_intent.succeeded both enqueue the same site purchase. Jobs are now
+-- deduplicated on paymentintentid (INSERT ... ON CONFLICT DO NOTHING), which needs a UNIQUE index. Duplicate jobs
+-- left from before are removed first, keeping the oldest job for each payment intent. Jobs without a payment
+-- intent (NULL) are not affected.
+
+DELETE FROM sitesqueue
+WHERE paymentintentid IS NOT NULL
+  AND id NOT IN (SELECT MIN(id) FROM sitesqueue WHERE paymentintentid IS NOT NULL GROUP BY paymentintentid);
+
+DROP INDEX IF EXISTS idx_sitesqueue_paymentintentid;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sitesqueue_paymentintentid_unique ON sitesqueue(paymentintentid);
@@ -0,0 +1,42 @@
+-- Migration: retries and refunds for the sites queue (Use Case 2)
+-- Usage: wrangler d1 execute consentbit-licenses --file=add-sitesqueue-retry-columns.sql
+--
+-- Use Case 2 jobs are enqueued before any subscription exists (one is created per site), so subscriptionid becomes
+-- nullable. next_retry_at schedules retries with backoff and refund_id records the refund of a permanently failed job.
+-- SQLite cannot drop NOT NULL in place, so the table is rebuilt.
+
+CREATE TABLE IF NOT EXISTS sitesqueue_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  queueid TEXT NOT NULL UNIQUE,
+  customerid TEXT NOT NULL,
+  useremail TEXT NOT NULL,
+  subscriptionid TEXT,
+  paymentintentid TEXT,
+  priceid TEXT,
+  sites_json TEXT NOT NULL,  -- JSON array of sites; created ones carry license_key and subscription_id
+  billingperiod TEXT,
+  status TEXT NOT NULL DEFAULT 'pending',  -- 'pending', 'processing', 'completed' or 'failed'
+  attempts INTEGER DEFAULT 0,
+  max_attempts INTEGER DEFAULT 3,
+  next_retry_at INTEGER,  -- Earliest time a failed attempt is retried (NULL = now)
+  error_message TEXT,
+  refund_id TEXT,  -- Refund for the sites a failed job never created ('none' when there was nothing to refund)
+  createdat INTEGER NOT NULL DEFAULT (unixepoch()),
+  updatedat INTEGER NOT NULL DEFAULT (unixepoch()),
+  processedat INTEGER
+);
+
+INSERT INTO sitesqueue_new
+  (id, queueid, customerid, useremail, subscriptionid, paymentintentid, priceid, sites_json, billingperiod, status, attempts, max_attempts, error_message, createdat, updatedat, processedat)
+SELECT id, queueid, customerid, useremail, subscriptionid, paymentintentid, priceid, sites_json, billingperiod, status, attempts, max_attempts, error_message, createdat, updatedat, processedat
+FROM sitesqueue;
+
+DROP TABLE sitesqueue;
+ALTER TABLE sitesqueue_new RENAME TO sitesqueue;
+
+CREATE INDEX IF NOT EXISTS idx_sitesqueue_status ON sitesqueue(status);
+CREATE INDEX IF NOT EXISTS idx_sitesqueue_useremail ON sitesqueue(useremail);
+CREATE INDEX IF NOT EXISTS idx_sitesqueue_subscriptionid ON sitesqueue(subscriptionid);
+CREATE INDEX IF NOT EXISTS idx_sitesqueue_queueid ON sitesqueue(queueid);
+CREATE INDEX IF NOT EXISTS idx_sitesqueue_paymentintentid ON sitesqueue(paymentintentid);
+CREATE INDEX IF NOT EXISTS idx_sitesqueue_next_retry_at ON sitesqueue(next_retry_at);
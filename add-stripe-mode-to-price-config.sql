@@ -0,0 +1,43 @@
+-- Migration: separate test and live catalogs in price_config
+-- Usage: wrangler d1 execute consentbit-licenses --file=add-stripe-mode-to-price-config.sql
+-- Run after add-product-id-unit-amount-to-price-config.sql.
+--
+-- stripe_mode scopes a row to 'test' or 'live' keys (src/lib/catalog.js picks the mode from STRIPE_SECRET_KEY,
+-- or STRIPE_MODE when set). Rows without a stripe_mode serve both modes; a mode-specific row wins over them.
+-- SQLite cannot alter the UNIQUE(price_type) constraint in place, so the table is rebuilt with UNIQUE(price_type, stripe_mode).
+
+CREATE TABLE IF NOT EXISTS price_config_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  price_type TEXT NOT NULL,  -- 'monthly' or 'yearly'
+  price_id TEXT NOT NULL,  -- Stripe price ID (e.g., price_xxxxx)
+  product_id TEXT,  -- Stripe product ID (e.g., prod_xxxxx)
+  unit_amount INTEGER,  -- Price in the smallest currency unit
+  currency TEXT DEFAULT 'usd',
+  stripe_mode TEXT,  -- 'test', 'live' or NULL for both
+  discount_allowance REAL DEFAULT 0,
+  discount_type TEXT DEFAULT 'percentage',
+  coupon_code TEXT,
+  is_active INTEGER DEFAULT 1,
+  description TEXT,
+  created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+  updated_at INTEGER NOT NULL DEFAULT (unixepoch()),
+  UNIQUE(price_type, stripe_mode)
+);
+
+INSERT INTO price_config_new
+  (id, price_type, price_id, product_id, unit_amount, currency, discount_allowance, discount_type, coupon_code, is_active, description, created_at, updated_at)
+SELECT id, price_type, price_id, product_id, unit_amount, currency, discount_allowance, discount_type, coupon_code, is_active, description, created_at, updated_at
+FROM price_config;
+
+DROP TABLE price_config;
+ALTER TABLE price_config_new RENAME TO price_config;
+
+CREATE INDEX IF NOT EXISTS idx_price_config_price_type ON price_config(price_type);
+CREATE INDEX IF NOT EXISTS idx_price_config_is_active ON price_config(is_active);
+CREATE INDEX IF NOT EXISTS idx_price_config_price_id ON price_config(price_id);
+CREATE INDEX IF NOT EXISTS idx_price_config_product_id ON price_config(product_id);
+
+-- Example: a test-mode catalog next to the existing (shared) rows
+-- INSERT INTO price_config (price_type, price_id, product_id, unit_amount, currency, stripe_mode, is_active)
+-- VALUES ('monthly', 'price_test_monthly', 'prod_test_monthly', 800, 'usd', 'test', 1),
+--        ('yearly', 'price_test_yearly', 'prod_test_yearly', 7200, 'usd', 'test', 1);
@@ -0,0 +1,10 @@
+-- Migration: lease-based claiming for subscription_queue
+-- A worker claims a row by setting claimed_by and lease_expires_at in one conditional UPDATE. When the worker dies,
+-- the lease runs out and the reaper puts the row back to pending, counting it in reclaim_count.
+-- Usage: wrangler d1 execute consentbit-licenses --file=add-subscription-queue-lease-columns.sql
+
+ALTER TABLE subscription_queue ADD COLUMN claimed_by TEXT;  -- Worker holding the row while it is 'processing'
+ALTER TABLE subscription_queue ADD COLUMN lease_expires_at INTEGER;  -- Claim is void after this time
+ALTER TABLE subscription_queue ADD COLUMN reclaim_count INTEGER DEFAULT 0;  -- Times an expired lease was reclaimed
+
+CREATE INDEX IF NOT EXISTS idx_subscription_queue_lease ON subscription_queue(status, lease_expires_at);
@@ -0,0 +1,26 @@
+-- Create admin_audit_log table for operational (admin) route calls
+-- Run this to add the audit table to your D1 database
+-- Usage: wrangler d1 execute consentbit-licenses --file=create-admin-audit-log-table.sql
+
+-- Admin audit log - one row per call to an admin route, including rejected ones
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  actor TEXT,  -- Admin token name from ADMIN_API_TOKENS (NULL when authentication failed)
+  token_hash TEXT,  -- SHA-256 digest of the token used (never the token itself)
+  permission TEXT NOT NULL,  -- Permission the route requires (e.g., queue:run, logs:read)
+  method TEXT NOT NULL,
+  path TEXT NOT NULL,
+  query TEXT,  -- Query string, if any
+  outcome TEXT NOT NULL,  -- 'allowed', 'unauthenticated', 'forbidden'
+  status INTEGER,  -- HTTP status returned
+  ip TEXT,  -- CF-Connecting-IP
+  user_agent TEXT,
+  created_at INTEGER NOT NULL DEFAULT (unixepoch())
+);
+
+-- Create indexes for faster lookups
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_actor ON admin_audit_log(actor);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created_at ON admin_audit_log(created_at);
+
+-- Verify table was created
+SELECT name FROM sqlite_master WHERE type='table' AND name='admin_audit_log';
@@ -0,0 +1,19 @@
+-- Create cors_allowed_origins table for the CORS allowlist
+-- Run this to add the allowlist table to your D1 database
+-- Usage: wrangler d1 execute consentbit-licenses --file=create-cors-allowed-origins-table.sql
+
+-- Origins allowed to make credentialed calls, in addition to the CORS_ALLOWED_ORIGINS var
+-- Entries are exact origins or wildcard patterns: https://*.example.com (subdomains), http://localhost:* (any port)
+-- Workers cache the list for up to a minute, so changes apply without a deploy
+CREATE TABLE IF NOT EXISTS cors_allowed_origins (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  origin TEXT NOT NULL UNIQUE,  -- e.g. https://dashboard.consentbit.com or https://*.consentbit.com
+  note TEXT,  -- Why the origin was added
+  created_at INTEGER NOT NULL DEFAULT (unixepoch())
+);
+
+-- Example:
+-- INSERT INTO cors_allowed_origins (origin, note) VALUES ('https://*.consentbit.com', 'ConsentBit sites');
+
+-- Verify table was created
+SELECT name FROM sqlite_master WHERE type='table' AND name='cors_allowed_origins';
@@ -0,0 +1,25 @@
+-- Create stripe_events table for webhook deduplication
+-- Run this to add the stripe_events table to your D1 database
+-- Usage: wrangler d1 execute consentbit-licenses --file=create-stripe-events-table.sql
+
+-- Stripe events table - one row per Stripe event ID
+-- Redeliveries of a completed event are acknowledged without re-processing.
+-- Failed events keep their checkpoints so a retry resumes instead of re-running finished steps (e.g. license generation).
+CREATE TABLE IF NOT EXISTS stripe_events (
+  event_id TEXT PRIMARY KEY,  -- Stripe event ID (e.g., evt_xxx)
+  event_type TEXT NOT NULL,  -- Stripe event type (e.g., checkout.session.completed)
+  status TEXT NOT NULL DEFAULT 'processing',  -- 'processing', 'completed', 'failed'
+  attempts INTEGER NOT NULL DEFAULT 0,  -- Number of processing attempts
+  last_error TEXT,  -- Error message from the last failed attempt
+  checkpoints TEXT,  -- JSON object of completed step results, keyed by step name
+  created_at INTEGER NOT NULL DEFAULT (unixepoch()),  -- First delivery
+  updated_at INTEGER NOT NULL DEFAULT (unixepoch()),  -- Last status change
+  completed_at INTEGER  -- When processing finished successfully
+);
+
+CREATE INDEX IF NOT EXISTS idx_stripe_events_status ON stripe_events(status);
+CREATE INDEX IF NOT EXISTS idx_stripe_events_event_type ON stripe_events(event_type);
+CREATE INDEX IF NOT EXISTS idx_stripe_events_created_at ON stripe_events(created_at);
+
+-- Verify table was created
+SELECT name FROM sqlite_master WHERE type='table' AND name='stripe_events';
@@ -12,6 +12,7 @@ CREATE TABLE IF NOT EXISTS subscription_queue (
   payment_intent_id TEXT NOT NULL,
   price_id TEXT NOT NULL,
   license_key TEXT NOT NULL,
+  license_keys TEXT,  -- JSON array of keys for a quantity-mode batch row (one row per purchase)
   quantity INTEGER NOT NULL,
   trial_end INTEGER,  -- Unix timestamp for trial_end
   status TEXT NOT NULL DEFAULT 'pending',  -- 'pending', 'processing', 'completed', 'failed'
@@ -23,7 +24,10 @@ CREATE TABLE IF NOT EXISTS subscription_queue (
   created_at INTEGER NOT NULL DEFAULT (unixepoch()),
   updated_at INTEGER NOT NULL DEFAULT (unixepoch()),
   processed_at INTEGER,  -- When subscription was successfully created
-  next_retry_at INTEGER  -- When to retry if failed (exponential backoff)
+  next_retry_at INTEGER,  -- When to retry if failed (exponential backoff)
+  claimed_by TEXT,  -- Worker holding the row while it is 'processing'
+  lease_expires_at INTEGER,  -- Claim is void after this time; the reaper puts the row back to 'pending'
+  reclaim_count INTEGER DEFAULT 0  -- Times an expired lease was reclaimed
 );
 
 -- Create indexes for faster lookups
@@ -31,6 +35,7 @@ CREATE INDEX IF NOT EXISTS idx_subscription_queue_status ON subscription_queue(s
 CREATE INDEX IF NOT EXISTS idx_subscription_queue_customer_id ON subscription_queue(customer_id);
 CREATE INDEX IF NOT EXISTS idx_subscription_queue_payment_intent_id ON subscription_queue(payment_intent_id);
 CREATE INDEX IF NOT EXISTS idx_subscription_queue_next_retry_at ON subscription_queue(next_retry_at);
+CREATE INDEX IF NOT EXISTS idx_subscription_queue_lease ON subscription_queue(status, lease_expires_at);
 CREATE INDEX IF NOT EXISTS idx_subscription_queue_queue_id ON subscription_queue(queue_id);
 CREATE INDEX IF NOT EXISTS idx_subscription_queue_license_key ON subscription_queue(license_key);
 
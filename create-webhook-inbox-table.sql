@@ -0,0 +1,29 @@
+-- Create webhook_inbox table for asynchronous Stripe webhook processing
+-- Run this to add the inbox table to your D1 database
+-- Usage: wrangler d1 execute consentbit-licenses --file=create-webhook-inbox-table.sql
+
+-- Webhook inbox table - verified Stripe events waiting to be processed
+-- /webhook stores the raw event and acknowledges immediately; the scheduled worker drains the inbox
+CREATE TABLE IF NOT EXISTS webhook_inbox (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  event_id TEXT NOT NULL UNIQUE,  -- Stripe event ID (e.g., evt_xxx) - redeliveries are ignored
+  event_type TEXT NOT NULL,  -- Stripe event type (e.g., checkout.session.completed)
+  payload TEXT NOT NULL,  -- Raw verified event JSON
+  status TEXT NOT NULL DEFAULT 'pending',  -- 'pending', 'processing', 'completed', 'failed'
+  attempts INTEGER DEFAULT 0,  -- Number of processing attempts
+  max_attempts INTEGER DEFAULT 5,  -- Maximum retry attempts
+  error_message TEXT,  -- Error message from the last failed attempt
+  created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+  updated_at INTEGER NOT NULL DEFAULT (unixepoch()),
+  processed_at INTEGER,  -- When the event was processed successfully
+  next_retry_at INTEGER  -- When to retry if failed (exponential backoff)
+);
+
+-- Create indexes for faster lookups
+CREATE INDEX IF NOT EXISTS idx_webhook_inbox_status ON webhook_inbox(status);
+CREATE INDEX IF NOT EXISTS idx_webhook_inbox_next_retry_at ON webhook_inbox(next_retry_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_inbox_event_type ON webhook_inbox(event_type);
+CREATE INDEX IF NOT EXISTS idx_webhook_inbox_created_at ON webhook_inbox(created_at);
+
+-- Verify table was created
+SELECT name FROM sqlite_master WHERE type='table' AND name='webhook_inbox';
@@ -16,8 +16,12 @@
     // Global variables for payment plan and price IDs (accessible to all functions)
     let selectedPaymentPlan = null;
     // Direct product IDs for monthly and yearly plans
-    let monthlyPriceId = 'prod_Tg3C9VY4GhshdE'; // Monthly product ID
-    let yearlyPriceId = 'prod_Tg3AbI4uIip8oO'; // Yearly product ID
+    // Price catalog from /get-price-options (product, price, amount and currency per billing period)
+    let priceCatalog = { monthly: null, yearly: null };
+    let monthlyPriceId = null;
+    let yearlyPriceId = null;
+    // Currency picked in the plan selector; null lets the backend choose (customer's currency, preference or country)
+    let selectedCurrency = null;
     
     // ==================== PERFORMANCE OPTIMIZATION ====================
     /**
@@ -104,6 +108,7 @@
                     ...options,
                     headers: {
                         'Content-Type': 'application/json',
+                        ...getAuthHeaders(),
                         ...options.headers
                     },
                     credentials: 'include'
@@ -203,7 +208,7 @@
     async function silentDashboardUpdate(userEmail) {
         try {
             // Fetch fresh data in background (bypass cache for this update)
-            const response = await cachedFetch(`${API_BASE}/dashboard?email=${encodeURIComponent(userEmail)}`, {
+            const response = await cachedFetch(`${API_BASE}/dashboard`, {
                 method: 'GET'
             }, false); // Don't use cache - get fresh data
             
@@ -243,6 +248,9 @@
         const sitesChanged = JSON.stringify(currentSites) !== JSON.stringify(newData.sites || {});
         const subscriptionsChanged = JSON.stringify(currentSubscriptions) !== JSON.stringify(newData.subscriptions || {});
         
+        // Payment issues can change without any site/subscription change
+        renderPaymentIssueBanner(newData.paymentIssues);
+        
         // Only update if there are actual changes
         if (sitesChanged || subscriptionsChanged) {
             // Update global data
@@ -255,7 +263,7 @@
             // Load licenses for site data (needed for displaySites)
             let licensesData = [];
             try {
-                const licensesResponse = await cachedFetch(`${API_BASE}/licenses?email=${encodeURIComponent(userEmail)}`, {
+                const licensesResponse = await cachedFetch(`${API_BASE}/licenses`, {
                     method: 'GET'
                 }, false); // Fresh data
                 if (licensesResponse.ok) {
@@ -612,6 +620,36 @@
                null;
     }
     
+    /**
+     * Get the current Memberstack member token (JWT)
+     * The worker verifies this server-side to identify the caller
+     * @returns {string|null} - Member token or null if not logged in
+     */
+    function getMemberstackToken() {
+        try {
+            const memberstack = getMemberstackSDK();
+            if (memberstack && typeof memberstack.getMemberCookie === 'function') {
+                const token = memberstack.getMemberCookie();
+                if (token) return token;
+            }
+        } catch (error) {
+            console.warn('[Dashboard] Could not read Memberstack token from SDK:', error);
+        }
+        
+        // Fallback: Memberstack stores the member token in the _ms-mid cookie
+        const match = document.cookie.match(/(?:^|;\s*)_ms-mid=([^;]+)/);
+        return match ? decodeURIComponent(match[1]) : null;
+    }
+    
+    /**
+     * Build authentication headers for API requests
+     * @returns {object} - Headers object (empty if no token is available)
+     */
+    function getAuthHeaders() {
+        const token = getMemberstackToken();
+        return token ? { 'Authorization': `Bearer ${token}` } : {};
+    }
+    
     // Wait for Memberstack SDK
     async function waitForSDK() {
         let attempts = 0;
@@ -997,6 +1035,18 @@
                 </button>
             </nav>
             <div style="padding: 20px; border-top: 1px solid rgba(255,255,255,0.1); margin-top: auto;">
+                <button id="manage-billing-button" style="
+                    width: 100%;
+                    padding: 12px;
+                    margin-bottom: 10px;
+                    background: #3498db;
+                    color: white;
+                    border: none;
+                    border-radius: 6px;
+                    cursor: pointer;
+                    font-size: 14px;
+                    font-weight: 600;
+                ">💳 Manage billing</button>
                 <button id="logout-button" data-ms-action="logout" style="
                     width: 100%;
                     padding: 12px;
@@ -1056,6 +1106,19 @@
             border-left: 4px solid #c62828;
         `;
         
+        // Payment failed banner (dunning) - filled by renderPaymentIssueBanner()
+        const paymentIssueBanner = document.createElement('div');
+        paymentIssueBanner.id = 'payment-issue-banner';
+        paymentIssueBanner.style.cssText = `
+            background: #fff3e0;
+            color: #e65100;
+            padding: 15px 20px;
+            border-radius: 8px;
+            margin-bottom: 20px;
+            display: none;
+            border-left: 4px solid #e65100;
+        `;
+        
         // Success message
         const successMessage = document.createElement('div');
         successMessage.id = 'success-message';
@@ -1092,6 +1155,7 @@
                 <!-- Payment Option Selector -->
                 <div style="margin-bottom: 25px; padding: 20px; background: #f8f9fa; border-radius: 8px;">
                     <label style="display: block; margin-bottom: 12px; color: #333; font-weight: 600; font-size: 16px;">Select Payment Plan</label>
+                    <select class="currency-select" aria-label="Currency" style="display: none; margin-bottom: 12px; padding: 6px 10px; border: 2px solid #e0e0e0; border-radius: 6px; background: white;"></select>
                     <div style="display: flex; gap: 15px;">
                         <label style="
                             flex: 1;
@@ -1105,6 +1169,7 @@
                         " id="monthly-plan-label">
                             <input type="radio" name="payment-plan" value="monthly" id="payment-plan-monthly" style="margin-right: 8px;">
                             <span style="font-weight: 600; color: #333;">Monthly</span>
+                            <span class="plan-price" data-billing-period="monthly" style="display: block; margin-top: 4px; color: #666; font-size: 13px;"></span>
                         </label>
                         <label style="
                             flex: 1;
@@ -1118,6 +1183,7 @@
                         " id="yearly-plan-label">
                             <input type="radio" name="payment-plan" value="yearly" id="payment-plan-yearly" style="margin-right: 8px;">
                             <span style="font-weight: 600; color: #333;">Yearly</span>
+                            <span class="plan-price" data-billing-period="yearly" style="display: block; margin-top: 4px; color: #666; font-size: 13px;"></span>
                         </label>
                     </div>
                 </div>
@@ -1161,6 +1227,16 @@
                     ">
                         <p style="color: #999; margin: 0; font-size: 14px;">No pending sites. Add sites above to get started.</p>
                     </div>
+                    <div id="pending-sites-quote-usecase2" style="
+                        display: none;
+                        margin-top: 15px;
+                        padding: 15px;
+                        background: #f0f4ff;
+                        border: 1px solid #c5cae9;
+                        border-radius: 8px;
+                        font-size: 14px;
+                        color: #333;
+                    "></div>
                     <div id="pay-now-container-usecase2" style="margin-top: 15px; display: none;">
                         <button id="pay-now-button-usecase2" style="
                             padding: 12px 30px;
@@ -1298,6 +1374,7 @@
                         <!-- Payment Option Selector for License Keys -->
                         <div style="margin-bottom: 20px; padding: 15px; background: white; border-radius: 8px;">
                             <label style="display: block; margin-bottom: 12px; color: #333; font-weight: 600; font-size: 14px;">Select Payment Plan</label>
+                            <select class="currency-select" aria-label="Currency" style="display: none; margin-bottom: 12px; padding: 6px 10px; border: 2px solid #e0e0e0; border-radius: 6px; background: white;"></select>
                             <div style="display: flex; gap: 15px;">
                                 <label style="
                                     flex: 1;
@@ -1311,6 +1388,7 @@
                                 " id="monthly-plan-label-license">
                                     <input type="radio" name="payment-plan-license" value="monthly" id="payment-plan-monthly-license" style="margin-right: 8px;">
                                     <span style="font-weight: 600; color: #333;">Monthly</span>
+                            <span class="plan-price" data-billing-period="monthly" style="display: block; margin-top: 4px; color: #666; font-size: 13px;"></span>
                                 </label>
                                 <label style="
                                     flex: 1;
@@ -1324,6 +1402,7 @@
                                 " id="yearly-plan-label-license">
                                     <input type="radio" name="payment-plan-license" value="yearly" id="payment-plan-yearly-license" style="margin-right: 8px;">
                                     <span style="font-weight: 600; color: #333;">Yearly</span>
+                            <span class="plan-price" data-billing-period="yearly" style="display: block; margin-top: 4px; color: #666; font-size: 13px;"></span>
                                 </label>
                             </div>
                         </div>
@@ -1404,6 +1483,7 @@
         
         // Assemble main content
         mainContent.appendChild(header);
+        mainContent.appendChild(paymentIssueBanner);
         mainContent.appendChild(errorMessage);
         mainContent.appendChild(successMessage);
         mainContent.appendChild(domainsSection);
@@ -1494,6 +1574,71 @@
         }
     }
     
+    // Show "payment failed - update card" banner for subscriptions in dunning
+    function renderPaymentIssueBanner(paymentIssues) {
+        const banner = document.getElementById('payment-issue-banner');
+        if (!banner) return;
+        
+        const issues = Array.isArray(paymentIssues) ? paymentIssues : [];
+        if (issues.length === 0) {
+            banner.style.display = 'none';
+            banner.innerHTML = '';
+            return;
+        }
+        
+        const suspended = issues.some(issue => issue.suspended);
+        const graceEnds = issues
+            .filter(issue => !issue.suspended && issue.grace_period_ends_at)
+            .map(issue => issue.grace_period_ends_at)
+            .sort((a, b) => a - b)[0];
+        const updateUrl = (issues.find(issue => issue.update_payment_url) || {}).update_payment_url;
+        
+        const message = suspended
+            ? 'Payment failed — your licenses are suspended until the outstanding invoice is paid.'
+            : `Payment failed — please update your card${graceEnds ? ` before ${new Date(graceEnds * 1000).toLocaleDateString()}` : ''} to keep your licenses active.`;
+        
+        banner.innerHTML = `
+            <div style="display: flex; align-items: center; justify-content: space-between; gap: 16px; flex-wrap: wrap;">
+                <span style="font-weight: 600;">⚠️ ${message}</span>
+                ${updateUrl ? `<a href="${updateUrl}" target="_blank" rel="noopener" style="background: #e65100; color: white; padding: 8px 16px; border-radius: 6px; text-decoration: none; font-weight: 600;">Update card</a>` : ''}
+            </div>
+        `;
+        banner.style.display = 'block';
+    }
+    
+    // Open the Stripe Customer Portal (update card, receipts, billing details, cancel/switch plan)
+    async function openBillingPortal() {
+        const button = document.getElementById('manage-billing-button');
+        const originalText = button ? button.textContent : '';
+        if (button) {
+            button.disabled = true;
+            button.textContent = 'Opening...';
+        }
+        
+        try {
+            const response = await fetch(`${API_BASE}/billing-portal`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
+                credentials: 'include',
+                body: JSON.stringify({})
+            });
+            const data = await response.json().catch(() => ({}));
+            
+            if (!response.ok || !data.url) {
+                throw new Error(data.message || 'Could not open the billing portal');
+            }
+            
+            window.location.href = data.url;
+        } catch (error) {
+            console.error('[Dashboard] ❌ Billing portal error:', error);
+            showError(error.message || 'Could not open the billing portal');
+            if (button) {
+                button.disabled = false;
+                button.textContent = originalText;
+            }
+        }
+    }
+    
     // Global variable to store current user email
     let currentUserEmail = null;
     
@@ -1789,6 +1934,7 @@
                 subscriptions: data.subscriptions || {},
                 pendingSites: finalPendingSites
             };
+            renderPaymentIssueBanner(data.paymentIssues);
             
             // Check if sites exist but are empty
             if (data.sites && Object.keys(data.sites).length === 0) {
@@ -1800,7 +1946,7 @@
             // Note: This is cached and deduplicated, so if loadLicenses is also called, it won't duplicate the request
             let licensesData = [];
             try {
-                const licensesResponse = await cachedFetch(`${API_BASE}/licenses?email=${encodeURIComponent(userEmail)}`, {
+                const licensesResponse = await cachedFetch(`${API_BASE}/licenses`, {
                     method: 'GET'
                 }, true); // Use cache
                 if (licensesResponse.ok) {
@@ -2105,7 +2251,8 @@
                                 body: JSON.stringify({ 
                                     sites: sitesToSend,
                                     email: userEmail,
-                                    billing_period: paymentPlan
+                                    billing_period: paymentPlan,
+                                    currency: selectedCurrency
                                 })
                             });
                             
@@ -2129,7 +2276,8 @@
                                 credentials: 'include',
                                 body: JSON.stringify({ 
                                     email: userEmail,
-                                    billing_period: paymentPlan
+                                    billing_period: paymentPlan,
+                                    currency: selectedCurrency
                                 })
                             });
                             
@@ -2664,12 +2812,11 @@
                                                 ${isUsed ? '🔄' : '✅'}
                                             </button>
                                             ` : ''}
-                                            ${license.subscription_id && license.status === 'active' && !isCancelled ? `
-                                            <button class="menu-cancel-license-subscription-button" 
+                                            ${isQuantity && isUsed && license.status === 'active' && !isCancelled ? `
+                                            <button class="menu-deactivate-license-button" 
                                                     data-key="${license.license_key}"
-                                                    data-subscription-id="${license.subscription_id}"
-                                                    data-purchase-type="${license.purchase_type || ''}"
-                                                    title="Cancel Subscription"
+                                                    data-current-site="${siteForDisplay || ''}"
+                                                    title="Deactivate License"
                                                     style="
                                                         width: 100%;
                                                         padding: 12px;
@@ -2904,39 +3051,19 @@
             });
         });
         
-        // Add cancel subscription handlers for licenses with subscriptions
-        container.querySelectorAll('.menu-cancel-license-subscription-button').forEach(btn => {
+        // Add deactivate handlers - releases the activated site so the key can be assigned again
+        container.querySelectorAll('.menu-deactivate-license-button').forEach(btn => {
             btn.addEventListener('click', async function(e) {
                 e.stopPropagation();
                 const key = this.getAttribute('data-key');
-                const subscriptionId = this.getAttribute('data-subscription-id') || 
-                                      this.closest('tr')?.getAttribute('data-subscription-id') || '';
-                
-                // Validate subscription ID is present
-                if (!subscriptionId) {
-                    showError('Subscription ID is missing. Cannot cancel subscription.');
-                    console.error('[Dashboard] Missing subscription ID for license:', key);
-                    return;
-                }
-                
-                // Get purchase type from button data attribute
-                const purchaseType = this.closest('tr')?.getAttribute('data-purchase-type') || 
-                                    this.getAttribute('data-purchase-type') || '';
-                
-                // Note: Backend automatically detects if it's an individual subscription (Use Case 3)
-                // or a shared subscription and handles accordingly:
-                // - Individual: Cancels subscription (cancel_at_period_end), stays active until expiration, no proration
-                // - Shared: Reduces quantity with proration (immediate billing adjustment)
-                let confirmText = 'Are you sure you want to cancel this license subscription?\n\n';
+                const currentSite = this.getAttribute('data-current-site') || '';
                 
-                if (purchaseType === 'quantity') {
-                    confirmText += 'This will cancel the subscription for this license. ';
-                    confirmText += 'The subscription will remain active until the expiration date, and you will not be charged for renewal. ';
-                    confirmText += 'No proration will be applied (no immediate refund or charge adjustment).';
-                } else {
-                    confirmText += 'If this is an individual subscription, it will be canceled and remain active until expiration. ';
-                    confirmText += 'If this is part of a shared subscription, the quantity will be reduced with proration (immediate billing adjustment).';
+                let confirmText = 'Are you sure you want to deactivate this license?\n\n';
+                if (currentSite) {
+                    confirmText += `It will stop working on ${currentSite}. `;
                 }
+                confirmText += 'The license key will become available to activate on another site. ';
+                confirmText += 'A license can only be deactivated once every 24 hours.';
                 
                 if (!confirm(confirmText)) {
                     return;
@@ -2945,33 +3072,39 @@
                 const button = this;
                 const originalTitle = button.title;
                 button.disabled = true;
-                button.title = 'Canceling...';
+                button.title = 'Deactivating...';
 
                 try {
                     const response = await fetch(`${API_BASE}/deactivate-license`, {
                         method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
+                        headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
                         credentials: 'include',
                         body: JSON.stringify({
-                            license_key: key,
-                            subscription_id: subscriptionId,
-                            email: currentUserEmail
+                            license_key: key
                         })
                     });
 
                     const data = await response.json();
 
                     if (!response.ok) {
-                        throw new Error(data.error || data.message || 'Failed to cancel subscription');
+                        let errorMessage = data.message || data.error || 'Failed to deactivate license';
+                        
+                        if (data.error === 'unauthorized') {
+                            errorMessage = 'This license key does not belong to your account.';
+                        } else if (data.error === 'unauthenticated') {
+                            errorMessage = 'Your session has expired. Please log in again.';
+                        }
+                        
+                        throw new Error(errorMessage);
                     }
 
-                    showSuccess(data.message || 'License subscription canceled successfully. The subscription will remain active until the end of the current billing period.');
+                    showSuccess(data.message || 'License deactivated successfully.');
 
                     // Close menu
                     const menu = button.closest('.license-actions-menu');
                     if (menu) menu.style.display = 'none';
 
-                    // Silently update licenses and dashboard to reflect changes
+                    // Silently update licenses and dashboard to reflect changes (deactivation removes site from dashboard)
                     if (currentUserEmail) {
                         clearCache('dashboard'); // Clear cache for fresh data
                         await Promise.all([
@@ -2983,17 +3116,13 @@
                         ]);
                     }
                 } catch (error) {
-                    console.error('[Dashboard] Error canceling license subscription:', error);
-                    showError('Failed to cancel subscription: ' + error.message);
+                    console.error('[Dashboard] Error deactivating license:', error);
+                    showError('Failed to deactivate license: ' + error.message);
                     button.disabled = false;
                     button.title = originalTitle;
                 }
             });
         });
-        
-        // Note: "Remove from Subscription" functionality merged into "Cancel Subscription"
-        // Both actions use the same endpoint (/deactivate-license) and handler (menu-cancel-license-subscription-button)
-        // The "Remove from Subscription" button has been removed from the UI
     }
     
     // updateSubscriptionSelector removed - no longer needed for Use Case 2
@@ -3088,7 +3217,8 @@
                 body: JSON.stringify({
                     email: userEmail,
                     quantity: parseInt(quantity),
-                    billing_period: selectedPaymentPlan // 'monthly' or 'yearly' - backend gets price_id from price_config
+                    billing_period: selectedPaymentPlan, // 'monthly' or 'yearly' - backend gets price_id from price_config
+                    currency: selectedCurrency
                     // subscription_id is optional - not needed for Option 2 (separate subscriptions)
                 })
             });
@@ -3429,6 +3559,31 @@
                                                     onmouseout="this.style.background='white';">
                                                 🚫
                                             </button>
+                                            ${billingPeriod === 'monthly' || billingPeriod === 'yearly' ? `
+                                            <button class="menu-switch-plan-button" 
+                                                    data-site="${site}"
+                                                    data-subscription-id="${siteData.subscription_id || ''}"
+                                                    data-billing-period="${billingPeriod}"
+                                                    title="Switch to ${billingPeriod === 'monthly' ? 'yearly' : 'monthly'} billing"
+                                                    style="
+                                                        width: 100%;
+                                                        padding: 12px;
+                                                        background: white;
+                                                        color: #2196f3;
+                                                        border: none;
+                                                        text-align: center;
+                                                        cursor: pointer;
+                                                        font-size: 20px;
+                                                        display: flex;
+                                                        align-items: center;
+                                                        justify-content: center;
+                                                        transition: background 0.2s;
+                                                    "
+                                                    onmouseover="this.style.background='#e3f2fd';"
+                                                    onmouseout="this.style.background='white';">
+                                                🔁
+                                            </button>
+                                            ` : ''}
                                         </div>
                                     </div>
                                     ` : '<span style="color: #999; font-size: 12px;">No actions available</span>'}
@@ -3556,6 +3711,20 @@
                 removeSite(site, subscriptionId);
             });
         });
+        
+        // Add switch plan (monthly <-> yearly) handlers
+        container.querySelectorAll('.menu-switch-plan-button').forEach(btn => {
+            btn.addEventListener('click', function(e) {
+                e.stopPropagation();
+                const site = this.getAttribute('data-site');
+                const currentPeriod = this.getAttribute('data-billing-period');
+                
+                const menu = this.closest('.site-actions-menu');
+                if (menu) menu.style.display = 'none';
+                
+                switchPlan(site, currentPeriod === 'monthly' ? 'yearly' : 'monthly');
+            });
+        });
     }
     
     
@@ -4579,6 +4748,62 @@
                 }
             }
         }
+        
+        debounce('pendingSitesQuote', () => {
+            loadPendingSitesQuote(allPendingSites);
+        }, 300);
+    }
+    
+    // Show the prorated charge, tax and renewal total for the pending sites before checkout
+    let quotedPendingSites = [];
+    async function loadPendingSitesQuote(pendingSites) {
+        const quoteContainer = document.getElementById('pending-sites-quote-usecase2');
+        if (!quoteContainer) return;
+        quotedPendingSites = pendingSites;
+        
+        const sites = pendingSites.map(ps => ps.site || ps.site_domain || ps).filter(Boolean);
+        if (sites.length === 0 || (selectedPaymentPlan !== 'monthly' && selectedPaymentPlan !== 'yearly')) {
+            quoteContainer.style.display = 'none';
+            quoteContainer.innerHTML = '';
+            return;
+        }
+        
+        quoteContainer.style.display = 'block';
+        quoteContainer.innerHTML = '<span style="color: #666;">Calculating price...</span>';
+        
+        try {
+            const response = await fetch(`${API_BASE}/preview-add-sites`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
+                credentials: 'include',
+                body: JSON.stringify({ sites, billing_period: selectedPaymentPlan, currency: selectedCurrency })
+            });
+            const quote = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(quote.message || 'Could not calculate the price');
+            }
+            
+            const row = (label, value) => `
+                <div style="display: flex; justify-content: space-between; margin-bottom: 6px;">
+                    <span>${label}</span><span>${value}</span>
+                </div>`;
+            quoteContainer.innerHTML = `
+                ${row(`${quote.quantity} × ${formatMinorAmount(quote.unit_amount, quote.currency)}`, formatMinorAmount(quote.subtotal, quote.currency))}
+                ${quote.tax ? row('Tax', formatMinorAmount(quote.tax, quote.currency)) : ''}
+                <div style="display: flex; justify-content: space-between; font-weight: 600; border-top: 1px solid #c5cae9; padding-top: 6px;">
+                    <span>Due today</span><span>${formatMinorAmount(quote.amount_due_now, quote.currency)}</span>
+                </div>
+                ${quote.next_renewal_total !== null && quote.next_renewal_total !== undefined ? `
+                <div style="margin-top: 8px; color: #666; font-size: 12px;">
+                    Then ${formatMinorAmount(quote.next_renewal_total, quote.currency)} ${selectedPaymentPlan}${quote.next_renewal_at ? ` from ${new Date(quote.next_renewal_at * 1000).toLocaleDateString()}` : ''}
+                </div>` : ''}
+                ${quote.estimated ? '<div style="margin-top: 8px; color: #999; font-size: 12px;">Tax, if any, is shown at checkout.</div>' : ''}
+            `;
+        } catch (error) {
+            console.warn('[Dashboard] ⚠️ Could not load pending sites quote:', error);
+            quoteContainer.style.display = 'none';
+            quoteContainer.innerHTML = '';
+        }
     }
     
     // Setup event handlers for Use Case 2
@@ -4794,51 +5019,53 @@
             });
         }
         
-        // Fetch price IDs from backend (non-blocking - defaults are already available)
-        // This will update price IDs if backend has different values, but won't block functionality
-        fetchPriceIds(userEmail).catch(() => {
-            // Silently fail - defaults are already set and available
-        });
+        // Fetch the price catalog from backend (non-blocking - checkout resolves prices server-side)
+        fetchPriceIds(userEmail).catch(() => {});
     }
     
-    // Fetch price IDs from backend
-    async function fetchPriceIds(userEmail) {
+    // Fetch the price catalog from backend and show the prices in the plan selectors
+    async function fetchPriceIds(userEmail, currency = selectedCurrency) {
         try {
-            const priceOptionsResponse = await fetch(`${API_BASE}/get-price-options`, {
+            const query = currency ? `?currency=${encodeURIComponent(currency)}` : '';
+            const priceOptionsResponse = await fetch(`${API_BASE}/get-price-options${query}`, {
                 method: 'GET',
                 headers: { 'Content-Type': 'application/json' },
                 credentials: 'include'
             });
             
-            if (priceOptionsResponse.ok) {
-                const priceOptions = await priceOptionsResponse.json();
-                // Handle new format with price_id object or old format with direct price_id
-                if (priceOptions.monthly) {
-                    if (typeof priceOptions.monthly === 'string') {
-                        // Old format: direct price_id string
-                        monthlyPriceId = priceOptions.monthly;
-                    } else if (priceOptions.monthly.price_id) {
-                        // New format: object with price_id, discount, etc.
-                        monthlyPriceId = priceOptions.monthly.price_id;
-                    }
-                }
-                if (priceOptions.yearly) {
-                    if (typeof priceOptions.yearly === 'string') {
-                        // Old format: direct price_id string
-                        yearlyPriceId = priceOptions.yearly;
-                    } else if (priceOptions.yearly.price_id) {
-                        // New format: object with price_id, discount, etc.
-                        yearlyPriceId = priceOptions.yearly.price_id;
-                    }
-                }
-                
-                console.log('[Dashboard] Price IDs loaded from backend:', { monthly: monthlyPriceId, yearly: yearlyPriceId });
-            } else {
-                console.log('[Dashboard] Backend fetch failed, using default price IDs:', { monthly: monthlyPriceId, yearly: yearlyPriceId });
+            if (!priceOptionsResponse.ok) {
+                console.warn('[Dashboard] Could not load the price catalog:', priceOptionsResponse.status);
+                return;
             }
+            
+            const priceOptions = await priceOptionsResponse.json();
+            priceCatalog = { monthly: priceOptions.monthly || null, yearly: priceOptions.yearly || null };
+            monthlyPriceId = priceCatalog.monthly?.price_id || null;
+            yearlyPriceId = priceCatalog.yearly?.price_id || null;
+            selectedCurrency = priceOptions.currency || null;
+            
+            // Currency picker only when the catalog sells in more than one currency
+            const currencies = priceOptions.currencies || [];
+            document.querySelectorAll('.currency-select').forEach(select => {
+                select.innerHTML = currencies.map(code => `<option value="${code}">${code.toUpperCase()}</option>`).join('');
+                select.value = selectedCurrency || '';
+                select.style.display = currencies.length > 1 ? 'block' : 'none';
+                select.onchange = async () => {
+                    await fetchPriceIds(userEmail, select.value);
+                    loadPendingSitesQuote(quotedPendingSites);
+                };
+            });
+            
+            document.querySelectorAll('.plan-price').forEach(el => {
+                const option = priceCatalog[el.getAttribute('data-billing-period')];
+                el.textContent = option && option.unit_amount !== null && option.unit_amount !== undefined
+                    ? `${formatMinorAmount(option.unit_amount, option.currency)} / ${el.getAttribute('data-billing-period') === 'yearly' ? 'year' : 'month'}`
+                    : '';
+            });
+            
+            console.log('[Dashboard] Price catalog loaded from backend:', { monthly: monthlyPriceId, yearly: yearlyPriceId, currency: selectedCurrency, mode: priceOptions.stripe_mode });
         } catch (error) {
-            console.warn('[Dashboard] Could not fetch price IDs from backend, using defaults:', error);
-            console.log('[Dashboard] Using default price IDs:', { monthly: monthlyPriceId, yearly: yearlyPriceId });
+            console.warn('[Dashboard] Could not fetch the price catalog from backend:', error);
         }
     }
     
@@ -4904,7 +5131,8 @@
                 // Add to local pending list with payment plan
                 window.dashboardData.pendingSites.push({
                     site: site,
-                    billing_period: paymentPlan
+                    billing_period: paymentPlan,
+                    currency: selectedCurrency
                 });
                 
                 // Persist to localStorage (survives page refresh)
@@ -4923,7 +5151,8 @@
                     body: JSON.stringify({ 
                         sites: [{ site: site }],
                         email: userEmail,
-                        billing_period: paymentPlan
+                        billing_period: paymentPlan,
+                        currency: selectedCurrency
                     })
                 }).catch(err => {
                     // Silently fail - local storage is backup
@@ -4986,17 +5215,30 @@
                         try {
                             const response = await fetch(`${API_BASE}/remove-pending-site`, {
                                 method: 'POST',
-                                headers: { 'Content-Type': 'application/json' },
+                                headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
                                 credentials: 'include',
                                 body: JSON.stringify({ 
-                                    site: site,
-                                    email: userEmail
+                                    site: site
                                 })
                             });
                             
                             if (response.ok) {
                                 const result = await response.json();
                                 console.log('[Dashboard] Site removed from backend:', result);
+                                
+                                // Server list is authoritative - keep client and server in agreement
+                                if (Array.isArray(result.pendingSites)) {
+                                    window.dashboardData.pendingSites = result.pendingSites;
+                                    try {
+                                        if (result.pendingSites.length > 0) {
+                                            localStorage.setItem('pendingSitesLocal', JSON.stringify(result.pendingSites));
+                                        } else {
+                                            localStorage.removeItem('pendingSitesLocal');
+                                        }
+                                    } catch (e) {
+                                        console.warn('[Dashboard] Could not update localStorage:', e);
+                                    }
+                                }
                             } else {
                                 const errorText = await response.text();
                                 console.warn('[Dashboard] Backend removal failed, but local removal succeeded:', errorText);
@@ -5109,7 +5351,8 @@
                         body: JSON.stringify({ 
                             sites: sitesToSend,
                             email: userEmail,
-                            billing_period: selectedPaymentPlan
+                            billing_period: selectedPaymentPlan,
+                            currency: selectedCurrency
                         })
                     });
                     
@@ -5141,7 +5384,8 @@
                         credentials: 'include',
                         body: JSON.stringify({ 
                             email: userEmail,
-                            billing_period: finalPaymentPlan
+                            billing_period: finalPaymentPlan,
+                            currency: selectedCurrency
                         })
                     });
                     
@@ -5668,7 +5912,7 @@
                                                                         ` : ''}
                                                                     </td>
                                                                     <td style="padding: 10px; font-size: 12px; color: #666;">
-                                                                        ${siteData.amount_paid ? `$${(siteData.amount_paid / 100).toFixed(2)}` : 'N/A'}
+                                                                        ${siteData.amount_paid ? formatMinorAmount(siteData.amount_paid, siteData.currency) : 'N/A'}
                                                                     </td>
                                                                     <td style="padding: 10px; font-size: 12px; font-family: monospace; color: #666;">
                                                                         ${license ? license.license_key.substring(0, 20) + '...' : 'N/A'}
@@ -6044,11 +6288,11 @@
                         const response = await fetch(`${API_BASE}/remove-pending-site`, {
                             method: 'POST',
                             headers: {
-                                'Content-Type': 'application/json'
+                                'Content-Type': 'application/json',
+                                ...getAuthHeaders()
                             },
                             credentials: 'include',
                             body: JSON.stringify({
-                                email: userEmail,
                                 site: removedSiteName,
                                 subscriptionId: subscriptionId
                             })
@@ -6058,12 +6302,14 @@
                             const result = await response.json();
                             showSuccess(`Site "${removedSiteName}" removed from pending list`);
                             
-                            // Update local data immediately (no full reload needed)
+                            // Update local data immediately from the server's list (no full reload needed)
                             if (window.dashboardData?.pendingSites) {
-                                window.dashboardData.pendingSites = window.dashboardData.pendingSites.filter(ps => {
-                                    const psSite = (ps.site || ps.site_domain || ps).toLowerCase().trim();
-                                    return psSite !== removedSiteName.toLowerCase().trim();
-                                });
+                                window.dashboardData.pendingSites = Array.isArray(result.pendingSites)
+                                    ? result.pendingSites
+                                    : window.dashboardData.pendingSites.filter(ps => {
+                                        const psSite = (ps.site || ps.site_domain || ps).toLowerCase().trim();
+                                        return psSite !== removedSiteName.toLowerCase().trim();
+                                    });
                                 
                                 // Update localStorage
                                 try {
@@ -6221,19 +6467,19 @@
             return;
         }
         
-        // Normalize email (case-insensitive matching) - matches backend verification
+        // Normalize email (case-insensitive matching) - used to reload the dashboard afterwards
         const normalizedEmail = userEmail.toLowerCase().trim();
         
         try {
             const response = await fetch(`${API_BASE}/remove-site`, {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json'
+                    'Content-Type': 'application/json',
+                    ...getAuthHeaders()
                 },
                 credentials: 'include',
                 body: JSON.stringify({ 
                     site: site.trim(),
-                    email: normalizedEmail,
                     subscription_id: subscriptionId ? subscriptionId.trim() : null
                 })
             });
@@ -6293,6 +6539,66 @@
         }
     }
     
+    function formatMinorAmount(amount, currency) {
+        return new Intl.NumberFormat(undefined, { style: 'currency', currency: (currency || 'usd').toUpperCase() }).format((amount || 0) / 100);
+    }
+    
+    // Switch a site between monthly and yearly billing: step 1 previews the prorated charge, step 2 performs the switch
+    async function switchPlan(site, billingPeriod) {
+        const request = { site: site.trim(), billing_period: billingPeriod };
+        
+        try {
+            const previewResponse = await fetch(`${API_BASE}/plan-switch/preview`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
+                credentials: 'include',
+                body: JSON.stringify(request)
+            });
+            const preview = await previewResponse.json().catch(() => ({}));
+            if (!previewResponse.ok) {
+                throw new Error(preview.message || 'Could not preview the plan switch');
+            }
+            
+            const currency = preview.invoice?.currency;
+            const lines = [
+                `Switch ${site} to ${billingPeriod} billing?`,
+                '',
+                `Charged now: ${formatMinorAmount(preview.amount_due_now, currency)}`
+            ];
+            if (preview.credit > 0) {
+                lines.push(`Credit for unused time (applied to your next invoice): ${formatMinorAmount(preview.credit, currency)}`);
+            }
+            if (preview.invoice?.next_renewal_at) {
+                lines.push(`Next renewal: ${new Date(preview.invoice.next_renewal_at * 1000).toLocaleDateString()}`);
+            }
+            if (!confirm(lines.join('\n'))) {
+                return;
+            }
+            
+            const switchResponse = await fetch(`${API_BASE}/plan-switch`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
+                credentials: 'include',
+                body: JSON.stringify({ ...request, proration_date: preview.proration_date })
+            });
+            const data = await switchResponse.json().catch(() => ({}));
+            if (!switchResponse.ok) {
+                throw new Error(data.message || 'Could not switch the plan');
+            }
+            
+            showSuccess(`${site} is now billed ${billingPeriod}.`);
+            
+            const userEmail = await getLoggedInEmail();
+            clearCache('dashboard');
+            if (userEmail) {
+                await silentDashboardUpdate(userEmail).catch(() => loadDashboard(userEmail, false));
+            }
+        } catch (error) {
+            console.error('[Dashboard] ❌ Plan switch error:', error);
+            showError(error.message || 'Could not switch the plan. Please try again or contact support.');
+        }
+    }
+    
     // Check license status for a site
     async function checkLicenseStatus(siteDomain, userEmail = null) {
         if (!siteDomain) {
@@ -6412,18 +6718,11 @@
                 console.log('[Dashboard] ✅ Using cached licenses for loadLicenses');
                 data = window.licensesCache.data;
             } else {
-                // Try email-based endpoint first (with caching)
-                let response = await cachedFetch(`${API_BASE}/licenses?email=${encodeURIComponent(userEmail)}`, {
+                // Identity comes from the Memberstack token or session cookie (with caching)
+                const response = await cachedFetch(`${API_BASE}/licenses`, {
                     method: 'GET'
                 }, true); // Use cache
                 
-                // If email endpoint doesn't work, try with session cookie
-                if (!response.ok && response.status === 401) {
-                    response = await cachedFetch(`${API_BASE}/licenses`, {
-                        method: 'GET'
-                    }, true); // Use cache
-                }
-                
                 if (!response.ok) {
                     throw new Error(`Failed to load licenses: ${response.status}`);
                 }
@@ -6833,6 +7132,12 @@
         }
 
         
+        // Manage billing button
+        const manageBillingButton = document.getElementById('manage-billing-button');
+        if (manageBillingButton) {
+            manageBillingButton.addEventListener('click', openBillingPortal);
+        }
+        
         // Logout button
         const logoutButton = document.getElementById('logout-button');
         if (logoutButton) {
@@ -2,10 +2,10 @@
 -- Run this to create your D1 database tables
 
 -- Payments/Subscriptions table - stores payment details
-CREATE TABLE IF NOT EXISTS  (
+CREATE TABLE IF NOT EXISTS payments (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   customer_id TEXT NOT NULL,
-  subscription_id TEXT NOT paymentsNULL,
+  subscription_id TEXT NOT NULL,
   email TEXT NOT NULL,
   amount INTEGER NOT NULL,
   currency TEXT NOT NULL DEFAULT 'usd',
@@ -14,7 +14,7 @@ CREATE TABLE IF NOT EXISTS  (
   magic_link TEXT,
   magic_link_generated INTEGER DEFAULT 0,
   created_at INTEGER NOT NULL DEFAULT (unixepoch()),
-  updated_at INTEGER NOT NULL DEFAULT (unixepoch()),
+  updated_at INTEGER NOT NULL DEFAULT (unixepoch())
 );
 
 -- Sites table - stores detailed site information including renewal dates and amounts
@@ -51,7 +51,8 @@ CREATE TABLE IF NOT EXISTS licenses (
   purchase_type TEXT DEFAULT 'site',  -- 'site' or 'quantity'
   created_at INTEGER NOT NULL DEFAULT (unixepoch()),
   updated_at INTEGER NOT NULL DEFAULT (unixepoch()),
-  platform TEXT  DEFAULT 'pending'  
+  platform TEXT  DEFAULT 'pending',
+  last_deactivated_at INTEGER  -- When the license was last released from a site (deactivation cooldown)
 );
 
 -- REMOVED: Magic Link Tokens table - Not needed (Memberstack handles login)
@@ -65,6 +66,7 @@ CREATE INDEX IF NOT EXISTS idx_licenses_subscription_id ON licenses(subscription
 CREATE INDEX IF NOT EXISTS idx_licenses_license_key ON licenses(license_key);
 CREATE INDEX IF NOT EXISTS idx_licenses_status ON licenses(status);
 CREATE INDEX IF NOT EXISTS idx_licenses_site_domain ON licenses(site_domain);
+CREATE INDEX IF NOT EXISTS idx_licenses_item_id ON licenses(item_id);
 CREATE INDEX IF NOT EXISTS idx_sites_customer_id ON sites(customer_id);
 CREATE INDEX IF NOT EXISTS idx_sites_subscription_id ON sites(subscription_id);
 CREATE INDEX IF NOT EXISTS idx_sites_site_domain ON sites(site_domain);
@@ -105,6 +107,12 @@ CREATE TABLE IF NOT EXISTS subscriptions (
   current_period_start INTEGER,
   current_period_end INTEGER,
   billing_period TEXT,  -- Recurring billing frequency: 'monthly', 'yearly', 'weekly', 'daily'
+  dunning_status TEXT,  -- NULL, 'grace' (payment failed, licenses still work) or 'suspended'
+  payment_failed_at INTEGER,
+  payment_attempt_count INTEGER DEFAULT 0,
+  grace_period_ends_at INTEGER,
+  payment_update_url TEXT,
+  license_model TEXT,  -- 'quantity' for a shared Use Case 3 license subscription, NULL otherwise
   created_at INTEGER NOT NULL DEFAULT (unixepoch()),
   updated_at INTEGER NOT NULL DEFAULT (unixepoch()),
   FOREIGN KEY (user_email) REFERENCES users(email) ON DELETE CASCADE,
@@ -147,8 +155,10 @@ CREATE INDEX IF NOT EXISTS idx_customers_customer_id ON customers(customer_id);
 CREATE INDEX IF NOT EXISTS idx_subscriptions_user_email ON subscriptions(user_email);
 CREATE INDEX IF NOT EXISTS idx_subscriptions_customer_id ON subscriptions(customer_id);
 CREATE INDEX IF NOT EXISTS idx_subscriptions_subscription_id ON subscriptions(subscription_id);
+CREATE INDEX IF NOT EXISTS idx_subscriptions_license_model ON subscriptions(customer_id, license_model);
 CREATE INDEX IF NOT EXISTS idx_subscriptions_status ON subscriptions(status);
 CREATE INDEX IF NOT EXISTS idx_subscriptions_billing_period ON subscriptions(billing_period);
+CREATE INDEX IF NOT EXISTS idx_subscriptions_dunning_status ON subscriptions(dunning_status);
 CREATE INDEX IF NOT EXISTS idx_subscription_items_subscription_id ON subscription_items(subscription_id);
 CREATE INDEX IF NOT EXISTS idx_subscription_items_item_id ON subscription_items(item_id);
 CREATE INDEX IF NOT EXISTS idx_subscription_items_site_domain ON subscription_items(site_domain);
@@ -176,6 +186,7 @@ CREATE TABLE IF NOT EXISTS subscription_queue (
   payment_intent_id TEXT NOT NULL,
   price_id TEXT NOT NULL,
   license_key TEXT NOT NULL,
+  license_keys TEXT,  -- JSON array of keys for a quantity-mode batch row (one row per purchase)
   quantity INTEGER NOT NULL,
   trial_end INTEGER,  -- Unix timestamp for trial_end
   status TEXT NOT NULL DEFAULT 'pending',  -- 'pending', 'processing', 'completed', 'failed'
@@ -187,13 +198,17 @@ CREATE TABLE IF NOT EXISTS subscription_queue (
   created_at INTEGER NOT NULL DEFAULT (unixepoch()),
   updated_at INTEGER NOT NULL DEFAULT (unixepoch()),
   processed_at INTEGER,  -- When subscription was successfully created
-  next_retry_at INTEGER  -- When to retry if failed (exponential backoff)
+  next_retry_at INTEGER,  -- When to retry if failed (exponential backoff)
+  claimed_by TEXT,  -- Worker holding the row while it is 'processing'
+  lease_expires_at INTEGER,  -- Claim is void after this time; the reaper puts the row back to 'pending'
+  reclaim_count INTEGER DEFAULT 0  -- Times an expired lease was reclaimed
 );
 
 CREATE INDEX IF NOT EXISTS idx_subscription_queue_status ON subscription_queue(status);
 CREATE INDEX IF NOT EXISTS idx_subscription_queue_customer_id ON subscription_queue(customer_id);
 CREATE INDEX IF NOT EXISTS idx_subscription_queue_payment_intent_id ON subscription_queue(payment_intent_id);
 CREATE INDEX IF NOT EXISTS idx_subscription_queue_next_retry_at ON subscription_queue(next_retry_at);
+CREATE INDEX IF NOT EXISTS idx_subscription_queue_lease ON subscription_queue(status, lease_expires_at);
 CREATE INDEX IF NOT EXISTS idx_subscription_queue_queue_id ON subscription_queue(queue_id);
 
 -- Refunds table - stores refund transaction records
@@ -236,15 +251,17 @@ CREATE TABLE IF NOT EXISTS sitesqueue (
   queueid TEXT NOT NULL UNIQUE,
   customerid TEXT NOT NULL,
   useremail TEXT NOT NULL,
-  subscriptionid TEXT NOT NULL,
+  subscriptionid TEXT,
   paymentintentid TEXT,
   priceid TEXT,
-  sites_json TEXT NOT NULL,
+  sites_json TEXT NOT NULL,  -- JSON array of sites; created ones carry license_key and subscription_id
   billingperiod TEXT,
-  status TEXT NOT NULL DEFAULT 'pending',
+  status TEXT NOT NULL DEFAULT 'pending',  -- 'pending', 'processing', 'completed' or 'failed'
   attempts INTEGER DEFAULT 0,
   max_attempts INTEGER DEFAULT 3,
+  next_retry_at INTEGER,  -- Earliest time a failed attempt is retried (NULL = now)
   error_message TEXT,
+  refund_id TEXT,  -- Refund for the sites a failed job never created ('none' when there was nothing to refund)
   createdat INTEGER NOT NULL DEFAULT (unixepoch()),
   updatedat INTEGER NOT NULL DEFAULT (unixepoch()),
   processedat INTEGER
@@ -254,3 +271,71 @@ CREATE INDEX IF NOT EXISTS idx_sitesqueue_status ON sitesqueue(status);
 CREATE INDEX IF NOT EXISTS idx_sitesqueue_useremail ON sitesqueue(useremail);
 CREATE INDEX IF NOT EXISTS idx_sitesqueue_subscriptionid ON sitesqueue(subscriptionid);
 CREATE INDEX IF NOT EXISTS idx_sitesqueue_queueid ON sitesqueue(queueid);
+-- One job per payment: checkout.session.completed and payment_intent.succeeded both enqueue a Use Case 2 purchase
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sitesqueue_paymentintentid_unique ON sitesqueue(paymentintentid);
+CREATE INDEX IF NOT EXISTS idx_sitesqueue_next_retry_at ON sitesqueue(next_retry_at);
+
+-- Stripe events table - webhook deduplication and resumable processing, keyed on Stripe event ID
+CREATE TABLE IF NOT EXISTS stripe_events (
+  event_id TEXT PRIMARY KEY,
+  event_type TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'processing',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  checkpoints TEXT,
+  created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+  updated_at INTEGER NOT NULL DEFAULT (unixepoch()),
+  completed_at INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_stripe_events_status ON stripe_events(status);
+CREATE INDEX IF NOT EXISTS idx_stripe_events_event_type ON stripe_events(event_type);
+CREATE INDEX IF NOT EXISTS idx_stripe_events_created_at ON stripe_events(created_at);
+
+-- Webhook inbox table - verified Stripe events stored by /webhook and processed by the scheduled worker
+CREATE TABLE IF NOT EXISTS webhook_inbox (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  event_id TEXT NOT NULL UNIQUE,
+  event_type TEXT NOT NULL,
+  payload TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER DEFAULT 0,
+  max_attempts INTEGER DEFAULT 5,
+  error_message TEXT,
+  created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+  updated_at INTEGER NOT NULL DEFAULT (unixepoch()),
+  processed_at INTEGER,
+  next_retry_at INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_inbox_status ON webhook_inbox(status);
+CREATE INDEX IF NOT EXISTS idx_webhook_inbox_next_retry_at ON webhook_inbox(next_retry_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_inbox_event_type ON webhook_inbox(event_type);
+CREATE INDEX IF NOT EXISTS idx_webhook_inbox_created_at ON webhook_inbox(created_at);
+
+-- Admin audit log - one row per call to an admin route, including rejected ones
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  actor TEXT,
+  token_hash TEXT,
+  permission TEXT NOT NULL,
+  method TEXT NOT NULL,
+  path TEXT NOT NULL,
+  query TEXT,
+  outcome TEXT NOT NULL,
+  status INTEGER,
+  ip TEXT,
+  user_agent TEXT,
+  created_at INTEGER NOT NULL DEFAULT (unixepoch())
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_actor ON admin_audit_log(actor);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created_at ON admin_audit_log(created_at);
+
+-- CORS allowlist - origins allowed in addition to the CORS_ALLOWED_ORIGINS var (supports https://*.example.com)
+CREATE TABLE IF NOT EXISTS cors_allowed_origins (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  origin TEXT NOT NULL UNIQUE,
+  note TEXT,
+  created_at INTEGER NOT NULL DEFAULT (unixepoch())
+);
@@ -0,0 +1,84 @@
+/**
+ * Admin authentication and audit logging for operational routes (queue processing, log export).
+ *
+ * ADMIN_API_TOKENS is a secret holding a JSON object keyed by the SHA-256 hex digest of each admin token:
+ *   {"<sha256 hex>": {"name": "ops-oncall", "permissions": ["queue:run", "logs:read"]}}
+ * Only digests are stored, so the secret never contains a usable token. Generate one with
+ *   echo -n "$TOKEN" | sha256sum
+ * and set it with `wrangler secret put ADMIN_API_TOKENS`. Permissions: queue:run, queue:read, logs:read, subscriptions:migrate,
+ * refunds:write; "*" grants all.
+ */
+
+export async function hashAdminToken(token) {
+	const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+	return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+function getAdminTokens(env) {
+	if (!env.ADMIN_API_TOKENS) return {};
+	try {
+		const tokens = typeof env.ADMIN_API_TOKENS === 'string' ? JSON.parse(env.ADMIN_API_TOKENS) : env.ADMIN_API_TOKENS;
+		return tokens && typeof tokens === 'object' ? tokens : {};
+	} catch (error) {
+		console.error('[admin-auth] ❌ ADMIN_API_TOKENS is not valid JSON');
+		return {};
+	}
+}
+
+/**
+ * Resolve the admin behind a request from `Authorization: Bearer <token>` or `X-Admin-Token`
+ * @returns {Promise<{name: string, permissions: string[], tokenHash: string}|null>}
+ */
+export async function authenticateAdmin(request, env) {
+	const bearer = (request.headers.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+	const token = (bearer ? bearer[1] : request.headers.get('X-Admin-Token') || '').trim();
+	if (!token) return null;
+
+	const tokenHash = await hashAdminToken(token);
+	const entry = getAdminTokens(env)[tokenHash];
+	if (!entry) return null;
+
+	return {
+		name: entry.name || tokenHash.slice(0, 12),
+		permissions: Array.isArray(entry.permissions) ? entry.permissions : [],
+		tokenHash,
+	};
+}
+
+export function hasAdminPermission(admin, permission) {
+	return !!admin && (admin.permissions.includes('*') || admin.permissions.includes(permission));
+}
+
+/**
+ * Record an admin call (allowed or denied) in admin_audit_log. Never throws.
+ */
+export async function recordAdminAudit(env, request, { admin = null, permission, outcome, status }) {
+	if (!env.DB) return;
+	try {
+		const url = new URL(request.url);
+		await env.DB.prepare(
+			`INSERT INTO admin_audit_log (actor, token_hash, permission, method, path, query, outcome, status, ip, user_agent, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+		)
+			.bind(
+				admin?.name || null,
+				admin?.tokenHash || null,
+				permission,
+				request.method,
+				url.pathname,
+				url.search || null,
+				outcome,
+				status,
+				request.headers.get('CF-Connecting-IP') || null,
+				request.headers.get('User-Agent') || null,
+				Math.floor(Date.now() / 1000)
+			)
+			.run();
+	} catch (error) {
+		if (error.message?.includes('no such table')) {
+			console.warn('[admin-auth] ⚠️ admin_audit_log table does not exist. Run create-admin-audit-log-table.sql.');
+			return;
+		}
+		console.error('[admin-auth] ❌ Failed to record admin audit entry:', error);
+	}
+}
@@ -0,0 +1,155 @@
+/**
+ * Session tokens and Memberstack identity verification.
+ */
+import { getEnvVar } from './http.js';
+
+// ============================================
+// HIGH-SECURITY MAGIC LINK FUNCTIONS
+// ============================================
+
+// Generate cryptographically secure token (256 bits = 64 hex characters)
+// REMOVED: Magic link utility functions - Not needed (Memberstack handles login)
+// - generateSecureMagicLinkToken
+// - checkRateLimit
+// - saveMagicLinkToken
+// - verifyAndUseMagicLinkToken
+// - logTokenAttempt
+// - sendCustomMagicLinkEmail
+
+// Utility: simple HMAC token (not a full JWT) for magic links
+export async function signToken(env, payload, expiresInSeconds = 60 * 60) {
+	const secret = getEnvVar(env, 'JWT_SECRET');
+	const header = btoa(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+	const exp = Math.floor(Date.now() / 1000) + expiresInSeconds;
+	payload.exp = exp;
+	const body = btoa(JSON.stringify(payload));
+	const data = `${header}.${body}`;
+	const sig = await crypto.subtle
+		.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+		.then((key) => crypto.subtle.sign('HMAC', key, new TextEncoder().encode(data)));
+	const sigBase64 = btoa(String.fromCharCode(...new Uint8Array(sig)));
+	return `${data}.${sigBase64}`;
+}
+
+export async function verifyToken(env, token) {
+	try {
+		const parts = token.split('.');
+		if (parts.length !== 3) return null;
+		const [headerB64, bodyB64, sigB64] = parts;
+		const data = `${headerB64}.${bodyB64}`;
+		const secret = getEnvVar(env, 'JWT_SECRET');
+		const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, [
+			'verify',
+		]);
+		const sig = Uint8Array.from(
+			atob(sigB64)
+				.split('')
+				.map((c) => c.charCodeAt(0))
+		);
+		const valid = await crypto.subtle.verify('HMAC', key, sig, new TextEncoder().encode(data));
+		if (!valid) return null;
+		const payload = JSON.parse(atob(bodyB64));
+		if (payload.exp && payload.exp * 1000 < Date.now()) return null;
+		return payload;
+	} catch (e) {
+		return null;
+	}
+}
+
+/**
+ * Verify a Memberstack member token server-side and resolve the member's email
+ * Uses the Memberstack Admin API (verify-token, then member lookup by ID)
+ * @param {Object} env - Environment variables
+ * @param {string} token - Member JWT sent by the dashboard (Authorization: Bearer ...)
+ * @returns {Promise<Object|null>} { memberId, email } or null if the token is not valid
+ */
+export async function verifyMemberstackToken(env, token) {
+	const apiKey = env.MEMBERSTACK_SECRET_KEY?.trim();
+	if (!apiKey || !token) {
+		return null;
+	}
+
+	try {
+		const verifyRes = await fetch('https://admin.memberstack.com/members/verify-token', {
+			method: 'POST',
+			headers: {
+				'X-API-KEY': apiKey,
+				'Content-Type': 'application/json',
+			},
+			body: JSON.stringify({ token }),
+		});
+
+		if (!verifyRes.ok) {
+			console.warn(`[verifyMemberstackToken] ⚠️ Token rejected by Memberstack (${verifyRes.status})`);
+			return null;
+		}
+
+		const verified = await verifyRes.json();
+		const memberId = verified.data?.id || verified.id;
+		if (!memberId) {
+			return null;
+		}
+
+		const memberRes = await fetch(`https://admin.memberstack.com/members/${encodeURIComponent(memberId)}`, {
+			method: 'GET',
+			headers: {
+				'X-API-KEY': apiKey,
+				'Content-Type': 'application/json',
+			},
+		});
+
+		if (!memberRes.ok) {
+			console.warn(`[verifyMemberstackToken] ⚠️ Could not load member ${memberId} (${memberRes.status})`);
+			return null;
+		}
+
+		const memberBody = await memberRes.json();
+		const member = memberBody.data || memberBody;
+		const email = member.auth?.email || member.email || member.data?.email || null;
+		if (!email) {
+			return null;
+		}
+
+		return { memberId, email: email.toLowerCase().trim() };
+	} catch (error) {
+		console.error('[verifyMemberstackToken] ❌ Error verifying Memberstack token:', error);
+		return null;
+	}
+}
+
+/**
+ * Resolve the caller's verified identity
+ * Accepts a Memberstack member token (Authorization: Bearer ...) or the sb_session cookie.
+ * Query/body email parameters are never trusted here.
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object|null>} { email, customerId, source } or null if unauthenticated
+ */
+export async function getAuthenticatedUser(request, env) {
+	const authHeader = request.headers.get('Authorization') || '';
+	const bearer = authHeader.match(/^Bearer\s+(.+)$/i);
+	if (bearer) {
+		const member = await verifyMemberstackToken(env, bearer[1].trim());
+		if (member) {
+			return { email: member.email, customerId: null, memberId: member.memberId, source: 'memberstack' };
+		}
+	}
+
+	const cookie = request.headers.get('cookie') || '';
+	const match = cookie.match(/sb_session=([^;]+)/);
+	if (match) {
+		const payload = await verifyToken(env, match[1]);
+		if (payload?.email) {
+			return { email: payload.email.toLowerCase().trim(), customerId: payload.customerId || null, source: 'session' };
+		}
+	}
+
+	return null;
+}
+
+// Basic auth cookie helper
+// REMOVED: createSessionCookie - Only used by removed /auth/callback endpoint
+export function createSessionCookie_UNUSED(token, maxAge = 60 * 60 * 24 * 7) {
+	const cookie = `sb_session=${token}; HttpOnly; SameSite=Strict; Path=/; Max-Age=${maxAge}`;
+	return cookie;
+}
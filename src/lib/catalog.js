@@ -0,0 +1,177 @@
+/**
+ * Price catalog: the product, price, amount and currency sold for each billing period, read from price_config.
+ * Rows may be scoped to a Stripe mode (stripe_mode 'test' / 'live'); a row without one serves both modes, and a
+ * mode-specific row wins over it. The mode follows the secret key in use, so test and live deploys read different
+ * rows without code changes. A period may carry one row per currency; see getCatalogEntry for how one is picked.
+ */
+import { stripeFetch } from './stripe.js';
+
+export const CATALOG_PERIODS = ['monthly', 'yearly'];
+const INTERVALS = { monthly: 'month', yearly: 'year' };
+
+// 'test' for sk_test_/rk_test_ keys, 'live' otherwise; STRIPE_MODE overrides
+export function getStripeMode(env) {
+	if (env.STRIPE_MODE === 'test' || env.STRIPE_MODE === 'live') return env.STRIPE_MODE;
+	return /^(sk|rk)_test_/.test(env.STRIPE_SECRET_KEY || '') ? 'test' : 'live';
+}
+
+// Currency used when a customer has no preference or their currency has no price
+export function getDefaultCurrency(env) {
+	return (env.DEFAULT_CURRENCY || 'usd').toLowerCase();
+}
+
+async function getCatalogRows(env, billingPeriod, stripeMode) {
+	try {
+		const { results } = await env.DB.prepare(
+			`SELECT * FROM price_config
+       WHERE price_type = ? AND is_active = 1 AND (stripe_mode = ? OR stripe_mode IS NULL)
+       ORDER BY stripe_mode IS NULL, id`
+		)
+			.bind(billingPeriod, stripeMode)
+			.all();
+		return results || [];
+	} catch (error) {
+		if (!error.message?.includes('no such column')) throw error;
+		// stripe_mode not migrated yet (add-stripe-mode-to-price-config.sql) - one catalog for both modes
+		const { results } = await env.DB.prepare('SELECT * FROM price_config WHERE price_type = ? AND is_active = 1 ORDER BY id')
+			.bind(billingPeriod)
+			.all();
+		return results || [];
+	}
+}
+
+// Rows without a currency (or without the column) are priced in the default currency
+function getRowCurrency(env, row) {
+	return (row.currency || getDefaultCurrency(env)).toLowerCase();
+}
+
+// The row in the requested currency, else the default currency's; mode-specific rows come first in `rows`
+function pickRow(env, rows, currency) {
+	const defaultCurrency = getDefaultCurrency(env);
+	return (
+		rows.find((row) => getRowCurrency(env, row) === currency) ||
+		rows.find((row) => getRowCurrency(env, row) === defaultCurrency) ||
+		rows[0] ||
+		null
+	);
+}
+
+// Env fallback for deploys without a price_config row
+function getEnvPriceId(env, billingPeriod) {
+	const prefix = billingPeriod.toUpperCase();
+	return env[`${prefix}_PRICE_ID`] || env[`${prefix}_LICENSE_PRICE_ID`] || env.LICENSE_PRICE_ID || env.DEFAULT_PRICE_ID || null;
+}
+
+/**
+ * Resolve the catalog entry for a billing period.
+ * Product, amount and currency come from the row when stored, otherwise from the Stripe price.
+ * `currency` selects that currency's row; when the period has no price in it the default currency's row is
+ * returned, so callers should charge in entry.currency rather than the currency they asked for.
+ * @returns {Promise<Object|null>} { billing_period, interval, price_id, product_id, unit_amount, currency, discount_*, coupon_code, stripe_mode, source }
+ */
+export async function getCatalogEntry(env, billingPeriod, { currency } = {}) {
+	const period = (billingPeriod || '').toLowerCase().trim();
+	if (!CATALOG_PERIODS.includes(period)) {
+		console.warn(`[catalog] Invalid billing period: ${billingPeriod}`);
+		return null;
+	}
+
+	const stripeMode = getStripeMode(env);
+	const wanted = (currency || getDefaultCurrency(env)).toLowerCase();
+	let row = null;
+	if (env.DB) {
+		try {
+			row = pickRow(env, await getCatalogRows(env, period, stripeMode), wanted);
+		} catch (error) {
+			console.warn(`[catalog] ⚠️ price_config lookup failed for ${period}:`, error);
+		}
+	}
+
+	const priceId = row?.price_id || getEnvPriceId(env, period);
+	if (!priceId) {
+		console.warn(`[catalog] ⚠️ No ${stripeMode} price configured for ${period}`);
+		return null;
+	}
+
+	const entry = {
+		billing_period: period,
+		interval: INTERVALS[period],
+		price_id: priceId,
+		product_id: row?.product_id || null,
+		unit_amount: row?.unit_amount ?? null,
+		currency: row?.currency?.toLowerCase() || null,
+		discount_allowance: row?.discount_allowance || 0,
+		discount_type: row?.discount_type || 'percentage',
+		coupon_code: row?.coupon_code || null,
+		stripe_mode: stripeMode,
+		source: row?.price_id ? 'database' : 'environment',
+	};
+
+	if (row && getRowCurrency(env, row) !== wanted) {
+		console.warn(`[catalog] ⚠️ No ${period} price in ${wanted.toUpperCase()}, using ${getRowCurrency(env, row).toUpperCase()}`);
+	}
+
+	if (!entry.product_id || entry.unit_amount === null || !entry.currency) {
+		const priceRes = await stripeFetch(env, `/prices/${priceId}`);
+		if (priceRes.status !== 200) {
+			console.error(`[catalog] ❌ ${period} price ${priceId} not found in Stripe (${stripeMode} mode)`);
+			return null;
+		}
+		const price = priceRes.body;
+		entry.product_id = entry.product_id || (typeof price.product === 'string' ? price.product : price.product?.id) || null;
+		entry.unit_amount = entry.unit_amount ?? price.unit_amount ?? null;
+		entry.currency = entry.currency || price.currency || getDefaultCurrency(env);
+		if (price.recurring?.interval && price.recurring.interval !== entry.interval) {
+			console.error(`[catalog] ❌ ${period} price ${priceId} bills every ${price.recurring.interval}`);
+			return null;
+		}
+	}
+
+	return entry;
+}
+
+/**
+ * Currencies with at least one active price in the current mode, default currency first.
+ */
+export async function getCatalogCurrencies(env) {
+	const defaultCurrency = getDefaultCurrency(env);
+	const currencies = [defaultCurrency];
+	if (!env.DB) return currencies;
+	try {
+		const rows = (await Promise.all(CATALOG_PERIODS.map((period) => getCatalogRows(env, period, getStripeMode(env))))).flat();
+		for (const row of rows) {
+			const currency = getRowCurrency(env, row);
+			if (!currencies.includes(currency)) currencies.push(currency);
+		}
+	} catch (error) {
+		console.warn('[catalog] ⚠️ Could not list catalog currencies:', error);
+	}
+	return currencies;
+}
+
+// Both billing periods in one currency, for the dashboard plan selector
+export async function getCatalog(env, { currency } = {}) {
+	const [monthly, yearly, currencies] = await Promise.all([
+		...CATALOG_PERIODS.map((period) => getCatalogEntry(env, period, { currency })),
+		getCatalogCurrencies(env),
+	]);
+	return {
+		monthly,
+		yearly,
+		currency: monthly?.currency || yearly?.currency || getDefaultCurrency(env),
+		currencies,
+		stripe_mode: getStripeMode(env),
+	};
+}
+
+/**
+ * Catalog entry for a purchase's metadata. Purchases carry the product they were sold under; a product that is
+ * not the catalog's current one for that period (e.g. changed since checkout) is logged and priced from the catalog.
+ */
+export async function getCatalogEntryForProduct(env, productId, billingPeriod, currency) {
+	const entry = await getCatalogEntry(env, billingPeriod, { currency });
+	if (entry && productId && entry.product_id && entry.product_id !== productId) {
+		console.warn(`[catalog] ⚠️ Product ${productId} is not the current ${entry.billing_period} product (${entry.product_id})`);
+	}
+	return entry;
+}
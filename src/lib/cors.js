@@ -0,0 +1,144 @@
+/**
+ * CORS policy - the single place that decides which origins may call the worker.
+ *
+ * Allowed origins come from the CORS_ALLOWED_ORIGINS var (comma-separated) plus the optional cors_allowed_origins
+ * D1 table. Entries are exact origins, or patterns with a wildcard subdomain (`https://*.consentbit.com`) or
+ * port (`http://localhost:*`).
+ *
+ * Policies, chosen per route with the `cors()` middleware in router.js:
+ * - dashboard (default): allowlisted origins only, with credentials
+ * - public: allowlisted origins with credentials, any other origin without credentials (license checks from customer sites)
+ * - none: no CORS headers (server-to-server endpoints such as /webhook)
+ *
+ * The router applies these headers to every response and preflight, so handlers never set CORS headers themselves.
+ */
+
+export const CORS_POLICIES = ['dashboard', 'public', 'none'];
+
+const DEFAULT_ALLOWED_ORIGINS = ['https://dashboard.consentbit.com'];
+const ALLOW_HEADERS = 'Content-Type, Authorization, X-Admin-Token';
+const ORIGIN_CACHE_TTL_MS = 60 * 1000;
+
+let originCache = null; // { key, origins, expiresAt }
+
+function parseOriginList(value) {
+	return String(value || '')
+		.split(',')
+		.map((entry) => entry.trim().replace(/\/+$/, '').toLowerCase())
+		.filter(Boolean);
+}
+
+// Origins from the cors_allowed_origins table; empty when the table has not been created
+async function loadDbOrigins(env) {
+	if (!env.DB) return [];
+	try {
+		const res = await env.DB.prepare('SELECT origin FROM cors_allowed_origins').all();
+		return (res.results || []).flatMap((row) => parseOriginList(row.origin));
+	} catch (error) {
+		if (!error.message?.includes('no such table')) {
+			console.warn('[CORS] ⚠️ Could not load cors_allowed_origins:', error.message);
+		}
+		return [];
+	}
+}
+
+/**
+ * Allowlisted origin patterns (env + D1), cached per isolate for a minute
+ */
+export async function getAllowedOrigins(env) {
+	const envOrigins = env.CORS_ALLOWED_ORIGINS ? parseOriginList(env.CORS_ALLOWED_ORIGINS) : DEFAULT_ALLOWED_ORIGINS;
+	const key = envOrigins.join(',');
+	if (originCache && originCache.key === key && originCache.expiresAt > Date.now()) {
+		return originCache.origins;
+	}
+
+	const origins = [...new Set([...envOrigins, ...(await loadDbOrigins(env))])];
+	originCache = { key, origins, expiresAt: Date.now() + ORIGIN_CACHE_TTL_MS };
+	return origins;
+}
+
+// Drop the cached allowlist (after editing cors_allowed_origins, and in tests)
+export function clearCorsCache() {
+	originCache = null;
+}
+
+/**
+ * Match an origin against one allowlist entry.
+ * `https://*.example.com` matches any subdomain (not the apex); `http://localhost:*` matches any port.
+ */
+export function originMatches(origin, pattern) {
+	let url;
+	try {
+		url = new URL(origin);
+	} catch (error) {
+		return false;
+	}
+	if (url.origin === 'null') return false;
+
+	const match = pattern.match(/^(https?):\/\/(\*\.)?([^:/]+)(?::(\d+|\*))?$/);
+	if (!match) return false;
+	const [, scheme, wildcardSubdomain, host, port] = match;
+
+	if (url.protocol !== `${scheme}:`) return false;
+	if (port === '*') {
+		// any port
+	} else if ((url.port || '') !== (port || '')) {
+		return false;
+	}
+
+	const hostname = url.hostname.toLowerCase();
+	if (wildcardSubdomain) {
+		return hostname.endsWith(`.${host}`);
+	}
+	return hostname === host;
+}
+
+export function isOriginAllowed(origin, allowedOrigins) {
+	return !!origin && allowedOrigins.some((pattern) => originMatches(origin, pattern));
+}
+
+/**
+ * CORS headers for a request under a policy
+ * @param {Object} [options]
+ * @param {string} [options.allowMethods] - Methods to advertise (preflight only)
+ */
+export async function getCorsHeaders(request, env, policy = 'dashboard', { allowMethods = null } = {}) {
+	const origin = request.headers.get('Origin');
+	if (policy === 'none' || !origin) return {};
+
+	const headers = { Vary: 'Origin' };
+	if (isOriginAllowed(origin, await getAllowedOrigins(env))) {
+		headers['Access-Control-Allow-Origin'] = origin;
+		headers['Access-Control-Allow-Credentials'] = 'true';
+	} else if (policy === 'public') {
+		headers['Access-Control-Allow-Origin'] = '*';
+	} else {
+		return headers;
+	}
+
+	if (allowMethods) {
+		headers['Access-Control-Allow-Methods'] = allowMethods;
+		headers['Access-Control-Allow-Headers'] = ALLOW_HEADERS;
+		headers['Access-Control-Max-Age'] = '86400';
+	}
+	return headers;
+}
+
+/**
+ * Replace whatever CORS headers a response carries with the ones the policy allows
+ */
+export async function applyCors(response, request, env, policy = 'dashboard') {
+	const headers = new Headers(response.headers);
+	for (const key of [...headers.keys()]) {
+		if (key.startsWith('access-control-')) headers.delete(key);
+	}
+	for (const [key, value] of Object.entries(await getCorsHeaders(request, env, policy))) {
+		headers.set(key, value);
+	}
+	return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+}
+
+// CORS preflight response
+export async function preflight(request, env, policy = 'dashboard', allowMethods = 'GET, POST, OPTIONS') {
+	return new Response(null, { status: 204, headers: await getCorsHeaders(request, env, policy, { allowMethods }) });
+}
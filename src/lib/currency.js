@@ -0,0 +1,101 @@
+/**
+ * Checkout currency: which of the catalog's currencies (price_config rows) a customer is billed in.
+ * Stripe bills a customer in a single currency once they have a subscription or invoice, so that currency always
+ * wins. Otherwise an explicit choice (saved to the customer as metadata.preferred_currency), the saved preference,
+ * then the customer's billing country or the request's country decide, and the catalog default covers the rest.
+ * A customer billed in a currency the catalog has no price in cannot be charged at all; that is reported as an error
+ * rather than falling back to another currency Stripe would reject.
+ */
+import { stripeFetch } from './stripe.js';
+import { getCatalogCurrencies, getDefaultCurrency } from './catalog.js';
+
+const EURO_COUNTRIES = ['AT', 'BE', 'CY', 'DE', 'EE', 'ES', 'FI', 'FR', 'GR', 'HR', 'IE', 'IT', 'LT', 'LU', 'LV', 'MT', 'NL', 'PT', 'SI', 'SK'];
+const COUNTRY_CURRENCIES = { GB: 'gbp', ...Object.fromEntries(EURO_COUNTRIES.map((country) => [country, 'eur'])) };
+
+// Lowercase ISO 4217 code, or null
+export function normalizeCurrency(value) {
+	const currency = typeof value === 'string' ? value.trim().toLowerCase() : '';
+	return /^[a-z]{3}$/.test(currency) ? currency : null;
+}
+
+export function getCurrencyForCountry(country) {
+	return COUNTRY_CURRENCIES[(country || '').toUpperCase()] || null;
+}
+
+function getRequestCountry(request) {
+	return request?.cf?.country || request?.headers?.get('CF-IPCountry') || null;
+}
+
+/**
+ * Pick the currency for a checkout or quote.
+ * @param {Object} options - { request, customerId, requested } (all optional)
+ * @returns {Promise<{currency: string, source: string, error?: string}>} source: 'default' | 'customer' | 'request' |
+ *   'preference' | 'country'; error: 'currency_not_supported' when the customer's currency has no catalog price
+ */
+export async function resolveCheckoutCurrency(env, { request, customerId, requested } = {}) {
+	const supported = await getCatalogCurrencies(env);
+	const fallback = getDefaultCurrency(env);
+	if (supported.length < 2) {
+		return { currency: fallback, source: 'default' };
+	}
+
+	let customer = null;
+	if (customerId) {
+		const customerRes = await stripeFetch(env, `/customers/${customerId}`);
+		if (customerRes.status === 200) {
+			customer = customerRes.body;
+		} else {
+			console.warn(`[currency] ⚠️ Could not fetch customer ${customerId}:`, customerRes.status);
+		}
+	}
+
+	const locked = normalizeCurrency(customer?.currency);
+	if (locked) {
+		if (!supported.includes(locked)) {
+			console.warn(`[currency] ⚠️ Customer ${customerId} is billed in ${locked.toUpperCase()}, which has no catalog price`);
+			return { currency: locked, source: 'customer', error: 'currency_not_supported' };
+		}
+		return { currency: locked, source: 'customer' };
+	}
+
+	const wanted = normalizeCurrency(requested);
+	if (wanted && supported.includes(wanted)) {
+		if (customer && customer.metadata?.preferred_currency !== wanted) {
+			const saveRes = await stripeFetch(env, `/customers/${customerId}`, 'POST', { 'metadata[preferred_currency]': wanted }, true);
+			if (saveRes.status !== 200) {
+				console.warn(`[currency] ⚠️ Could not save preferred currency for ${customerId}:`, saveRes.status);
+			}
+		}
+		return { currency: wanted, source: 'request' };
+	}
+
+	const preferred = normalizeCurrency(customer?.metadata?.preferred_currency);
+	if (preferred && supported.includes(preferred)) {
+		return { currency: preferred, source: 'preference' };
+	}
+
+	const byCountry = getCurrencyForCountry(customer?.address?.country || getRequestCountry(request));
+	if (byCountry && supported.includes(byCountry)) {
+		return { currency: byCountry, source: 'country' };
+	}
+
+	return { currency: fallback, source: 'default' };
+}
+
+/**
+ * Error body when a catalog entry cannot be charged to a customer locked to `resolved.currency`: the catalog has no
+ * price in that currency at all, or none for this billing period (getCatalogEntry fell back to another currency).
+ * @returns {Object|null} { error, message, currency } or null when the entry can be used
+ */
+export function getCurrencyError(resolved, entry) {
+	const unsupported = resolved.error === 'currency_not_supported';
+	if (!unsupported && (resolved.source !== 'customer' || !entry || entry.currency === resolved.currency)) {
+		return null;
+	}
+	const period = entry?.billing_period ? `${entry.billing_period} ` : '';
+	return {
+		error: 'currency_not_supported',
+		message: `Your account is billed in ${resolved.currency.toUpperCase()}, and there is no ${period}price in that currency.`,
+		currency: resolved.currency,
+	};
+}
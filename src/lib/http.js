@@ -0,0 +1,16 @@
+/**
+ * HTTP helpers: JSON responses and environment lookups shared by every route.
+ */
+
+// CORS headers are applied by the router (see lib/cors.js); `cors` and `request` remain for existing callers
+export function jsonResponse(status, body, cors = true, request = null) {
+	return new Response(JSON.stringify(body), {
+		status,
+		headers: { 'content-type': 'application/json' },
+	});
+}
+
+export function getEnvVar(env, key) {
+	if (!env[key]) throw new Error(`Missing env var ${key}`);
+	return env[key];
+}
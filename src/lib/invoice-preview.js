@@ -0,0 +1,95 @@
+/**
+ * Invoice previews for quotes shown before a subscription change or a checkout (see PRORATION_CALCULATION_FIX.md).
+ * The Upcoming Invoice API is tried first; flexible billing mode subscriptions reject it, so those fall back to the
+ * Create Preview Invoice API with the same parameters mapped onto subscription_details.
+ */
+import { stripeFetch } from './stripe.js';
+
+function query(params) {
+	const search = new URLSearchParams();
+	for (const [key, value] of Object.entries(params)) {
+		if (value !== undefined && value !== null) search.append(key, String(value));
+	}
+	return search.toString();
+}
+
+// Upcoming-invoice parameters -> create_preview form fields
+function toPreviewForm(params) {
+	const form = {};
+	for (const [key, value] of Object.entries(params)) {
+		if (value === undefined || value === null) continue;
+		if (key.startsWith('subscription_items[')) {
+			form[`subscription_details[items]${key.slice('subscription_items'.length)}`] = value;
+		} else if (key === 'subscription_proration_behavior') {
+			form['subscription_details[proration_behavior]'] = value;
+		} else if (key === 'subscription_proration_date') {
+			form['subscription_details[proration_date]'] = value;
+		} else {
+			form[key] = value;
+		}
+	}
+	return form;
+}
+
+/**
+ * Preview the next invoice for a customer/subscription with the given upcoming-invoice parameters.
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+export async function previewInvoice(env, params) {
+	const res = await stripeFetch(env, `/invoices/upcoming?${query(params)}`);
+	if (res.status === 400 && res.body?.error?.message?.includes('billing_mode = flexible')) {
+		console.log('[invoice-preview] Subscription uses flexible billing mode, using Preview Invoice API');
+		return stripeFetch(env, '/invoices/create_preview', 'POST', toPreviewForm(params), true);
+	}
+	return res;
+}
+
+/**
+ * Preview a one-time charge of `quantity` × `unitAmount` to a customer, to quote the tax on a payment-mode checkout.
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+export async function previewOneTimeCharge(env, { customer, currency, unitAmount, quantity, description }) {
+	return stripeFetch(
+		env,
+		'/invoices/create_preview',
+		'POST',
+		{
+			customer,
+			currency,
+			'invoice_items[0][currency]': currency,
+			'invoice_items[0][unit_amount_decimal]': unitAmount,
+			'invoice_items[0][quantity]': quantity,
+			'invoice_items[0][description]': description,
+		},
+		true
+	);
+}
+
+function sumTax(line) {
+	return (line.tax_amounts || []).reduce((sum, tax) => sum + (tax.amount || 0), 0);
+}
+
+/**
+ * Split a preview invoice into the proration charged for the change and the regular renewal amount.
+ */
+export function summarizeInvoice(invoice) {
+	const lines = invoice.lines?.data || [];
+	const prorations = lines.filter((line) => line.proration);
+	const renewals = lines.filter((line) => !line.proration);
+	const prorationAmount = prorations.reduce((sum, line) => sum + (line.amount || 0), 0);
+	const renewalAmount = renewals.reduce((sum, line) => sum + (line.amount || 0), 0);
+	const renewalTax = renewals.reduce((sum, line) => sum + sumTax(line), 0);
+	return {
+		currency: invoice.currency,
+		subtotal: invoice.subtotal || 0,
+		tax: invoice.tax || 0,
+		total: invoice.total || 0,
+		amount_due: invoice.amount_due || 0,
+		proration_amount: prorationAmount,
+		proration_tax: prorations.reduce((sum, line) => sum + sumTax(line), 0),
+		renewal_amount: renewalAmount,
+		renewal_total: renewalAmount + renewalTax,
+		next_renewal_at: renewals[0]?.period?.end || null,
+		lines: lines.map((line) => ({ description: line.description, amount: line.amount, proration: !!line.proration })),
+	};
+}
@@ -0,0 +1,159 @@
+/**
+ * JOBS_QUEUE consumer: runs the subscription_queue or sitesqueue row named by each message.
+ * The row decides what happens - completed or permanently failed rows are acked, a failed attempt that will be
+ * retried is redelivered after the row's backoff (next_retry_at) via message.retry(). Unexpected errors retry the
+ * message with the platform's own retries; once those run out it goes to the dead-letter queue, whose consumer marks
+ * the row failed so the usual 12-hour refund picks it up. A message that only has to wait (the row is locked or still
+ * backing off) is acked and sent again with a delay, so waiting never uses up those retries.
+ */
+import { JOB_TYPES, sendJob } from './job-queue.js';
+import { processQueueItem, claimQueueItem, reclaimExpiredLeases } from './queue.js';
+import { processSitesQueueItem } from './sites-queue.js';
+
+// A sitesqueue row 'processing' for longer than this belongs to a consumer that died (same window as the cron reaper).
+// subscription_queue rows carry a lease instead (see claimQueueItem)
+const STALE_LOCK_SECONDS = 5 * 60;
+const BUSY_RETRY_SECONDS = 60;
+
+const TABLES = {
+	[JOB_TYPES.subscription]: {
+		table: 'subscription_queue',
+		id: 'queue_id',
+		updatedAt: 'updated_at',
+		claim: claimSubscriptionRow,
+		process: processQueueItem,
+	},
+	[JOB_TYPES.sites]: {
+		table: 'sitesqueue',
+		id: 'queueid',
+		updatedAt: 'updatedat',
+		claim: lockJobRow,
+		process: processSitesQueueItem,
+	},
+};
+
+export function isDeadLetterQueue(queueName) {
+	return /-dlq$/.test(queueName || '');
+}
+
+async function getJobRow(env, config, queueId) {
+	return env.DB.prepare(`SELECT * FROM ${config.table} WHERE ${config.id} = ?`).bind(queueId).first();
+}
+
+// Take the row's lock: pending rows, or processing rows whose holder stopped updating them
+async function lockJobRow(env, config, queueId) {
+	const now = Math.floor(Date.now() / 1000);
+	const result = await env.DB.prepare(
+		`UPDATE ${config.table} SET status = 'processing', ${config.updatedAt} = ?
+     WHERE ${config.id} = ? AND (status = 'pending' OR (status = 'processing' AND ${config.updatedAt} < ?))`
+	)
+		.bind(now, queueId, now - STALE_LOCK_SECONDS)
+		.run();
+	return result.meta.changes > 0 ? getJobRow(env, config, queueId) : null;
+}
+
+// Lease the subscription_queue row to this message; a row held by a dead worker is reclaimed first
+async function claimSubscriptionRow(env, config, queueId, row, message) {
+	if (row.status === 'processing') {
+		await reclaimExpiredLeases(env);
+	}
+	return claimQueueItem(env, queueId, `queue-${message.id}`);
+}
+
+// Redeliver later without a failed attempt: message.retry() counts against max_retries, so a job that only waited
+// on a lock could reach the dead-letter queue. Falls back to retry() when the fresh message cannot be sent
+async function redeliverLater(env, message, type, queueId, delaySeconds) {
+	if (await sendJob(env, type, queueId, { delaySeconds })) {
+		message.ack();
+	} else {
+		message.retry({ delaySeconds });
+	}
+}
+
+async function handleJobMessage(env, message) {
+	const { type, queue_id: queueId } = message.body || {};
+	const config = TABLES[type];
+	if (!config || !queueId) {
+		console.warn('[JOB QUEUE] ⚠️ Dropping malformed message:', message.body);
+		message.ack();
+		return 'dropped';
+	}
+
+	const row = await getJobRow(env, config, queueId);
+	if (!row || row.status === 'completed' || row.status === 'failed') {
+		message.ack();
+		return 'skipped';
+	}
+
+	const now = Math.floor(Date.now() / 1000);
+	if (row.status === 'pending' && row.next_retry_at && row.next_retry_at > now) {
+		// Delivered early (re-sent by the sweep or a duplicate) - wait for the backoff
+		await redeliverLater(env, message, type, queueId, row.next_retry_at - now);
+		return 'deferred';
+	}
+
+	const claimed = await config.claim(env, config, queueId, row, message);
+	if (!claimed) {
+		// Another consumer (or the cron) is on it; check again shortly
+		await redeliverLater(env, message, type, queueId, BUSY_RETRY_SECONDS);
+		return 'busy';
+	}
+
+	const result = await config.process(env, claimed);
+	if (result.success) {
+		message.ack();
+		return 'completed';
+	}
+
+	const after = await getJobRow(env, config, queueId);
+	if (after?.status === 'pending') {
+		message.retry({ delaySeconds: Math.max((after.next_retry_at || now) - Math.floor(Date.now() / 1000), 0) });
+		return 'retrying';
+	}
+	message.ack();
+	return 'failed';
+}
+
+// Out of platform retries: record the failure on the row (unless it finished meanwhile) so it is refunded
+async function handleDeadLetter(env, message) {
+	const { type, queue_id: queueId } = message.body || {};
+	const config = TABLES[type];
+	if (config && queueId) {
+		const now = Math.floor(Date.now() / 1000);
+		await env.DB.prepare(
+			`UPDATE ${config.table}
+       SET status = 'failed', error_message = COALESCE(error_message || ' | ', '') || 'Dead-lettered after queue retries', ${config.updatedAt} = ?
+       WHERE ${config.id} = ? AND status IN ('pending', 'processing')`
+		)
+			.bind(now, queueId)
+			.run();
+		console.error(`[JOB QUEUE] 🚨 ${type} job ${queueId} was dead-lettered and marked failed`);
+	}
+	message.ack();
+}
+
+/**
+ * queue() handler body. Messages are handled one by one so a slow Stripe call in one job does not fail the others.
+ * @returns {Promise<Object>} outcome counts, for logs
+ */
+export async function handleJobBatch(batch, env) {
+	const outcomes = {};
+	for (const message of batch.messages) {
+		let outcome;
+		try {
+			if (isDeadLetterQueue(batch.queue)) {
+				await handleDeadLetter(env, message);
+				outcome = 'dead_lettered';
+			} else {
+				outcome = await handleJobMessage(env, message);
+			}
+		} catch (error) {
+			console.error(`[JOB QUEUE] ❌ Error handling message ${message.id} from ${batch.queue}:`, error);
+			message.retry();
+			outcome = 'error';
+		}
+		outcomes[outcome] = (outcomes[outcome] || 0) + 1;
+	}
+	console.log(`[JOB QUEUE] 📬 ${batch.queue}: ${batch.messages.length} message(s)`, outcomes);
+	return outcomes;
+}
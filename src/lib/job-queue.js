@@ -0,0 +1,71 @@
+/**
+ * Cloudflare Queue transport for background jobs (JOBS_QUEUE producer binding).
+ * subscription_queue and sitesqueue rows stay the durable record of every job; a message only carries the row's
+ * queue ID and wakes the consumer (src/lib/job-consumer.js). Without the binding nothing is sent and the cron drains
+ * the tables by polling, as before.
+ */
+
+export const JOB_TYPES = { subscription: 'subscription_queue', sites: 'sitesqueue' };
+
+// Rows due longer than this without being picked up lost their message (send failed, or the queue dropped it)
+const STRANDED_AFTER_SECONDS = 10 * 60;
+
+export function isJobQueueEnabled(env) {
+	return Boolean(env.JOBS_QUEUE);
+}
+
+/**
+ * Send one job message. A failed send is logged, not thrown: the row is already saved and the cron sweep re-sends it.
+ * @returns {Promise<boolean>} whether a message was sent
+ */
+export async function sendJob(env, type, queueId, { delaySeconds = 0 } = {}) {
+	if (!isJobQueueEnabled(env)) {
+		return false;
+	}
+	try {
+		await env.JOBS_QUEUE.send({ type, queue_id: queueId }, delaySeconds > 0 ? { delaySeconds } : undefined);
+		return true;
+	} catch (error) {
+		console.warn(`[JOB QUEUE] ⚠️ Could not send ${type} job ${queueId}, the cron sweep will retry:`, error.message);
+		return false;
+	}
+}
+
+/**
+ * Re-send jobs whose message was lost: pending rows overdue by 10 minutes, and rows stuck in processing that long
+ * (the consumer takes those over). Runs from the cron in queue mode instead of polling every minute.
+ */
+export async function requeueStrandedJobs(env, limit = 100) {
+	const now = Math.floor(Date.now() / 1000);
+	const cutoff = now - STRANDED_AFTER_SECONDS;
+	const tables = [
+		{
+			type: JOB_TYPES.subscription,
+			sql: `SELECT queue_id AS id FROM subscription_queue
+       WHERE (status = 'pending' AND COALESCE(next_retry_at, updated_at) < ?)
+       OR (status = 'processing' AND updated_at < ?)
+       ORDER BY created_at ASC LIMIT ?`,
+		},
+		{
+			type: JOB_TYPES.sites,
+			sql: `SELECT queueid AS id FROM sitesqueue
+       WHERE (status = 'pending' AND COALESCE(next_retry_at, updatedat) < ?)
+       OR (status = 'processing' AND updatedat < ?)
+       ORDER BY createdat ASC LIMIT ?`,
+		},
+	];
+
+	const requeued = {};
+	for (const { type, sql } of tables) {
+		const { results } = await env.DB.prepare(sql).bind(cutoff, cutoff, limit).all();
+		let sent = 0;
+		for (const row of results || []) {
+			if (await sendJob(env, type, row.id)) sent++;
+		}
+		requeued[type] = sent;
+		if (sent > 0) {
+			console.log(`[JOB QUEUE] 🔁 Re-sent ${sent} stranded ${type} job(s)`);
+		}
+	}
+	return requeued;
+}
@@ -0,0 +1,171 @@
+/**
+ * Offline-verifiable license tokens for the ConsentBit script.
+ *
+ * A token is a compact JWS signed with Ed25519 (`alg: EdDSA`). The payload carries the license key (`sub`), the
+ * activated domain (`dom`), plan, license status and an expiry shortly after the current billing period ends, so the
+ * script can check entitlement with an embedded public key instead of calling /check-license-status.
+ *
+ * Signing keys live in the LICENSE_TOKEN_SIGNING_KEYS secret, keyed by key ID (`kid`):
+ *   {"activeKid": "2026-01", "keys": {"2026-01": {<Ed25519 private JWK>}, "2025-07": {<public JWK: kty, crv, x>}}}
+ * Rotation: add a new key, switch activeKid, and keep the old public key (drop `d`) until its tokens have expired.
+ * Every public key is published at GET /license-token/keys. See LICENSE_TOKENS.md.
+ */
+
+import { updateLicenseKvRecords } from './licenses.js';
+
+const DAY = 24 * 60 * 60;
+const TOKEN_ISSUER = 'consentbit';
+// Lifetime for licenses without a renewal date (e.g. lifetime or legacy rows)
+const DEFAULT_TOKEN_TTL = 30 * DAY;
+
+function base64UrlEncode(input) {
+	const bytes = typeof input === 'string' ? new TextEncoder().encode(input) : new Uint8Array(input);
+	let binary = '';
+	bytes.forEach((b) => (binary += String.fromCharCode(b)));
+	return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(value) {
+	const base64 = value.replace(/-/g, '+').replace(/_/g, '/') + '='.repeat((4 - (value.length % 4)) % 4);
+	return Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+}
+
+/**
+ * Parsed LICENSE_TOKEN_SIGNING_KEYS, or null when token signing is not configured
+ */
+export function getLicenseTokenKeys(env) {
+	if (!env.LICENSE_TOKEN_SIGNING_KEYS) return null;
+	try {
+		const config =
+			typeof env.LICENSE_TOKEN_SIGNING_KEYS === 'string' ? JSON.parse(env.LICENSE_TOKEN_SIGNING_KEYS) : env.LICENSE_TOKEN_SIGNING_KEYS;
+		if (!config?.activeKid || !config.keys?.[config.activeKid]?.d) {
+			console.error('[license-token] ❌ LICENSE_TOKEN_SIGNING_KEYS needs an activeKid with a private key');
+			return null;
+		}
+		return config;
+	} catch (error) {
+		console.error('[license-token] ❌ LICENSE_TOKEN_SIGNING_KEYS is not valid JSON');
+		return null;
+	}
+}
+
+// Public keys (JWKS) the script uses to verify tokens - current and retired key IDs
+export function getLicenseTokenJwks(env) {
+	const config = getLicenseTokenKeys(env);
+	if (!config) return { keys: [] };
+	return {
+		keys: Object.entries(config.keys).map(([kid, jwk]) => ({ kty: 'OKP', crv: 'Ed25519', x: jwk.x, kid, alg: 'EdDSA', use: 'sig' })),
+	};
+}
+
+export function getLicenseTokenExpiry(env, license, now = Math.floor(Date.now() / 1000)) {
+	const graceDays = parseInt(env.LICENSE_TOKEN_GRACE_DAYS, 10) || 3;
+	const renewalDate = Number(license.renewal_date) || 0;
+	return renewalDate > now ? renewalDate + graceDays * DAY : now + DEFAULT_TOKEN_TTL;
+}
+
+/**
+ * Sign a token for an activated license
+ * @param {Object} license - licenses row (license_key, used_site_domain/site_domain, status, billing_period, renewal_date)
+ * @returns {Promise<{token: string, kid: string, expires_at: number}|null>} null when signing is not configured
+ */
+export async function issueLicenseToken(env, license, now = Math.floor(Date.now() / 1000)) {
+	const config = getLicenseTokenKeys(env);
+	if (!config) {
+		console.warn('[license-token] ⚠️ LICENSE_TOKEN_SIGNING_KEYS not configured - skipping token');
+		return null;
+	}
+
+	const kid = config.activeKid;
+	const expiresAt = getLicenseTokenExpiry(env, license, now);
+	const header = { alg: 'EdDSA', typ: 'JWT', kid };
+	const payload = {
+		iss: TOKEN_ISSUER,
+		sub: license.license_key,
+		dom: license.used_site_domain || license.site_domain || null,
+		plan: license.billing_period || null,
+		status: license.status || null,
+		iat: now,
+		exp: expiresAt,
+	};
+
+	const signingInput = `${base64UrlEncode(JSON.stringify(header))}.${base64UrlEncode(JSON.stringify(payload))}`;
+	const key = await crypto.subtle.importKey('jwk', { ...config.keys[kid], kty: 'OKP', crv: 'Ed25519' }, { name: 'Ed25519' }, false, [
+		'sign',
+	]);
+	const signature = await crypto.subtle.sign({ name: 'Ed25519' }, key, new TextEncoder().encode(signingInput));
+
+	return { token: `${signingInput}.${base64UrlEncode(signature)}`, kid, expires_at: expiresAt };
+}
+
+/**
+ * Verify a token against the published keys - the same check the ConsentBit script performs offline
+ * @returns {Promise<Object|null>} Payload when the signature is valid and the token has not expired
+ */
+export async function verifyLicenseToken(env, token, now = Math.floor(Date.now() / 1000)) {
+	try {
+		const [headerB64, payloadB64, signatureB64] = String(token).split('.');
+		if (!headerB64 || !payloadB64 || !signatureB64) return null;
+
+		const header = JSON.parse(new TextDecoder().decode(base64UrlDecode(headerB64)));
+		const jwk = getLicenseTokenJwks(env).keys.find((k) => k.kid === header.kid);
+		if (header.alg !== 'EdDSA' || !jwk) return null;
+
+		const key = await crypto.subtle.importKey('jwk', { kty: 'OKP', crv: 'Ed25519', x: jwk.x }, { name: 'Ed25519' }, false, ['verify']);
+		const valid = await crypto.subtle.verify(
+			{ name: 'Ed25519' },
+			key,
+			base64UrlDecode(signatureB64),
+			new TextEncoder().encode(`${headerB64}.${payloadB64}`)
+		);
+		if (!valid) return null;
+
+		const payload = JSON.parse(new TextDecoder().decode(base64UrlDecode(payloadB64)));
+		if (payload.iss !== TOKEN_ISSUER || !payload.exp || payload.exp <= now) return null;
+		return payload;
+	} catch (error) {
+		return null;
+	}
+}
+
+/**
+ * Re-issue tokens for every activated license on a subscription and store them on the KV records the script
+ * reads. Called when the billing period changes so cached tokens pick up the new expiry.
+ * @returns {Promise<number>} Number of tokens issued
+ */
+export async function refreshLicenseTokens(env, subscriptionId) {
+	if (!env.DB || !subscriptionId || !getLicenseTokenKeys(env)) return 0;
+
+	let licenses;
+	try {
+		const res = await env.DB.prepare(
+			`SELECT license_key, site_domain, used_site_domain, status, billing_period, renewal_date
+       FROM licenses WHERE subscription_id = ? AND used_site_domain IS NOT NULL`
+		)
+			.bind(subscriptionId)
+			.all();
+		licenses = res.results || [];
+	} catch (error) {
+		if (!error.message?.includes('no such column')) throw error;
+		// billing_period/renewal_date not migrated - tokens fall back to the default lifetime
+		const res = await env.DB.prepare(
+			'SELECT license_key, site_domain, used_site_domain, status FROM licenses WHERE subscription_id = ? AND used_site_domain IS NOT NULL'
+		)
+			.bind(subscriptionId)
+			.all();
+		licenses = res.results || [];
+	}
+
+	let issued = 0;
+	for (const license of licenses) {
+		const token = await issueLicenseToken(env, license);
+		if (!token) continue;
+		await updateLicenseKvRecords(env, license, { license_token: token.token, license_token_expires_at: token.expires_at });
+		issued++;
+	}
+
+	if (issued > 0) {
+		console.log(`[license-token] 🔄 Re-issued ${issued} license token(s) for subscription ${subscriptionId}`);
+	}
+	return issued;
+}
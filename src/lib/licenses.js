@@ -0,0 +1,502 @@
+/**
+ * License key generation, platform detection and KV persistence.
+ */
+
+export async function detectPlatform(domain) {
+	try {
+		const targetUrl = domain.startsWith('http') ? domain : `https://${domain}`;
+		const res = await fetch(targetUrl, {
+			method: 'GET',
+			redirect: 'follow',
+			headers: {
+				'User-Agent': 'platform-detector-bot',
+			},
+		});
+		const html = await res.text();
+		// Check for Framer
+		const isFramer = html.includes('events.framer.com/script') || html.includes('data-fid=');
+		if (isFramer) return 'framer';
+		// Check for Webflow
+		const isWebflow = html.includes('webflow.com') || html.includes('data-wf-page');
+		if (isWebflow) return 'webflow';
+		// Not published or unknown platform
+		return 'pending';
+	} catch (error) {
+		console.error('Platform detection error:', error);
+		return 'pending';
+	}
+}
+// :new: Get KV namespaces based on platform
+export function getKvNamespaces(env, platform) {
+	switch (platform) {
+		case 'framer':
+			return {
+				activeSitesKv: env.ACTIVE_SITES_CONSENTBIT_FRAMER,
+			};
+		case 'webflow':
+			return {
+				activeSitesKv: env.ACTIVE_SITES_CONSENTBIT,
+			};
+		case 'pending':
+			return {
+				activeSitesKv: env.Pending_Active_site,
+			};
+		default:
+			return {
+				activeSitesKv: null,
+			};
+	}
+}
+// :new: Updated saveLicenseKeyToKV (accepts specific KV + platform)
+export async function saveLicenseKeyToKVPlatform(
+	activeSitesKv,
+	license_key,
+	customer_id,
+	subscription_id,
+	email,
+	status,
+	cancelAtPeriodEnd,
+	validatedSiteDomain,
+	platform
+) {
+	if (!activeSitesKv) {
+		console.warn(`[saveLicenseKeyToKV] No activeSitesKv provided`);
+		return;
+	}
+	const formattedKey = formatSiteName(validatedSiteDomain); // Your existing function
+	const kvData = {
+		license_key,
+		customer_id,
+		subscription_id,
+		email,
+		status,
+		cancelAtPeriodEnd,
+		site_domain: validatedSiteDomain,
+		platform, // :new:
+		updated_at: Math.floor(Date.now() / 1000),
+	};
+	console.log(`[saveLicenseKeyToKV] Saving to KV ${formattedKey}:`, kvData);
+	await activeSitesKv.put(license_key, JSON.stringify(kvData));
+	await activeSitesKv.put(formattedKey, JSON.stringify(kvData)); // Also save by domain
+	console.log(`[saveLicenseKeyToKV] :white_check_mark: Saved to ${platform} KV namespace`);
+}
+
+// Generate a single unique license key with database check
+export function generateTempLicenseKeys(quantity) {
+	return Array.from({ length: quantity }, (_, i) => `L${i + 1}`);
+}
+
+// Check if a license key is temporary (placeholder)
+export function isTemporaryLicenseKey(key) {
+	if (!key || typeof key !== 'string') return false;
+	// Temporary keys start with "L" followed by numbers (e.g., "L1", "L2", "L10")
+	// or start with "TEMP-" (e.g., "TEMP-1", "TEMP-2")
+	return /^L\d+$/.test(key) || /^TEMP-/.test(key);
+}
+
+/*
+ * License key format: KEY-[PREFIX-]XXXXX-XXXXX-XXXXX-XXXXX
+ * 19 random characters from crypto.getRandomValues plus one Luhn mod 32 check character (the last one), over an
+ * alphabet without look-alikes (no I, O, 0, 1). The optional PREFIX (product/plan, e.g. "FRM") is covered by the
+ * check character too. Keys minted before this format (KEY-XXXX-XXXX-XXXX-XXXX) have no check character and are
+ * accepted on shape alone.
+ */
+const LICENSE_KEY_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const LICENSE_KEY_GROUPS = 4;
+const LICENSE_KEY_GROUP_LENGTH = 5;
+const LEGACY_LICENSE_KEY_PATTERN = /^KEY(-[A-HJ-NP-Z2-9]{4}){4}$/;
+const LICENSE_KEY_PATTERN = /^KEY-(?:([A-HJ-NP-Z2-9]{2,6})-)?((?:[A-HJ-NP-Z2-9]{5}-){3}[A-HJ-NP-Z2-9]{5})$/;
+// D1 allows at most 100 bound parameters per statement
+const UNIQUENESS_CHECK_CHUNK = 100;
+
+// Luhn mod N check character over the key alphabet - catches any single typo and most adjacent swaps
+function computeLicenseKeyCheckChar(chars) {
+	const n = LICENSE_KEY_ALPHABET.length;
+	let factor = 2;
+	let sum = 0;
+	for (let i = chars.length - 1; i >= 0; i--) {
+		let addend = factor * LICENSE_KEY_ALPHABET.indexOf(chars[i]);
+		factor = factor === 2 ? 1 : 2;
+		addend = Math.floor(addend / n) + (addend % n);
+		sum += addend;
+	}
+	return LICENSE_KEY_ALPHABET[(n - (sum % n)) % n];
+}
+
+function normalizeLicenseKeyPrefix(prefix) {
+	if (!prefix) return '';
+	const normalized = String(prefix).trim().toUpperCase();
+	if (!/^[A-HJ-NP-Z2-9]{2,6}$/.test(normalized)) {
+		throw new Error(`Invalid license key prefix "${prefix}": use 2-6 characters from ${LICENSE_KEY_ALPHABET}`);
+	}
+	return normalized;
+}
+
+// Build one checksummed key (no uniqueness check)
+export function createLicenseKey(prefix = '') {
+	const normalizedPrefix = normalizeLicenseKeyPrefix(prefix);
+	const randomLength = LICENSE_KEY_GROUPS * LICENSE_KEY_GROUP_LENGTH - 1;
+	const bytes = crypto.getRandomValues(new Uint8Array(randomLength));
+	// 256 is a multiple of 32, so masking to 5 bits keeps the distribution uniform
+	const body = Array.from(bytes, (b) => LICENSE_KEY_ALPHABET[b & 31]).join('');
+	const chars = body + computeLicenseKeyCheckChar(normalizedPrefix + body);
+
+	const groups = chars.match(new RegExp(`.{${LICENSE_KEY_GROUP_LENGTH}}`, 'g'));
+	return ['KEY', ...(normalizedPrefix ? [normalizedPrefix] : []), ...groups].join('-');
+}
+
+export function normalizeLicenseKey(key) {
+	return typeof key === 'string' ? key.trim().toUpperCase() : '';
+}
+
+/**
+ * Check a license key's shape and check character without touching the database
+ * @returns {{valid: boolean, legacy?: boolean, prefix?: string|null, reason?: string}}
+ */
+export function validateLicenseKey(key) {
+	const normalized = normalizeLicenseKey(key);
+	if (LEGACY_LICENSE_KEY_PATTERN.test(normalized)) {
+		return { valid: true, legacy: true, prefix: null };
+	}
+
+	const match = normalized.match(LICENSE_KEY_PATTERN);
+	if (!match) {
+		return { valid: false, reason: 'format' };
+	}
+	const prefix = match[1] || '';
+	const chars = match[2].replace(/-/g, '');
+	if (computeLicenseKeyCheckChar(prefix + chars.slice(0, -1)) !== chars.slice(-1)) {
+		return { valid: false, reason: 'checksum' };
+	}
+	return { valid: true, legacy: false, prefix: prefix || null };
+}
+
+// Keys from the candidates that already exist in the licenses table
+async function findExistingLicenseKeys(env, keys) {
+	const existing = new Set();
+	for (let i = 0; i < keys.length; i += UNIQUENESS_CHECK_CHUNK) {
+		const chunk = keys.slice(i, i + UNIQUENESS_CHECK_CHUNK);
+		const placeholders = chunk.map(() => '?').join(', ');
+		const res = await env.DB.prepare(`SELECT license_key FROM licenses WHERE license_key IN (${placeholders})`)
+			.bind(...chunk)
+			.all();
+		(res.results || []).forEach((row) => existing.add(row.license_key));
+	}
+	return existing;
+}
+
+/**
+ * Generate multiple unique license keys with one batched uniqueness check per round
+ * @param {Object} [options]
+ * @param {string} [options.prefix] - Product/plan prefix embedded in the key (defaults to env.LICENSE_KEY_PREFIX)
+ */
+export async function generateLicenseKeys(quantity, env, { prefix = env?.LICENSE_KEY_PREFIX } = {}) {
+	const keys = new Set();
+	const mint = () => {
+		while (keys.size < quantity) keys.add(createLicenseKey(prefix));
+	};
+	mint();
+
+	// If DB is not available, return keys without uniqueness check
+	if (!env?.DB) {
+		console.log(`[generateLicenseKeys] ⚠️ DB not available - returning ${keys.size} key(s) without uniqueness check`);
+		return [...keys];
+	}
+
+	// Collisions are astronomically unlikely with 95 random bits; a few rounds is plenty
+	for (let round = 0; round < 5; round++) {
+		let existing;
+		try {
+			existing = await findExistingLicenseKeys(env, [...keys]);
+		} catch (dbError) {
+			if (dbError.message && dbError.message.includes('no such table: licenses')) {
+				console.log(`[generateLicenseKeys] ⚠️ Licenses table not found - returning ${keys.size} key(s) without check`);
+				return [...keys];
+			}
+			throw dbError;
+		}
+
+		if (existing.size === 0) {
+			return [...keys];
+		}
+		console.log(`[generateLicenseKeys] 🔄 ${existing.size} key collision(s) detected, regenerating...`);
+		existing.forEach((key) => keys.delete(key));
+		mint();
+	}
+
+	throw new Error(`Failed to generate ${quantity} unique license key(s) after 5 rounds`);
+}
+
+// Generate a single unique license key with database check
+export async function generateUniqueLicenseKey(env, options = {}) {
+	const [key] = await generateLicenseKeys(1, env, options);
+	return key;
+}
+
+export async function generateTempLicenceKey(count) {}
+
+// Helper function to fetch license for a specific site
+export async function getLicenseForSite(env, siteDomain, customerId, subscriptionId) {
+	if (!env.DB || !siteDomain) {
+		return null;
+	}
+
+	try {
+		// Try to find license by site_domain and subscription_id first (most specific)
+		let license = await env.DB.prepare(
+			'SELECT license_key, status, created_at FROM licenses WHERE site_domain = ? AND subscription_id = ? AND status = ? ORDER BY created_at DESC LIMIT 1'
+		)
+			.bind(siteDomain, subscriptionId, 'active')
+			.first();
+
+		// If not found, try with customer_id
+		if (!license) {
+			license = await env.DB.prepare(
+				'SELECT license_key, status, created_at FROM licenses WHERE site_domain = ? AND customer_id = ? AND status = ? ORDER BY created_at DESC LIMIT 1'
+			)
+				.bind(siteDomain, customerId, 'active')
+				.first();
+		}
+
+		if (license && license.license_key) {
+			return {
+				license_key: license.license_key,
+				status: license.status || 'active',
+				created_at: license.created_at,
+			};
+		}
+	} catch (error) {
+		console.error('Error fetching license for site:', error);
+	}
+
+	return null;
+}
+
+// Helper function to fetch all licenses for multiple sites
+export async function getLicensesForSites(env, sites, customerId, subscriptionId) {
+	if (!env.DB || !sites || sites.length === 0) {
+		return {};
+	}
+
+	const licenseMap = {};
+
+	try {
+		// Fetch all licenses for this subscription
+		const licenses = await env.DB.prepare(
+			'SELECT license_key, site_domain, status, created_at FROM licenses WHERE subscription_id = ? AND status = ?'
+		)
+			.bind(subscriptionId, 'active')
+			.all();
+
+		if (licenses && licenses.results) {
+			licenses.results.forEach((license) => {
+				if (license.site_domain && license.license_key) {
+					licenseMap[license.site_domain] = {
+						license_key: license.license_key,
+						status: license.status || 'active',
+						created_at: license.created_at,
+					};
+				}
+			});
+		}
+	} catch (error) {
+		console.error('Error fetching licenses for sites:', error);
+	}
+
+	return licenseMap;
+}
+
+// Stripe helper using fetch
+/**
+ * Verify that payment was actually successful before marking invoice as paid
+ * @param {Object} session - Stripe checkout session object
+ * @param {Object} paymentIntent - Stripe payment intent object (optional, for payment mode)
+ * @returns {boolean} - true if payment is verified as successful, false otherwise
+ */
+// Helper function to format site name with https:// prefix if needed
+export function formatSiteName(siteName) {
+	if (!siteName) return null;
+	const trimmed = siteName.trim();
+	if (!trimmed) return null;
+
+	// If already has http:// or https://, return as is
+	if (trimmed.toLowerCase().startsWith('http://') || trimmed.toLowerCase().startsWith('https://')) {
+		return trimmed;
+	}
+
+	// Otherwise, add https://
+	return `https://${trimmed}`;
+}
+
+// Helper function to save subscription data to KV storage
+export async function saveSubscriptionToKV(
+	env,
+	customerId,
+	subscriptionId,
+	email,
+	siteName,
+	subscriptionStatus = 'complete',
+	paymentStatus = 'paid',
+	cancelAtPeriodEnd = false
+) {
+	try {
+		if (!env.ACTIVE_SITES_CONSENTBIT || !env.SUBSCRIPTION_CONSENTBIT) {
+			console.warn('[KV] KV namespaces not configured, skipping KV storage');
+			return;
+		}
+
+		const now = new Date().toISOString();
+		const formattedSiteName = formatSiteName(siteName);
+
+		if (!formattedSiteName) {
+			console.warn('[KV] No site name provided, skipping KV storage');
+			return;
+		}
+
+		// Save to ACTIVE_SITES_CONSENTBIT with fixed ID: 66c7aa5c7fcb4c2a8dfec5463e86a293
+		const activeSitesData = {
+			active: subscriptionStatus === 'complete' || subscriptionStatus === 'active',
+			subscriptionId: subscriptionId,
+			customerId: customerId,
+			email: email,
+			status: subscriptionStatus,
+			lastUpdated: now,
+			cancelAtPeriodEnd: cancelAtPeriodEnd,
+		};
+
+		await env.ACTIVE_SITES_CONSENTBIT.put('66c7aa5c7fcb4c2a8dfec5463e86a293', JSON.stringify(activeSitesData));
+		console.log('[KV] ✅ Saved to ACTIVE_SITES_CONSENTBIT with ID: 66c7aa5c7fcb4c2a8dfec5463e86a293');
+
+		// Save to SUBSCRIPTION_CONSENTBIT with key: customerId-subscriptionId
+		const subscriptionKey = `${customerId}-${subscriptionId}`;
+		const subscriptionData = {
+			email: email,
+			connectDomain: formattedSiteName,
+			isSubscribed: subscriptionStatus === 'complete' || subscriptionStatus === 'active',
+			stripeCustomerId: customerId,
+			stripeSubscriptionId: subscriptionId,
+			subscriptionStatus: subscriptionStatus,
+			paymentStatus: paymentStatus,
+			created: now,
+			lastUpdated: now,
+		};
+
+		await env.SUBSCRIPTION_CONSENTBIT.put(subscriptionKey, JSON.stringify(subscriptionData));
+		console.log(`[KV] ✅ Saved to SUBSCRIPTION_CONSENTBIT with key: ${subscriptionKey}`);
+	} catch (error) {
+		console.error('[KV] ❌ Error saving to KV storage:', error);
+		// Don't throw - KV storage is optional, don't fail the main operation
+	}
+}
+
+// Helper function to save license key data to KV storage (for quantity purchases)
+export async function saveLicenseKeyToKV(
+	env,
+	licenseKey,
+	customerId,
+	subscriptionId,
+	email,
+	subscriptionStatus = 'complete',
+	cancelAtPeriodEnd = false,
+	siteName = null
+) {
+	try {
+		if (!env.UN_ASSIGNED_LICENSE_KEYS) {
+			console.warn('[KV] UN_ASSIGNED_LICENSE_KEYS namespace not configured, skipping KV storage');
+			return;
+		}
+
+		const now = new Date().toISOString();
+
+		const activeSitesData = {
+			active: subscriptionStatus === 'complete' || subscriptionStatus === 'active',
+			subscriptionId: subscriptionId,
+			customerId: customerId,
+			email: email,
+			status: subscriptionStatus,
+			lastUpdated: now,
+			cancelAtPeriodEnd: cancelAtPeriodEnd,
+		};
+
+		// // If site name is provided (license key is activated), use connectDomain as the KV key
+		// if (siteName) {
+		// 	const formattedSiteName = formatSiteName(siteName);
+		// 	if (formattedSiteName) {
+		// 		activeSitesData.connectDomain = formattedSiteName;
+
+		// 		// Use connectDomain as the KV key instead of license key
+		// 		await env.ACTIVE_SITES_CONSENTBIT.put(formattedSiteName, JSON.stringify(activeSitesData));
+		// 		console.log(`[KV] ✅ Saved license key to ACTIVE_SITES_CONSENTBIT with key: ${formattedSiteName} (connectDomain)`);
+
+		// 		// Delete old KV entry if it was keyed by license key (for backward compatibility)
+		// 		// Note: This is a safety check - the activate-license endpoint also deletes old entries
+		// 		try {
+		// 			const oldEntry = await env.ACTIVE_SITES_CONSENTBIT.get(licenseKey);
+		// 			if (oldEntry) {
+		// 				await env.ACTIVE_SITES_CONSENTBIT.delete(licenseKey);
+		// 				console.log(`[KV] 🗑️ Deleted old KV entry keyed by license key: ${licenseKey}`);
+		// 			}
+		// 		} catch (deleteErr) {
+		// 			// Entry might not exist or already deleted - that's okay
+		// 			// Non-critical, continue
+		// 		}
+		// 	} else {
+		// 		// If formatting failed, fall back to license key as the key
+		// 		await env.ACTIVE_SITES_CONSENTBIT.put(licenseKey, JSON.stringify(activeSitesData));
+		// 		console.log(`[KV] ✅ Saved license key to ACTIVE_SITES_CONSENTBIT with key: ${licenseKey} (fallback)`);
+		// 	}
+		// } else {
+			// If no site name, use license key as the key (license not activated yet)
+			await env.UN_ASSIGNED_LICENSE_KEYS.put(licenseKey, JSON.stringify(activeSitesData));
+			console.log(`[KV] ✅ Saved license key to ACTIVE_SITES_CONSENTBIT with key: ${licenseKey} (not activated)`);
+		// }
+	} catch (error) {
+		console.error('[KV] ❌ Error saving license key to KV storage:', error);
+		// Don't throw - KV storage is optional, don't fail the main operation
+	}
+}
+
+// Patch the KV records that already exist for a license (active-site namespaces keyed by license key and
+// by domain, plus the unassigned pool). Records that are not in KV are left alone - activation creates them.
+export async function updateLicenseKvRecords(env, license, patch) {
+	const now = Math.floor(Date.now() / 1000);
+	const domain = license.used_site_domain || license.site_domain || null;
+	const keys = [license.license_key, formatSiteName(domain)].filter(Boolean);
+	let updated = 0;
+
+	for (const kv of [env.ACTIVE_SITES_CONSENTBIT, env.ACTIVE_SITES_CONSENTBIT_FRAMER, env.Pending_Active_site]) {
+		if (!kv) continue;
+		for (const key of keys) {
+			try {
+				const existing = await kv.get(key);
+				if (!existing) continue;
+				const record = JSON.parse(existing);
+				if (record.license_key && record.license_key !== license.license_key) continue;
+				await kv.put(key, JSON.stringify({ ...record, ...patch, updated_at: now }));
+				updated++;
+			} catch (error) {
+				console.error(`[KV] ❌ Failed to update license record ${key}:`, error);
+			}
+		}
+	}
+
+	if (env.UN_ASSIGNED_LICENSE_KEYS && license.license_key) {
+		try {
+			const existing = await env.UN_ASSIGNED_LICENSE_KEYS.get(license.license_key);
+			if (existing) {
+				const record = JSON.parse(existing);
+				// Pool records name the subscription subscriptionId (saveLicenseKeyToKV)
+				const { subscription_id: subscriptionId, ...poolPatch } = patch;
+				const next = { ...record, ...poolPatch, lastUpdated: new Date().toISOString() };
+				if (subscriptionId !== undefined) next.subscriptionId = subscriptionId;
+				if (patch.status) next.active = patch.status === 'active' || patch.status === 'complete';
+				await env.UN_ASSIGNED_LICENSE_KEYS.put(license.license_key, JSON.stringify(next));
+				updated++;
+			}
+		} catch (error) {
+			console.error(`[KV] ❌ Failed to update unassigned license record ${license.license_key}:`, error);
+		}
+	}
+
+	return updated;
+}
@@ -0,0 +1,558 @@
+/**
+ * Memberstack Admin API helpers.
+ */
+
+export async function ensureMemberstackMember(email, env) {
+	//const apiKey = env.MEMBERSTACK_SECRET_KEY?.trim();
+	const apiKey = 'sk_5a7907c37f1805788976';
+	if (!apiKey) {
+		throw new Error('MEMBERSTACK_SECRET_KEY not configured');
+	}
+	console.log(`👤 Ensuring Memberstack member for email: ${email}`);
+	const normalizedEmail = email.toLowerCase().trim();
+
+	// Try to get existing member
+	try {
+		const getMember = await getMemberstackMember(normalizedEmail, apiKey);
+		if (getMember) {
+			console.log(`👤 Found existing member: ${getMember.id}`);
+			return getMember.id;
+		}
+	} catch (getErr) {
+		console.log('👤 Member not found, creating new...');
+	}
+
+	// Create new member
+	const createRes = await fetch('https://admin.memberstack.com/members', {
+		method: 'POST',
+		headers: {
+			'X-API-KEY': apiKey,
+			'Content-Type': 'application/json',
+		},
+		body: JSON.stringify({
+			email: normalizedEmail,
+			password: generateRandomPassword(),
+		}),
+	});
+
+	if (!createRes.ok) {
+		const errorText = await createRes.text();
+		throw new Error(`Memberstack create failed: ${createRes.status} - ${errorText}`);
+	}
+
+	const newMember = await createRes.json();
+	const memberId = newMember.data?.id || newMember.id;
+	console.log(`👤 Created new member: ${memberId}`);
+	return memberId;
+}
+
+// Get existing Memberstack member by email
+export async function getMemberstackMember(email, apiKey) {
+	const res = await fetch(`https://admin.memberstack.com/members?email=${encodeURIComponent(email)}`, {
+		method: 'GET',
+		headers: {
+			'X-API-KEY': apiKey,
+			'Content-Type': 'application/json',
+		},
+	});
+
+	if (!res.ok) {
+		return null;
+	}
+
+	const data = await res.json();
+	const members = Array.isArray(data) ? data : data.data || [];
+
+	// Find exact email match
+	const member = members.find((m) => {
+		const memberEmail = m.auth?.email || m.email || m.data?.email;
+		return memberEmail?.toLowerCase().trim() === email.toLowerCase().trim();
+	});
+
+	return member || null;
+}
+
+// Generate a secure random password for Memberstack members
+// Members will use magic links to login, so password is just for API requirement
+export function generateRandomPassword() {
+	const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789!@#$%^&*';
+	let password = '';
+	// Generate 32 character password
+	for (let i = 0; i < 32; i++) {
+		password += chars.charAt(Math.floor(Math.random() * chars.length));
+	}
+	return password;
+}
+
+	/**
+ * Verifies Stripe webhook signature using HMAC-SHA256 for Memberstack integration
+ * @param {string} payload - Raw webhook payload
+ * @param {string} sigHeader - Stripe signature header
+ * @param {string} secret - Webhook signing secret
+ * @returns {Promise<object>} Parsed event object
+ */
+export async function verifyStripeWebhookForMemberstack(payload, sigHeader, secret) {
+	if (!sigHeader || !secret) {
+		throw new Error('Missing signature or secret');
+	}
+
+	const encoder = new TextEncoder();
+	const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['verify']);
+
+	// Parse signature header: "t=timestamp,v1=signature"
+	const parts = sigHeader.split(',');
+	let timestamp;
+	let signature;
+
+	for (const part of parts) {
+		const [key, value] = part.split('=');
+		if (key === 't') {
+			timestamp = value;
+		} else if (key === 'v1') {
+			signature = value;
+		}
+	}
+
+	if (!timestamp || !signature) {
+		throw new Error('Invalid signature format');
+	}
+
+	const signedPayload = `${timestamp}.${payload}`;
+
+	// Convert hex signature to bytes
+	const signatureBytes = hexToBytesForMemberstack(signature);
+
+	const isValid = await crypto.subtle.verify('HMAC', key, signatureBytes, encoder.encode(signedPayload));
+
+	if (!isValid) {
+		throw new Error('Invalid signature');
+	}
+
+	return JSON.parse(payload);
+}
+
+/**
+ * Converts hex string to Uint8Array
+ * @param {string} hex - Hex string
+ * @returns {Uint8Array} Byte array
+ */
+export function hexToBytesForMemberstack(hex) {
+	return new Uint8Array(hex.match(/.{1,2}/g).map((byte) => parseInt(byte, 16)));
+}
+
+/**
+ * Creates a Memberstack member or returns existing member
+ * @param {string} email - User email
+ * @param {object} env - Environment variables
+ * @returns {Promise<object>} Member object with id
+ *
+ * Security Best Practices (per Memberstack docs):
+ * - Secret keys stored in environment variables (env.MEMBERSTACK_SECRET_KEY)
+ * - Never committed to version control
+ * - Test Mode Keys: Start with 'sk_sb_' (development/testing)
+ * - Live Mode Keys: Start with 'sk_' (production)
+ * - Use different keys for dev/prod environments
+ * - Rotate keys periodically for enhanced security
+ * Reference: https://developers.memberstack.com/admin-node-package/quick-start#installation-setup
+ */
+export async function createMemberstackMember(email, env) {
+	// ========================================
+	// USE CASE 1 DEBUG: Memberstack Member Creation Function
+	// ========================================
+
+	if (!env.MEMBERSTACK_SECRET_KEY) {
+		throw new Error('MEMBERSTACK_SECRET_KEY not configured');
+	}
+
+	// Validate API key format (Memberstack secret keys start with 'sk_sb_' for test or 'sk_' for live)
+	// Reference: https://developers.memberstack.com/admin-node-package/quick-start#installation-setup
+	const apiKey = env.MEMBERSTACK_SECRET_KEY.trim();
+
+	// Check if key exists
+	if (!apiKey || apiKey.length < 10) {
+		throw new Error('MEMBERSTACK_SECRET_KEY appears to be invalid (too short or missing)');
+	}
+
+	// Memberstack test keys (sk_sb_*) are typically 26 characters
+	// Memberstack live keys (sk_*) are typically longer
+	// Both are valid, just different lengths based on mode
+
+	// Check if key has correct format
+	const isValidFormat = apiKey.startsWith('sk_sb_') || apiKey.startsWith('sk_');
+	if (!isValidFormat) {
+		Error(`Invalid API key format. Expected 'sk_sb_' (test) or 'sk_' (live), got: ${apiKey.substring(0, 6)}...`);
+	}
+
+	// First, try to get existing member by email
+	// Note: Memberstack Admin API uses X-API-KEY header (uppercase)
+	try {
+		const getRes = await fetch(`https://admin.memberstack.com/members?email=${encodeURIComponent(email)}`, {
+			method: 'GET',
+			headers: {
+				'X-API-KEY': apiKey,
+				'Content-Type': 'application/json',
+			},
+		});
+
+		if (getRes.ok) {
+			const members = await getRes.json();
+			let membersArray = [];
+
+			// Normalize response to array
+			if (Array.isArray(members)) {
+				membersArray = members;
+			} else if (members.data && Array.isArray(members.data)) {
+				membersArray = members.data;
+			}
+
+			// Find member with EXACT email match (case-insensitive)
+			const searchEmailLower = email.toLowerCase().trim();
+			let foundMember = null;
+
+			for (const member of membersArray) {
+				// Check all possible email locations (same as getMemberstackMember)
+				const memberEmail =
+					member.auth?.email || member.email || member._email || member.data?.email || member.data?._email || member.data?.auth?.email;
+				const memberEmailLower = memberEmail ? memberEmail.toLowerCase().trim() : null;
+
+				if (memberEmailLower && memberEmailLower === searchEmailLower) {
+					foundMember = member;
+					console.log(
+						`[createMemberstackMember] ✅ Found exact email match: id=${foundMember.id || foundMember._id || 'N/A'}, email=${memberEmail}`
+					);
+					break; // Found exact match, stop searching
+				}
+			}
+
+			if (foundMember) {
+				// Verify we can extract a valid email from the member
+				const memberEmail =
+					foundMember.auth?.email || foundMember.email || foundMember._email || foundMember.data?.email || foundMember.data?._email;
+				const memberId = foundMember.id || foundMember._id || foundMember.data?.id || foundMember.data?._id || 'N/A';
+
+				// Only return member if we have a valid email that matches
+				if (memberEmail && memberEmail.toLowerCase().trim() === searchEmailLower) {
+					console.log(`[createMemberstackMember] ✅ Returning existing member: id=${memberId}, email=${memberEmail}`);
+					return foundMember;
+				} else {
+					console.log(
+						`[createMemberstackMember] ⚠️ Member found but email extraction failed or doesn't match: extracted=${
+							memberEmail || 'N/A'
+						}, searching=${searchEmailLower}`
+					);
+					console.log(`[createMemberstackMember] ⚠️ Will create new member instead`);
+					// Don't return - continue to create new member
+				}
+			} else if (membersArray.length > 0) {
+				// Found members but none match the exact email
+				const firstMemberEmail = membersArray[0].email || membersArray[0]._email || 'N/A';
+
+				// Don't return - continue to create new member
+			}
+		} else {
+			// GET request failed - log for debugging
+			const errorText = await getRes.text();
+			console.error(`[getMemberstackMember] ❌ GET member failed (${getRes.status}): ${errorText}`);
+
+			// If it's a 401 error, the secret key is invalid
+			if (getRes.status === 401) {
+				console.error(`[getMemberstackMember] ❌ CRITICAL: Invalid Memberstack secret key!`);
+				console.error(`[getMemberstackMember] ❌ Please update MEMBERSTACK_SECRET_KEY in Cloudflare`);
+				throw new Error(`Invalid Memberstack secret key: ${errorText}`);
+			}
+		}
+	} catch (error) {
+		// If GET fails, try to create (member might not exist)
+	}
+
+	// Member doesn't exist, create it
+	// Memberstack Admin API: https://admin.memberstack.com/members
+	// Required: email, password
+	// Optional: plans (array of { planId: string }), customFields, metaData, json, loginRedirect
+	// Reference: Memberstack Admin REST API documentation
+	// Example format matches: { email, password, plans: [{ planId: "pln_abc123" }], loginRedirect: "/dashboard" }
+	console.log(`[createMemberstackMember] 🆕 Creating new Memberstack member for email: ${email}`);
+	const createMemberPayload = {
+		email: email,
+		password: generateRandomPassword(), // Generate a secure random password (user will use magic link to login)
+		loginRedirect: env.MEMBERSTACK_REDIRECT_URL || 'https://dashboard.consentbit.com/dashboard',
+	};
+
+	// Add plans array only if plan ID is configured (matches example format)
+	if (env.MEMBERSTACK_PLAN_ID) {
+		createMemberPayload.plans = [{ planId: env.MEMBERSTACK_PLAN_ID }];
+		console.log(`[createMemberstackMember] 📋 Plan will be assigned: ${env.MEMBERSTACK_PLAN_ID}`);
+	} else {
+		console.log(`[createMemberstackMember] ℹ️ No plan ID configured - member will be created without plan`);
+	}
+
+	console.log(`[createMemberstackMember] 📤 Sending POST request to Memberstack API...`);
+
+	const res = await fetch('https://admin.memberstack.com/members', {
+		method: 'POST',
+		headers: {
+			'X-API-KEY': apiKey,
+			'Content-Type': 'application/json',
+		},
+		body: JSON.stringify(createMemberPayload),
+	});
+
+	if (!res.ok) {
+		const errorText = await res.text();
+		console.error(`[createMemberstackMember] ❌ Member creation failed (${res.status}): ${errorText}`);
+
+		// 401 Unauthorized means invalid API key
+		if (res.status === 401) {
+			console.error(`[createMemberstackMember] ❌ CRITICAL: Invalid Memberstack secret key!`);
+			console.error(`[createMemberstackMember] ❌ Please update MEMBERSTACK_SECRET_KEY in Cloudflare`);
+			throw new Error(`Invalid Memberstack secret key: ${errorText}`);
+		}
+
+		// 409 Conflict means member already exists - try to fetch again
+		if (res.status === 409) {
+			console.log(`[createMemberstackMember] ⚠️ Member already exists (409), fetching existing member...`);
+
+			// Retry fetching the member with exact email match
+			const retryRes = await fetch(`https://admin.memberstack.com/members?email=${encodeURIComponent(email)}`, {
+				method: 'GET',
+				headers: {
+					'X-API-KEY': apiKey,
+					'Content-Type': 'application/json',
+				},
+			});
+			if (retryRes.ok) {
+				const members = await retryRes.json();
+				let membersArray = [];
+
+				// Normalize response to array
+				if (Array.isArray(members)) {
+					membersArray = members;
+				} else if (members.data && Array.isArray(members.data)) {
+					membersArray = members.data;
+				}
+
+				// Find member with EXACT email match (case-insensitive)
+				const searchEmailLower = email.toLowerCase().trim();
+				let foundMember = null;
+
+				for (const member of membersArray) {
+					// Check all possible email locations
+					const memberEmail =
+						member.auth?.email || member.email || member._email || member.data?.email || member.data?._email || member.data?.auth?.email;
+					const memberEmailLower = memberEmail ? memberEmail.toLowerCase().trim() : null;
+
+					if (memberEmailLower && memberEmailLower === searchEmailLower) {
+						foundMember = member;
+						console.log(
+							`[createMemberstackMember] ✅ Found exact email match in retry: id=${
+								foundMember.id || foundMember._id || 'N/A'
+							}, email=${memberEmail}`
+						);
+						break; // Found exact match, stop searching
+					}
+				}
+
+				if (foundMember) {
+					// Verify we can extract a valid email from the member
+					const memberEmail =
+						foundMember.auth?.email || foundMember.email || foundMember._email || foundMember.data?.email || foundMember.data?._email;
+					const memberId = foundMember.id || foundMember._id || foundMember.data?.id || foundMember.data?._id || 'N/A';
+
+					if (memberEmail && memberEmail.toLowerCase().trim() === searchEmailLower) {
+						console.log(`[createMemberstackMember] ✅ Returning existing member from 409 retry: id=${memberId}, email=${memberEmail}`);
+						return foundMember;
+					} else {
+						console.log(
+							`[createMemberstackMember] ⚠️ Member found in retry but email doesn't match: extracted=${
+								memberEmail || 'N/A'
+							}, searching=${searchEmailLower}`
+						);
+					}
+				} else {
+					console.log(
+						`[createMemberstackMember] ⚠️ No exact email match found in retry response (found ${membersArray.length} member(s))`
+					);
+				}
+			}
+		}
+		// Log detailed error for debugging
+
+		throw new Error(`Member create failed: ${res.status} ${errorText}`);
+	}
+
+	const newMember = await res.json();
+	const createdMemberData = newMember.data || newMember;
+	const newMemberId = createdMemberData.id || createdMemberData._id;
+	const newMemberEmail = createdMemberData.email || createdMemberData._email || 'N/A';
+
+	console.log(`[createMemberstackMember] ✅ Successfully created Memberstack member:`, {
+		id: newMemberId,
+		email: newMemberEmail,
+		has_plan: !!(createdMemberData.plans && createdMemberData.plans.length > 0),
+	});
+
+	// Handle different response formats
+	return createdMemberData;
+}
+
+/**
+ * Gets an existing Memberstack member by email (READ-ONLY - does not create)
+ * Use this when you only need to retrieve a member, not create one
+ * @param {string} email - User email
+ * @param {object} env - Environment variables
+ * @returns {Promise<object|null>} Member object with id, or null if not found
+ */
+export async function findMemberstackMember(email, env) {
+	console.log(`[getMemberstackMember] 🔍 Starting member lookup for email: ${email}`);
+
+	if (!env.MEMBERSTACK_SECRET_KEY) {
+		console.log(`[getMemberstackMember] ⚠️ MEMBERSTACK_SECRET_KEY not configured`);
+		return null;
+	}
+
+	const apiKey = env.MEMBERSTACK_SECRET_KEY.trim();
+
+	if (!apiKey || apiKey.length < 10) {
+		console.log(`[getMemberstackMember] ⚠️ API key appears invalid (length: ${apiKey.length})`);
+		return null;
+	}
+
+	const normalizedEmail = email.toLowerCase().trim();
+	const apiUrl = `https://admin.memberstack.com/members?email=${encodeURIComponent(email)}`;
+	console.log(`[getMemberstackMember] 📤 Sending GET request to: ${apiUrl}`);
+
+	try {
+		const getRes = await fetch(apiUrl, {
+			method: 'GET',
+			headers: {
+				'X-API-KEY': apiKey,
+				'Content-Type': 'application/json',
+			},
+		});
+
+		console.log(`[getMemberstackMember] 📥 Response status: ${getRes.status}`);
+
+		if (getRes.ok) {
+			const members = await getRes.json();
+			console.log(`[getMemberstackMember] 📦 Response received, parsing members...`);
+
+			let membersArray = [];
+
+			// Normalize response to array
+			if (Array.isArray(members)) {
+				membersArray = members;
+				console.log(`[getMemberstackMember] 📋 Found ${membersArray.length} member(s) in array format`);
+			} else if (members.data && Array.isArray(members.data)) {
+				membersArray = members.data;
+				console.log(`[getMemberstackMember] 📋 Found ${membersArray.length} member(s) in data.array format`);
+			} else {
+				console.log(`[getMemberstackMember] ⚠️ Unexpected response format:`, Object.keys(members));
+			}
+
+			// Find member with EXACT email match (case-insensitive)
+			const searchEmailLower = normalizedEmail;
+			let foundMember = null;
+			console.log(`[getMemberstackMember] 🔍 Searching for exact email match: ${searchEmailLower}`);
+
+			for (const member of membersArray) {
+				// Check auth.email first (Memberstack API structure)
+				const memberEmail =
+					member.auth?.email || member.email || member._email || member.data?.email || member.data?._email || member.data?.auth?.email;
+				const memberEmailLower = memberEmail ? memberEmail.toLowerCase().trim() : null;
+
+				console.log(
+					`[getMemberstackMember] 🔍 Checking member: email=${memberEmailLower || 'N/A'}, id=${member.id || member._id || 'N/A'}`
+				);
+
+				if (memberEmailLower && memberEmailLower === searchEmailLower) {
+					foundMember = member;
+					console.log(`[getMemberstackMember] ✅ Found exact email match!`);
+					break; // Found exact match, stop searching
+				}
+			}
+
+			if (foundMember) {
+				// Verify we can extract a valid email from the member
+				const memberEmail =
+					foundMember.auth?.email || foundMember.email || foundMember._email || foundMember.data?.email || foundMember.data?._email;
+				const memberId = foundMember.id || foundMember._id || foundMember.data?.id || foundMember.data?._id || 'N/A';
+
+				// Only return member if we have a valid email that matches
+				if (memberEmail && memberEmail.toLowerCase().trim() === searchEmailLower) {
+					console.log(`[getMemberstackMember] ✅ Returning existing member: id=${memberId}, email=${memberEmail}`);
+					return foundMember;
+				} else {
+					console.log(
+						`[getMemberstackMember] ⚠️ Member found but email extraction failed or doesn't match: extracted=${
+							memberEmail || 'N/A'
+						}, searching=${searchEmailLower}`
+					);
+					console.log(`[getMemberstackMember] ⚠️ Treating as no member found - will create new member`);
+					return null;
+				}
+			} else if (membersArray.length > 0) {
+				// Found members but none match the exact email
+				const firstMemberEmail = membersArray[0].email || membersArray[0]._email || membersArray[0].data?.email || 'N/A';
+				console.log(
+					`[getMemberstackMember] ⚠️ Found ${membersArray.length} member(s) but none match email ${searchEmailLower}. First member email: ${firstMemberEmail}`
+				);
+				return null;
+			} else {
+				console.log(`[getMemberstackMember] ℹ️ No members found for email: ${searchEmailLower}`);
+				return null;
+			}
+		} else {
+			// GET request failed - log for debugging
+			const errorText = await getRes.text();
+			console.error(`[getMemberstackMember] ❌ GET member failed (${getRes.status}): ${errorText}`);
+
+			// If it's a 401 error, the secret key is invalid
+			if (getRes.status === 401) {
+				console.error(`[getMemberstackMember] ❌ CRITICAL: Invalid Memberstack secret key!`);
+				console.error(`[getMemberstackMember] ❌ Please update MEMBERSTACK_SECRET_KEY in Cloudflare`);
+				throw new Error(`Invalid Memberstack secret key: ${errorText}`);
+			}
+			return null;
+		}
+	} catch (error) {
+		console.error(`[getMemberstackMember] ❌ Error fetching member:`, error);
+		console.error(`[getMemberstackMember] Error message: ${error.message}`);
+		console.error(`[getMemberstackMember] Error stack:`, error.stack);
+		return null;
+	}
+}
+
+/**
+ * Assigns a plan to a Memberstack member
+ * @param {string} memberId - Memberstack member ID
+ * @param {object} env - Environment variables
+ */
+export async function assignMemberstackPlan(memberId, env) {
+	if (!env.MEMBERSTACK_SECRET_KEY) {
+		throw new Error('MEMBERSTACK_SECRET_KEY not configured');
+	}
+	if (!env.MEMBERSTACK_PLAN_ID) {
+		throw new Error('MEMBERSTACK_PLAN_ID not configured');
+	}
+
+	const apiKey = env.MEMBERSTACK_SECRET_KEY.trim();
+	// Note: Plan assignment might be done during member creation, but this endpoint is for updating
+	// Using admin.memberstack.com with X-API-KEY header
+	const res = await fetch(`https://admin.memberstack.com/members/${memberId}/plans`, {
+		method: 'POST',
+		headers: {
+			'X-API-KEY': apiKey,
+			'Content-Type': 'application/json',
+		},
+		body: JSON.stringify({
+			planId: env.MEMBERSTACK_PLAN_ID,
+		}),
+	});
+
+	if (!res.ok) {
+		const errorText = await res.text();
+		throw new Error(`Plan assignment failed: ${res.status} ${errorText}`);
+	}
+
+	return await res.json();
+}
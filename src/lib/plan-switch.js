@@ -0,0 +1,321 @@
+/**
+ * Monthly <-> yearly plan switching. A whole subscription switches in place: every item moves to the target price,
+ * Stripe restarts the billing cycle and invoices the difference immediately. A single site or license on a
+ * multi-item subscription is split off instead: its item is removed with a proration credit and a new subscription
+ * starts at the target price. Previews go through invoice-preview.js with the proration date the switch reuses.
+ */
+import { stripeFetch, extractBillingPeriodFromStripe } from './stripe.js';
+import { getCatalogEntry } from './catalog.js';
+import { updateLicenseKvRecords } from './licenses.js';
+import { isQuantitySubscription } from './quantity-subscriptions.js';
+import { previewInvoice, summarizeInvoice } from './invoice-preview.js';
+
+export const BILLING_PERIODS = ['monthly', 'yearly'];
+
+// Error carrying the HTTP status and error code the route should answer with
+function planSwitchError(status, code, message, details = null) {
+	return Object.assign(new Error(message), { status, code, details });
+}
+
+// Period dates moved from the subscription to its items in newer API versions
+function getPeriod(subscription, item = subscription.items?.data?.[0]) {
+	return {
+		start: item?.current_period_start || subscription.current_period_start || null,
+		end: item?.current_period_end || subscription.current_period_end || null,
+	};
+}
+
+async function upcomingInvoice(env, params) {
+	const res = await previewInvoice(env, params);
+	if (res.status !== 200) {
+		throw planSwitchError(502, 'preview_failed', 'Stripe could not preview the switch', res.body);
+	}
+	return res.body;
+}
+
+/**
+ * Resolve what a switch request targets: a subscription, or the item behind a site or license.
+ * @returns {{subscription, items, split, from, to, priceId}}
+ */
+export async function resolvePlanSwitch(env, { subscriptionId, site, licenseKey, billingPeriod }, customerIds) {
+	const to = (billingPeriod || '').toLowerCase().trim();
+	if (!BILLING_PERIODS.includes(to)) {
+		throw planSwitchError(400, 'invalid_billing_period', 'billing_period must be "monthly" or "yearly"');
+	}
+
+	let itemId = null;
+	if (licenseKey) {
+		const license = await env.DB.prepare('SELECT subscription_id, item_id, customer_id FROM licenses WHERE license_key = ?').bind(licenseKey).first();
+		if (!license?.subscription_id) throw planSwitchError(404, 'license_not_found', 'License key not found');
+		subscriptionId = license.subscription_id;
+		itemId = license.item_id;
+	} else if (site) {
+		const domain = site.toLowerCase().trim();
+		const placeholders = customerIds.map(() => '?').join(', ') || "''";
+		const siteRow =
+			(await env.DB.prepare(
+				`SELECT subscription_id, item_id FROM sites WHERE customer_id IN (${placeholders}) AND LOWER(TRIM(site_domain)) = ? AND status = 'active' LIMIT 1`
+			)
+				.bind(...customerIds, domain)
+				.first()) ||
+			(await env.DB.prepare(
+				`SELECT subscription_id, item_id FROM licenses WHERE customer_id IN (${placeholders}) AND LOWER(TRIM(used_site_domain)) = ? AND status = 'active' LIMIT 1`
+			)
+				.bind(...customerIds, domain)
+				.first());
+		if (!siteRow?.subscription_id) throw planSwitchError(404, 'site_not_found', `No active subscription found for "${site}"`);
+		subscriptionId = siteRow.subscription_id;
+		itemId = siteRow.item_id;
+	}
+
+	if (!subscriptionId) {
+		throw planSwitchError(400, 'missing_fields', 'subscription_id, site or license_key is required');
+	}
+
+	const subRes = await stripeFetch(env, `/subscriptions/${subscriptionId}`);
+	if (subRes.status !== 200) throw planSwitchError(404, 'subscription_not_found', 'Subscription not found');
+	const subscription = subRes.body;
+
+	if (!customerIds.includes(subscription.customer)) {
+		throw planSwitchError(403, 'unauthorized', 'This subscription does not belong to your account');
+	}
+	if (!['active', 'trialing'].includes(subscription.status) || subscription.cancel_at_period_end) {
+		throw planSwitchError(409, 'subscription_not_active', 'Only active subscriptions that are not being canceled can switch plans');
+	}
+
+	const from = extractBillingPeriodFromStripe(subscription);
+	if (from === to) {
+		throw planSwitchError(409, 'already_on_billing_period', `This subscription is already billed ${to}`);
+	}
+
+	const allItems = subscription.items?.data || [];
+	const item = itemId ? allItems.find((i) => i.id === itemId) : null;
+	if (itemId && !item) {
+		throw planSwitchError(409, 'item_not_found', 'The site or license is no longer on this subscription');
+	}
+	// One key of a shared quantity item cannot move on its own - the whole subscription has to switch
+	if (licenseKey && isQuantitySubscription(subscription) && (item?.quantity || 1) > 1) {
+		throw planSwitchError(409, 'shared_subscription', 'This license shares a subscription - switch the whole subscription instead');
+	}
+
+	// Stripe bills a customer in one currency, so the new price must be in the subscription's
+	const currency = subscription.currency || null;
+	const catalogEntry = await getCatalogEntry(env, to, { currency });
+	if (!catalogEntry) {
+		throw planSwitchError(500, 'target_price_not_configured', `No ${to} price is configured`);
+	}
+	if (currency && catalogEntry.currency && catalogEntry.currency !== currency) {
+		throw planSwitchError(500, 'target_price_not_configured', `No ${to} price is configured in ${currency.toUpperCase()}`);
+	}
+
+	const split = !!item && allItems.length > 1;
+	return { subscription, items: split ? [item] : allItems, split, from, to, priceId: catalogEntry.price_id };
+}
+
+/**
+ * Preview the charge for a resolved switch. The returned proration_date must be passed back to performPlanSwitch
+ * so the amounts charged match the quote.
+ */
+export async function previewPlanSwitch(env, target, prorationDate = Math.floor(Date.now() / 1000)) {
+	const { subscription, items, split, from, to, priceId } = target;
+	const base = { subscription_id: subscription.id, mode: split ? 'split' : 'subscription', from, to, price_id: priceId, proration_date: prorationDate };
+
+	if (!split) {
+		const params = {
+			customer: subscription.customer,
+			subscription: subscription.id,
+			subscription_proration_behavior: 'always_invoice',
+			subscription_proration_date: prorationDate,
+		};
+		items.forEach((item, i) => {
+			params[`subscription_items[${i}][id]`] = item.id;
+			params[`subscription_items[${i}][price]`] = priceId;
+		});
+		const invoice = summarizeInvoice(await upcomingInvoice(env, params));
+		return { ...base, amount_due_now: invoice.amount_due, credit: 0, invoice };
+	}
+
+	// Split: credit for the removed item lands on the old subscription's next invoice, the new one is charged now
+	const [item] = items;
+	const removal = summarizeInvoice(
+		await upcomingInvoice(env, {
+			customer: subscription.customer,
+			subscription: subscription.id,
+			'subscription_items[0][id]': item.id,
+			'subscription_items[0][deleted]': true,
+			subscription_proration_behavior: 'create_prorations',
+			subscription_proration_date: prorationDate,
+		})
+	);
+	const invoice = summarizeInvoice(
+		await upcomingInvoice(env, {
+			customer: subscription.customer,
+			'subscription_items[0][price]': priceId,
+			'subscription_items[0][quantity]': item.quantity || 1,
+		})
+	);
+	return { ...base, item_id: item.id, amount_due_now: invoice.amount_due, credit: -removal.proration_amount, invoice };
+}
+
+/**
+ * Perform a resolved switch and bring subscriptions, sites, licenses and KV in line with Stripe.
+ */
+export async function performPlanSwitch(env, target, prorationDate = Math.floor(Date.now() / 1000)) {
+	const { subscription, items, split, to, priceId } = target;
+	const now = Math.floor(Date.now() / 1000);
+	let updated;
+
+	if (!split) {
+		const form = { proration_behavior: 'always_invoice', proration_date: prorationDate, payment_behavior: 'error_if_incomplete' };
+		items.forEach((item, i) => {
+			form[`items[${i}][id]`] = item.id;
+			form[`items[${i}][price]`] = priceId;
+		});
+		const res = await stripeFetch(env, `/subscriptions/${subscription.id}`, 'POST', form, true);
+		if (res.status !== 200) {
+			throw planSwitchError(res.status === 402 ? 402 : 502, 'switch_failed', res.body?.error?.message || 'Stripe rejected the switch', res.body);
+		}
+		updated = res.body;
+		await applySubscriptionSwitch(env, updated, to, priceId, now);
+	} else {
+		const [item] = items;
+		const createRes = await stripeFetch(
+			env,
+			'/subscriptions',
+			'POST',
+			{
+				customer: subscription.customer,
+				'items[0][price]': priceId,
+				'items[0][quantity]': item.quantity || 1,
+				...Object.fromEntries(Object.entries(subscription.metadata || {}).map(([k, v]) => [`metadata[${k}]`, v])),
+				'metadata[switched_from]': subscription.id,
+				payment_behavior: 'error_if_incomplete',
+			},
+			true,
+			{ idempotencyKey: `plan-switch-${item.id}-${to}-${prorationDate}` }
+		);
+		if (createRes.status !== 200) {
+			throw planSwitchError(createRes.status === 402 ? 402 : 502, 'switch_failed', createRes.body?.error?.message || 'Stripe rejected the switch', createRes.body);
+		}
+		updated = createRes.body;
+
+		const removeRes = await stripeFetch(
+			env,
+			`/subscription_items/${item.id}`,
+			'DELETE',
+			{ proration_behavior: 'create_prorations', proration_date: prorationDate },
+			true
+		);
+		await applyItemSplit(env, subscription, item, updated, to, priceId, now);
+		if (removeRes.status >= 400) {
+			// The new subscription is paid and records point at it; the old item needs removing by hand
+			console.error(`[PLAN-SWITCH] ❌ New subscription ${updated.id} created but item ${item.id} was not removed:`, removeRes.body);
+			throw planSwitchError(502, 'old_item_not_removed', 'Switched, but the old plan could not be removed - support has been notified', {
+				new_subscription_id: updated.id,
+			});
+		}
+	}
+
+	const period = getPeriod(updated);
+	console.log(`[PLAN-SWITCH] ✅ ${split ? `Item ${items[0].id}` : subscription.id} switched to ${to} (${updated.id}, renews ${period.end})`);
+	return { subscription_id: updated.id, previous_subscription_id: split ? subscription.id : null, billing_period: to, renewal_date: period.end };
+}
+
+// Whole subscription switched in place
+async function applySubscriptionSwitch(env, subscription, billingPeriod, priceId, now) {
+	const period = getPeriod(subscription);
+	await env.DB.batch([
+		env.DB.prepare(
+			'UPDATE subscriptions SET billing_period = ?, current_period_start = ?, current_period_end = ?, updated_at = ? WHERE subscription_id = ?'
+		).bind(billingPeriod, period.start, period.end, now, subscription.id),
+		env.DB.prepare(
+			'UPDATE sites SET price_id = ?, current_period_start = ?, current_period_end = ?, renewal_date = ?, updated_at = ? WHERE subscription_id = ?'
+		).bind(priceId, period.start, period.end, period.end, now, subscription.id),
+		env.DB.prepare('UPDATE subscription_items SET price_id = ?, updated_at = ? WHERE subscription_id = ?').bind(priceId, now, subscription.id),
+	]);
+	await updateLicenses(env, 'subscription_id = ?', [subscription.id], { billingPeriod, period, now });
+	await patchLicenseKv(env, 'subscription_id = ?', [subscription.id], { billing_period: billingPeriod, renewal_date: period.end });
+}
+
+// One item moved from `oldSubscription` to the new subscription `created`
+async function applyItemSplit(env, oldSubscription, oldItem, created, billingPeriod, priceId, now) {
+	const period = getPeriod(created);
+	const newItemId = created.items?.data?.[0]?.id || null;
+	const owner =
+		(await env.DB.prepare('SELECT user_email FROM subscriptions WHERE subscription_id = ?').bind(oldSubscription.id).first()) ||
+		(await env.DB.prepare('SELECT user_email FROM customers WHERE customer_id = ?').bind(created.customer).first());
+
+	const statements = [];
+	if (owner?.user_email) {
+		statements.push(
+			env.DB.prepare(
+				`INSERT OR REPLACE INTO subscriptions
+         (user_email, customer_id, subscription_id, status, cancel_at_period_end, current_period_start, current_period_end, billing_period, created_at, updated_at)
+         VALUES (?, ?, ?, ?, 0, ?, ?, ?, ?, ?)`
+			).bind(owner.user_email, created.customer, created.id, created.status || 'active', period.start, period.end, billingPeriod, now, now)
+		);
+	}
+	statements.push(
+		env.DB.prepare(
+			`UPDATE sites SET subscription_id = ?, item_id = ?, price_id = ?, current_period_start = ?, current_period_end = ?, renewal_date = ?, updated_at = ?
+       WHERE subscription_id = ? AND item_id = ?`
+		).bind(created.id, newItemId, priceId, period.start, period.end, period.end, now, oldSubscription.id, oldItem.id),
+		env.DB.prepare('UPDATE subscription_items SET subscription_id = ?, item_id = ?, price_id = ?, updated_at = ? WHERE item_id = ?').bind(
+			created.id,
+			newItemId,
+			priceId,
+			now,
+			oldItem.id
+		)
+	);
+	await env.DB.batch(statements);
+	await updateLicenses(env, 'subscription_id = ? AND item_id = ?', [oldSubscription.id, oldItem.id], {
+		billingPeriod,
+		period,
+		now,
+		subscriptionId: created.id,
+		itemId: newItemId,
+	});
+	await patchLicenseKv(env, 'subscription_id = ? AND item_id = ?', [created.id, newItemId], {
+		subscription_id: created.id,
+		billing_period: billingPeriod,
+		renewal_date: period.end,
+	});
+
+	if (env.SUBSCRIPTION_CONSENTBIT) {
+		const existing = await env.SUBSCRIPTION_CONSENTBIT.get(`${oldSubscription.customer}-${oldSubscription.id}`);
+		if (existing) {
+			await env.SUBSCRIPTION_CONSENTBIT.put(
+				`${created.customer}-${created.id}`,
+				JSON.stringify({ ...JSON.parse(existing), stripeSubscriptionId: created.id, lastUpdated: new Date().toISOString() })
+			);
+		}
+	}
+}
+
+async function updateLicenses(env, where, binds, { billingPeriod, period, now, subscriptionId = null, itemId = null }) {
+	const reassign = subscriptionId ? 'subscription_id = ?, item_id = ?, ' : '';
+	const reassignBinds = subscriptionId ? [subscriptionId, itemId] : [];
+	try {
+		await env.DB.prepare(`UPDATE licenses SET ${reassign}billing_period = ?, renewal_date = ?, updated_at = ? WHERE ${where}`)
+			.bind(...reassignBinds, billingPeriod, period.end, now, ...binds)
+			.run();
+	} catch (error) {
+		if (!error.message?.includes('no such column')) throw error;
+		// billing_period/renewal_date columns not migrated yet
+		if (subscriptionId) {
+			await env.DB.prepare(`UPDATE licenses SET ${reassign}updated_at = ? WHERE ${where}`)
+				.bind(...reassignBinds, now, ...binds)
+				.run();
+		}
+	}
+}
+
+async function patchLicenseKv(env, where, binds, patch) {
+	const licenses = await env.DB.prepare(`SELECT license_key, site_domain, used_site_domain FROM licenses WHERE ${where}`)
+		.bind(...binds)
+		.all();
+	for (const license of licenses.results || []) {
+		await updateLicenseKvRecords(env, license, patch);
+	}
+}
@@ -0,0 +1,58 @@
+/**
+ * Price lookups by product and billing period. The catalog (catalog.js) is the source of truth; these are the
+ * helpers the checkout and webhook paths call.
+ */
+import { stripeFetch } from './stripe.js';
+import { getCatalogEntry, getCatalogEntryForProduct, getDefaultCurrency } from './catalog.js';
+
+export async function getOrCreateDynamicPrice(env, { productId, billingPeriod, currency, unitAmount }) {
+	const period = (billingPeriod || '').toLowerCase().trim();
+
+	// Flatten nested objects for form-encoded Stripe API
+	const createBody = {
+		product: productId,
+		currency: (currency || getDefaultCurrency(env)).toLowerCase(),
+		unit_amount: unitAmount,
+		'recurring[interval]': period === 'yearly' ? 'year' : 'month',
+	};
+
+	console.log('[USE CASE 2] Dynamic price createBody:', createBody);
+
+	const res = await stripeFetch(env, '/prices', 'POST', createBody, true);
+
+	if (res.status !== 200) {
+		console.error('[USE CASE 2] ❌ Failed to create dynamic price', {
+			status: res.status,
+			body: res.body,
+		});
+		return null;
+	}
+
+	console.log('[USE CASE 2] ✅ Created dynamic price', res.body.id, 'for product', productId);
+	return res.body.id;
+}
+
+
+// Price for a purchase's product + billing period in the purchase currency (see getCatalogEntryForProduct)
+export async function getPriceIdFromProduct(productId, billingPeriod, env, currency) {
+	const entry = await getCatalogEntryForProduct(env, productId, billingPeriod, currency);
+	return entry ? entry.price_id : null;
+}
+
+/**
+ * Get price_id, product_id, unit_amount and currency for a billing period from the catalog
+ */
+export async function getPriceConfigByBillingPeriod(env, billingPeriod, currency) {
+	try {
+		return await getCatalogEntry(env, billingPeriod, { currency });
+	} catch (error) {
+		console.error(`[getPriceConfigByBillingPeriod] Error:`, error);
+		return null;
+	}
+}
+
+// Legacy function for backward compatibility
+export async function getPriceIdByBillingPeriod(env, billingPeriod, currency) {
+	const config = await getPriceConfigByBillingPeriod(env, billingPeriod, currency);
+	return config ? config.price_id : null;
+}
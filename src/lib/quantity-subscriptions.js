@@ -0,0 +1,420 @@
+/**
+ * Use Case 3 quantity mode: a customer's license keys for one price share a single subscription item whose
+ * quantity is the number of billable keys mapped to it. Enabled with UC3_SUBSCRIPTION_MODE=quantity; the default
+ * 'per_license' mode keeps one subscription per key, and migrateToQuantitySubscriptions() moves those over.
+ */
+import { stripeFetch, extractBillingPeriodFromStripe } from './stripe.js';
+import { saveLicenseKeyToKV, updateLicenseKvRecords } from './licenses.js';
+
+export const UC3_SUBSCRIPTION_MODES = ['per_license', 'quantity'];
+
+// License statuses that are still paid for - suspended keys come back when the invoice is paid
+const BILLABLE_STATUSES = ['active', 'past_due', 'suspended'];
+const BILLABLE_SQL = BILLABLE_STATUSES.map((s) => `'${s}'`).join(', ');
+const LIVE_SUBSCRIPTION_STATUSES = ['active', 'trialing', 'past_due'];
+
+// D1 caps bound parameters per statement
+const CHUNK_SIZE = 100;
+
+function chunk(values) {
+	const chunks = [];
+	for (let i = 0; i < values.length; i += CHUNK_SIZE) {
+		chunks.push(values.slice(i, i + CHUNK_SIZE));
+	}
+	return chunks;
+}
+
+export function getUc3SubscriptionMode(env) {
+	return env.UC3_SUBSCRIPTION_MODE === 'quantity' ? 'quantity' : 'per_license';
+}
+
+export function isQuantitySubscription(subscription) {
+	return subscription?.metadata?.license_model === 'quantity';
+}
+
+// Proration for quantity changes made outside checkout (add/revoke); checkout-funded additions never prorate
+export function getQuantityProrationBehavior(env) {
+	return env.QUANTITY_PRORATION_BEHAVIOR || 'create_prorations';
+}
+
+// Period dates moved from the subscription to its items in newer API versions
+function getPeriod(subscription, item) {
+	return {
+		start: item?.current_period_start || subscription.current_period_start || null,
+		end: item?.current_period_end || subscription.current_period_end || null,
+	};
+}
+
+/**
+ * Find the customer's live shared subscription item for a price.
+ * Returns { subscription, item } or null when the customer has none (or the license_model column is missing).
+ */
+export async function findQuantitySubscription(env, customerId, priceId) {
+	let rows;
+	try {
+		rows = await env.DB.prepare(
+			`SELECT subscription_id FROM subscriptions
+       WHERE customer_id = ? AND license_model = 'quantity' AND status IN ('active', 'trialing', 'past_due')
+       ORDER BY updated_at DESC LIMIT 10`
+		)
+			.bind(customerId)
+			.all();
+	} catch (error) {
+		if (!error.message?.includes('no such column')) throw error;
+		console.warn('[QUANTITY] ⚠️ subscriptions.license_model missing - run add-quantity-subscription-columns.sql');
+		return null;
+	}
+
+	for (const row of rows.results || []) {
+		const subRes = await stripeFetch(env, `/subscriptions/${row.subscription_id}`);
+		if (subRes.status !== 200) continue;
+		const subscription = subRes.body;
+		if (!isQuantitySubscription(subscription) || subscription.cancel_at_period_end) continue;
+		if (!LIVE_SUBSCRIPTION_STATUSES.includes(subscription.status)) continue;
+		const item = (subscription.items?.data || []).find((i) => i.price?.id === priceId);
+		if (item) {
+			return { subscription, item };
+		}
+	}
+	return null;
+}
+
+// Billable keys mapped to an item, not counting `excludeKeys` (keys about to be (re)mapped by the caller)
+async function countBillableLicenses(env, itemId, excludeKeys = []) {
+	const total = await env.DB.prepare(`SELECT COUNT(*) AS count FROM licenses WHERE item_id = ? AND status IN (${BILLABLE_SQL})`)
+		.bind(itemId)
+		.first();
+	let excluded = 0;
+	for (const keys of chunk(excludeKeys)) {
+		const res = await env.DB.prepare(
+			`SELECT COUNT(*) AS count FROM licenses WHERE item_id = ? AND status IN (${BILLABLE_SQL}) AND license_key IN (${keys
+				.map(() => '?')
+				.join(', ')})`
+		)
+			.bind(itemId, ...keys)
+			.first();
+		excluded += res?.count || 0;
+	}
+	return (total?.count || 0) - excluded;
+}
+
+async function setItemQuantity(env, itemId, quantity, prorationBehavior) {
+	const res = await stripeFetch(env, `/subscription_items/${itemId}`, 'POST', { quantity, proration_behavior: prorationBehavior }, true);
+	if (res.status !== 200) {
+		throw new Error(`Failed to set quantity ${quantity} on ${itemId}: ${res.status} - ${JSON.stringify(res.body)}`);
+	}
+	return res.body;
+}
+
+/**
+ * Credit new keys for the part of their paid period the shared item will bill again. Checkout charged the keys a
+ * full period (through `paidThrough`, the trial_end a new subscription would get), but an existing item renews
+ * earlier and would charge them from its renewal on. The overlap, prorated over the item's period, goes onto the
+ * item's next invoice as a negative invoice item.
+ * @returns {Promise<Object|null>} the invoice item, or null when there is nothing to credit
+ */
+async function creditPrepaidPeriod(env, subscription, item, seats, paidThrough, idempotencyKey) {
+	const period = getPeriod(subscription, item);
+	const unitAmount = item.price?.unit_amount;
+	if (!paidThrough || !period.start || !period.end || !unitAmount) return null;
+	const periodLength = period.end - period.start;
+	const overlap = Math.min(paidThrough - period.end, periodLength);
+	if (periodLength <= 0 || overlap <= 0) return null;
+
+	const amount = Math.round((unitAmount * seats * overlap) / periodLength);
+	const res = await stripeFetch(
+		env,
+		'/invoiceitems',
+		'POST',
+		{
+			customer: subscription.customer,
+			subscription: subscription.id,
+			amount: -amount,
+			currency: item.price.currency || subscription.currency,
+			description: `Credit for ${seats} license(s) already paid through ${new Date(paidThrough * 1000).toISOString().slice(0, 10)}`,
+			'metadata[usecase]': '3',
+			'metadata[credit_for]': 'prepaid_licenses',
+		},
+		true,
+		idempotencyKey ? { idempotencyKey: `${idempotencyKey}-credit` } : {}
+	);
+	if (res.status !== 200) {
+		throw new Error(`Failed to credit prepaid period on ${subscription.id}: ${res.status} - ${JSON.stringify(res.body)}`);
+	}
+	console.log(`[QUANTITY] 💳 Credited ${amount} for ${seats} prepaid license(s) on ${subscription.id}`);
+	return res.body;
+}
+
+// Upsert license rows pointing at the shared item; existing rows (retries, migrations) are re-pointed
+async function saveQuantityLicenses(env, customerId, subscription, item, licenseKeys) {
+	const now = Math.floor(Date.now() / 1000);
+	const period = getPeriod(subscription, item);
+	const billingPeriod = extractBillingPeriodFromStripe({ items: { data: [item] } });
+
+	for (const keys of chunk(licenseKeys)) {
+		try {
+			await env.DB.batch(
+				keys.map((key) =>
+					env.DB.prepare(
+						`INSERT INTO licenses (license_key, customer_id, subscription_id, item_id, status, purchase_type, billing_period, renewal_date, created_at, updated_at)
+             VALUES (?, ?, ?, ?, 'active', 'quantity', ?, ?, ?, ?)
+             ON CONFLICT(license_key) DO UPDATE SET subscription_id = excluded.subscription_id, item_id = excluded.item_id,
+               billing_period = excluded.billing_period, renewal_date = excluded.renewal_date, updated_at = excluded.updated_at`
+					).bind(key, customerId, subscription.id, item.id, billingPeriod, period.end, now, now)
+				)
+			);
+		} catch (error) {
+			if (!error.message?.includes('no such column')) throw error;
+			// billing_period/renewal_date columns not migrated yet
+			await env.DB.batch(
+				keys.map((key) =>
+					env.DB.prepare(
+						`INSERT INTO licenses (license_key, customer_id, subscription_id, item_id, status, purchase_type, created_at, updated_at)
+             VALUES (?, ?, ?, ?, 'active', 'quantity', ?, ?)
+             ON CONFLICT(license_key) DO UPDATE SET subscription_id = excluded.subscription_id, item_id = excluded.item_id, updated_at = excluded.updated_at`
+					).bind(key, customerId, subscription.id, item.id, now, now)
+				)
+			);
+		}
+	}
+}
+
+async function saveQuantitySubscriptionRow(env, customerId, userEmail, subscription, item) {
+	const now = Math.floor(Date.now() / 1000);
+	const period = getPeriod(subscription, item);
+	const billingPeriod = extractBillingPeriodFromStripe({ items: { data: [item] } });
+	try {
+		await env.DB.prepare(
+			`INSERT INTO subscriptions
+       (user_email, customer_id, subscription_id, status, cancel_at_period_end, cancel_at, current_period_start, current_period_end,
+        billing_period, license_model, created_at, updated_at)
+       VALUES (?, ?, ?, ?, 0, NULL, ?, ?, ?, 'quantity', ?, ?)
+       ON CONFLICT(subscription_id) DO UPDATE SET status = excluded.status, current_period_start = excluded.current_period_start,
+         current_period_end = excluded.current_period_end, billing_period = excluded.billing_period, license_model = 'quantity',
+         updated_at = excluded.updated_at`
+		)
+			.bind(userEmail, customerId, subscription.id, subscription.status || 'active', period.start, period.end, billingPeriod, now, now)
+			.run();
+	} catch (error) {
+		if (!error.message?.includes('no such column')) throw error;
+		console.warn('[QUANTITY] ⚠️ subscriptions.license_model missing - the shared subscription will not be found for later purchases');
+		await env.DB.prepare(
+			`INSERT OR REPLACE INTO subscriptions
+       (user_email, customer_id, subscription_id, status, cancel_at_period_end, cancel_at, current_period_start, current_period_end,
+        billing_period, created_at, updated_at)
+       VALUES (?, ?, ?, ?, 0, NULL, ?, ?, ?, ?, ?)`
+		)
+			.bind(userEmail, customerId, subscription.id, subscription.status || 'active', period.start, period.end, billingPeriod, now, now)
+			.run();
+	}
+}
+
+/**
+ * Map new license keys onto the customer's shared item for a price, creating the subscription if there is none.
+ * The item quantity is set to the number of billable keys mapped to it, so retrying with the same keys is a no-op.
+ * Checkout-funded purchases pass prorationBehavior 'none' (the customer already paid for the period) and the paid
+ * period's end as trialEnd: a new subscription starts billing then, an existing item credits the overlap instead.
+ */
+export async function addLicensesToQuantitySubscription(
+	env,
+	{ customerId, userEmail, priceId, licenseKeys, trialEnd = null, prorationBehavior = 'none', idempotencyKey = null, newKeys = true }
+) {
+	if (!licenseKeys || licenseKeys.length === 0) {
+		throw new Error('No license keys to add');
+	}
+
+	const existing = await findQuantitySubscription(env, customerId, priceId);
+	let subscription;
+	let item;
+	let created = false;
+
+	if (existing) {
+		const quantity = (await countBillableLicenses(env, existing.item.id, licenseKeys)) + licenseKeys.length;
+		console.log(`[QUANTITY] ➕ Extending ${existing.subscription.id} item ${existing.item.id} to quantity ${quantity}`);
+		subscription = existing.subscription;
+		item = { ...existing.item, ...(await setItemQuantity(env, existing.item.id, quantity, prorationBehavior)) };
+		if (prorationBehavior === 'none') {
+			await creditPrepaidPeriod(env, subscription, existing.item, licenseKeys.length, trialEnd, idempotencyKey);
+		}
+	} else {
+		console.log(`[QUANTITY] 🚀 Creating shared subscription for ${customerId}: ${licenseKeys.length} x ${priceId}`);
+		const createRes = await stripeFetch(
+			env,
+			'/subscriptions',
+			'POST',
+			{
+				customer: customerId,
+				'items[0][price]': priceId,
+				'items[0][quantity]': licenseKeys.length,
+				'metadata[usecase]': '3',
+				'metadata[purchase_type]': 'quantity',
+				'metadata[license_model]': 'quantity',
+				proration_behavior: 'none',
+				collection_method: 'charge_automatically',
+				...(trialEnd ? { trial_end: trialEnd.toString() } : {}),
+			},
+			true,
+			idempotencyKey ? { idempotencyKey } : {}
+		);
+		if (createRes.status !== 200) {
+			throw new Error(`Shared subscription creation failed: ${createRes.status} - ${JSON.stringify(createRes.body)}`);
+		}
+		subscription = createRes.body;
+		item = subscription.items?.data?.[0];
+		created = true;
+	}
+
+	await saveQuantitySubscriptionRow(env, customerId, userEmail, subscription, item);
+	await saveQuantityLicenses(env, customerId, subscription, item, licenseKeys);
+
+	// Fresh keys go to the unassigned pool; migrated keys keep their KV records (patched by the caller)
+	if (newKeys) {
+		for (const key of licenseKeys) {
+			await saveLicenseKeyToKV(env, key, customerId, subscription.id, userEmail, 'complete', false, null);
+		}
+	}
+
+	return { subscriptionId: subscription.id, itemId: item.id, quantity: item.quantity, created };
+}
+
+/**
+ * Revoke one license on a shared item: the key is deactivated and the item quantity drops with proration.
+ * Revoking the last key cancels the subscription at period end instead of setting quantity 0.
+ * `status` is the license's new status ('inactive', or 'revoked' for refunds).
+ */
+export async function revokeQuantityLicense(env, license, { prorationBehavior = getQuantityProrationBehavior(env), status = 'inactive' } = {}) {
+	const now = Math.floor(Date.now() / 1000);
+
+	await env.DB.prepare('UPDATE licenses SET status = ?, updated_at = ? WHERE license_key = ?').bind(status, now, license.license_key).run();
+
+	const remaining = await countBillableLicenses(env, license.item_id);
+	try {
+		if (remaining > 0) {
+			await setItemQuantity(env, license.item_id, remaining, prorationBehavior);
+		} else {
+			const cancelRes = await stripeFetch(env, `/subscriptions/${license.subscription_id}`, 'POST', { cancel_at_period_end: true }, true);
+			if (cancelRes.status >= 400) {
+				throw new Error(`Failed to cancel ${license.subscription_id}: ${cancelRes.status}`);
+			}
+			await env.DB.prepare('UPDATE subscriptions SET cancel_at_period_end = 1, updated_at = ? WHERE subscription_id = ?')
+				.bind(now, license.subscription_id)
+				.run();
+		}
+	} catch (error) {
+		// Stripe still bills for the key - keep it usable
+		await env.DB.prepare('UPDATE licenses SET status = ?, updated_at = ? WHERE license_key = ?')
+			.bind(license.status || 'active', now, license.license_key)
+			.run();
+		throw error;
+	}
+
+	await updateLicenseKvRecords(env, license, { status, active: false });
+	if (env.UN_ASSIGNED_LICENSE_KEYS) {
+		await env.UN_ASSIGNED_LICENSE_KEYS.delete(license.license_key);
+	}
+
+	console.log(`[QUANTITY] ➖ Revoked ${license.license_key}; ${license.subscription_id} now has ${remaining} license(s)`);
+	return { subscriptionId: license.subscription_id, itemId: license.item_id, quantity: remaining, canceled: remaining === 0 };
+}
+
+/**
+ * Move a customer's per-license Use Case 3 subscriptions onto one shared item per price.
+ * The shared subscription starts billing when the last of the old paid periods ends (trial until then), and the
+ * old subscriptions are canceled without proration, so no key is charged twice for the same period.
+ * dryRun returns the plan without touching Stripe.
+ */
+export async function migrateToQuantitySubscriptions(env, customerId, { userEmail = null, dryRun = false } = {}) {
+	const licensesRes = await env.DB.prepare(
+		`SELECT license_key, subscription_id, item_id, status, site_domain, used_site_domain FROM licenses
+     WHERE customer_id = ? AND purchase_type = 'quantity' AND subscription_id IS NOT NULL AND status IN (${BILLABLE_SQL})`
+	)
+		.bind(customerId)
+		.all();
+
+	const bySubscription = new Map();
+	for (const license of licensesRes.results || []) {
+		if (!bySubscription.has(license.subscription_id)) bySubscription.set(license.subscription_id, []);
+		bySubscription.get(license.subscription_id).push(license);
+	}
+
+	// Group migratable subscriptions by price
+	const groups = new Map();
+	const skipped = [];
+	for (const [subscriptionId, licenses] of bySubscription) {
+		const subRes = await stripeFetch(env, `/subscriptions/${subscriptionId}`);
+		if (subRes.status !== 200) {
+			skipped.push({ subscription_id: subscriptionId, reason: 'not_found' });
+			continue;
+		}
+		const subscription = subRes.body;
+		const items = subscription.items?.data || [];
+		let reason = null;
+		if (isQuantitySubscription(subscription)) reason = 'already_shared';
+		else if (!LIVE_SUBSCRIPTION_STATUSES.includes(subscription.status)) reason = `status_${subscription.status}`;
+		else if (subscription.cancel_at_period_end) reason = 'canceling';
+		else if (items.length !== 1) reason = 'multiple_items';
+		if (reason) {
+			skipped.push({ subscription_id: subscriptionId, reason });
+			continue;
+		}
+
+		const priceId = items[0].price.id;
+		if (!groups.has(priceId)) groups.set(priceId, { priceId, subscriptions: [], licenses: [], paidThrough: 0 });
+		const group = groups.get(priceId);
+		group.subscriptions.push(subscription);
+		group.licenses.push(...licenses);
+		group.paidThrough = Math.max(group.paidThrough, getPeriod(subscription, items[0]).end || 0);
+	}
+
+	const plan = [...groups.values()].map((g) => ({
+		price_id: g.priceId,
+		license_count: g.licenses.length,
+		subscriptions: g.subscriptions.map((s) => s.id),
+		paid_through: g.paidThrough || null,
+	}));
+
+	if (dryRun || plan.length === 0) {
+		return { dry_run: dryRun, migrated: [], plan, skipped };
+	}
+
+	if (!userEmail) {
+		const row = await env.DB.prepare('SELECT user_email FROM customers WHERE customer_id = ? LIMIT 1').bind(customerId).first();
+		userEmail = row?.user_email || null;
+	}
+
+	const now = Math.floor(Date.now() / 1000);
+	const migrated = [];
+	for (const group of groups.values()) {
+		const licenseKeys = group.licenses.map((l) => l.license_key);
+		const result = await addLicensesToQuantitySubscription(env, {
+			customerId,
+			userEmail,
+			priceId: group.priceId,
+			licenseKeys,
+			// Stripe rejects trial_end in the past; old periods that already ended bill from now
+			trialEnd: group.paidThrough > now + 60 ? group.paidThrough : null,
+			prorationBehavior: 'none',
+			newKeys: false,
+			idempotencyKey: `uc3-migrate-${customerId}-${group.priceId}-${licenseKeys.length}`,
+		});
+
+		for (const license of group.licenses) {
+			await updateLicenseKvRecords(env, license, { subscription_id: result.subscriptionId });
+		}
+
+		// Licenses already point at the shared item, so customer.subscription.deleted leaves them alone
+		for (const old of group.subscriptions) {
+			const cancelRes = await stripeFetch(env, `/subscriptions/${old.id}`, 'DELETE', { prorate: false, invoice_now: false }, true);
+			if (cancelRes.status >= 400) {
+				console.error(`[QUANTITY] ❌ Could not cancel migrated subscription ${old.id}:`, cancelRes.body);
+				continue;
+			}
+			await env.DB.prepare(`UPDATE subscriptions SET status = 'canceled', updated_at = ? WHERE subscription_id = ?`).bind(now, old.id).run();
+		}
+
+		migrated.push({ price_id: group.priceId, ...result, license_count: licenseKeys.length, replaced: group.subscriptions.map((s) => s.id) });
+		console.log(`[QUANTITY] 🔀 Migrated ${licenseKeys.length} license(s) for ${customerId} onto ${result.subscriptionId}`);
+	}
+
+	return { dry_run: false, migrated, plan, skipped };
+}
@@ -0,0 +1,1027 @@
+/**
+ * Subscription queue: creates per-site subscriptions in the background and refunds failed items.
+ * In quantity mode (UC3_SUBSCRIPTION_MODE=quantity) a purchase is one batch row carrying all of its license keys.
+ * Rows are delivered through the JOBS_QUEUE Cloudflare Queue when it is bound (see job-queue.js), else by the cron.
+ */
+import { stripeFetch } from './stripe.js';
+import { isTemporaryLicenseKey, generateUniqueLicenseKey, generateLicenseKeys, saveLicenseKeyToKV } from './licenses.js';
+import { addLicensesToQuantitySubscription } from './quantity-subscriptions.js';
+import { JOB_TYPES, sendJob } from './job-queue.js';
+
+// ========================================
+// QUEUE-BASED PROCESSING FUNCTIONS
+// ========================================
+
+/**
+ * Add subscription creation task to queue
+ * Used for large quantity purchases to prevent webhook timeouts
+ * Passing licenseKeys queues a quantity-mode batch row (licenseKey is then just the row's dedup key)
+ */
+export async function addToSubscriptionQueue(env, queueData) {
+	const { customerId, userEmail, paymentIntentId, priceId, licenseKey, licenseKeys, quantity, trialEnd } = queueData;
+
+	const queueId = `queue_${paymentIntentId}_${licenseKey}_${Date.now()}`;
+	const timestamp = Math.floor(Date.now() / 1000);
+
+	try {
+		// CRITICAL: Check if a queue item with the same payment_intent_id and license_key already exists
+		// This prevents duplicate queue entries if the webhook is called multiple times
+		const existingQueueItem = await env.DB.prepare(
+			`SELECT queue_id, status FROM subscription_queue 
+       WHERE payment_intent_id = ? AND license_key = ? 
+       AND status IN ('pending', 'processing', 'completed')
+       LIMIT 1`
+		)
+			.bind(paymentIntentId, licenseKey)
+			.first();
+
+		if (existingQueueItem) {
+			console.log(
+				`[QUEUE] ⚠️ Queue item already exists for payment_intent_id=${paymentIntentId}, license_key=${licenseKey} (status: ${existingQueueItem.status}, queue_id: ${existingQueueItem.queue_id}). Skipping duplicate entry.`
+			);
+			return { success: true, queueId: existingQueueItem.queue_id, skipped: true, reason: 'duplicate' };
+		}
+
+		if (licenseKeys) {
+			await env.DB.prepare(
+				`INSERT INTO subscription_queue 
+         (queue_id, customer_id, user_email, payment_intent_id, price_id, license_key, license_keys, quantity, trial_end, status, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?)`
+			)
+				.bind(
+					queueId,
+					customerId,
+					userEmail,
+					paymentIntentId,
+					priceId,
+					licenseKey,
+					JSON.stringify(licenseKeys),
+					licenseKeys.length,
+					trialEnd || null,
+					timestamp,
+					timestamp
+				)
+				.run();
+		} else {
+			await env.DB.prepare(
+				`INSERT INTO subscription_queue 
+         (queue_id, customer_id, user_email, payment_intent_id, price_id, license_key, quantity, trial_end, status, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?)`
+			)
+				.bind(queueId, customerId, userEmail, paymentIntentId, priceId, licenseKey, quantity, trialEnd || null, timestamp, timestamp)
+				.run();
+		}
+
+		// Wake the queue consumer (no-op without JOBS_QUEUE; the cron picks the row up instead)
+		await sendJob(env, JOB_TYPES.subscription, queueId);
+
+		return { success: true, queueId };
+	} catch (error) {
+		console.error(`[QUEUE] ❌ Error adding to queue:`, error);
+		return { success: false, error: error.message };
+	}
+}
+
+// A claimed row belongs to its worker until the lease runs out; a worker that dies simply lets it expire
+export const QUEUE_LEASE_SECONDS = 5 * 60;
+// Rows whose lease keeps expiring (the job kills its worker every time) are failed after this many reclaims
+const MAX_LEASE_RECLAIMS = 5;
+
+export function createQueueWorkerId(prefix = 'worker') {
+	return `${prefix}-${crypto.randomUUID()}`;
+}
+
+/**
+ * Claim a pending queue row for workerId with a lease. The conditional UPDATE lets exactly one of several
+ * overlapping runs (cron, queue consumer, /process-queue) win the row.
+ * @returns {Promise<Object|null>} the claimed row, or null when it is no longer pending
+ */
+export async function claimQueueItem(env, queueId, workerId, leaseSeconds = QUEUE_LEASE_SECONDS) {
+	const now = Math.floor(Date.now() / 1000);
+	return env.DB.prepare(
+		`UPDATE subscription_queue
+     SET status = 'processing', claimed_by = ?, lease_expires_at = ?, updated_at = ?
+     WHERE queue_id = ? AND status = 'pending'
+     RETURNING *`
+	)
+		.bind(workerId, now + leaseSeconds, now, queueId)
+		.first();
+}
+
+/**
+ * Mark a claimed row completed. Only a worker whose lease is still live may finish the row.
+ * @returns {Promise<boolean>} false when the lease was lost - the row's current holder finishes it instead
+ */
+async function completeQueueItem(env, queueItem, subscriptionId, itemId) {
+	const timestamp = Math.floor(Date.now() / 1000);
+	const result = await env.DB.prepare(
+		`UPDATE subscription_queue
+     SET status = 'completed', subscription_id = ?, item_id = ?, processed_at = ?, claimed_by = NULL, lease_expires_at = NULL, updated_at = ?
+     WHERE queue_id = ? AND claimed_by = ? AND lease_expires_at > ?`
+	)
+		.bind(subscriptionId, itemId, timestamp, timestamp, queueItem.queue_id, queueItem.claimed_by || null, timestamp)
+		.run();
+	if (result.meta.changes === 0) {
+		console.warn(`[QUEUE] ⚠️ Lease on ${queueItem.queue_id} was lost before completing it; the current holder owns the row`);
+		return false;
+	}
+	return true;
+}
+
+function leaseLost(queueItem) {
+	return { success: false, error: 'lease_lost', attempts: queueItem.attempts || 0, leaseLost: true };
+}
+
+// Count reclaimed rows in the QUEUE_METRICS Analytics Engine dataset (optional binding)
+function recordReclaimMetric(env, reclaimed, failed) {
+	if (!env.QUEUE_METRICS || reclaimed + failed === 0) return;
+	try {
+		env.QUEUE_METRICS.writeDataPoint({ indexes: ['subscription_queue'], blobs: ['lease_reclaimed'], doubles: [reclaimed, failed] });
+	} catch (metricErr) {
+		console.warn(`[QUEUE] ⚠️ Could not record reclaim metric:`, metricErr);
+	}
+}
+
+/**
+ * Reaper: put rows whose lease expired back to pending (claimed_by cleared, reclaim_count + 1) and re-send them to
+ * JOBS_QUEUE. Rows claimed before leases existed fall back to updated_at. A row reclaimed MAX_LEASE_RECLAIMS times
+ * is failed instead, which hands it to the 12-hour refund.
+ * @returns {Promise<{reclaimed: number, failed: number}>}
+ */
+export async function reclaimExpiredLeases(env, limit = 100) {
+	const now = Math.floor(Date.now() / 1000);
+	const expired = `status = 'processing' AND COALESCE(lease_expires_at, updated_at + ${QUEUE_LEASE_SECONDS}) < ?`;
+
+	const failedRes = await env.DB.prepare(
+		`UPDATE subscription_queue
+     SET status = 'failed', claimed_by = NULL, lease_expires_at = NULL, reclaim_count = COALESCE(reclaim_count, 0) + 1,
+         error_message = 'Lease expired ' || (COALESCE(reclaim_count, 0) + 1) || ' times', updated_at = ?
+     WHERE ${expired} AND COALESCE(reclaim_count, 0) + 1 >= ?`
+	)
+		.bind(now, now, MAX_LEASE_RECLAIMS)
+		.run();
+
+	const { results } = await env.DB.prepare(
+		`UPDATE subscription_queue
+     SET status = 'pending', claimed_by = NULL, lease_expires_at = NULL, reclaim_count = COALESCE(reclaim_count, 0) + 1,
+         next_retry_at = NULL, updated_at = ?
+     WHERE queue_id IN (SELECT queue_id FROM subscription_queue WHERE ${expired} LIMIT ?)
+     RETURNING queue_id`
+	)
+		.bind(now, now, limit)
+		.all();
+
+	const reclaimed = results?.length || 0;
+	const failed = failedRes.meta?.changes || 0;
+	for (const { queue_id } of results || []) {
+		await sendJob(env, JOB_TYPES.subscription, queue_id);
+	}
+	if (reclaimed > 0 || failed > 0) {
+		console.warn(
+			`[QUEUE] 🔄 Reclaimed ${reclaimed} queue item(s) with expired leases, failed ${failed} after ${MAX_LEASE_RECLAIMS} reclaims`
+		);
+	}
+	recordReclaimMetric(env, reclaimed, failed);
+	return { reclaimed, failed };
+}
+
+/**
+ * Process a single subscription from the queue
+ */
+export async function processQueueItem(env, queueItem) {
+	if (queueItem.license_keys) {
+		return processQuantityQueueItem(env, queueItem);
+	}
+
+	const { queue_id, customer_id, user_email, payment_intent_id, price_id, license_key: originalLicenseKey, trial_end } = queueItem;
+
+	// STEP: Replace temporary license key with real unique key if needed
+	let license_key = originalLicenseKey;
+	if (isTemporaryLicenseKey(originalLicenseKey)) {
+		console.log(`[USE CASE 3 - QUEUE] 🔄 Replacing temporary license key "${originalLicenseKey}" with real unique key...`);
+		license_key = await generateUniqueLicenseKey(env);
+		console.log(`[USE CASE 3 - QUEUE] ✅ Replaced temporary key "${originalLicenseKey}" with real key "${license_key}"`);
+
+		// Update the queue item with the real license key
+		try {
+			const timestamp = Math.floor(Date.now() / 1000);
+			await env.DB.prepare(`UPDATE subscription_queue SET license_key = ?, updated_at = ? WHERE queue_id = ?`)
+				.bind(license_key, timestamp, queue_id)
+				.run();
+			console.log(`[USE CASE 3 - QUEUE] ✅ Updated queue item with real license key`);
+		} catch (updateErr) {
+			console.warn(`[USE CASE 3 - QUEUE] ⚠️ Could not update queue item with real license key:`, updateErr);
+			// Continue anyway - we'll use the real key for subscription creation
+		}
+	}
+
+	console.log(`[USE CASE 3 - QUEUE] 🔍 Processing queue item for license: ${license_key}`);
+	console.log(`[USE CASE 3 - QUEUE] 📋 Queue Details:`, {
+		queue_id,
+		customer_id,
+		user_email,
+		payment_intent_id,
+		price_id,
+		license_key,
+		original_license_key: originalLicenseKey !== license_key ? originalLicenseKey : null,
+		trial_end: trial_end ? new Date(trial_end * 1000).toISOString() : null,
+	});
+
+	try {
+		// CRITICAL: Check if subscription already exists for this license (may have been created immediately)
+		// Also check if another queue item for this license_key has already been processed
+		// This prevents race conditions when multiple queue items exist for the same license_key
+		let existingSubscriptionId = null;
+		let existingItemId = null;
+		try {
+			// First check: Look for existing license with subscription in licenses table
+			const existingLicense = await env.DB.prepare(
+				`SELECT subscription_id, item_id FROM licenses WHERE license_key = ? AND subscription_id IS NOT NULL LIMIT 1`
+			)
+				.bind(license_key)
+				.first();
+
+			if (existingLicense && existingLicense.subscription_id) {
+				existingSubscriptionId = existingLicense.subscription_id;
+				existingItemId = existingLicense.item_id || null;
+				console.log(`[USE CASE 3 - QUEUE] ✅ Subscription already exists for license ${license_key}: ${existingSubscriptionId}`);
+			} else {
+				// Second check: Look for completed queue items for this license_key (to catch race conditions)
+				const completedQueueItem = await env.DB.prepare(
+					`SELECT subscription_id, item_id FROM subscription_queue 
+           WHERE license_key = ? AND status = 'completed' AND subscription_id IS NOT NULL
+           ORDER BY processed_at DESC LIMIT 1`
+				)
+					.bind(license_key)
+					.first();
+
+				if (completedQueueItem && completedQueueItem.subscription_id) {
+					existingSubscriptionId = completedQueueItem.subscription_id;
+					existingItemId = completedQueueItem.item_id || null;
+					console.log(
+						`[USE CASE 3 - QUEUE] ✅ Another queue item for license ${license_key} already completed with subscription: ${existingSubscriptionId}`
+					);
+				} else {
+					console.log(`[USE CASE 3 - QUEUE] ℹ️ No existing subscription found for license ${license_key}, creating new one`);
+				}
+			}
+		} catch (checkErr) {
+			console.warn(`[USE CASE 3 - QUEUE] ⚠️ Could not check for existing subscription:`, checkErr);
+		}
+
+		// If subscription already exists, mark queue item as completed and return
+		if (existingSubscriptionId) {
+			if (!(await completeQueueItem(env, queueItem, existingSubscriptionId, existingItemId))) {
+				return leaseLost(queueItem);
+			}
+
+			console.log(`[USE CASE 3 - QUEUE] ✅ Queue item ${queue_id} marked as completed (subscription already existed)`);
+			return { success: true, subscriptionId: existingSubscriptionId, itemId: existingItemId, skipped: true };
+		}
+
+		// CRITICAL: Final duplicate check right before creating subscription
+		// Double-check that no subscription was created while we were processing
+		// This is a last line of defense against race conditions
+		try {
+			const finalCheck = await env.DB.prepare(
+				`SELECT subscription_id, item_id FROM licenses WHERE license_key = ? AND subscription_id IS NOT NULL LIMIT 1`
+			)
+				.bind(license_key)
+				.first();
+
+			if (finalCheck && finalCheck.subscription_id) {
+				console.log(
+					`[USE CASE 3 - QUEUE] ⚠️ Subscription was created for license ${license_key} while processing (race condition detected): ${finalCheck.subscription_id}`
+				);
+				// Mark queue item as completed with existing subscription
+				if (!(await completeQueueItem(env, queueItem, finalCheck.subscription_id, finalCheck.item_id || null))) {
+					return leaseLost(queueItem);
+				}
+
+				return {
+					success: true,
+					subscriptionId: finalCheck.subscription_id,
+					itemId: finalCheck.item_id || null,
+					skipped: true,
+					reason: 'duplicate_detected',
+				};
+			}
+		} catch (finalCheckErr) {
+			console.warn(`[USE CASE 3 - QUEUE] ⚠️ Final duplicate check failed (continuing anyway):`, finalCheckErr);
+		}
+
+		// Create subscription
+		console.log(`[USE CASE 3 - QUEUE] 🚀 Creating individual subscription for license ${license_key}...`);
+		const createSubRes = await stripeFetch(
+			env,
+			'/subscriptions',
+			'POST',
+			{
+				customer: customer_id,
+				'items[0][price]': price_id,
+				'items[0][quantity]': 1,
+				'metadata[license_key]': license_key,
+				'metadata[usecase]': '3',
+				'metadata[purchase_type]': 'quantity',
+				proration_behavior: 'none',
+				collection_method: 'charge_automatically',
+				trial_end: trial_end ? trial_end.toString() : undefined,
+			},
+			true,
+			// Same key until an attempt fails: a run that lost its lease mid-call gets Stripe's stored result back
+			{ idempotencyKey: `uc3-${queue_id}-${queueItem.attempts || 0}` }
+		);
+
+		if (createSubRes.status === 200) {
+			const subscription = createSubRes.body;
+			const subscriptionId = subscription.id;
+			const itemId = subscription.items?.data?.[0]?.id || null;
+
+			console.log(`[USE CASE 3 - QUEUE] ✅ Individual subscription created successfully!`);
+			console.log(`[USE CASE 3 - QUEUE] 📊 Subscription Details:`, {
+				license_key,
+				subscription_id: subscriptionId,
+				item_id: itemId,
+				customer_id,
+				status: subscription.status,
+				current_period_start: subscription.current_period_start ? new Date(subscription.current_period_start * 1000).toISOString() : null,
+				current_period_end: subscription.current_period_end ? new Date(subscription.current_period_end * 1000).toISOString() : null,
+				trial_end: subscription.trial_end ? new Date(subscription.trial_end * 1000).toISOString() : null,
+			});
+
+			const timestamp = Math.floor(Date.now() / 1000);
+
+			// Fetch billing_period and renewal_date from Stripe subscription
+			let billingPeriod = null;
+			// Stripe automatically calculates current_period_end correctly:
+			// - If trial_end exists: current_period_end = trial_end + billing_interval
+			// - If no trial: current_period_end = now + billing_interval
+			// So we can use current_period_end directly - it's already the correct renewal date
+			let renewalDate = subscription.current_period_end || null;
+
+			// Get billing period from subscription items
+			if (subscription.items && subscription.items.data && subscription.items.data.length > 0) {
+				const firstItem = subscription.items.data[0];
+				if (firstItem.price && firstItem.price.recurring) {
+					const interval = firstItem.price.recurring.interval;
+					if (interval === 'month') {
+						billingPeriod = 'monthly';
+					} else if (interval === 'year') {
+						billingPeriod = 'yearly';
+					} else if (interval === 'week') {
+						billingPeriod = 'weekly';
+					} else if (interval === 'day') {
+						billingPeriod = 'daily';
+					} else {
+						billingPeriod = interval;
+					}
+
+					// Stripe sets current_period_end = billing_cycle_anchor + billing_interval
+					// When trial_end is set, billing_cycle_anchor = trial_end
+					// So current_period_end = trial_end + billing_interval (already correct!)
+					// No need to calculate manually - use Stripe's value directly
+				}
+			}
+
+			// CRITICAL: Save license and subscription records FIRST before marking as completed
+			// If database save fails, we should retry, not mark as completed
+			let licenseSaved = false;
+			let subscriptionSaved = false;
+
+			// Save license to database (for dashboard display)
+			try {
+				const insertResult = await env.DB.prepare(
+					`INSERT INTO licenses 
+           (license_key, customer_id, subscription_id, item_id, site_domain, used_site_domain, status, purchase_type, billing_period, renewal_date, created_at, updated_at,user_email)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+				)
+					.bind(
+						license_key,
+						customer_id,
+						subscriptionId,
+						itemId || null,
+						null,
+						null,
+						'active',
+						'quantity',
+						billingPeriod,
+						renewalDate,
+						timestamp,
+						timestamp,
+						user_email
+					)
+					.run();
+
+				if (insertResult.success) {
+					licenseSaved = true;
+					console.log(`[USE CASE 3 - QUEUE] ✅ License saved to database:`, {
+						license_key,
+						subscription_id: subscriptionId,
+						item_id: itemId,
+						customer_id,
+						purchase_type: 'quantity',
+						billing_period: billingPeriod,
+						renewal_date: renewalDate ? new Date(renewalDate * 1000).toISOString() : null,
+						created_at: new Date(timestamp * 1000).toISOString(),
+						user_email: user_email
+					});
+
+					// Verify the license was saved correctly
+					const verifyLicense = await env.DB.prepare(
+						`SELECT license_key, subscription_id, item_id, customer_id, purchase_type, billing_period, renewal_date 
+             FROM licenses WHERE license_key = ? LIMIT 1`
+					)
+						.bind(license_key)
+						.first();
+
+					if (verifyLicense) {
+						console.log(`[USE CASE 3 - QUEUE] ✅ Verified license in database:`, {
+							license_key: verifyLicense.license_key,
+							subscription_id: verifyLicense.subscription_id,
+							item_id: verifyLicense.item_id,
+							customer_id: verifyLicense.customer_id,
+							purchase_type: verifyLicense.purchase_type,
+							billing_period: verifyLicense.billing_period,
+							renewal_date: verifyLicense.renewal_date ? new Date(verifyLicense.renewal_date * 1000).toISOString() : null,
+						});
+					} else {
+						console.error(`[USE CASE 3 - QUEUE] ❌ License verification failed - license not found in database after insert!`);
+					}
+				} else {
+					console.error(`[USE CASE 3 - QUEUE] ❌ Database insert returned success=false for license ${license_key}`);
+					throw new Error(`Database insert failed for license ${license_key}`);
+				}
+			} catch (licenseErr) {
+				if (licenseErr.message && licenseErr.message.includes('UNIQUE constraint')) {
+					console.warn(`[USE CASE 3 - QUEUE] ⚠️ License ${license_key} already exists in database, skipping`);
+					licenseSaved = true; // Already exists, consider it saved
+				} else {
+					console.error(`[USE CASE 3 - QUEUE] ❌ Error saving license ${license_key}:`, licenseErr);
+					// If license save fails, throw error to trigger retry
+					throw new Error(`Failed to save license to database: ${licenseErr.message || String(licenseErr)}`);
+				}
+			}
+
+			// Save subscription record to subscriptions table (for dashboard)
+			console.log(`[USE CASE 3 - QUEUE] 💾 Saving subscription record to subscriptions table...`);
+			try {
+				const subInsertResult = await env.DB.prepare(
+					`INSERT OR REPLACE INTO subscriptions 
+           (user_email, customer_id, subscription_id, status, cancel_at_period_end, cancel_at, 
+            current_period_start, current_period_end, billing_period, created_at, updated_at) 
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+				)
+					.bind(
+						user_email,
+						customer_id,
+						subscriptionId,
+						subscription.status || 'active',
+						0, // cancel_at_period_end
+						null, // cancel_at
+						subscription.current_period_start || null,
+						subscription.current_period_end || null,
+						billingPeriod, // billing_period from Stripe subscription
+						timestamp,
+						timestamp
+					)
+					.run();
+
+				if (subInsertResult.success) {
+					subscriptionSaved = true;
+					console.log(`[USE CASE 3 - QUEUE] ✅ Subscription record saved to database:`, {
+						subscription_id: subscriptionId,
+						customer_id,
+						user_email,
+						status: subscription.status || 'active',
+						billing_period: billingPeriod,
+						current_period_start: subscription.current_period_start
+							? new Date(subscription.current_period_start * 1000).toISOString()
+							: null,
+						current_period_end: subscription.current_period_end ? new Date(subscription.current_period_end * 1000).toISOString() : null,
+					});
+
+					// Verify the subscription was saved correctly
+					const verifySub = await env.DB.prepare(
+						`SELECT subscription_id, customer_id, user_email, status, billing_period, current_period_end 
+             FROM subscriptions WHERE subscription_id = ? LIMIT 1`
+					)
+						.bind(subscriptionId)
+						.first();
+
+					if (verifySub) {
+						console.log(`[USE CASE 3 - QUEUE] ✅ Verified subscription in database:`, {
+							subscription_id: verifySub.subscription_id,
+							customer_id: verifySub.customer_id,
+							user_email: verifySub.user_email,
+							status: verifySub.status,
+							billing_period: verifySub.billing_period,
+							current_period_end: verifySub.current_period_end ? new Date(verifySub.current_period_end * 1000).toISOString() : null,
+						});
+					} else {
+						console.error(`[USE CASE 3 - QUEUE] ❌ Subscription verification failed - subscription not found in database after insert!`);
+					}
+				} else {
+					console.error(`[USE CASE 3 - QUEUE] ❌ Subscription record insert returned success=false`);
+					throw new Error(`Subscription record insert failed`);
+				}
+			} catch (subErr) {
+				console.error(`[USE CASE 3 - QUEUE] ❌ Error saving subscription record:`, subErr);
+				// If subscription record save fails, throw error to trigger retry
+				throw new Error(`Failed to save subscription record to database: ${subErr.message || String(subErr)}`);
+			}
+
+			// Only mark as completed AFTER all critical database operations succeed
+			if (licenseSaved && subscriptionSaved) {
+				if (!(await completeQueueItem(env, queueItem, subscriptionId, itemId))) {
+					return leaseLost(queueItem);
+				}
+
+				console.log(`[USE CASE 3 - QUEUE] ✅ Queue item ${queue_id} marked as completed`);
+				console.log(`[USE CASE 3 - QUEUE] 📊 Final Summary for License ${license_key}:`, {
+					license_key,
+					subscription_id: subscriptionId,
+					item_id: itemId,
+					customer_id,
+					user_email,
+					billing_period: billingPeriod,
+					renewal_date: renewalDate ? new Date(renewalDate * 1000).toISOString() : null,
+					queue_status: 'completed',
+					processed_at: new Date(timestamp * 1000).toISOString(),
+				});
+
+				// Verify one-to-one relationship: Each license has exactly one subscription
+				const verifyRelationship = await env.DB.prepare(
+					`SELECT l.license_key, l.subscription_id, l.item_id, s.subscription_id as sub_id, s.status as sub_status
+           FROM licenses l
+           LEFT JOIN subscriptions s ON l.subscription_id = s.subscription_id
+           WHERE l.license_key = ? LIMIT 1`
+				)
+					.bind(license_key)
+					.first();
+
+				if (verifyRelationship && verifyRelationship.subscription_id === verifyRelationship.sub_id) {
+					console.log(
+						`[USE CASE 3 - QUEUE] ✅ Verified one-to-one relationship: License ${license_key} → Subscription ${verifyRelationship.subscription_id}`
+					);
+				} else {
+					console.error(`[USE CASE 3 - QUEUE] ❌ Relationship verification failed! License ${license_key} subscription mismatch.`);
+				}
+
+				// Save to KV storage (for license key purchase - queue processing)
+				try {
+					console.log(`[USE CASE 3 - QUEUE] 💾 Saving license key to KV storage: ${license_key}`);
+					await saveLicenseKeyToKV(
+						env,
+						license_key,
+						customer_id,
+						subscriptionId,
+						user_email,
+						'complete', // License keys start as complete/active
+						false, // cancelAtPeriodEnd (will be updated when subscription status changes)
+						null // No site name yet (not activated)
+					);
+				} catch (kvErr) {
+					console.error(`[USE CASE 3 - QUEUE] ⚠️ Error saving license key to KV storage (non-blocking):`, kvErr);
+					// Don't fail the whole operation if KV save fails
+				}
+			} else {
+				throw new Error('License or subscription record was not saved successfully');
+			}
+
+			// Save payment record (for dashboard payment history)
+			// OPTIMIZATION: Make payment record saving non-blocking to prevent timeouts
+			// Use a separate async operation that doesn't block the main flow
+			(async () => {
+				try {
+					// Get price amount for payment record
+					let amountPerSubscription = 0;
+					let currency = 'usd';
+					try {
+						const priceRes = await stripeFetch(env, `/prices/${price_id}`);
+						if (priceRes.status === 200) {
+							amountPerSubscription = priceRes.body.unit_amount || 0;
+							currency = priceRes.body.currency || 'usd';
+						}
+					} catch (priceErr) {
+						console.warn(`[QUEUE] ⚠️ Could not fetch price for payment record:`, priceErr);
+					}
+
+					await env.DB.prepare(
+						`INSERT INTO payments (
+              customer_id, subscription_id, email, amount, currency, 
+              status, site_domain, magic_link, magic_link_generated, 
+              created_at, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+					)
+						.bind(
+							customer_id,
+							subscriptionId,
+							user_email,
+							amountPerSubscription,
+							currency,
+							'succeeded',
+							null, // site_domain (null for quantity purchases)
+							null, // magic_link
+							0, // magic_link_generated
+							timestamp,
+							timestamp
+						)
+						.run();
+				} catch (paymentErr) {
+					console.error(`[QUEUE] ⚠️ Error saving payment record (non-blocking):`, paymentErr);
+					// Don't fail the whole operation if payment record save fails
+				}
+			})(); // Fire and forget - don't await to prevent timeout
+
+			return { success: true, subscriptionId, itemId };
+		} else {
+			throw new Error(`Subscription creation failed: ${createSubRes.status} - ${JSON.stringify(createSubRes.body)}`);
+		}
+	} catch (error) {
+		return markQueueItemFailed(env, queueItem, error);
+	}
+}
+
+/**
+ * Quantity mode: map every key of a purchase onto the customer's shared subscription item in one go
+ */
+async function processQuantityQueueItem(env, queueItem) {
+	const { queue_id, customer_id, user_email, payment_intent_id, price_id, trial_end } = queueItem;
+
+	try {
+		let licenseKeys = JSON.parse(queueItem.license_keys);
+
+		// Real keys are stored on the row before Stripe is called so a retry maps the same keys
+		const tempCount = licenseKeys.filter(isTemporaryLicenseKey).length;
+		if (tempCount > 0) {
+			const realKeys = await generateLicenseKeys(tempCount, env);
+			licenseKeys = licenseKeys.map((key) => (isTemporaryLicenseKey(key) ? realKeys.shift() : key));
+			await env.DB.prepare(`UPDATE subscription_queue SET license_keys = ?, updated_at = ? WHERE queue_id = ?`)
+				.bind(JSON.stringify(licenseKeys), Math.floor(Date.now() / 1000), queue_id)
+				.run();
+			console.log(`[USE CASE 3 - QUEUE] ✅ Replaced ${tempCount} temporary key(s) for batch ${queue_id}`);
+		}
+
+		const result = await addLicensesToQuantitySubscription(env, {
+			customerId: customer_id,
+			userEmail: user_email,
+			priceId: price_id,
+			licenseKeys,
+			trialEnd: trial_end,
+			prorationBehavior: 'none', // paid at checkout
+			idempotencyKey: `uc3-${queue_id}`,
+		});
+
+		if (!(await completeQueueItem(env, queueItem, result.subscriptionId, result.itemId))) {
+			return leaseLost(queueItem);
+		}
+		const timestamp = Math.floor(Date.now() / 1000);
+
+		// One payment row for the whole purchase
+		try {
+			const piRes = await stripeFetch(env, `/payment_intents/${payment_intent_id}`);
+			if (piRes.status === 200) {
+				await env.DB.prepare(
+					`INSERT INTO payments (customer_id, subscription_id, email, amount, currency, status, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, 'succeeded', ?, ?)`
+				)
+					.bind(customer_id, result.subscriptionId, user_email, piRes.body.amount || 0, piRes.body.currency || 'usd', timestamp, timestamp)
+					.run();
+			}
+		} catch (paymentErr) {
+			console.error(`[QUEUE] ⚠️ Error saving payment record (non-blocking):`, paymentErr);
+		}
+
+		console.log(
+			`[USE CASE 3 - QUEUE] ✅ Batch ${queue_id}: ${licenseKeys.length} license(s) on ${result.subscriptionId} (quantity ${result.quantity})`
+		);
+		return { success: true, subscriptionId: result.subscriptionId, itemId: result.itemId, quantity: result.quantity };
+	} catch (error) {
+		return markQueueItemFailed(env, queueItem, error);
+	}
+}
+
+// Record a failed attempt and schedule the retry (exponential backoff) or give up
+async function markQueueItemFailed(env, queueItem, error) {
+	const { queue_id, license_key, customer_id, payment_intent_id } = queueItem;
+
+	const attempts = (queueItem.attempts || 0) + 1;
+	const maxAttempts = queueItem.max_attempts || 3;
+	const nextRetryAt =
+		attempts < maxAttempts
+			? Math.floor(Date.now() / 1000) + Math.pow(2, attempts) * 60 // Exponential backoff: 2min, 4min, 8min
+			: null;
+	const status = attempts >= maxAttempts ? 'failed' : 'pending';
+
+	// Only the holder of a live lease records the attempt - a worker whose lease expired or was reclaimed leaves the row alone
+	const timestamp = Math.floor(Date.now() / 1000);
+	const updateResult = await env.DB.prepare(
+		`UPDATE subscription_queue 
+       SET status = ?, attempts = ?, error_message = ?, next_retry_at = ?, claimed_by = NULL, lease_expires_at = NULL, updated_at = ?
+       WHERE queue_id = ? AND claimed_by = ? AND lease_expires_at > ?`
+	)
+		.bind(status, attempts, error.message || String(error), nextRetryAt, timestamp, queue_id, queueItem.claimed_by || null, timestamp)
+		.run();
+	if (updateResult.meta.changes === 0) {
+		console.warn(`[QUEUE] ⚠️ Lease on ${queue_id} was lost before recording the failure; the current holder owns the row`);
+		return { success: false, error: error.message, attempts: queueItem.attempts || 0, leaseLost: true };
+	}
+
+	console.error(`[QUEUE] ❌ Failed to process queue item ${queue_id} (attempt ${attempts}/${maxAttempts}):`, error);
+
+	if (attempts >= maxAttempts) {
+		console.error(
+			`[QUEUE] 🚨 Queue item ${queue_id} has exceeded max attempts (${maxAttempts}). Marking as failed - refund will be processed after 12 hours if still incomplete.`
+		);
+		console.error(`[QUEUE] 🚨 License: ${license_key}, Customer: ${customer_id}, Payment Intent: ${payment_intent_id}`);
+
+		// Don't refund immediately - refund will be processed by scheduled job after 12 hours
+		// This gives the system time to retry and allows for manual intervention if needed
+	}
+
+	return { success: false, error: error.message, attempts };
+}
+
+/**
+ * Process refund for a permanently failed queue item
+ */
+export async function processRefundForFailedQueueItem(env, queueItem) {
+	const { queue_id, payment_intent_id, price_id, license_key } = queueItem;
+
+	try {
+		// Get payment intent to find charge ID
+		const piRes = await stripeFetch(env, `/payment_intents/${payment_intent_id}`);
+		if (piRes.status !== 200) {
+			console.error(`[QUEUE] ❌ Could not fetch payment intent ${payment_intent_id} for refund`);
+			return { success: false, error: 'payment_intent_not_found' };
+		}
+
+		const paymentIntent = piRes.body;
+
+		// Get charge ID from payment intent
+		let chargeId = null;
+		if (paymentIntent.latest_charge) {
+			chargeId = typeof paymentIntent.latest_charge === 'string' ? paymentIntent.latest_charge : paymentIntent.latest_charge.id;
+		} else if (paymentIntent.charges?.data?.length > 0) {
+			chargeId = paymentIntent.charges.data[0].id;
+		}
+
+		if (!chargeId) {
+			console.error(`[QUEUE] ❌ Could not find charge ID for refund. Payment Intent: ${payment_intent_id}`);
+			return { success: false, error: 'charge_not_found' };
+		}
+
+		// Get price details to calculate refund amount (a quantity-mode batch row covers all of its keys)
+		let refundAmount = 0;
+		let currency = 'usd';
+		const units = queueItem.license_keys ? queueItem.quantity || 1 : 1;
+
+		try {
+			const priceRes = await stripeFetch(env, `/prices/${price_id}`);
+			if (priceRes.status === 200) {
+				const price = priceRes.body;
+				refundAmount = (price.unit_amount || 0) * units;
+				currency = price.currency || 'usd';
+			} else {
+				// Fallback: Use payment intent amount divided by quantity
+				// We need to get the total quantity from the payment intent metadata
+				const quantity = parseInt(paymentIntent.metadata?.quantity) || 1;
+				if (paymentIntent.amount && quantity > 0) {
+					refundAmount = Math.round(paymentIntent.amount / quantity) * units;
+					currency = paymentIntent.currency || 'usd';
+				}
+			}
+		} catch (priceErr) {
+			console.warn(`[QUEUE] ⚠️ Could not get price for refund calculation:`, priceErr);
+			// Fallback: Use payment intent amount divided by quantity
+			const quantity = parseInt(paymentIntent.metadata?.quantity) || 1;
+			if (paymentIntent.amount && quantity > 0) {
+				refundAmount = Math.round(paymentIntent.amount / quantity) * units;
+				currency = paymentIntent.currency || 'usd';
+			}
+		}
+
+		if (refundAmount > 0) {
+			// Create refund
+			const refundRes = await stripeFetch(
+				env,
+				'/refunds',
+				'POST',
+				{
+					charge: chargeId,
+					amount: refundAmount,
+					'metadata[reason]': 'subscription_creation_failed_after_retries',
+					'metadata[queue_id]': queue_id,
+					'metadata[license_key]': license_key,
+					'metadata[payment_intent_id]': payment_intent_id,
+					'metadata[attempts]': queueItem.attempts?.toString() || '3',
+				},
+				true
+			);
+
+			if (refundRes.status === 200) {
+				const refund = refundRes.body;
+
+				const timestamp = Math.floor(Date.now() / 1000);
+
+				// Save refund record to database
+				try {
+					await env.DB.prepare(
+						`INSERT INTO refunds (
+              refund_id, payment_intent_id, charge_id, customer_id, user_email,
+              amount, currency, status, reason, queue_id, license_key,
+              subscription_id, attempts, metadata, created_at, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+					)
+						.bind(
+							refund.id,
+							payment_intent_id,
+							chargeId,
+							queueItem.customer_id,
+							queueItem.user_email || null,
+							refundAmount,
+							currency,
+							refund.status || 'succeeded',
+							'subscription_creation_failed_after_retries',
+							queue_id,
+							license_key,
+							null, // subscription_id (not created)
+							queueItem.attempts || 3,
+							JSON.stringify({
+								reason: 'subscription_creation_failed_after_retries',
+								queue_id: queue_id,
+								license_key: license_key,
+								payment_intent_id: payment_intent_id,
+								attempts: queueItem.attempts || 3,
+							}),
+							timestamp,
+							timestamp
+						)
+						.run();
+				} catch (refundDbErr) {
+					if (refundDbErr.message && refundDbErr.message.includes('UNIQUE constraint')) {
+						console.warn(`[QUEUE] ⚠️ Refund ${refund.id} already exists in database, skipping`);
+					} else {
+						console.error(`[QUEUE] ⚠️ Error saving refund record:`, refundDbErr);
+						// Don't fail the whole operation if refund record save fails
+					}
+				}
+
+				// Update queue item with refund information
+				await env.DB.prepare(
+					`UPDATE subscription_queue 
+           SET error_message = ?, updated_at = ?
+           WHERE queue_id = ?`
+				)
+					.bind(
+						`${queueItem.error_message || 'Subscription creation failed'} | REFUNDED: ${refund.id} (${refundAmount} ${currency})`,
+						timestamp,
+						queue_id
+					)
+					.run();
+
+				return { success: true, refundId: refund.id, amount: refundAmount, currency };
+			} else {
+				console.error(`[QUEUE] ❌ Failed to create refund:`, refundRes.status, refundRes.body);
+				return { success: false, error: 'refund_creation_failed', details: refundRes.body };
+			}
+		} else {
+			console.warn(`[QUEUE] ⚠️ Refund amount is 0, skipping refund creation`);
+			return { success: false, error: 'zero_refund_amount' };
+		}
+	} catch (refundErr) {
+		console.error(`[QUEUE] ❌ Error processing refund for queue item ${queue_id}:`, refundErr);
+		return { success: false, error: refundErr.message || String(refundErr) };
+	}
+}
+
+/**
+ * Process refunds for failed queue items that are older than 12 hours
+ * Only refunds items that have exhausted all retry attempts and are still failed
+ */
+export async function processRefundsForOldFailedItems(env, limit = 50) {
+	const timestamp = Math.floor(Date.now() / 1000);
+	const twelveHoursAgo = timestamp - 12 * 60 * 60; // 12 hours in seconds
+
+	try {
+		// Get failed items that are older than 12 hours and haven't been refunded yet
+		const failedItems = await env.DB.prepare(
+			`SELECT * FROM subscription_queue 
+       WHERE status = 'failed' 
+       AND created_at <= ?
+       AND error_message NOT LIKE '%REFUNDED:%'
+       ORDER BY created_at ASC
+       LIMIT ?`
+		)
+			.bind(twelveHoursAgo, limit)
+			.all();
+
+		if (failedItems.results.length === 0) {
+			return { processed: 0, refunded: 0, message: 'No old failed items to refund' };
+		}
+
+		let refundedCount = 0;
+		let errorCount = 0;
+
+		for (const item of failedItems.results) {
+			try {
+				const refundResult = await processRefundForFailedQueueItem(env, item);
+				if (refundResult.success) {
+					refundedCount++;
+				} else {
+					errorCount++;
+					console.error(`[REFUND] ❌ Failed to refund queue item ${item.queue_id}: ${refundResult.error}`);
+				}
+			} catch (refundErr) {
+				errorCount++;
+				console.error(`[REFUND] ❌ Error processing refund for queue item ${item.queue_id}:`, refundErr);
+			}
+
+			// Small delay between refunds to respect rate limits
+			await new Promise((resolve) => setTimeout(resolve, 200));
+		}
+
+		return { processed: failedItems.results.length, refunded: refundedCount, errors: errorCount };
+	} catch (error) {
+		console.error(`[REFUND] ❌ Error processing refunds for old failed items:`, error);
+		return { processed: 0, refunded: 0, error: error.message };
+	}
+}
+
+/**
+ * Process pending queue items
+ * Can be called via endpoint or scheduled worker
+ */
+export async function processSubscriptionQueue(env, limit = 100) {
+	const timestamp = Math.floor(Date.now() / 1000);
+	const workerId = createQueueWorkerId('cron');
+
+	try {
+		// First, put back items whose lease expired (worker crashed or timed out while processing)
+		try {
+			await reclaimExpiredLeases(env);
+		} catch (reclaimErr) {
+			console.warn(`[QUEUE] ⚠️ Could not reclaim expired leases:`, reclaimErr);
+		}
+
+		// Get pending items that are ready to process (next_retry_at is null or in the past)
+		const queueItems = await env.DB.prepare(
+			`SELECT * FROM subscription_queue 
+       WHERE status = 'pending' 
+       AND (next_retry_at IS NULL OR next_retry_at <= ?)
+       ORDER BY created_at ASC
+       LIMIT ?`
+		)
+			.bind(timestamp, limit)
+			.all();
+
+		if (queueItems.results.length === 0) {
+			return { processed: 0, message: 'No pending queue items' };
+		}
+
+		console.log(`[QUEUE] 📋 Processing ${queueItems.results.length} queue items...`);
+
+		let successCount = 0;
+		let failCount = 0;
+		let skippedCount = 0;
+
+		for (const item of queueItems.results) {
+			// CRITICAL: Lease-based claim - the conditional UPDATE only succeeds while the row is still 'pending',
+			// so overlapping runs cannot both process it
+			const claimed = await claimQueueItem(env, item.queue_id, workerId);
+			if (!claimed) {
+				console.log(
+					`[QUEUE] ⚠️ Could not claim queue item ${item.queue_id} - already being processed by another worker or status changed`
+				);
+				skippedCount++;
+				continue;
+			}
+
+			// Claim acquired - proceed with processing
+			const result = await processQueueItem(env, claimed);
+			if (result.success) {
+				successCount++;
+				console.log(`[QUEUE] ✅ Successfully processed queue item ${item.queue_id} for license ${item.license_key}`);
+			} else {
+				failCount++;
+				console.error(`[QUEUE] ❌ Failed to process queue item ${item.queue_id} for license ${item.license_key}: ${result.error}`);
+			}
+
+			// Small delay between processing to respect rate limits
+			await new Promise((resolve) => setTimeout(resolve, 100));
+		}
+
+		if (skippedCount > 0) {
+			console.log(`[QUEUE] ⚠️ Skipped ${skippedCount} queue items (lock already acquired by another process)`);
+		}
+
+		console.log(
+			`[QUEUE] ✅ Queue processing complete: ${successCount} succeeded, ${failCount} failed, ${skippedCount} skipped (lock conflict) out of ${queueItems.results.length} total`
+		);
+
+		return { processed: queueItems.results.length, successCount, failCount, skippedCount };
+	} catch (error) {
+		console.error(`[QUEUE] ❌ Error processing queue:`, error);
+		return { processed: 0, error: error.message };
+	}
+}
@@ -0,0 +1,192 @@
+/**
+ * Rate limiting and brute-force lockout for the license endpoints.
+ *
+ * Requests are counted in fixed windows per identifier (client IP, license key, email) and route. Routes with a
+ * `lockout` config also count failed attempts (e.g. unknown or foreign license keys on /activate-license) and
+ * lock the IP/license key out for a while once too many fail.
+ *
+ * Counters live in the RATE_LIMIT_KV namespace. Without that binding (tests, local dev) an in-memory store is
+ * used instead, which only limits within a single isolate. KV is eventually consistent, so limits are approximate
+ * across locations - good enough to stop enumeration, not an exact quota.
+ *
+ * Limits can be overridden per route with the RATE_LIMITS var (JSON), e.g.
+ *   {"activate-license": {"limits": {"ip": 10}, "lockout": {"maxFailures": 3}}}
+ */
+
+export const DEFAULT_RATE_LIMITS = {
+	'check-license-status': {
+		windowSeconds: 60,
+		limits: { ip: 60, email: 30 },
+	},
+	'activate-license': {
+		windowSeconds: 60,
+		limits: { ip: 20, license_key: 10, email: 20 },
+		// Unknown license key (404) or a key owned by someone else (403)
+		lockout: { failureStatuses: [403, 404], maxFailures: 5, windowSeconds: 15 * 60, durationSeconds: 15 * 60, keys: ['ip', 'license_key'] },
+	},
+	'license-token': {
+		windowSeconds: 60,
+		limits: { ip: 30, license_key: 10 },
+	},
+};
+
+// KV rejects expirationTtl below 60 seconds
+const MIN_KV_TTL = 60;
+
+export function createKvRateLimitStore(kv) {
+	return {
+		async get(key) {
+			return kv.get(key, 'json');
+		},
+		async put(key, value, ttlSeconds) {
+			await kv.put(key, JSON.stringify(value), { expirationTtl: Math.max(MIN_KV_TTL, Math.ceil(ttlSeconds)) });
+		},
+		async delete(key) {
+			await kv.delete(key);
+		},
+	};
+}
+
+export function createMemoryRateLimitStore() {
+	const entries = new Map();
+	return {
+		async get(key) {
+			const entry = entries.get(key);
+			if (!entry) return null;
+			if (entry.expiresAt <= Date.now()) {
+				entries.delete(key);
+				return null;
+			}
+			return entry.value;
+		},
+		async put(key, value, ttlSeconds) {
+			entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+		},
+		async delete(key) {
+			entries.delete(key);
+		},
+	};
+}
+
+let memoryStore = null;
+
+export function getRateLimitStore(env) {
+	if (env.RATE_LIMIT_KV) {
+		return createKvRateLimitStore(env.RATE_LIMIT_KV);
+	}
+	if (!memoryStore) {
+		console.warn('[rate-limit] ⚠️ RATE_LIMIT_KV not bound - using in-memory rate limiting (per isolate only)');
+		memoryStore = createMemoryRateLimitStore();
+	}
+	return memoryStore;
+}
+
+/**
+ * Rate limit config for a route, with any RATE_LIMITS overrides applied
+ */
+export function getRateLimitConfig(env, name) {
+	const defaults = DEFAULT_RATE_LIMITS[name];
+	if (!defaults) throw new Error(`Unknown rate limit: ${name}`);
+
+	let override = {};
+	if (env.RATE_LIMITS) {
+		try {
+			const all = typeof env.RATE_LIMITS === 'string' ? JSON.parse(env.RATE_LIMITS) : env.RATE_LIMITS;
+			override = all?.[name] || {};
+		} catch (error) {
+			console.error('[rate-limit] ❌ RATE_LIMITS is not valid JSON - using defaults');
+		}
+	}
+
+	return {
+		...defaults,
+		...override,
+		limits: { ...defaults.limits, ...(override.limits || {}) },
+		lockout: defaults.lockout || override.lockout ? { ...(defaults.lockout || {}), ...(override.lockout || {}) } : null,
+	};
+}
+
+/**
+ * Identifiers a request is limited by: client IP, plus license key and email when the request carries them
+ */
+export async function getRateLimitIdentifiers(request, url) {
+	const ids = { ip: request.headers.get('CF-Connecting-IP') || 'unknown' };
+
+	let body = {};
+	if (request.method === 'POST') {
+		body = await request
+			.clone()
+			.json()
+			.catch(() => ({}));
+	}
+	const licenseKey = body.license_key || url.searchParams.get('license_key');
+	const email = body.email || url.searchParams.get('email');
+
+	if (typeof licenseKey === 'string' && licenseKey.trim()) ids.license_key = licenseKey.trim().toUpperCase();
+	if (typeof email === 'string' && email.trim()) ids.email = email.trim().toLowerCase();
+	return ids;
+}
+
+/**
+ * Count one request against every configured limit
+ * @returns {Promise<{allowed: boolean, retryAfter?: number, limitedBy?: string}>}
+ */
+export async function consumeRateLimit(store, name, config, ids, now = Math.floor(Date.now() / 1000)) {
+	const windowStart = Math.floor(now / config.windowSeconds) * config.windowSeconds;
+	const retryAfter = windowStart + config.windowSeconds - now;
+
+	for (const [dimension, limit] of Object.entries(config.limits)) {
+		if (!ids[dimension] || !limit) continue;
+		const key = `rl:${name}:${dimension}:${ids[dimension]}:${windowStart}`;
+		const count = ((await store.get(key))?.count || 0) + 1;
+		await store.put(key, { count }, retryAfter);
+		if (count > limit) {
+			return { allowed: false, retryAfter: Math.max(1, retryAfter), limitedBy: dimension };
+		}
+	}
+	return { allowed: true };
+}
+
+/**
+ * Active lockout for any of the request's identifiers
+ * @returns {Promise<{locked: boolean, retryAfter?: number, lockedBy?: string}>}
+ */
+export async function getLockout(store, name, lockout, ids, now = Math.floor(Date.now() / 1000)) {
+	for (const dimension of lockout.keys) {
+		if (!ids[dimension]) continue;
+		const lock = await store.get(`rl-lock:${name}:${dimension}:${ids[dimension]}`);
+		if (lock && lock.until > now) {
+			return { locked: true, retryAfter: lock.until - now, lockedBy: dimension };
+		}
+	}
+	return { locked: false };
+}
+
+/**
+ * Record a failed attempt; locks the identifier out once maxFailures is reached within the window
+ */
+export async function recordFailedAttempt(store, name, lockout, ids, now = Math.floor(Date.now() / 1000)) {
+	for (const dimension of lockout.keys) {
+		if (!ids[dimension]) continue;
+		const failKey = `rl-fail:${name}:${dimension}:${ids[dimension]}`;
+		const existing = await store.get(failKey);
+		const failures = existing && existing.windowEndsAt > now ? existing : { count: 0, windowEndsAt: now + lockout.windowSeconds };
+		failures.count += 1;
+
+		if (failures.count >= lockout.maxFailures) {
+			const until = now + lockout.durationSeconds;
+			await store.put(`rl-lock:${name}:${dimension}:${ids[dimension]}`, { until }, lockout.durationSeconds);
+			await store.delete(failKey);
+			console.warn(`[rate-limit] 🔒 ${name}: locked ${dimension} ${ids[dimension]} for ${lockout.durationSeconds}s after ${failures.count} failures`);
+		} else {
+			await store.put(failKey, failures, failures.windowEndsAt - now);
+		}
+	}
+}
+
+// A successful attempt resets the failure count for its license key
+export async function clearFailedAttempts(store, name, ids) {
+	if (ids.license_key) {
+		await store.delete(`rl-fail:${name}:license_key:${ids.license_key}`);
+	}
+}
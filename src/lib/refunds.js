@@ -0,0 +1,579 @@
+/**
+ * Payment reversals: refunds and disputes (chargebacks) on a charge revoke what that payment bought.
+ * Purchases are traced back from the payment intent through the subscription queue (Use Case 3), the sites queue
+ * and payment metadata (Use Case 2) and the charge's invoice (subscription payments). Each reversal is recorded in
+ * the refunds table together with the licenses and sites it revoked, so a dispute that is won restores exactly those.
+ * Manual refunds (refundPayment, POST /admin/refunds) refund a payment or some of its license keys and revoke only those.
+ */
+import { stripeFetch, getInvoiceSubscriptionId } from './stripe.js';
+import { updateLicenseKvRecords } from './licenses.js';
+import { revokeQuantityLicense } from './quantity-subscriptions.js';
+
+const REVOCABLE_STATUSES = ['active', 'suspended'];
+const BILLABLE_STATUSES = ['active', 'past_due', 'suspended'];
+
+function refundError(status, code, message, details = null) {
+	return Object.assign(new Error(message), { status, code, details });
+}
+
+function parseList(value) {
+	if (!value) return [];
+	try {
+		const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+		return Array.isArray(parsed) ? parsed : [];
+	} catch {
+		return [];
+	}
+}
+
+function siteName(entry) {
+	const site = typeof entry === 'string' ? entry : entry?.site || entry?.site_domain || '';
+	return site.toLowerCase().trim();
+}
+
+async function allRows(env, sql, ...params) {
+	try {
+		const { results } = await env.DB.prepare(sql)
+			.bind(...params)
+			.all();
+		return results || [];
+	} catch (error) {
+		if (!error.message?.includes('no such table') && !error.message?.includes('no such column')) throw error;
+		return [];
+	}
+}
+
+// Disputes carry only the charge ID; the charge has the customer, invoice and metadata
+export async function getDisputeCharge(env, dispute) {
+	if (dispute.charge && typeof dispute.charge === 'object') return dispute.charge;
+	const chargeRes = await stripeFetch(env, `/charges/${dispute.charge}`);
+	if (chargeRes.status !== 200) {
+		console.warn(`[refunds] ⚠️ Could not fetch disputed charge ${dispute.charge}:`, chargeRes.status);
+		return { id: dispute.charge, payment_intent: dispute.payment_intent || null };
+	}
+	return chargeRes.body;
+}
+
+/**
+ * Find the subscriptions, license keys and site domains a payment paid for.
+ * @param {Object} charge - Stripe charge (payment_intent ID or object, invoice, customer, metadata)
+ * @returns {Promise<{customerId: string|null, subscriptionIds: string[], licenseKeys: string[], siteDomains: string[]}>}
+ */
+export async function findPaymentPurchases(env, charge) {
+	const paymentIntentId = typeof charge.payment_intent === 'string' ? charge.payment_intent : charge.payment_intent?.id || null;
+	const subscriptionIds = new Set();
+	const licenseKeys = new Set();
+	const siteDomains = new Set();
+	let metadata = { ...(charge.metadata || {}) };
+
+	if (paymentIntentId) {
+		// An expanded payment intent already carries its metadata
+		const piRes =
+			typeof charge.payment_intent === 'object'
+				? { status: 200, body: charge.payment_intent }
+				: await stripeFetch(env, `/payment_intents/${paymentIntentId}`);
+		if (piRes.status === 200) {
+			metadata = { ...metadata, ...(piRes.body.metadata || {}) };
+		} else {
+			console.warn(`[refunds] ⚠️ Could not fetch payment intent ${paymentIntentId}:`, piRes.status);
+		}
+
+		// Use Case 3: license purchases go through the subscription queue
+		for (const row of await allRows(
+			env,
+			'SELECT license_key, license_keys, subscription_id FROM subscription_queue WHERE payment_intent_id = ?',
+			paymentIntentId
+		)) {
+			if (row.license_key) licenseKeys.add(row.license_key);
+			parseList(row.license_keys).forEach((key) => licenseKeys.add(key));
+			// Quantity-mode items are shared by several purchases - only the keys are revoked, not the subscription
+			if (row.subscription_id && !row.license_keys) subscriptionIds.add(row.subscription_id);
+		}
+
+		// Use Case 2: queued site purchases
+		for (const row of await allRows(env, 'SELECT subscriptionid, sites_json FROM sitesqueue WHERE paymentintentid = ?', paymentIntentId)) {
+			if (row.subscriptionid) subscriptionIds.add(row.subscriptionid);
+			parseList(row.sites_json)
+				.map(siteName)
+				.filter(Boolean)
+				.forEach((site) => siteDomains.add(site));
+		}
+	}
+
+	parseList(metadata.license_keys).forEach((key) => licenseKeys.add(key));
+	parseList(metadata.sites_json || metadata.sites)
+		.map(siteName)
+		.filter(Boolean)
+		.forEach((site) => siteDomains.add(site));
+
+	// Subscription payments (Use Case 1 and renewals) are charged through an invoice
+	const invoiceId = typeof charge.invoice === 'string' ? charge.invoice : charge.invoice?.id || null;
+	if (invoiceId) {
+		const invoiceRes = await stripeFetch(env, `/invoices/${invoiceId}`);
+		const subscriptionId = invoiceRes.status === 200 ? getInvoiceSubscriptionId(invoiceRes.body) : null;
+		if (subscriptionId) subscriptionIds.add(subscriptionId);
+	}
+
+	return {
+		customerId: charge.customer || metadata.customer_id || null,
+		subscriptionIds: [...subscriptionIds],
+		licenseKeys: [...licenseKeys],
+		siteDomains: [...siteDomains],
+	};
+}
+
+/**
+ * Revoke the active licenses and sites of a purchase in D1 and the active-sites KV namespaces.
+ * @returns {Promise<Object>} { license_keys, site_ids, previous_status } - what was revoked, for restoreRevokedPurchases
+ */
+export async function revokePurchases(env, purchases, reason) {
+	const { customerId, subscriptionIds, licenseKeys, siteDomains } = purchases;
+	const now = Math.floor(Date.now() / 1000);
+	const licenses = new Map();
+	const sites = new Map();
+
+	for (const key of licenseKeys) {
+		for (const row of await allRows(
+			env,
+			'SELECT license_key, site_domain, used_site_domain, status FROM licenses WHERE license_key = ?',
+			key
+		)) {
+			licenses.set(row.license_key, row);
+		}
+	}
+	for (const subscriptionId of subscriptionIds) {
+		for (const row of await allRows(
+			env,
+			'SELECT license_key, site_domain, used_site_domain, status FROM licenses WHERE subscription_id = ?',
+			subscriptionId
+		)) {
+			licenses.set(row.license_key, row);
+		}
+		for (const row of await allRows(env, 'SELECT id, status FROM sites WHERE subscription_id = ?', subscriptionId)) {
+			if (REVOCABLE_STATUSES.includes(row.status)) sites.set(row.id, row.status);
+		}
+	}
+	if (customerId) {
+		for (const domain of siteDomains) {
+			for (const row of await allRows(
+				env,
+				`SELECT license_key, site_domain, used_site_domain, status FROM licenses
+         WHERE customer_id = ? AND (site_domain = ? OR used_site_domain = ?)`,
+				customerId,
+				domain,
+				domain
+			)) {
+				licenses.set(row.license_key, row);
+			}
+			for (const row of await allRows(env, 'SELECT id, status FROM sites WHERE customer_id = ? AND site_domain = ?', customerId, domain)) {
+				if (REVOCABLE_STATUSES.includes(row.status)) sites.set(row.id, row.status);
+			}
+		}
+	}
+
+	const revoked = [...licenses.values()].filter((license) => REVOCABLE_STATUSES.includes(license.status));
+	const statements = [
+		...revoked.map((license) =>
+			env.DB.prepare(`UPDATE licenses SET status = 'revoked', updated_at = ? WHERE license_key = ?`).bind(now, license.license_key)
+		),
+		...[...sites.keys()].map((id) => env.DB.prepare(`UPDATE sites SET status = 'revoked', updated_at = ? WHERE id = ?`).bind(now, id)),
+	];
+	if (statements.length > 0) {
+		await env.DB.batch(statements);
+	}
+
+	for (const license of revoked) {
+		await updateLicenseKvRecords(env, license, { status: 'revoked', active: false, revoked_reason: reason, revoked_at: now });
+	}
+
+	console.log(`[refunds] 🚫 Revoked ${revoked.length} license(s) and ${sites.size} site(s) (${reason})`);
+	return {
+		license_keys: revoked.map((license) => license.license_key),
+		site_ids: [...sites.keys()],
+		// Statuses before revocation, e.g. a license already suspended for non-payment stays suspended on restore
+		previous_status: {
+			licenses: Object.fromEntries(revoked.map((license) => [license.license_key, license.status])),
+			sites: Object.fromEntries(sites),
+		},
+	};
+}
+
+/**
+ * Undo revokePurchases for licenses and sites that are still revoked (e.g. after a dispute is won).
+ */
+export async function restoreRevokedPurchases(env, revoked) {
+	const now = Math.floor(Date.now() / 1000);
+	const previous = revoked?.previous_status || {};
+	const licenses = [];
+	for (const key of revoked?.license_keys || []) {
+		const license = await env.DB.prepare('SELECT license_key, site_domain, used_site_domain, status FROM licenses WHERE license_key = ?')
+			.bind(key)
+			.first();
+		if (license?.status === 'revoked') licenses.push({ ...license, status: previous.licenses?.[key] || 'active' });
+	}
+	const siteIds = revoked?.site_ids || [];
+
+	const statements = [
+		...licenses.map((license) =>
+			env.DB.prepare('UPDATE licenses SET status = ?, updated_at = ? WHERE license_key = ?').bind(license.status, now, license.license_key)
+		),
+		...siteIds.map((id) =>
+			env.DB.prepare(`UPDATE sites SET status = ?, updated_at = ? WHERE id = ? AND status = 'revoked'`).bind(
+				previous.sites?.[id] || 'active',
+				now,
+				id
+			)
+		),
+	];
+	if (statements.length > 0) {
+		await env.DB.batch(statements);
+	}
+
+	for (const license of licenses) {
+		// KV records use the activation vocabulary: 'complete' is an active license
+		const active = license.status === 'active';
+		await updateLicenseKvRecords(env, license, { status: active ? 'complete' : license.status, active, revoked_reason: null, revoked_at: null });
+	}
+
+	console.log(`[refunds] ✅ Restored ${licenses.length} license(s) and ${siteIds.length} site(s)`);
+	return { license_keys: licenses.map((license) => license.license_key), site_ids: siteIds };
+}
+
+/**
+ * Record a refund or dispute in the refunds table. Rows are keyed on refund_id (re_... or du_...), so redelivered
+ * events and refunds already recorded by the queue are left as they are.
+ * @returns {Promise<boolean>} whether a new row was written
+ */
+export async function recordRefund(
+	env,
+	{
+		refundId,
+		paymentIntentId,
+		chargeId,
+		customerId,
+		amount,
+		currency,
+		status,
+		reason,
+		purchases,
+		metadata,
+		queueId = null,
+		attempts = null,
+	}
+) {
+	const now = Math.floor(Date.now() / 1000);
+	const email = customerId
+		? await env.DB.prepare('SELECT user_email FROM customers WHERE customer_id = ? LIMIT 1')
+				.bind(customerId)
+				.first()
+				.catch(() => null)
+		: null;
+	const result = await env.DB.prepare(
+		`INSERT OR IGNORE INTO refunds (
+       refund_id, payment_intent_id, charge_id, customer_id, user_email,
+       amount, currency, status, reason, queue_id, license_key, subscription_id, attempts, metadata, created_at, updated_at
+     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+	)
+		.bind(
+			refundId,
+			paymentIntentId || '',
+			chargeId || '',
+			customerId || '',
+			email?.user_email || null,
+			amount || 0,
+			currency || 'usd',
+			status,
+			reason,
+			queueId,
+			purchases?.licenseKeys?.length === 1 ? purchases.licenseKeys[0] : null,
+			purchases?.subscriptionIds?.[0] || null,
+			attempts,
+			JSON.stringify(metadata || {}),
+			now,
+			now
+		)
+		.run();
+	return (result.meta?.changes || 0) > 0;
+}
+
+// Refund/dispute row by refund_id, with metadata parsed
+export async function getRefundRecord(env, refundId) {
+	const row = await env.DB.prepare('SELECT * FROM refunds WHERE refund_id = ?').bind(refundId).first();
+	if (!row) return null;
+	let metadata = {};
+	try {
+		metadata = JSON.parse(row.metadata || '{}');
+	} catch {
+		metadata = {};
+	}
+	return { ...row, metadata };
+}
+
+export async function updateRefundRecord(env, refundId, { status, metadata }) {
+	const now = Math.floor(Date.now() / 1000);
+	await env.DB.prepare('UPDATE refunds SET status = ?, metadata = ?, updated_at = ? WHERE refund_id = ?')
+		.bind(status, JSON.stringify(metadata || {}), now, refundId)
+		.run();
+}
+
+// The payment intent a license key was bought with (Use Case 3 purchases go through the subscription queue)
+async function findLicensePaymentIntent(env, licenseKey) {
+	const row = await env.DB.prepare(
+		`SELECT payment_intent_id FROM subscription_queue
+     WHERE license_key = ? OR license_keys LIKE ?
+     ORDER BY created_at DESC LIMIT 1`
+	)
+		.bind(licenseKey, `%"${licenseKey}"%`)
+		.first();
+	return row?.payment_intent_id || null;
+}
+
+async function countOtherBillableLicenses(env, column, value, excludeKeys) {
+	const { results } = await env.DB.prepare(`SELECT license_key, status FROM licenses WHERE ${column} = ?`).bind(value).all();
+	return (results || []).filter((row) => BILLABLE_STATUSES.includes(row.status) && !excludeKeys.includes(row.license_key)).length;
+}
+
+/**
+ * Revoke refunded license keys and stop billing for them, leaving the rest of the purchase running:
+ * a shared quantity item drops to the remaining keys, a per-license subscription with nothing else billed on it
+ * is canceled, and a key on its own item of a larger subscription has that item removed. No prorations are
+ * created - the refund already covers the current period.
+ * @returns {Promise<{license_keys: string[], billing_errors: Object[]}>}
+ */
+export async function revokeRefundedLicenses(env, licenses, reason = 'refunded') {
+	const keys = licenses.map((license) => license.license_key);
+	const billingErrors = [];
+	const revoked = [];
+
+	for (const license of licenses) {
+		try {
+			const subscription = license.subscription_id
+				? await env.DB.prepare('SELECT license_model FROM subscriptions WHERE subscription_id = ?')
+						.bind(license.subscription_id)
+						.first()
+						.catch(() => null)
+				: null;
+
+			if (subscription?.license_model === 'quantity' && license.item_id) {
+				await revokeQuantityLicense(env, license, { prorationBehavior: 'none', status: 'revoked' });
+				revoked.push(license.license_key);
+				continue;
+			}
+
+			await revokePurchases(env, { customerId: null, subscriptionIds: [], licenseKeys: [license.license_key], siteDomains: [] }, reason);
+			revoked.push(license.license_key);
+
+			if (!license.subscription_id) continue;
+			if ((await countOtherBillableLicenses(env, 'subscription_id', license.subscription_id, keys)) === 0) {
+				const cancelRes = await stripeFetch(env, `/subscriptions/${license.subscription_id}`, 'DELETE');
+				if (cancelRes.status >= 400 && cancelRes.body?.error?.code !== 'resource_missing') {
+					throw new Error(`Failed to cancel ${license.subscription_id}: ${cancelRes.status}`);
+				}
+			} else if (license.item_id && (await countOtherBillableLicenses(env, 'item_id', license.item_id, keys)) === 0) {
+				const itemRes = await stripeFetch(env, `/subscription_items/${license.item_id}?proration_behavior=none`, 'DELETE');
+				if (itemRes.status >= 400 && itemRes.body?.error?.code !== 'resource_missing') {
+					throw new Error(`Failed to remove item ${license.item_id}: ${itemRes.status}`);
+				}
+			}
+		} catch (error) {
+			// The refund went through - report billing that still needs manual attention instead of failing
+			console.error(`[refunds] ❌ Could not stop billing for ${license.license_key}:`, error.message);
+			billingErrors.push({ license_key: license.license_key, subscription_id: license.subscription_id, error: error.message });
+		}
+	}
+
+	return { license_keys: revoked, billing_errors: billingErrors };
+}
+
+/**
+ * Cancel the per-site subscriptions a Use Case 2 site purchase created (saved per site in sitesqueue.sites_json).
+ * The refund already covers the trial, so they are canceled immediately.
+ * @returns {Promise<{subscription_ids: string[], billing_errors: Object[]}>}
+ */
+async function cancelSiteSubscriptions(env, paymentIntentId) {
+	const canceled = [];
+	const billingErrors = [];
+	for (const row of await allRows(env, 'SELECT sites_json FROM sitesqueue WHERE paymentintentid = ?', paymentIntentId)) {
+		for (const site of parseList(row.sites_json)) {
+			if (!site?.subscription_id) continue;
+			const cancelRes = await stripeFetch(env, `/subscriptions/${site.subscription_id}`, 'DELETE');
+			if (cancelRes.status >= 400 && cancelRes.body?.error?.code !== 'resource_missing') {
+				console.error(`[refunds] ❌ Could not cancel ${site.subscription_id} for ${siteName(site)}:`, cancelRes.status);
+				billingErrors.push({
+					site: siteName(site),
+					subscription_id: site.subscription_id,
+					error: `Failed to cancel ${site.subscription_id}: ${cancelRes.status}`,
+				});
+				continue;
+			}
+			canceled.push(site.subscription_id);
+		}
+	}
+	return { subscription_ids: canceled, billing_errors: billingErrors };
+}
+
+/**
+ * Manual refund of a payment, or of some of the license keys it bought.
+ * Without an amount, selected keys are refunded at the purchase's per-license price (the whole remaining amount
+ * when every key of the purchase is selected); without keys the whole payment is refunded and everything it
+ * bought is revoked, with billing stopped for its licenses like for selected keys and its site subscriptions canceled.
+ * Only the selected keys are revoked - an explicit partial amount without keys revokes nothing.
+ * @param {Object} options - { paymentIntentId, licenseKeys, amount, reason, dryRun, actor }
+ */
+export async function refundPayment(
+	env,
+	{ paymentIntentId = null, licenseKeys = [], amount = null, reason = null, dryRun = false, actor = null }
+) {
+	const requestedKeys = [...new Set((licenseKeys || []).map((key) => String(key).trim()).filter(Boolean))];
+	if (!paymentIntentId && requestedKeys.length === 0) {
+		throw refundError(400, 'missing_fields', 'payment_intent_id or license_keys is required');
+	}
+	if (amount !== null && (!Number.isInteger(amount) || amount <= 0)) {
+		throw refundError(400, 'invalid_amount', 'amount must be a positive integer in the smallest currency unit');
+	}
+
+	if (!paymentIntentId) {
+		const intents = new Set();
+		for (const key of requestedKeys) {
+			const intent = await findLicensePaymentIntent(env, key);
+			if (!intent) throw refundError(404, 'payment_not_found', `No payment found for license ${key}`);
+			intents.add(intent);
+		}
+		if (intents.size > 1) {
+			throw refundError(400, 'multiple_payments', 'The license keys were bought with different payments - refund them separately', {
+				payment_intent_ids: [...intents],
+			});
+		}
+		paymentIntentId = [...intents][0];
+	}
+
+	const piRes = await stripeFetch(env, `/payment_intents/${paymentIntentId}`);
+	if (piRes.status !== 200) {
+		throw refundError(404, 'payment_not_found', `Payment intent ${paymentIntentId} not found`);
+	}
+	const paymentIntent = piRes.body;
+	const chargeId = typeof paymentIntent.latest_charge === 'string' ? paymentIntent.latest_charge : paymentIntent.latest_charge?.id || null;
+	if (paymentIntent.status !== 'succeeded' || !chargeId) {
+		throw refundError(409, 'payment_not_refundable', `Payment intent ${paymentIntentId} has not succeeded`);
+	}
+	const chargeRes = await stripeFetch(env, `/charges/${chargeId}`);
+	const amountRefunded = chargeRes.status === 200 ? chargeRes.body.amount_refunded || 0 : 0;
+	const received = paymentIntent.amount_received || paymentIntent.amount || 0;
+	const refundable = received - amountRefunded;
+	if (refundable <= 0) {
+		throw refundError(409, 'already_refunded', `Payment intent ${paymentIntentId} is already fully refunded`);
+	}
+
+	const purchases = await findPaymentPurchases(env, { payment_intent: paymentIntent, customer: paymentIntent.customer, metadata: {} });
+	const unknownKeys = requestedKeys.filter((key) => !purchases.licenseKeys.includes(key));
+	if (unknownKeys.length > 0) {
+		throw refundError(400, 'license_not_in_payment', 'Some license keys were not bought with this payment', { license_keys: unknownKeys });
+	}
+
+	// A full refund without keys stops billing for every license of the purchase that is still live
+	const fullPurchase = requestedKeys.length === 0 && amount === null;
+	const licenses = [];
+	for (const key of fullPurchase ? purchases.licenseKeys : requestedKeys) {
+		const license = await env.DB.prepare(
+			'SELECT license_key, customer_id, subscription_id, item_id, site_domain, used_site_domain, status FROM licenses WHERE license_key = ?'
+		)
+			.bind(key)
+			.first();
+		if (license?.status === 'revoked') {
+			if (fullPurchase) continue;
+			throw refundError(409, 'already_refunded', `License ${key} is already revoked`);
+		}
+		if (license) licenses.push(license);
+	}
+
+	// Per-license share of what the customer paid for the purchase
+	const purchasedCount = purchases.licenseKeys.length || parseInt(paymentIntent.metadata?.quantity, 10) || 1;
+	const perLicense = Math.floor(received / purchasedCount);
+	let refundAmount = amount;
+	if (refundAmount === null) {
+		refundAmount = requestedKeys.length === 0 || requestedKeys.length >= purchasedCount ? refundable : perLicense * requestedKeys.length;
+	}
+	if (refundAmount > refundable) {
+		throw refundError(400, 'amount_exceeds_refundable', `At most ${refundable} can still be refunded`, { refundable });
+	}
+
+	const plan = {
+		payment_intent_id: paymentIntentId,
+		charge_id: chargeId,
+		customer_id: paymentIntent.customer || purchases.customerId,
+		amount: refundAmount,
+		currency: paymentIntent.currency,
+		refundable,
+		per_license_amount: perLicense,
+		license_keys: requestedKeys,
+		full_refund: refundAmount === refundable && amountRefunded === 0,
+	};
+	if (dryRun) {
+		return { dry_run: true, ...plan };
+	}
+
+	const refundReason = reason || 'admin_refund';
+	const keyDigest = requestedKeys.length > 0 ? [...requestedKeys].sort().join(',') : 'all';
+	const refundRes = await stripeFetch(
+		env,
+		'/refunds',
+		'POST',
+		{
+			payment_intent: paymentIntentId,
+			amount: refundAmount,
+			'metadata[source]': 'admin',
+			'metadata[reason]': refundReason,
+			'metadata[license_keys]': requestedKeys.join(',').slice(0, 500),
+			'metadata[refunded_by]': actor || '',
+		},
+		true,
+		// A retry of this request reuses the key; a later refund sees a higher amount_refunded and gets a new one
+		{ idempotencyKey: `admin-refund-${paymentIntentId}-${amountRefunded}-${refundAmount}-${keyDigest}` }
+	);
+	if (refundRes.status !== 200) {
+		throw refundError(502, 'stripe_refund_failed', refundRes.body?.error?.message || 'Stripe refund failed', refundRes.body?.error || null);
+	}
+	const refund = refundRes.body;
+
+	let revoked;
+	if (requestedKeys.length > 0) {
+		revoked = await revokeRefundedLicenses(env, licenses, 'refunded');
+	} else if (fullPurchase) {
+		revoked = await revokeRefundedLicenses(env, licenses, 'refunded');
+		// Site purchases (Use Case 2) have no license keys: their sites are revoked and their subscriptions canceled
+		const sites = await revokePurchases(env, { ...purchases, licenseKeys: [] }, 'refunded');
+		const siteBilling = await cancelSiteSubscriptions(env, paymentIntentId);
+		revoked = {
+			license_keys: [...revoked.license_keys, ...sites.license_keys],
+			site_ids: sites.site_ids,
+			canceled_subscription_ids: siteBilling.subscription_ids,
+			billing_errors: [...revoked.billing_errors, ...siteBilling.billing_errors],
+		};
+	} else {
+		revoked = { license_keys: [], billing_errors: [] };
+	}
+
+	await recordRefund(env, {
+		refundId: refund.id,
+		paymentIntentId,
+		chargeId,
+		customerId: plan.customer_id,
+		amount: refund.amount,
+		currency: refund.currency || plan.currency,
+		status: refund.status || 'succeeded',
+		reason: refundReason,
+		purchases: { licenseKeys: requestedKeys, subscriptionIds: purchases.subscriptionIds },
+		metadata: { source: 'admin', refunded_by: actor, license_keys: requestedKeys, revoked },
+	});
+
+	console.log(
+		`[refunds] 💸 ${actor || 'admin'} refunded ${refund.amount} ${refund.currency} on ${paymentIntentId} (${revoked.license_keys.length} license(s) revoked)`
+	);
+	return {
+		...plan,
+		refund_id: refund.id,
+		status: refund.status,
+		revoked_license_keys: revoked.license_keys,
+		billing_errors: revoked.billing_errors,
+	};
+}
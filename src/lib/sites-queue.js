@@ -0,0 +1,508 @@
+/**
+ * Sites queue: batches site additions, delivered through JOBS_QUEUE when it is bound or else by the scheduled handler.
+ * Failed jobs are retried with exponential backoff (attempts/max_attempts, next_retry_at). Sites created by an
+ * earlier attempt are kept in sites_json and skipped, and jobs that still fail are refunded for the sites they never
+ * created, like subscription_queue.
+ */
+import { stripeFetch } from './stripe.js';
+import { generateUniqueLicenseKey } from './licenses.js';
+import { recordRefund } from './refunds.js';
+import { JOB_TYPES, sendJob } from './job-queue.js';
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+/**
+ * Trial length for a site subscription: the checkout already charged the first billing period, so the subscription
+ * trials until that period ends (a year for yearly purchases, 30 days for monthly).
+ */
+export function getSiteTrialSeconds(billingPeriod) {
+	return (billingPeriod || '').toLowerCase().trim() === 'yearly' ? 365 * DAY_SECONDS : 30 * DAY_SECONDS;
+}
+
+/**
+ * Enqueue a site purchase job (Use Case 2 -> processed later from sitesqueue).
+ * Both checkout.session.completed and payment_intent.succeeded enqueue the same purchase, so a payment intent
+ * gets at most one job (UNIQUE index on paymentintentid): the second call returns the existing job's queueid.
+ */
+export async function enqueueSiteQueueItem(env, { customerId, userEmail, subscriptionId, sites, billingPeriod, priceId, paymentIntentId }) {
+	if (!env.DB) {
+		console.warn('[USE CASE 2 - QUEUE] No DB configured, skipping enqueue');
+		return null;
+	}
+
+	const queueId = `sitequeue_${Date.now()}_${Math.random().toString(36).slice(2)}`;
+	const timestamp = Math.floor(Date.now() / 1000);
+	const sitesJson = JSON.stringify(sites || []);
+
+	const res = await env.DB.prepare(
+		`
+    INSERT INTO sitesqueue (
+      queueid,
+      customerid,
+      useremail,
+      subscriptionid,
+      paymentintentid,
+      priceid,
+      sites_json,
+      billingperiod,
+      status,
+      createdat,
+      updatedat
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT DO NOTHING
+  `
+	)
+		.bind(
+			queueId,
+			customerId,
+			userEmail.toLowerCase().trim(),
+			subscriptionId || null,
+			paymentIntentId || null,
+			priceId || null,
+			sitesJson,
+			billingPeriod || null,
+			'pending',
+			timestamp,
+			timestamp
+		)
+		.run();
+
+	console.log('[USE CASE 2 - QUEUE] Insert result:', res);
+
+	if (!res.success) {
+		console.error('[USE CASE 2 - QUEUE] Failed to enqueue site job', res);
+		return null;
+	}
+
+	if ((res.meta?.changes || 0) === 0) {
+		const existing = await env.DB.prepare('SELECT queueid FROM sitesqueue WHERE paymentintentid = ? LIMIT 1').bind(paymentIntentId).first();
+		console.log(`[USE CASE 2 - QUEUE] ⏭️ Payment ${paymentIntentId} already has site job ${existing?.queueid}, not enqueuing again`);
+		return existing?.queueid || null;
+	}
+
+	console.log('[USE CASE 2 - QUEUE] Enqueued site job', queueId, 'for', sites.length, 'site(s)');
+	await sendJob(env, JOB_TYPES.sites, queueId);
+	return queueId;
+}
+
+// Persist per-site progress; also keeps the 'processing' lock fresh for the stuck-item reaper
+async function saveSitesProgress(env, queueId, sites) {
+	await env.DB.prepare('UPDATE sitesqueue SET sites_json = ?, updatedat = ? WHERE queueid = ?')
+		.bind(JSON.stringify(sites), Math.floor(Date.now() / 1000), queueId)
+		.run();
+}
+
+/**
+ * Create the subscriptions and licenses for one locked sites queue job.
+ * Each site gets its license key (and trial end) saved before Stripe is called, and the Stripe call uses an
+ * idempotency key per site, so a retry after a crash reuses the subscription instead of creating a second one.
+ */
+export async function processSitesQueueItem(env, job) {
+	try {
+		const sites = JSON.parse(job.sites_json || '[]').map((site) => (typeof site === 'string' ? { site } : site));
+		const customerId = job.customerid;
+		const userEmail = job.useremail;
+		const billingPeriod = job.billingperiod || 'monthly';
+		const priceId = job.priceid;
+
+		console.log(`[SITES QUEUE] Processing ${sites.length} site(s) for customer ${customerId}`);
+
+		let created = 0;
+		for (const [index, site] of sites.entries()) {
+			const siteName = site.site || site.site_domain;
+			if (site.subscription_id) {
+				console.log(`[SITES QUEUE] ⏭️ ${siteName} already has subscription ${site.subscription_id} from an earlier attempt`);
+				continue;
+			}
+
+			if (!site.license_key) {
+				site.license_key = await generateUniqueLicenseKey(env);
+				// Trial until the first renewal: the end of the period the checkout paid for
+				site.trial_end = Math.floor(Date.now() / 1000) + getSiteTrialSeconds(site.billing_period || billingPeriod);
+				await saveSitesProgress(env, job.queueid, sites);
+			}
+			const licenseKey = site.license_key;
+
+			// Create subscription in Stripe with trial
+			const subRes = await stripeFetch(
+				env,
+				'/subscriptions',
+				'POST',
+				{
+					customer: customerId,
+					'items[0][price]': site.price || priceId,
+					'items[0][quantity]': 1,
+					trial_end: String(site.trial_end),
+					'metadata[license_key]': licenseKey,
+					'metadata[usecase]': '2',
+					'metadata[purchase_type]': 'site',
+					'metadata[site]': siteName,
+					'metadata[queue_id]': job.queueid,
+					collection_method: 'charge_automatically',
+				},
+				true,
+				{ idempotencyKey: `sitesqueue-${job.queueid}-${index}` }
+			);
+
+			if (subRes.status !== 200) {
+				console.error(`[SITES QUEUE] ❌ Failed to create subscription for site ${siteName}:`, subRes.status, subRes.body);
+				throw new Error(`Failed to create subscription for ${siteName}: ${subRes.status}`);
+			}
+
+			const sub = subRes.body;
+			const itemId = sub.items?.data?.[0]?.id || null;
+			const licenseTimestamp = Math.floor(Date.now() / 1000);
+
+			// Save license to database (already there when a previous attempt stopped after this point)
+			try {
+				await env.DB.prepare(
+					`
+          INSERT OR IGNORE INTO licenses (
+            license_key, customer_id, subscription_id, item_id, site_domain,
+            status, purchase_type, billing_period, created_at, updated_at, user_email
+          ) VALUES (?, ?, ?, ?, ?, 'active', 'site', ?, ?, ?, ?)
+        `
+				)
+					.bind(licenseKey, customerId, sub.id, itemId, siteName, billingPeriod, licenseTimestamp, licenseTimestamp, userEmail)
+					.run();
+			} catch (licenseErr) {
+				if (!/no such column|has no column/.test(licenseErr.message || '')) throw licenseErr;
+				// billing_period/user_email columns not migrated yet
+				await env.DB.prepare(
+					`INSERT OR IGNORE INTO licenses (license_key, customer_id, subscription_id, item_id, site_domain, status, purchase_type, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, 'active', 'site', ?, ?)`
+				)
+					.bind(licenseKey, customerId, sub.id, itemId, siteName, licenseTimestamp, licenseTimestamp)
+					.run();
+			}
+
+			// Save subscription to database
+			await env.DB.prepare(
+				`
+        INSERT OR REPLACE INTO subscriptions (
+          user_email, customer_id, subscription_id, status,
+          current_period_start, current_period_end, billing_period,
+          created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `
+			)
+				.bind(
+					userEmail,
+					customerId,
+					sub.id,
+					sub.status || 'trialing',
+					sub.current_period_start || null,
+					sub.current_period_end || null,
+					billingPeriod,
+					licenseTimestamp,
+					licenseTimestamp
+				)
+				.run();
+
+			// Save subscription item
+			if (itemId) {
+				await env.DB.prepare(
+					`
+          INSERT OR REPLACE INTO subscription_items (
+            subscription_id, item_id, site_domain, price_id, quantity,
+            status, created_at, updated_at
+          ) VALUES (?, ?, ?, ?, 1, 'active', ?, ?)
+        `
+				)
+					.bind(sub.id, itemId, siteName, site.price || priceId, licenseTimestamp, licenseTimestamp)
+					.run();
+			}
+
+			site.subscription_id = sub.id;
+			site.item_id = itemId;
+			await saveSitesProgress(env, job.queueid, sites);
+			created++;
+
+			console.log(`[SITES QUEUE] ✅ Created subscription ${sub.id} for site ${siteName}`);
+
+			// Small delay between subscriptions
+			await new Promise((resolve) => setTimeout(resolve, 100));
+		}
+
+		const timestamp = Math.floor(Date.now() / 1000);
+		await env.DB.prepare(
+			`UPDATE sitesqueue
+       SET status = 'completed', error_message = NULL, next_retry_at = NULL, processedat = ?, updatedat = ?
+       WHERE queueid = ?`
+		)
+			.bind(timestamp, timestamp, job.queueid)
+			.run();
+
+		console.log(`[SITES QUEUE] ✅ Completed queueid: ${job.queueid} (${created} subscription(s) created)`);
+		return { success: true, created, sites: sites.length };
+	} catch (error) {
+		return markSitesQueueItemFailed(env, job, error);
+	}
+}
+
+// Record a failed attempt and schedule the retry (exponential backoff) or give up - same policy as subscription_queue
+async function markSitesQueueItemFailed(env, job, error) {
+	const attempts = (job.attempts || 0) + 1;
+	const maxAttempts = job.max_attempts || 3;
+	const timestamp = Math.floor(Date.now() / 1000);
+	const nextRetryAt = attempts < maxAttempts ? timestamp + Math.pow(2, attempts) * 60 : null; // 2min, 4min, 8min
+	const status = attempts >= maxAttempts ? 'failed' : 'pending';
+
+	await env.DB.prepare(
+		`UPDATE sitesqueue
+       SET status = ?, attempts = ?, error_message = ?, next_retry_at = ?, updatedat = ?
+       WHERE queueid = ?`
+	)
+		.bind(status, attempts, error.message || String(error), nextRetryAt, timestamp, job.queueid)
+		.run();
+
+	console.error(`[SITES QUEUE] ❌ Error processing queueid ${job.queueid} (attempt ${attempts}/${maxAttempts}):`, error);
+	if (status === 'failed') {
+		console.error(
+			`[SITES QUEUE] 🚨 Queue item ${job.queueid} has exceeded max attempts (${maxAttempts}). Sites not created will be refunded after 12 hours.`
+		);
+	}
+
+	return { success: false, error: error.message, attempts };
+}
+
+export async function processSitesQueue(env, limit = 100) {
+	if (!env.DB) {
+		console.warn('[SITES QUEUE] No DB, skipping sitesqueue processing');
+		return { processed: 0, error: 'No database configured' };
+	}
+
+	const timestamp = Math.floor(Date.now() / 1000);
+	const fiveMinutesAgo = timestamp - 5 * 60;
+
+	try {
+		// Reap items stuck in 'processing' (worker crashed or timed out). A reaped run counts as an attempt, so a job
+		// that always times out ends up failed and refunded instead of looping forever.
+		try {
+			const resetResult = await env.DB.prepare(
+				`UPDATE sitesqueue
+         SET attempts = COALESCE(attempts, 0) + 1,
+             status = CASE WHEN COALESCE(attempts, 0) + 1 >= COALESCE(max_attempts, 3) THEN 'failed' ELSE 'pending' END,
+             error_message = 'Processing timed out',
+             next_retry_at = NULL,
+             updatedat = ?
+         WHERE status = 'processing'
+         AND updatedat < ?`
+			)
+				.bind(timestamp, fiveMinutesAgo)
+				.run();
+
+			if (resetResult.meta.changes > 0) {
+				console.log(`[SITES QUEUE] 🔄 Reaped ${resetResult.meta.changes} stuck 'processing' item(s)`);
+			}
+		} catch (resetErr) {
+			console.warn(`[SITES QUEUE] ⚠️ Could not reset stuck processing items:`, resetErr);
+		}
+
+		// Get pending items that are ready to process (next_retry_at is null or in the past)
+		const queueItems = await env.DB.prepare(
+			`SELECT * FROM sitesqueue
+       WHERE status = 'pending'
+       AND (next_retry_at IS NULL OR next_retry_at <= ?)
+       ORDER BY createdat ASC
+       LIMIT ?`
+		)
+			.bind(timestamp, limit)
+			.all();
+
+		if (!queueItems.results || queueItems.results.length === 0) {
+			console.log(`[SITES QUEUE] ⏸️ No pending queue items found`);
+			return { processed: 0, message: 'No pending queue items' };
+		}
+
+		console.log(`[SITES QUEUE] 📋 Processing ${queueItems.results.length} queue item(s)...`);
+
+		let successCount = 0;
+		let failCount = 0;
+		let skippedCount = 0;
+
+		for (const job of queueItems.results) {
+			// Atomic lock mechanism
+			const lockResult = await env.DB.prepare(
+				`UPDATE sitesqueue
+         SET status = 'processing', updatedat = ?
+         WHERE queueid = ? AND status = 'pending'`
+			)
+				.bind(timestamp, job.queueid)
+				.run();
+
+			if (lockResult.meta.changes === 0) {
+				console.log(`[SITES QUEUE] ⚠️ Could not acquire lock for queue item ${job.queueid}`);
+				skippedCount++;
+				continue;
+			}
+
+			const result = await processSitesQueueItem(env, job);
+			if (result.success) {
+				successCount++;
+			} else {
+				failCount++;
+			}
+		}
+
+		console.log(`[SITES QUEUE] ✅ Queue processing complete: ${successCount} succeeded, ${failCount} failed, ${skippedCount} skipped`);
+		return { processed: queueItems.results.length, successCount, failCount, skippedCount };
+	} catch (error) {
+		console.error(`[SITES QUEUE] ❌ Error processing queue:`, error);
+		return { processed: 0, error: error.message };
+	}
+}
+
+// refund_id of a failed job that had nothing to refund, so the refund sweep stops selecting it
+const NO_REFUND = 'none';
+
+async function markNoRefund(env, job, reason) {
+	await env.DB.prepare('UPDATE sitesqueue SET refund_id = ?, error_message = ?, updatedat = ? WHERE queueid = ?')
+		.bind(NO_REFUND, `${job.error_message || 'Site creation failed'} | NOT REFUNDED: ${reason}`, Math.floor(Date.now() / 1000), job.queueid)
+		.run();
+}
+
+/**
+ * Refund a permanently failed sites queue job for the sites it never created.
+ * The per-site amount comes from the site's price, falling back to an even share of the payment.
+ */
+export async function processRefundForFailedSitesQueueItem(env, job) {
+	const { queueid, paymentintentid } = job;
+	if (!paymentintentid) {
+		return { success: false, error: 'no_payment_intent' };
+	}
+
+	try {
+		const sites = JSON.parse(job.sites_json || '[]').map((site) => (typeof site === 'string' ? { site } : site));
+		const missing = sites.filter((site) => !site.subscription_id);
+		if (missing.length === 0) {
+			await markNoRefund(env, job, 'nothing_to_refund');
+			return { success: false, error: 'nothing_to_refund' };
+		}
+
+		const piRes = await stripeFetch(env, `/payment_intents/${paymentintentid}`);
+		if (piRes.status !== 200) {
+			console.error(`[SITES QUEUE] ❌ Could not fetch payment intent ${paymentintentid} for refund`);
+			return { success: false, error: 'payment_intent_not_found' };
+		}
+		const paymentIntent = piRes.body;
+		const chargeId =
+			typeof paymentIntent.latest_charge === 'string' ? paymentIntent.latest_charge : paymentIntent.latest_charge?.id || null;
+		if (!chargeId) {
+			return { success: false, error: 'charge_not_found' };
+		}
+
+		const received = paymentIntent.amount_received || paymentIntent.amount || 0;
+		let currency = paymentIntent.currency || 'usd';
+		let refundAmount = 0;
+		const unitAmounts = new Map();
+		for (const site of missing) {
+			const priceId = site.price || job.priceid;
+			if (priceId && !unitAmounts.has(priceId)) {
+				const priceRes = await stripeFetch(env, `/prices/${priceId}`);
+				unitAmounts.set(priceId, priceRes.status === 200 ? priceRes.body.unit_amount : null);
+				if (priceRes.status === 200 && priceRes.body.currency) currency = priceRes.body.currency;
+			}
+			const unitAmount = unitAmounts.get(priceId);
+			refundAmount += Number.isInteger(unitAmount) ? unitAmount : Math.floor(received / sites.length);
+		}
+		refundAmount = Math.min(refundAmount, received);
+		if (refundAmount <= 0) {
+			console.warn(`[SITES QUEUE] ⚠️ Refund amount is 0 for ${queueid}, skipping refund creation`);
+			await markNoRefund(env, job, 'zero_refund_amount');
+			return { success: false, error: 'zero_refund_amount' };
+		}
+
+		const siteNames = missing.map((site) => site.site || site.site_domain);
+		const refundRes = await stripeFetch(
+			env,
+			'/refunds',
+			'POST',
+			{
+				charge: chargeId,
+				amount: refundAmount,
+				'metadata[reason]': 'site_creation_failed_after_retries',
+				'metadata[queue_id]': queueid,
+				'metadata[payment_intent_id]': paymentintentid,
+				'metadata[sites]': siteNames.join(',').slice(0, 500),
+			},
+			true,
+			{ idempotencyKey: `sitesqueue-refund-${queueid}` }
+		);
+		if (refundRes.status !== 200) {
+			console.error(`[SITES QUEUE] ❌ Failed to create refund:`, refundRes.status, refundRes.body);
+			return { success: false, error: 'refund_creation_failed', details: refundRes.body };
+		}
+		const refund = refundRes.body;
+
+		await recordRefund(env, {
+			refundId: refund.id,
+			paymentIntentId: paymentintentid,
+			chargeId,
+			customerId: job.customerid,
+			amount: refundAmount,
+			currency,
+			status: refund.status || 'succeeded',
+			reason: 'site_creation_failed_after_retries',
+			queueId: queueid,
+			attempts: job.attempts || null,
+			metadata: { source: 'sitesqueue', sites: siteNames },
+		});
+
+		const timestamp = Math.floor(Date.now() / 1000);
+		await env.DB.prepare('UPDATE sitesqueue SET refund_id = ?, error_message = ?, updatedat = ? WHERE queueid = ?')
+			.bind(
+				refund.id,
+				`${job.error_message || 'Site creation failed'} | REFUNDED: ${refund.id} (${refundAmount} ${currency})`,
+				timestamp,
+				queueid
+			)
+			.run();
+
+		console.log(`[SITES QUEUE] 💸 Refunded ${refundAmount} ${currency} for ${siteNames.length} site(s) of ${queueid}`);
+		return { success: true, refundId: refund.id, amount: refundAmount, currency };
+	} catch (refundErr) {
+		console.error(`[SITES QUEUE] ❌ Error processing refund for queue item ${queueid}:`, refundErr);
+		return { success: false, error: refundErr.message || String(refundErr) };
+	}
+}
+
+// Refund failed jobs older than 12 hours, leaving time for manual intervention first
+export async function processRefundsForOldFailedSitesItems(env, limit = 50) {
+	const twelveHoursAgo = Math.floor(Date.now() / 1000) - 12 * 60 * 60;
+
+	try {
+		const failedItems = await env.DB.prepare(
+			`SELECT * FROM sitesqueue
+       WHERE status = 'failed'
+       AND refund_id IS NULL
+       AND paymentintentid IS NOT NULL
+       AND createdat <= ?
+       ORDER BY createdat ASC
+       LIMIT ?`
+		)
+			.bind(twelveHoursAgo, limit)
+			.all();
+
+		if (failedItems.results.length === 0) {
+			return { processed: 0, refunded: 0, message: 'No old failed items to refund' };
+		}
+
+		let refundedCount = 0;
+		let errorCount = 0;
+		for (const job of failedItems.results) {
+			const refundResult = await processRefundForFailedSitesQueueItem(env, job);
+			if (refundResult.success) {
+				refundedCount++;
+			} else {
+				errorCount++;
+				console.error(`[SITES QUEUE] ❌ Failed to refund queue item ${job.queueid}: ${refundResult.error}`);
+			}
+		}
+
+		return { processed: failedItems.results.length, refunded: refundedCount, errors: errorCount };
+	} catch (error) {
+		console.error(`[SITES QUEUE] ❌ Error processing refunds for old failed items:`, error);
+		return { processed: 0, refunded: 0, error: error.message };
+	}
+}
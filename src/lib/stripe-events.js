@@ -0,0 +1,140 @@
+/**
+ * Processed Stripe events (stripe_events table): deduplicates webhook deliveries by event ID and stores
+ * per-step checkpoints so a partially failed event resumes instead of re-running completed work.
+ */
+
+// A 'processing' row older than this is treated as abandoned (worker crashed or timed out) and can be retried
+const PROCESSING_STALE_SECONDS = 120;
+
+function isMissingTable(error) {
+	return error?.message?.includes('no such table');
+}
+
+function parseCheckpoints(raw) {
+	if (!raw) return {};
+	try {
+		return JSON.parse(raw) || {};
+	} catch (err) {
+		return {};
+	}
+}
+
+/**
+ * Claim an event for processing.
+ * @returns {Promise<{state: 'new'|'resumed'|'duplicate'|'in_progress'|'untracked', attempts?: number, checkpoints?: Object}>}
+ */
+export async function beginStripeEvent(env, event) {
+	if (!env.DB || !event?.id) {
+		return { state: 'untracked', checkpoints: {} };
+	}
+
+	const now = Math.floor(Date.now() / 1000);
+
+	try {
+		const inserted = await env.DB.prepare(
+			`INSERT INTO stripe_events (event_id, event_type, status, attempts, checkpoints, created_at, updated_at)
+       VALUES (?, ?, 'processing', 1, '{}', ?, ?)
+       ON CONFLICT(event_id) DO NOTHING`
+		)
+			.bind(event.id, event.type, now, now)
+			.run();
+
+		if (inserted.meta?.changes > 0) {
+			return { state: 'new', attempts: 1, checkpoints: {} };
+		}
+
+		const existing = await env.DB.prepare('SELECT status, attempts, checkpoints, updated_at FROM stripe_events WHERE event_id = ?')
+			.bind(event.id)
+			.first();
+
+		if (!existing) {
+			return { state: 'untracked', checkpoints: {} };
+		}
+
+		if (existing.status === 'completed') {
+			return { state: 'duplicate', attempts: existing.attempts };
+		}
+
+		if (existing.status === 'processing' && existing.updated_at > now - PROCESSING_STALE_SECONDS) {
+			return { state: 'in_progress', attempts: existing.attempts };
+		}
+
+		// Failed or abandoned - claim it again. The status/updated_at guard stops two redeliveries resuming together.
+		const claimed = await env.DB.prepare(
+			`UPDATE stripe_events SET status = 'processing', attempts = attempts + 1, updated_at = ?
+       WHERE event_id = ? AND status = ? AND updated_at = ?`
+		)
+			.bind(now, event.id, existing.status, existing.updated_at)
+			.run();
+
+		if (!claimed.meta?.changes) {
+			return { state: 'in_progress', attempts: existing.attempts };
+		}
+
+		return { state: 'resumed', attempts: existing.attempts + 1, checkpoints: parseCheckpoints(existing.checkpoints) };
+	} catch (error) {
+		if (isMissingTable(error)) {
+			console.warn('[stripe-events] ⚠️ stripe_events table not found - processing without deduplication');
+			return { state: 'untracked', checkpoints: {} };
+		}
+		throw error;
+	}
+}
+
+export async function completeStripeEvent(env, eventId) {
+	if (!env.DB || !eventId) return;
+	const now = Math.floor(Date.now() / 1000);
+	try {
+		await env.DB.prepare(
+			"UPDATE stripe_events SET status = 'completed', last_error = NULL, updated_at = ?, completed_at = ? WHERE event_id = ?"
+		)
+			.bind(now, now, eventId)
+			.run();
+	} catch (error) {
+		console.error('[stripe-events] ❌ Failed to mark event completed:', eventId, error);
+	}
+}
+
+export async function failStripeEvent(env, eventId, errorMessage) {
+	if (!env.DB || !eventId) return;
+	const now = Math.floor(Date.now() / 1000);
+	try {
+		await env.DB.prepare("UPDATE stripe_events SET status = 'failed', last_error = ?, updated_at = ? WHERE event_id = ?")
+			.bind(errorMessage || 'Unknown error', now, eventId)
+			.run();
+	} catch (error) {
+		console.error('[stripe-events] ❌ Failed to mark event failed:', eventId, error);
+	}
+}
+
+/**
+ * Build a `step(name, fn)` helper for one event. A step that already finished on an earlier attempt returns
+ * its stored result; otherwise `fn` runs and its (JSON-serialisable) result is persisted before returning.
+ */
+export function createStepRunner(env, eventId, checkpoints = {}) {
+	const done = { ...checkpoints };
+
+	return async function step(name, fn) {
+		if (Object.prototype.hasOwnProperty.call(done, name)) {
+			console.log(`[stripe-events] ⏭️ Reusing checkpoint "${name}" for ${eventId}`);
+			return done[name];
+		}
+
+		const result = await fn();
+		done[name] = result === undefined ? null : result;
+
+		if (env.DB && eventId) {
+			try {
+				await env.DB.prepare('UPDATE stripe_events SET checkpoints = ?, updated_at = ? WHERE event_id = ?')
+					.bind(JSON.stringify(done), Math.floor(Date.now() / 1000), eventId)
+					.run();
+			} catch (error) {
+				if (!isMissingTable(error)) {
+					console.error(`[stripe-events] ❌ Failed to save checkpoint "${name}" for ${eventId}:`, error);
+				}
+			}
+		}
+
+		return result;
+	};
+}
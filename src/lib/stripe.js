@@ -0,0 +1,219 @@
+/**
+ * Stripe REST helpers and SDK initialisation.
+ */
+import Stripe from 'stripe';
+import { getEnvVar } from './http.js';
+
+// const stripe = new Stripe(env.STRIPE_SECRET_KEY, {
+//   apiVersion: '2025-04-30.basil',
+//   httpClient: Stripe.createFetchHttpClient(),
+// });
+
+export const STRIPE_BASE = 'https://api.stripe.com/v1';
+
+// Invoices created by the 2025 API versions carry the subscription under parent.subscription_details
+export function getInvoiceSubscriptionId(invoice) {
+	return invoice.subscription || invoice.parent?.subscription_details?.subscription || null;
+}
+
+/**
+ * Helper function to extract billing_period from Stripe subscription
+ * @param {Object} subscription - Stripe subscription object
+ * @returns {string|null} - 'monthly', 'yearly', 'weekly', 'daily', or null
+ */
+export function extractBillingPeriodFromStripe(subscription) {
+	if (!subscription || !subscription.items || !subscription.items.data || subscription.items.data.length === 0) {
+		return null;
+	}
+
+	const firstItem = subscription.items.data[0];
+	if (firstItem.price && firstItem.price.recurring) {
+		const interval = firstItem.price.recurring.interval;
+		if (interval === 'month') {
+			return 'monthly';
+		} else if (interval === 'year') {
+			return 'yearly';
+		} else if (interval === 'week') {
+			return 'weekly';
+		} else if (interval === 'day') {
+			return 'daily';
+		} else {
+			return interval; // fallback to raw value
+		}
+	}
+
+	return null;
+}
+
+export async function getCustomerEmail(env, customerId) {
+	try {
+		const customerRes = await stripeFetch(env, `/customers/${customerId}`);
+		if (customerRes.status === 200 && customerRes.body && customerRes.body.email) {
+			return customerRes.body.email;
+		} else {
+			console.error(`[getCustomerEmail] Failed to fetch customer or email missing:`, customerRes.status);
+			return null;
+		}
+	} catch (error) {
+		console.error(`[getCustomerEmail] Error fetching customer:`, error);
+		return null;
+	}
+}
+
+/**
+ * Log Stripe webhook events to database for debugging and tracking
+ * Stores logs in stripe_logs table in D1 database
+ * @param {Object} env - Environment variables
+ * @param {Object} event - Stripe webhook event object
+ * @param {string} subscriptionId - Subscription ID (if available)
+ * @param {string} customerId - Customer ID (if available)
+ * @param {Object} additionalData - Additional data to log (status changes, etc.)
+ */
+export async function logStripeEvent(env, event, subscriptionId = null, customerId = null, additionalData = {}) {
+	try {
+		if (!env.DB) {
+			console.warn('[Stripe Log] Database not configured, skipping log storage');
+			return;
+		}
+
+		const timestamp = Math.floor(Date.now() / 1000);
+		const date = new Date(timestamp * 1000).toISOString().split('T')[0]; // YYYY-MM-DD
+		const eventId = event.id || `evt_${timestamp}`;
+		const eventType = event.type || 'unknown';
+
+		// Extract subscription ID from event if not provided
+		if (!subscriptionId && event.data?.object) {
+			subscriptionId = event.data.object.subscription || event.data.object.id || event.data.object.subscription_id || null;
+		}
+
+		// Extract customer ID from event if not provided
+		if (!customerId && event.data?.object) {
+			customerId = event.data.object.customer || event.data.object.customer_id || null;
+		}
+
+		// Prepare event data for storage (store as JSON string)
+		const eventData = {
+			id: event.id,
+			type: event.type,
+			created: event.created,
+			livemode: event.livemode,
+			object: event.data?.object
+				? {
+						id: event.data.object.id,
+						object: event.data.object.object,
+						status: event.data.object.status,
+						cancel_at_period_end: event.data.object.cancel_at_period_end,
+						canceled_at: event.data.object.canceled_at,
+						current_period_end: event.data.object.current_period_end,
+						current_period_start: event.data.object.current_period_start,
+				  }
+				: null,
+		};
+
+		// Store additional data as JSON string
+		const additionalDataJson = JSON.stringify(additionalData);
+		const eventDataJson = JSON.stringify(eventData);
+
+		// Insert into stripe_logs table
+		// Table schema: id (AUTOINCREMENT), timestamp, date, event_id, event_type, subscription_id, customer_id, event_data (TEXT/JSON), additional_data (TEXT/JSON), created_at
+		await env.DB.prepare(
+			`INSERT INTO stripe_logs 
+       (timestamp, date, event_id, event_type, subscription_id, customer_id, event_data, additional_data, created_at) 
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+		)
+			.bind(timestamp, date, eventId, eventType, subscriptionId, customerId, eventDataJson, additionalDataJson, timestamp)
+			.run();
+
+		console.log(
+			`[Stripe Log] ✅ Logged event ${eventType} for subscription ${subscriptionId || 'N/A'} at ${date} ${new Date(
+				timestamp * 1000
+			).toISOString()}`
+		);
+	} catch (error) {
+		console.error('[Stripe Log] ❌ Error logging Stripe event:', error);
+		// Don't throw - logging failures shouldn't break webhook processing
+		// If table doesn't exist, log warning but continue
+		if (error.message && error.message.includes('no such table: stripe_logs')) {
+			console.warn('[Stripe Log] ⚠️ stripe_logs table does not exist. Please run the migration to create it.');
+		}
+	}
+}
+
+export function verifyPaymentSuccess(session, paymentIntent = null) {
+	// Verify checkout session payment status
+	if (session.payment_status !== 'paid') {
+		console.warn(`[verifyPaymentSuccess] ❌ Session payment_status is '${session.payment_status}', not 'paid'`);
+		return false;
+	}
+
+	// Verify checkout session status
+	if (session.status !== 'complete') {
+		console.warn(`[verifyPaymentSuccess] ❌ Session status is '${session.status}', not 'complete'`);
+		return false;
+	}
+
+	// For payment mode, also verify payment intent status
+	if (session.mode === 'payment' && paymentIntent) {
+		if (paymentIntent.status !== 'succeeded') {
+			console.warn(`[verifyPaymentSuccess] ❌ PaymentIntent status is '${paymentIntent.status}', not 'succeeded'`);
+			return false;
+		}
+	}
+
+	// All checks passed
+	return true;
+}
+
+// options.idempotencyKey makes retried POSTs safe (Stripe replays the first response for 24 hours)
+export async function stripeFetch(env, path, method = 'GET', body = null, form = false, options = {}) {
+	try {
+		const key = getEnvVar(env, 'STRIPE_SECRET_KEY');
+		const url = `${STRIPE_BASE}${path}`;
+		const headers = {
+			Authorization: `Bearer ${key}`,
+		};
+		if (options.idempotencyKey) {
+			headers['Idempotency-Key'] = options.idempotencyKey;
+		}
+		let init = { method, headers };
+		if (body) {
+			if (form) {
+				headers['content-type'] = 'application/x-www-form-urlencoded';
+				// Build URLSearchParams manually to properly handle bracket notation
+				const params = new URLSearchParams();
+				for (const [key, value] of Object.entries(body)) {
+					params.append(key, String(value));
+				}
+				init.body = params.toString();
+				// Debug: Log line items count in encoded data
+				const lineItemMatches = init.body.match(/line_items\[\d+\]\[price\]/g);
+				if (lineItemMatches) {
+				}
+			} else {
+				headers['content-type'] = 'application/json';
+				init.body = JSON.stringify(body);
+			}
+		}
+		const res = await fetch(url, init);
+		const text = await res.text();
+		try {
+			const parsed = JSON.parse(text);
+			if (res.status >= 400) {
+				console.error(`Stripe API error (${res.status}):`, parsed);
+			}
+			return { status: res.status, body: parsed };
+		} catch (e) {
+			console.error(`Stripe API error - failed to parse response:`, text);
+			return { status: res.status, body: text };
+		}
+	} catch (e) {
+		console.error('Stripe fetch error:', e);
+		throw e;
+	}
+}
+export function initializeStripe(env) {
+	return new Stripe(env.STRIPE_SECRET_KEY, {
+		apiVersion: '2025-04-30.basil',
+		httpClient: Stripe.createFetchHttpClient(),
+	});
+}
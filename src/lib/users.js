@@ -0,0 +1,733 @@
+/**
+ * D1 helpers for users, customers and sites.
+ */
+
+// Helper function to batch queries and avoid SQLite's 999 variable limit
+export async function batchQuery(env, ids, queryFn, batchSize = 100) {
+	// Reduced batch size to 100 to avoid SQLite's 999 variable limit
+	// Each ID in IN clause = 1 variable, plus query columns/parameters can add more
+	// With complex queries having many columns (10+ columns), 100 is safer
+	// SQLite limit is 999, so 100 leaves plenty of room for additional query parameters
+	// For queries with many columns, consider reducing batchSize further (e.g., 50)
+	if (ids.length === 0) return { results: [] };
+
+	const results = [];
+	for (let i = 0; i < ids.length; i += batchSize) {
+		const batch = ids.slice(i, i + batchSize);
+		try {
+			const batchResults = await queryFn(batch);
+			if (batchResults?.results) {
+				results.push(...batchResults.results);
+			}
+		} catch (err) {
+			console.error(`[batchQuery] Error processing batch ${i}-${i + batch.length}:`, err);
+			throw err; // Re-throw to let caller handle
+		}
+	}
+	return { results };
+}
+
+// Helper functions for email-based data structure
+// Database-based user functions (replaces KV storage)
+export async function getUserByEmail(env, email) {
+	if (!env.DB) {
+		console.warn('Database not configured, cannot get user by email');
+		return null;
+	}
+
+	const normalizedEmail = email.toLowerCase().trim();
+
+	try {
+		// Get user
+		const user = await env.DB.prepare('SELECT email, created_at, updated_at FROM users WHERE email = ?').bind(normalizedEmail).first();
+
+		if (!user) {
+			return null;
+		}
+
+		// Get customers for this user
+		const customersRes = await env.DB.prepare('SELECT customer_id, created_at FROM customers WHERE user_email = ?')
+			.bind(normalizedEmail)
+			.all();
+
+		const customers = [];
+
+		if (customersRes && customersRes.results) {
+			for (const customerRow of customersRes.results) {
+				const customerId = customerRow.customer_id;
+
+				// Get subscriptions for this customer
+				// CRITICAL: Include billing_period in SELECT query
+				const subscriptionsRes = await env.DB.prepare(
+					'SELECT subscription_id, status, cancel_at_period_end, cancel_at, current_period_start, current_period_end, billing_period, created_at FROM subscriptions WHERE customer_id = ? AND user_email = ?'
+				)
+					.bind(customerId, normalizedEmail)
+					.all();
+
+				const subscriptions = [];
+
+				if (subscriptionsRes && subscriptionsRes.results) {
+					for (const subRow of subscriptionsRes.results) {
+						// Get items for this subscription
+						const itemsRes = await env.DB.prepare(
+							'SELECT item_id, site_domain, price_id, quantity, status, created_at, removed_at FROM subscription_items WHERE subscription_id = ?'
+						)
+							.bind(subRow.subscription_id)
+							.all();
+
+						const items = [];
+						if (itemsRes && itemsRes.results) {
+							for (const itemRow of itemsRes.results) {
+								// CRITICAL: Skip "site_1" placeholder entries
+								if (itemRow.site_domain && /^site_\d+$/.test(itemRow.site_domain)) {
+									console.log(`[getUserByEmail] ⚠️ Skipping placeholder site "${itemRow.site_domain}" from subscription_items`);
+									continue;
+								}
+
+								// Get license for this site
+								const licenseRes = await env.DB.prepare(
+									'SELECT license_key, status, created_at FROM licenses WHERE site_domain = ? AND subscription_id = ? AND status = ? ORDER BY created_at DESC LIMIT 1'
+								)
+									.bind(itemRow.site_domain, subRow.subscription_id, 'active')
+									.first();
+
+								items.push({
+									item_id: itemRow.item_id,
+									site: itemRow.site_domain,
+									price: itemRow.price_id,
+									quantity: itemRow.quantity,
+									status: itemRow.status,
+									created_at: itemRow.created_at,
+									license: licenseRes
+										? {
+												license_key: licenseRes.license_key,
+												status: licenseRes.status,
+												created_at: licenseRes.created_at,
+										  }
+										: null,
+								});
+							}
+						}
+
+						subscriptions.push({
+							subscriptionId: subRow.subscription_id,
+							status: subRow.status,
+							cancel_at_period_end: subRow.cancel_at_period_end === 1,
+							cancel_at: subRow.cancel_at,
+							current_period_start: subRow.current_period_start,
+							current_period_end: subRow.current_period_end,
+							billingPeriod: subRow.billing_period || null, // CRITICAL: Load billing_period from database
+							items: items,
+							sitesCount: items.length,
+							created_at: subRow.created_at,
+						});
+					}
+				}
+
+				customers.push({
+					customerId: customerId,
+					subscriptions: subscriptions,
+					created_at: customerRow.created_at,
+				});
+			}
+		}
+
+		const pendingSites = await getPendingSites(env, normalizedEmail);
+
+		return {
+			email: normalizedEmail,
+			customers: customers,
+			licenses: [], // Licenses are now fetched per item
+			pendingSites: pendingSites,
+			created_at: user.created_at,
+			updated_at: user.updated_at,
+		};
+	} catch (error) {
+		console.error('Error getting user from database:', error);
+		return null;
+	}
+}
+
+/**
+ * Pending sites (added but not yet paid for) of a user, newest first and one entry per site domain (case-insensitive)
+ * so a site can never be charged twice.
+ */
+export async function getPendingSites(env, email) {
+	const normalizedEmail = email.toLowerCase().trim();
+	// Use DISTINCT to prevent duplicate rows at database level
+	const pendingSitesRes = await env.DB.prepare(
+		`SELECT DISTINCT 
+        subscription_id, 
+        site_domain, 
+        price_id, 
+        quantity, 
+        created_at 
+      FROM pending_sites 
+      WHERE user_email = ? 
+      ORDER BY created_at DESC`
+	)
+		.bind(normalizedEmail)
+		.all();
+
+	const pendingSites = [];
+	const seenSites = new Set(); // Deduplicate by site domain (case-insensitive)
+	for (const psRow of pendingSitesRes?.results || []) {
+		const siteKey = (psRow.site_domain || '').toLowerCase().trim();
+		if (!siteKey) {
+			console.warn(`[getPendingSites] ⚠️ Skipping pending site with empty domain`);
+			continue;
+		}
+
+		if (!seenSites.has(siteKey)) {
+			seenSites.add(siteKey);
+			pendingSites.push({
+				site: psRow.site_domain,
+				price: psRow.price_id,
+				quantity: psRow.quantity || 1,
+				subscription_id: psRow.subscription_id,
+				created_at: psRow.created_at,
+			});
+		} else {
+			// Duplicate found - log for audit but keep first occurrence
+			console.warn(`[getPendingSites] ⚠️ PAYMENT SAFETY: Skipping duplicate pending site "${psRow.site_domain}" to prevent duplicate charges`);
+		}
+	}
+	return pendingSites;
+}
+
+export async function saveUserByEmail(env, email, userData) {
+	if (!env.DB) {
+		return;
+	}
+
+	const normalizedEmail = email.toLowerCase().trim();
+	const timestamp = Math.floor(Date.now() / 1000);
+
+	try {
+		// Create or update user
+		await env.DB.prepare('INSERT OR IGNORE INTO users (email, created_at, updated_at) VALUES (?, ?, ?)')
+			.bind(normalizedEmail, timestamp, timestamp)
+			.run();
+
+		await env.DB.prepare('UPDATE users SET updated_at = ? WHERE email = ?').bind(timestamp, normalizedEmail).run();
+
+		// Update customers
+		if (userData.customers && Array.isArray(userData.customers)) {
+			for (const customer of userData.customers) {
+				// Create or update customer
+				await env.DB.prepare('INSERT OR IGNORE INTO customers (user_email, customer_id, created_at, updated_at) VALUES (?, ?, ?, ?)')
+					.bind(normalizedEmail, customer.customerId, timestamp, timestamp)
+					.run();
+
+				// Update subscriptions
+				// CRITICAL: INSERT OR REPLACE only affects the specific subscription_id (UNIQUE constraint)
+				// This means we can safely add new subscriptions without affecting existing ones
+				if (customer.subscriptions && Array.isArray(customer.subscriptions)) {
+					for (const subscription of customer.subscriptions) {
+						// Check if subscription already exists in database
+						const existingSub = await env.DB.prepare('SELECT subscription_id FROM subscriptions WHERE subscription_id = ?')
+							.bind(subscription.subscriptionId)
+							.first();
+
+						const isNewSubscription = !existingSub;
+						const billingPeriodValue = subscription.billingPeriod || subscription.billing_period || null;
+
+						// Try to save with billing_period column (if it exists in schema)
+						// INSERT OR REPLACE: INSERTs if subscription_id doesn't exist, REPLACEs if it does
+						// Since subscription_id is UNIQUE, this only affects THIS subscription, not others
+						try {
+							await env.DB.prepare(
+								`INSERT OR REPLACE INTO subscriptions 
+                 (user_email, customer_id, subscription_id, status, cancel_at_period_end, cancel_at, 
+                  current_period_start, current_period_end, billing_period, created_at, updated_at) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+							)
+								.bind(
+									normalizedEmail,
+									customer.customerId,
+									subscription.subscriptionId,
+									subscription.status || 'active',
+									subscription.cancel_at_period_end ? 1 : 0,
+									subscription.cancel_at || null,
+									subscription.current_period_start || null,
+									subscription.current_period_end || null,
+									billingPeriodValue, // Use the extracted value explicitly
+									subscription.created_at || timestamp,
+									timestamp
+								)
+								.run();
+						} catch (billingPeriodError) {
+							// If billing_period column doesn't exist, save without it
+							// Check for both error message formats: "no such column" and "has no column named"
+							const errorMsg = billingPeriodError.message || '';
+							if (
+								errorMsg.includes('no such column: billing_period') ||
+								errorMsg.includes('has no column named billing_period') ||
+								errorMsg.includes('billing_period')
+							) {
+								await env.DB.prepare(
+									`INSERT OR REPLACE INTO subscriptions 
+                   (user_email, customer_id, subscription_id, status, cancel_at_period_end, cancel_at, 
+                    current_period_start, current_period_end, created_at, updated_at) 
+                   VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+								)
+									.bind(
+										normalizedEmail,
+										customer.customerId,
+										subscription.subscriptionId,
+										subscription.status || 'active',
+										subscription.cancel_at_period_end ? 1 : 0,
+										subscription.cancel_at || null,
+										subscription.current_period_start || null,
+										subscription.current_period_end || null,
+										subscription.created_at || timestamp,
+										timestamp
+									)
+									.run();
+							} else {
+								throw billingPeriodError; // Re-throw if it's a different error
+							}
+						}
+
+						// Update subscription items
+						if (subscription.items && Array.isArray(subscription.items)) {
+							// Get billing_period and renewal_date from subscription
+							const billingPeriod = subscription.billingPeriod || subscription.billing_period || null;
+							const renewalDate = subscription.current_period_end || null;
+
+							for (const item of subscription.items) {
+								const siteDomain = item.site || item.site_domain;
+
+								// CRITICAL: Skip saving "site_1" placeholders to subscription_items
+								if (siteDomain && /^site_\d+$/.test(siteDomain)) {
+									console.log(`[saveUserByEmail] ⚠️ Skipping subscription_items save for placeholder site: "${siteDomain}"`);
+									continue; // Skip this item
+								}
+
+								await env.DB.prepare(
+									`INSERT OR REPLACE INTO subscription_items 
+                   (subscription_id, item_id, site_domain, price_id, quantity, status, billing_period, renewal_date, created_at, updated_at, removed_at) 
+                   VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+								)
+									.bind(
+										subscription.subscriptionId,
+										item.item_id,
+										siteDomain,
+										item.price || item.price_id,
+										item.quantity || 1,
+										item.status || 'active',
+										billingPeriod,
+										renewalDate,
+										item.created_at || timestamp,
+										timestamp,
+										item.removed_at || null
+									)
+									.run();
+							}
+						}
+					}
+				}
+			}
+		}
+
+		// Update pending sites
+		// CRITICAL: Only sync if userData.pendingSites is explicitly provided
+		// If not provided, don't touch the database (preserves existing pending sites)
+		// IMPORTANT: The database is the source of truth - we sync FROM database TO user object, not the other way around
+		// So when saving, we only update the database if userData.pendingSites is explicitly set
+		console.log(`[saveUserByEmail] Checking pendingSites:`, {
+			hasPendingSites: userData.pendingSites !== undefined,
+			isArray: Array.isArray(userData.pendingSites),
+			length: userData.pendingSites?.length,
+			pendingSites: userData.pendingSites,
+		});
+
+		if (userData.pendingSites !== undefined && Array.isArray(userData.pendingSites)) {
+			// Get current pending sites from database (source of truth)
+			const currentPendingSitesRes = await env.DB.prepare('SELECT site_domain FROM pending_sites WHERE user_email = ?')
+				.bind(normalizedEmail)
+				.all();
+
+			const currentPendingSites = new Set();
+			if (currentPendingSitesRes && currentPendingSitesRes.results) {
+				currentPendingSitesRes.results.forEach((row) => {
+					currentPendingSites.add(row.site_domain.toLowerCase().trim());
+				});
+			}
+
+			console.log(`[saveUserByEmail] Current pending sites in DB: ${currentPendingSites.size}`);
+
+			// Get user object pending sites
+			const userPendingSites = new Set();
+			userData.pendingSites.forEach((ps) => {
+				const siteName = (ps.site || ps.site_domain || '').toLowerCase().trim();
+				if (siteName) {
+					userPendingSites.add(siteName);
+				}
+			});
+
+			console.log(`[saveUserByEmail] User pending sites: ${userPendingSites.size}`);
+
+			// Flatten pendingSites array to handle nested structures
+			const flattenedPendingSites = [];
+			userData.pendingSites.forEach((ps) => {
+				// Handle nested arrays or objects with pendingSites property
+				if (Array.isArray(ps)) {
+					// If element is an array, extract items
+					ps.forEach((item) => {
+						if (item && typeof item === 'object') {
+							flattenedPendingSites.push(item);
+						} else if (typeof item === 'string') {
+							// If it's just a string, convert to object
+							flattenedPendingSites.push({ site: item, site_domain: item });
+						}
+					});
+				} else if (ps && typeof ps === 'object' && ps.pendingSites) {
+					// If object has pendingSites property, extract it
+					if (Array.isArray(ps.pendingSites)) {
+						flattenedPendingSites.push(...ps.pendingSites);
+					} else {
+						flattenedPendingSites.push(ps.pendingSites);
+					}
+				} else if (ps && typeof ps === 'object') {
+					// Normal object, add as is
+					flattenedPendingSites.push(ps);
+				} else if (typeof ps === 'string') {
+					// If it's just a string, convert to object
+					flattenedPendingSites.push({ site: ps, site_domain: ps });
+				}
+			});
+
+			// Find sites to delete (in database but not in user object)
+			const sitesToDelete = [];
+			currentPendingSites.forEach((site) => {
+				if (!userPendingSites.has(site)) {
+					sitesToDelete.push(site);
+				}
+			});
+
+			// Find sites to insert (in user object but not in database)
+			// Use flattened array to avoid nested structures
+			const sitesToInsert = [];
+			flattenedPendingSites.forEach((ps) => {
+				const siteName = (ps.site || ps.site_domain || '').toLowerCase().trim();
+				if (siteName && !currentPendingSites.has(siteName)) {
+					sitesToInsert.push(ps);
+				}
+			});
+
+			console.log(`[saveUserByEmail] Sites to insert: ${sitesToInsert.length}, Sites to delete: ${sitesToDelete.length}`);
+
+			// Delete sites that are in database but not in user object
+			for (const siteToDelete of sitesToDelete) {
+				const deleteResult = await env.DB.prepare('DELETE FROM pending_sites WHERE user_email = ? AND LOWER(TRIM(site_domain)) = ?')
+					.bind(normalizedEmail, siteToDelete)
+					.run();
+				console.log(`[saveUserByEmail] 🗑️ Deleted pending site: ${siteToDelete}`, deleteResult.success ? '✅' : '❌');
+			}
+
+			// Insert sites that are in user object but not in database
+			for (const pendingSite of sitesToInsert) {
+				const siteName = pendingSite.site || pendingSite.site_domain;
+				const sitePrice = pendingSite.price || pendingSite.price_id;
+				try {
+					const insertResult = await env.DB.prepare(
+						'INSERT INTO pending_sites (user_email, subscription_id, site_domain, price_id, quantity, created_at) VALUES (?, ?, ?, ?, ?, ?)'
+					)
+						.bind(
+							normalizedEmail,
+							pendingSite.subscription_id || null,
+							siteName,
+							sitePrice,
+							pendingSite.quantity || 1,
+							pendingSite.created_at || timestamp
+						)
+						.run();
+
+					if (insertResult.success) {
+						console.log(`[saveUserByEmail] ✅ Inserted pending site: ${siteName} with price: ${sitePrice}`);
+					} else {
+						console.error(`[saveUserByEmail] ❌ Failed to insert pending site: ${siteName}`, insertResult);
+					}
+				} catch (insertErr) {
+					console.error(`[saveUserByEmail] ❌ Error inserting pending site ${siteName}:`, insertErr);
+				}
+			}
+
+			if (sitesToDelete.length > 0 || sitesToInsert.length > 0) {
+				console.log(`[saveUserByEmail] ✅ Pending sites sync complete: ${sitesToInsert.length} inserted, ${sitesToDelete.length} deleted`);
+			}
+		} else {
+			console.log(
+				`[saveUserByEmail] ⚠️ Skipping pending sites sync: pendingSites is ${
+					userData.pendingSites === undefined ? 'undefined' : 'not an array'
+				}`
+			);
+		}
+		// If userData.pendingSites is undefined, don't modify the database - keep existing pending sites
+	} catch (error) {
+		console.error('Error saving user to database:', error);
+		throw error;
+	}
+}
+
+export async function addOrUpdateCustomerInUser(env, email, customerId, subscriptionId, items, billingPeriod = null) {
+	console.log(`[addOrUpdateCustomerInUser] 🔍 Starting database update for subscription...`);
+	console.log(`[addOrUpdateCustomerInUser]   - Email: ${email}`);
+	console.log(`[addOrUpdateCustomerInUser]   - Customer ID: ${customerId}`);
+	console.log(`[addOrUpdateCustomerInUser]   - Subscription ID: ${subscriptionId}`);
+	console.log(`[addOrUpdateCustomerInUser]   - Items count: ${items.length}`);
+	console.log(`[addOrUpdateCustomerInUser]   - Billing period: ${billingPeriod || 'not set'}`);
+
+	let user = await getUserByEmail(env, email);
+
+	if (!user) {
+		console.log(`[addOrUpdateCustomerInUser]   - Creating new user structure...`);
+		// Create new user structure with email as primary key
+		user = {
+			email: email.toLowerCase().trim(),
+			customers: [],
+			licenses: [],
+			pendingSites: [],
+			created_at: Math.floor(Date.now() / 1000),
+			updated_at: Math.floor(Date.now() / 1000),
+		};
+	} else {
+		console.log(`[addOrUpdateCustomerInUser]   - User exists with ${user.customers?.length || 0} customer(s)`);
+	}
+
+	// Find or create customer
+	let customer = user.customers.find((c) => c.customerId === customerId);
+	if (!customer) {
+		console.log(`[addOrUpdateCustomerInUser]   - Creating new customer: ${customerId}`);
+		customer = {
+			customerId: customerId,
+			subscriptions: [],
+			created_at: Math.floor(Date.now() / 1000),
+		};
+		user.customers.push(customer);
+	} else {
+		console.log(`[addOrUpdateCustomerInUser]   - Customer exists with ${customer.subscriptions?.length || 0} subscription(s)`);
+	}
+
+	// Find or create subscription
+	let subscription = customer.subscriptions.find((s) => s.subscriptionId === subscriptionId);
+	if (!subscription) {
+		console.log(`[addOrUpdateCustomerInUser]   - Creating new subscription: ${subscriptionId}`);
+		subscription = {
+			subscriptionId: subscriptionId,
+			status: 'active',
+			items: [],
+			billingPeriod: billingPeriod, // Add billing period if provided
+			created_at: Math.floor(Date.now() / 1000),
+		};
+		customer.subscriptions.push(subscription);
+	} else {
+		console.log(`[addOrUpdateCustomerInUser]   - Subscription exists with ${subscription.items?.length || 0} item(s)`);
+		// Update billing period if provided and not already set
+		if (billingPeriod && !subscription.billingPeriod) {
+			console.log(`[addOrUpdateCustomerInUser]   - Updating billing period: ${billingPeriod}`);
+			subscription.billingPeriod = billingPeriod;
+		}
+	}
+
+	// Add/update items (merge with existing, avoid duplicates)
+	let newItemsCount = 0;
+	let updatedItemsCount = 0;
+	items.forEach((item, idx) => {
+		const existingItem = subscription.items.find((i) => i.item_id === item.item_id);
+		if (existingItem) {
+			// Update existing item
+			console.log(`[addOrUpdateCustomerInUser]   - Updating existing item ${idx + 1}: ${item.item_id} (site: ${item.site || 'N/A'})`);
+			Object.assign(existingItem, item);
+			updatedItemsCount++;
+		} else {
+			// Add new item
+			console.log(`[addOrUpdateCustomerInUser]   - Adding new item ${idx + 1}: ${item.item_id} (site: ${item.site || 'N/A'})`);
+			subscription.items.push(item);
+			newItemsCount++;
+		}
+	});
+	console.log(`[addOrUpdateCustomerInUser]   - Items summary: ${newItemsCount} new, ${updatedItemsCount} updated`);
+
+	// Update subscription status and timestamp
+	subscription.status = 'active';
+	subscription.updated_at = Math.floor(Date.now() / 1000);
+
+	console.log(`[addOrUpdateCustomerInUser]   - Saving user object to database...`);
+	await saveUserByEmail(env, email, user);
+	console.log(`[addOrUpdateCustomerInUser] ✅ Database update complete for subscription ${subscriptionId}`);
+	return user;
+}
+
+// Helper function to get user by customerId (uses database)
+export async function getUserByCustomerId(env, customerId) {
+	if (!env.DB) {
+		console.warn('Database not configured, cannot get user by customerId');
+		return null;
+	}
+
+	try {
+		// Find email for this customerId
+		const customerRes = await env.DB.prepare('SELECT user_email FROM customers WHERE customer_id = ? LIMIT 1').bind(customerId).first();
+
+		if (!customerRes || !customerRes.user_email) {
+			return null;
+		}
+
+		// Get user by email
+		return await getUserByEmail(env, customerRes.user_email);
+	} catch (error) {
+		console.error('Error getting user by customerId from database:', error);
+		return null;
+	}
+}
+
+// Helper function to save or update site details in database
+export async function saveOrUpdateSiteInDB(env, siteData) {
+	if (!env.DB) {
+		return;
+	}
+
+	try {
+		const {
+			customerId,
+			subscriptionId,
+			itemId,
+			siteDomain,
+			priceId,
+			amountPaid,
+			currency = 'usd',
+			status = 'active',
+			currentPeriodStart,
+			currentPeriodEnd,
+			renewalDate,
+			cancelAtPeriodEnd = false,
+			canceledAt = null,
+		} = siteData;
+
+		// CRITICAL: Prevent saving "site_1", "site_2", etc. placeholders
+		if (siteDomain && /^site_\d+$/.test(siteDomain)) {
+			console.log(`[saveOrUpdateSiteInDB] ⚠️ Skipping save of placeholder site: "${siteDomain}"`);
+			return; // Don't save placeholder sites
+		}
+
+		const timestamp = Math.floor(Date.now() / 1000);
+
+		// Check if site already exists (by subscription_id and item_id, not site_domain)
+		// This allows us to update placeholder sites with actual site names
+		const existing = await env.DB.prepare('SELECT id, site_domain FROM sites WHERE customer_id = ? AND subscription_id = ? AND item_id = ?')
+			.bind(customerId, subscriptionId, itemId)
+			.first();
+
+		// Also check if there's a placeholder site for this subscription/item that needs updating
+		const existingPlaceholder = await env.DB.prepare(
+			'SELECT id, site_domain FROM sites WHERE customer_id = ? AND subscription_id = ? AND item_id = ? AND site_domain LIKE "site_%"'
+		)
+			.bind(customerId, subscriptionId, itemId)
+			.first();
+
+		// If there's a placeholder site, update it with the actual site name
+		if (existingPlaceholder && existingPlaceholder.site_domain && /^site_\d+$/.test(existingPlaceholder.site_domain)) {
+			console.log(`[saveOrUpdateSiteInDB] 🔄 Updating placeholder site "${existingPlaceholder.site_domain}" to "${siteDomain}"`);
+			await env.DB.prepare(
+				`UPDATE sites SET
+          site_domain = ?,
+          item_id = ?,
+          price_id = ?,
+          amount_paid = ?,
+          currency = ?,
+          status = ?,
+          current_period_start = ?,
+          current_period_end = ?,
+          renewal_date = ?,
+          cancel_at_period_end = ?,
+          canceled_at = ?,
+          updated_at = ?
+        WHERE customer_id = ? AND subscription_id = ? AND item_id = ?`
+			)
+				.bind(
+					siteDomain,
+					itemId,
+					priceId,
+					amountPaid,
+					currency,
+					status,
+					currentPeriodStart,
+					currentPeriodEnd,
+					renewalDate,
+					cancelAtPeriodEnd ? 1 : 0,
+					canceledAt,
+					timestamp,
+					customerId,
+					subscriptionId,
+					itemId
+				)
+				.run();
+		} else if (existing) {
+			// Update existing site (by exact site_domain match)
+			await env.DB.prepare(
+				`UPDATE sites SET
+          item_id = ?,
+          price_id = ?,
+          amount_paid = ?,
+          currency = ?,
+          status = ?,
+          current_period_start = ?,
+          current_period_end = ?,
+          renewal_date = ?,
+          cancel_at_period_end = ?,
+          canceled_at = ?,
+          updated_at = ?
+        WHERE customer_id = ? AND subscription_id = ? AND site_domain = ?`
+			)
+				.bind(
+					itemId,
+					priceId,
+					amountPaid,
+					currency,
+					status,
+					currentPeriodStart,
+					currentPeriodEnd,
+					renewalDate,
+					cancelAtPeriodEnd ? 1 : 0,
+					canceledAt,
+					timestamp,
+					customerId,
+					subscriptionId,
+					siteDomain
+				)
+				.run();
+		} else {
+			// Insert new site
+			await env.DB.prepare(
+				`INSERT INTO sites (
+          customer_id, subscription_id, item_id, site_domain, price_id,
+          amount_paid, currency, status, current_period_start, current_period_end,
+          renewal_date, cancel_at_period_end, canceled_at, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+			)
+				.bind(
+					customerId,
+					subscriptionId,
+					itemId,
+					siteDomain,
+					priceId,
+					amountPaid,
+					currency,
+					status,
+					currentPeriodStart,
+					currentPeriodEnd,
+					renewalDate,
+					cancelAtPeriodEnd ? 1 : 0,
+					canceledAt,
+					timestamp,
+					timestamp
+				)
+				.run();
+		}
+	} catch (error) {
+		console.error('Error saving site to database:', error);
+		// Don't throw - database save failure shouldn't break the flow
+	}
+}
@@ -0,0 +1,174 @@
+/**
+ * Webhook inbox: verified Stripe events are stored by /webhook and processed later by the scheduled worker,
+ * with per-event retry and exponential backoff (same lifecycle as subscription_queue).
+ */
+import { dispatchEvent } from '../webhooks/index.js';
+
+/**
+ * Store a verified event in the inbox
+ * @returns {Promise<{stored: boolean, duplicate?: boolean}>} stored=false when the inbox table is missing
+ */
+export async function enqueueWebhookEvent(env, event, rawBody) {
+	const timestamp = Math.floor(Date.now() / 1000);
+
+	try {
+		const result = await env.DB.prepare(
+			`INSERT INTO webhook_inbox (event_id, event_type, payload, status, attempts, created_at, updated_at)
+       VALUES (?, ?, ?, 'pending', 0, ?, ?)
+       ON CONFLICT(event_id) DO NOTHING`
+		)
+			.bind(event.id, event.type, rawBody || JSON.stringify(event), timestamp, timestamp)
+			.run();
+
+		const duplicate = !result.meta?.changes;
+		if (duplicate) {
+			console.log(`[INBOX] ⏭️ Event ${event.id} (${event.type}) already in inbox - ignoring redelivery`);
+		} else {
+			console.log(`[INBOX] 📥 Stored event ${event.id} (${event.type})`);
+		}
+		return { stored: true, duplicate };
+	} catch (error) {
+		if (error.message?.includes('no such table')) {
+			console.warn('[INBOX] ⚠️ webhook_inbox table not found - event will be processed inline');
+			return { stored: false };
+		}
+		throw error;
+	}
+}
+
+/**
+ * Process one inbox item. The caller must already hold the lock (status = 'processing').
+ */
+export async function processInboxItem(env, item, executionCtx = null) {
+	const timestamp = Math.floor(Date.now() / 1000);
+
+	try {
+		const event = JSON.parse(item.payload);
+		const response = await dispatchEvent(event, { env, executionCtx });
+
+		if (response.status >= 400) {
+			const body = await response.text().catch(() => '');
+			throw new Error(`Handler responded with status ${response.status}${body ? `: ${body.slice(0, 500)}` : ''}`);
+		}
+
+		await env.DB.prepare(
+			`UPDATE webhook_inbox
+       SET status = 'completed', attempts = ?, error_message = NULL, next_retry_at = NULL, processed_at = ?, updated_at = ?
+       WHERE event_id = ?`
+		)
+			.bind((item.attempts || 0) + 1, timestamp, timestamp, item.event_id)
+			.run();
+
+		return { success: true };
+	} catch (error) {
+		// Update inbox item as failed and schedule retry
+		const attempts = (item.attempts || 0) + 1;
+		const maxAttempts = item.max_attempts || 5;
+		const nextRetryAt =
+			attempts < maxAttempts
+				? timestamp + Math.pow(2, attempts) * 60 // Exponential backoff: 2min, 4min, 8min, 16min
+				: null;
+		const status = attempts >= maxAttempts ? 'failed' : 'pending';
+
+		await env.DB.prepare(
+			`UPDATE webhook_inbox
+       SET status = ?, attempts = ?, error_message = ?, next_retry_at = ?, updated_at = ?
+       WHERE event_id = ?`
+		)
+			.bind(status, attempts, error.message || String(error), nextRetryAt, timestamp, item.event_id)
+			.run();
+
+		console.error(`[INBOX] ❌ Failed to process event ${item.event_id} (${item.event_type}) (attempt ${attempts}/${maxAttempts}):`, error);
+		if (status === 'failed') {
+			console.error(`[INBOX] 🚨 Event ${item.event_id} has exceeded max attempts (${maxAttempts}). Marking as failed.`);
+		}
+
+		return { success: false, error: error.message, attempts };
+	}
+}
+
+/**
+ * Process pending inbox events in arrival order
+ * Called by the scheduled worker, and right after /webhook stores an event
+ * @param {Object} [options]
+ * @param {string} [options.eventId] - Only process this event
+ */
+export async function processWebhookInbox(env, limit = 50, { eventId = null, executionCtx = null } = {}) {
+	const timestamp = Math.floor(Date.now() / 1000);
+	const fiveMinutesAgo = timestamp - 5 * 60;
+
+	try {
+		// Reset items stuck in 'processing' for more than 5 minutes (worker crashed or timed out)
+		try {
+			const resetResult = await env.DB.prepare(
+				`UPDATE webhook_inbox
+         SET status = 'pending', updated_at = ?
+         WHERE status = 'processing'
+         AND updated_at < ?`
+			)
+				.bind(timestamp, fiveMinutesAgo)
+				.run();
+
+			if (resetResult.meta.changes > 0) {
+				console.log(`[INBOX] 🔄 Reset ${resetResult.meta.changes} stuck 'processing' events back to 'pending'`);
+			}
+		} catch (resetErr) {
+			console.warn(`[INBOX] ⚠️ Could not reset stuck processing events:`, resetErr);
+		}
+
+		const items = eventId
+			? await env.DB.prepare(`SELECT * FROM webhook_inbox WHERE event_id = ? AND status = 'pending'`).bind(eventId).all()
+			: await env.DB.prepare(
+					`SELECT * FROM webhook_inbox
+         WHERE status = 'pending'
+         AND (next_retry_at IS NULL OR next_retry_at <= ?)
+         ORDER BY created_at ASC, id ASC
+         LIMIT ?`
+			  )
+					.bind(timestamp, limit)
+					.all();
+
+		if (items.results.length === 0) {
+			return { processed: 0, message: 'No pending inbox events' };
+		}
+
+		let successCount = 0;
+		let failCount = 0;
+		let skippedCount = 0;
+
+		for (const item of items.results) {
+			// Atomic lock - only one worker moves an event from 'pending' to 'processing'
+			const lockResult = await env.DB.prepare(
+				`UPDATE webhook_inbox
+         SET status = 'processing', updated_at = ?
+         WHERE event_id = ? AND status = 'pending'`
+			)
+				.bind(timestamp, item.event_id)
+				.run();
+
+			if (lockResult.meta.changes === 0) {
+				skippedCount++;
+				continue;
+			}
+
+			const result = await processInboxItem(env, item, executionCtx);
+			if (result.success) {
+				successCount++;
+			} else {
+				failCount++;
+			}
+		}
+
+		console.log(
+			`[INBOX] ✅ Inbox processing complete: ${successCount} succeeded, ${failCount} failed, ${skippedCount} skipped (lock conflict) out of ${items.results.length} total`
+		);
+
+		return { processed: items.results.length, successCount, failCount, skippedCount };
+	} catch (error) {
+		if (error.message?.includes('no such table')) {
+			return { processed: 0, message: 'webhook_inbox table not found' };
+		}
+		console.error(`[INBOX] ❌ Error processing inbox:`, error);
+		return { processed: 0, error: error.message };
+	}
+}
@@ -0,0 +1,241 @@
+/**
+ * Minimal request router for the worker.
+ *
+ * Routes are registered per method and path. Paths may contain `:name` segments, which are exposed on `route.params`.
+ * Handlers receive `(request, env, ctx, route)` where `route` carries `url`, `pathname`, `params` and anything
+ * middleware attaches (e.g. `route.user`, `route.body`).
+ *
+ * Middleware receives `(request, env, ctx, route, next)` and either returns a Response or calls `next()`.
+ *
+ * Every response, including preflights and errors, gets its CORS headers from lib/cors.js using the route's
+ * policy (`cors('public')`, `cors('none')`; 'dashboard' when a route does not declare one).
+ */
+import { jsonResponse } from './lib/http.js';
+import { CORS_POLICIES, applyCors, preflight } from './lib/cors.js';
+import { getAuthenticatedUser } from './lib/auth.js';
+import { authenticateAdmin, hasAdminPermission, recordAdminAudit } from './lib/admin-auth.js';
+import {
+	clearFailedAttempts,
+	consumeRateLimit,
+	getLockout,
+	getRateLimitConfig,
+	getRateLimitIdentifiers,
+	getRateLimitStore,
+	recordFailedAttempt,
+} from './lib/rate-limit.js';
+
+function compilePath(path) {
+	const keys = [];
+	const pattern = path
+		.split('/')
+		.map((segment) => {
+			if (segment.startsWith(':')) {
+				keys.push(segment.slice(1));
+				return '([^/]+)';
+			}
+			return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+		})
+		.join('/');
+	return { regex: new RegExp(`^${pattern}/?$`), keys };
+}
+
+export class Router {
+	constructor() {
+		this.routes = [];
+	}
+
+	/**
+	 * Register a route. Any functions before the handler are run as middleware, in order.
+	 * @param {string|string[]} method - HTTP method(s)
+	 * @param {string} path - Path, optionally with `:param` segments
+	 * @param {...Function} fns - Middleware followed by the handler
+	 * @returns {Router}
+	 */
+	add(method, path, ...fns) {
+		const handler = fns.pop();
+		const methods = (Array.isArray(method) ? method : [method]).map((m) => m.toUpperCase());
+		const { regex, keys } = compilePath(path);
+		this.routes.push({ methods, path, regex, keys, middleware: fns, handler });
+		return this;
+	}
+
+	get(path, ...fns) {
+		return this.add('GET', path, ...fns);
+	}
+
+	post(path, ...fns) {
+		return this.add('POST', path, ...fns);
+	}
+
+	match(method, pathname) {
+		const allowed = new Set();
+		for (const r of this.routes) {
+			const m = r.regex.exec(pathname);
+			if (!m) continue;
+			if (r.methods.includes(method)) {
+				const params = {};
+				r.keys.forEach((key, i) => {
+					params[key] = decodeURIComponent(m[i + 1]);
+				});
+				return { route: r, params };
+			}
+			r.methods.forEach((x) => allowed.add(x));
+		}
+		return { route: null, allowed: [...allowed] };
+	}
+
+	// CORS policy declared by the first route registered for this path
+	corsPolicyFor(pathname) {
+		for (const r of this.routes) {
+			if (!r.regex.test(pathname)) continue;
+			const declared = r.middleware.find((fn) => fn.corsPolicy);
+			if (declared) return declared.corsPolicy;
+		}
+		return 'dashboard';
+	}
+
+	async handle(request, env, ctx) {
+		const url = new URL(request.url);
+		const pathname = url.pathname;
+		const method = request.method.toUpperCase();
+
+		const corsPolicy = this.corsPolicyFor(pathname);
+
+		try {
+			if (method === 'OPTIONS') {
+				const { allowed } = this.match(method, pathname);
+				if (allowed.length === 0) {
+					return new Response('not found', { status: 404 });
+				}
+				return await preflight(request, env, corsPolicy, [...allowed, 'OPTIONS'].join(', '));
+			}
+
+			const { route, params, allowed } = this.match(method, pathname);
+			if (!route) {
+				if (allowed.length > 0) {
+					const response = new Response('method not allowed', { status: 405, headers: { Allow: allowed.join(', ') } });
+					return await applyCors(response, request, env, corsPolicy);
+				}
+				return new Response('not found', { status: 404 });
+			}
+
+			const ctxRoute = { url, pathname, params, path: route.path };
+			const chain = [...route.middleware, route.handler];
+			const run = (i) => {
+				const fn = chain[i];
+				if (i === chain.length - 1) return fn(request, env, ctx, ctxRoute);
+				return fn(request, env, ctx, ctxRoute, () => run(i + 1));
+			};
+			return await applyCors(await run(0), request, env, corsPolicy);
+		} catch (err) {
+			console.error('Error in request handler:', err);
+			const response = jsonResponse(500, { error: 'internal_server_error', message: err.message || 'Internal server error' }, true, request);
+			return await applyCors(response, request, env, corsPolicy).catch(() => response);
+		}
+	}
+}
+
+/* ---------------- MIDDLEWARE ---------------- */
+
+// Resolve the caller from a Memberstack token or session cookie; sets route.user or responds 401
+export async function requireAuth(request, env, ctx, route, next) {
+	const user = await getAuthenticatedUser(request, env);
+	if (!user || !user.email) {
+		return jsonResponse(401, { error: 'unauthenticated', message: 'A valid Memberstack token or session is required' }, true, request);
+	}
+	route.user = user;
+	return next();
+}
+
+/**
+ * Admin-only routes: require an admin token holding `permission` (see lib/admin-auth.js); sets route.admin.
+ * Every call, allowed or rejected, is written to admin_audit_log.
+ */
+export function requireAdmin(permission) {
+	return async function requireAdminMiddleware(request, env, ctx, route, next) {
+		const admin = await authenticateAdmin(request, env);
+		if (!admin) {
+			await recordAdminAudit(env, request, { permission, outcome: 'unauthenticated', status: 401 });
+			return jsonResponse(401, { error: 'admin_unauthenticated', message: 'A valid admin token is required' }, true, request);
+		}
+		if (!hasAdminPermission(admin, permission)) {
+			console.warn(`[admin] ⚠️ ${admin.name} lacks ${permission} for ${request.method} ${route.pathname}`);
+			await recordAdminAudit(env, request, { admin, permission, outcome: 'forbidden', status: 403 });
+			return jsonResponse(403, { error: 'forbidden', message: `Permission ${permission} is required` }, true, request);
+		}
+
+		route.admin = admin;
+		const response = await next();
+		await recordAdminAudit(env, request, { admin, permission, outcome: 'allowed', status: response.status });
+		return response;
+	};
+}
+
+function tooManyRequests(request, retryAfter, body) {
+	const response = jsonResponse(429, { ...body, retry_after: retryAfter }, true, request);
+	response.headers.set('Retry-After', String(retryAfter));
+	return response;
+}
+
+/**
+ * Rate limit a route by IP, license key and email (limits in lib/rate-limit.js). Responds 429 with Retry-After
+ * when a limit is exceeded or an identifier is locked out after repeated failures.
+ */
+export function rateLimit(name) {
+	return async function rateLimitMiddleware(request, env, ctx, route, next) {
+		const config = getRateLimitConfig(env, name);
+		const store = getRateLimitStore(env);
+		const ids = await getRateLimitIdentifiers(request, route.url);
+
+		if (config.lockout) {
+			const lock = await getLockout(store, name, config.lockout, ids);
+			if (lock.locked) {
+				console.warn(`[rate-limit] 🔒 ${name}: rejected request from locked ${lock.lockedBy} ${ids[lock.lockedBy]}`);
+				return tooManyRequests(request, lock.retryAfter, {
+					error: 'too_many_failed_attempts',
+					message: 'Too many failed attempts. Please try again later.',
+				});
+			}
+		}
+
+		const result = await consumeRateLimit(store, name, config, ids);
+		if (!result.allowed) {
+			console.warn(`[rate-limit] ⚠️ ${name}: ${result.limitedBy} ${ids[result.limitedBy]} exceeded its limit`);
+			return tooManyRequests(request, result.retryAfter, {
+				error: 'rate_limited',
+				message: 'Too many requests. Please slow down and try again later.',
+			});
+		}
+
+		const response = await next();
+
+		if (config.lockout) {
+			if (config.lockout.failureStatuses.includes(response.status)) {
+				await recordFailedAttempt(store, name, config.lockout, ids);
+			} else if (response.ok) {
+				await clearFailedAttempts(store, name, ids);
+			}
+		}
+		return response;
+	};
+}
+
+// Parse the JSON body once; sets route.body or responds 400
+export async function parseJson(request, env, ctx, route, next) {
+	try {
+		route.body = await request.json();
+	} catch (err) {
+		return jsonResponse(400, { error: 'invalid_json', message: 'Request body must be valid JSON' }, true, request);
+	}
+	return next();
+}
+
+// Declare a route's CORS policy (see lib/cors.js). Read by the router for preflights and responses.
+export function cors(policy) {
+	if (!CORS_POLICIES.includes(policy)) {
+		throw new Error(`Unknown CORS policy: ${policy}`);
+	}
+	const corsMiddleware = (request, env, ctx, route, next) => next();
+	corsMiddleware.corsPolicy = policy;
+	return corsMiddleware;
+}
@@ -0,0 +1,145 @@
+/**
+ * Administrative routes.
+ */
+import { jsonResponse } from '../lib/http.js';
+import { requireAdmin } from '../router.js';
+import { migrateToQuantitySubscriptions } from '../lib/quantity-subscriptions.js';
+import { refundPayment } from '../lib/refunds.js';
+
+// Export Stripe logs as JSON file
+export async function handleExportStripeLogs(request, env, ctx, route) {
+	if (!env.DB) {
+		return jsonResponse(500, { error: 'Database not configured' }, true, request);
+	}
+
+	try {
+		const url = new URL(request.url);
+		const date = url.searchParams.get('date'); // Optional: filter by date (YYYY-MM-DD)
+		const subscriptionId = url.searchParams.get('subscription_id'); // Optional: filter by subscription ID
+		const customerId = url.searchParams.get('customer_id'); // Optional: filter by customer ID
+		const eventType = url.searchParams.get('event_type'); // Optional: filter by event type
+		const limit = parseInt(url.searchParams.get('limit')) || 1000; // Default 1000, max 10000
+		const maxLimit = Math.min(limit, 10000);
+
+		let query = 'SELECT * FROM stripe_logs WHERE 1=1';
+		const params = [];
+
+		if (date) {
+			query += ' AND date = ?';
+			params.push(date);
+		}
+		if (subscriptionId) {
+			query += ' AND subscription_id = ?';
+			params.push(subscriptionId);
+		}
+		if (customerId) {
+			query += ' AND customer_id = ?';
+			params.push(customerId);
+		}
+		if (eventType) {
+			query += ' AND event_type = ?';
+			params.push(eventType);
+		}
+
+		query += ' ORDER BY timestamp DESC LIMIT ?';
+		params.push(maxLimit);
+
+		const result = await env.DB.prepare(query)
+			.bind(...params)
+			.all();
+
+		if (!result.success) {
+			return jsonResponse(500, { error: 'Failed to fetch logs', details: result.error }, true, request);
+		}
+
+		// Parse JSON fields
+		const logs = (result.results || []).map((log) => ({
+			id: log.id,
+			timestamp: log.timestamp,
+			date: log.date,
+			event_id: log.event_id,
+			event_type: log.event_type,
+			subscription_id: log.subscription_id,
+			customer_id: log.customer_id,
+			event_data: log.event_data ? JSON.parse(log.event_data) : null,
+			additional_data: log.additional_data ? JSON.parse(log.additional_data) : null,
+			created_at: log.created_at,
+			created_at_iso: new Date(log.created_at * 1000).toISOString(),
+		}));
+
+		// Return as JSON file download
+		const jsonContent = JSON.stringify(logs, null, 2);
+		const filename = `stripe-logs-${date || 'all'}-${new Date().toISOString().split('T')[0]}.json`;
+
+		return new Response(jsonContent, {
+			headers: {
+				'Content-Type': 'application/json',
+				'Content-Disposition': `attachment; filename="${filename}"`,
+			},
+		});
+	} catch (error) {
+		console.error('[Export Logs] Error:', error);
+		return jsonResponse(500, { error: 'Failed to export logs', message: error.message }, true, request);
+	}
+}
+
+// Move a customer's per-license Use Case 3 subscriptions onto one shared quantity subscription per price
+export async function handleMigrateQuantitySubscriptions(request, env, ctx, route) {
+	if (!env.DB) {
+		return jsonResponse(500, { error: 'Database not configured' }, true, request);
+	}
+
+	const body = await request.json().catch(() => ({}));
+	if (!body.customer_id) {
+		return jsonResponse(400, { error: 'missing_fields', message: 'customer_id is required' }, true, request);
+	}
+
+	try {
+		// Dry run unless explicitly disabled - the plan should be reviewed first
+		const result = await migrateToQuantitySubscriptions(env, body.customer_id, { dryRun: body.dry_run !== false });
+		return jsonResponse(200, { success: true, customer_id: body.customer_id, ...result }, true, request);
+	} catch (error) {
+		console.error('[Migrate Quantity] Error:', error);
+		return jsonResponse(500, { error: 'migration_failed', message: error.message }, true, request);
+	}
+}
+
+/**
+ * Manual refund for support. Body: { payment_intent_id?, license_keys?, amount?, reason?, dry_run? } - see refundPayment.
+ * Dry run unless explicitly disabled, like the migration above: the response shows the amount and keys first.
+ */
+export async function handleAdminRefund(request, env, ctx, route) {
+	if (!env.DB) {
+		return jsonResponse(500, { error: 'Database not configured' }, true, request);
+	}
+
+	const body = await request.json().catch(() => ({}));
+	if (body.license_keys !== undefined && !Array.isArray(body.license_keys)) {
+		return jsonResponse(400, { error: 'invalid_license_keys', message: 'license_keys must be an array' }, true, request);
+	}
+
+	try {
+		const result = await refundPayment(env, {
+			paymentIntentId: body.payment_intent_id || null,
+			licenseKeys: body.license_keys || [],
+			amount: body.amount === undefined || body.amount === null ? null : Number(body.amount),
+			reason: body.reason || null,
+			dryRun: body.dry_run !== false,
+			actor: route.admin?.name || null,
+		});
+		return jsonResponse(200, { success: true, ...result }, true, request);
+	} catch (error) {
+		if (error.status) {
+			console.warn(`[Admin Refund] ⚠️ ${error.code}: ${error.message}`);
+			return jsonResponse(error.status, { error: error.code, message: error.message, details: error.details || undefined }, true, request);
+		}
+		console.error('[Admin Refund] Error:', error);
+		return jsonResponse(500, { error: 'refund_failed', message: error.message }, true, request);
+	}
+}
+
+export function registerAdminRoutes(router) {
+	router.get('/export-stripe-logs', requireAdmin('logs:read'), handleExportStripeLogs);
+	router.post('/admin/migrate-quantity-subscriptions', requireAdmin('subscriptions:migrate'), handleMigrateQuantitySubscriptions);
+	router.post('/admin/refunds', requireAdmin('refunds:write'), handleAdminRefund);
+}
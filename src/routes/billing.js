@@ -0,0 +1,466 @@
+/**
+ * Billing routes.
+ */
+import { jsonResponse } from '../lib/http.js';
+import { stripeFetch } from '../lib/stripe.js';
+import { getAuthenticatedUser } from '../lib/auth.js';
+import { requireAuth } from '../router.js';
+import { getUserByEmail } from '../lib/users.js';
+import { resolvePlanSwitch, previewPlanSwitch, performPlanSwitch } from '../lib/plan-switch.js';
+
+// Get invoices endpoint - returns paid invoices for a use
+export async function handleGetInvoices(request, env, ctx, route) {
+	const { url, pathname } = route;
+	console.log('[Invoices] Endpoint hit:', { pathname, method: request.method, url: request.url });
+	try {
+		// Email comes from the verified identity (Memberstack token or session cookie)
+		const authUser = await getAuthenticatedUser(request, env);
+		if (!authUser) {
+			return jsonResponse(
+				401,
+				{ error: 'unauthenticated', message: 'A valid Memberstack token or session is required', invoices: [] },
+				true,
+				request
+			);
+		}
+		const email = authUser.email;
+
+		if (!email || !email.includes('@')) {
+			return jsonResponse(400, { error: 'invalid_email', message: 'Valid email is required', invoices: [] }, true, request);
+		}
+
+		// Get pagination parameters
+		const limit = parseInt(url.searchParams.get('limit')) || 10;
+		const offset = parseInt(url.searchParams.get('offset')) || 0;
+
+		// Optimize: Fetch enough invoices to find paid ones
+		// For first page, fetch more to ensure we find paid invoices (many might be $0 trial invoices)
+		// For subsequent pages, fetch based on offset + limit
+		// Increased to 300 to handle customers with many $0 trial invoices before paid ones
+		const maxInvoicesPerCustomer = offset === 0 ? 300 : Math.max((offset + limit) * 3, 300);
+		const maxCustomersToProcess = 10; // Limit number of customers to prevent timeout
+
+		console.log(`[Invoices] maxInvoicesPerCustomer set to: ${maxInvoicesPerCustomer} (offset: ${offset})`);
+
+		// Get all customer IDs for this email from multiple sources
+		let allCustomerIds = [];
+		if (env.DB) {
+			try {
+				console.log(`[Invoices] Searching for customer IDs for email: ${email}`);
+
+				// 1. Get customer IDs from customers table (primary source)
+				const customersRes = await env.DB.prepare('SELECT DISTINCT customer_id FROM customers WHERE user_email = ?')
+					.bind(email)
+					.all();
+
+				if (customersRes && customersRes.results) {
+					const foundCustomerIds = customersRes.results.map((row) => row.customer_id).filter((id) => id && id.startsWith('cus_'));
+					console.log(`[Invoices] Found ${foundCustomerIds.length} customer ID(s) from customers table:`, foundCustomerIds);
+					allCustomerIds = [...new Set([...allCustomerIds, ...foundCustomerIds])];
+				} else {
+					console.log(`[Invoices] No customer IDs found in customers table for email: ${email}`);
+				}
+
+				// 2. Also check payments table
+				const paymentsRes = await env.DB.prepare(
+					'SELECT DISTINCT customer_id FROM payments WHERE email = ? AND customer_id IS NOT NULL'
+				)
+					.bind(email)
+					.all();
+
+				if (paymentsRes && paymentsRes.results) {
+					const paymentCustomerIds = paymentsRes.results.map((row) => row.customer_id).filter((id) => id && id.startsWith('cus_'));
+					console.log(`[Invoices] Found ${paymentCustomerIds.length} customer ID(s) from payments table:`, paymentCustomerIds);
+					allCustomerIds = [...new Set([...allCustomerIds, ...paymentCustomerIds])];
+				} else {
+					console.log(`[Invoices] No customer IDs found in payments table for email: ${email}`);
+				}
+
+				// 3. Also check subscriptions table (subscriptions also have customer_id)
+				const subscriptionsRes = await env.DB.prepare(
+					'SELECT DISTINCT customer_id FROM subscriptions WHERE user_email = ? AND customer_id IS NOT NULL'
+				)
+					.bind(email)
+					.all();
+
+				if (subscriptionsRes && subscriptionsRes.results) {
+					const subscriptionCustomerIds = subscriptionsRes.results
+						.map((row) => row.customer_id)
+						.filter((id) => id && id.startsWith('cus_'));
+					console.log(
+						`[Invoices] Found ${subscriptionCustomerIds.length} customer ID(s) from subscriptions table:`,
+						subscriptionCustomerIds
+					);
+					allCustomerIds = [...new Set([...allCustomerIds, ...subscriptionCustomerIds])];
+				} else {
+					console.log(`[Invoices] No customer IDs found in subscriptions table for email: ${email}`);
+				}
+
+				// 4. Also check licenses table (licenses also have customer_id)
+				const licensesRes = await env.DB.prepare('SELECT DISTINCT customer_id FROM licenses WHERE customer_id IS NOT NULL').all();
+
+				if (licensesRes && licensesRes.results) {
+					// Filter licenses by checking if they belong to this user's customer IDs
+					// Since licenses table doesn't have user_email, we'll check if any license
+					// has a customer_id that matches any of the customer IDs we've already found
+					// OR we can check via subscriptions that have these customer IDs
+					const licenseCustomerIds = licensesRes.results.map((row) => row.customer_id).filter((id) => id && id.startsWith('cus_'));
+
+					// Check which license customer IDs belong to this user by cross-referencing with subscriptions
+					const userLicenseCustomerIds = [];
+					for (const licenseCustId of licenseCustomerIds) {
+						// Check if this customer_id exists in subscriptions for this user
+						const subCheck = await env.DB.prepare(
+							'SELECT COUNT(*) as count FROM subscriptions WHERE user_email = ? AND customer_id = ?'
+						)
+							.bind(email, licenseCustId)
+							.first();
+
+						if (subCheck && subCheck.count > 0) {
+							userLicenseCustomerIds.push(licenseCustId);
+						}
+					}
+
+					if (userLicenseCustomerIds.length > 0) {
+						console.log(
+							`[Invoices] Found ${userLicenseCustomerIds.length} additional customer ID(s) from licenses table:`,
+							userLicenseCustomerIds
+						);
+						allCustomerIds = [...new Set([...allCustomerIds, ...userLicenseCustomerIds])];
+					}
+				}
+
+				// Final filtering and deduplication
+				allCustomerIds = [...new Set(allCustomerIds.filter((id) => id && id.startsWith('cus_')))];
+
+				console.log(`[Invoices] Total unique customer IDs found: ${allCustomerIds.length}`);
+				if (allCustomerIds.length > 0) {
+					console.log(`[Invoices] All customer IDs:`, allCustomerIds);
+				}
+			} catch (dbErr) {
+				console.error('[Invoices] Error finding customers by email:', dbErr);
+				console.error('[Invoices] Error details:', {
+					message: dbErr.message,
+					stack: dbErr.stack,
+					email: email,
+				});
+			}
+		} else {
+			console.error('[Invoices] Database not available (env.DB is null)');
+		}
+
+		if (allCustomerIds.length === 0) {
+			console.log('[Invoices] No customer IDs found for email:', email);
+			return jsonResponse(
+				200,
+				{
+					invoices: [],
+					total: 0,
+					hasMore: false,
+					offset: offset,
+					limit: limit,
+				},
+				true,
+				request
+			);
+		}
+
+		console.log(`[Invoices] Found ${allCustomerIds.length} customer ID(s) for email ${email}:`, allCustomerIds);
+
+		// Limit number of customers to process to prevent timeout
+		const customersToProcess = allCustomerIds.slice(0, maxCustomersToProcess);
+		if (allCustomerIds.length > maxCustomersToProcess) {
+			console.log(`[Invoices] Limiting to first ${maxCustomersToProcess} customers to prevent timeout`);
+		}
+
+		// Fetch invoices from Stripe for customer IDs with pagination
+		const allInvoices = [];
+
+		for (const customerId of customersToProcess) {
+			try {
+				let hasMore = true;
+				let startingAfter = null;
+				let customerInvoiceCount = 0;
+
+				// Fetch invoices with pagination, but limit per customer to prevent timeout
+				let invoicesFetchedForCustomer = 0;
+
+				while (hasMore && invoicesFetchedForCustomer < maxInvoicesPerCustomer) {
+					// Calculate how many more we need for this customer
+					const remainingNeeded = maxInvoicesPerCustomer - invoicesFetchedForCustomer;
+					const fetchLimit = Math.min(100, remainingNeeded); // Stripe max is 100
+
+					let invoiceUrl = `/invoices?customer=${customerId}&limit=${fetchLimit}`;
+					if (startingAfter) {
+						invoiceUrl += `&starting_after=${startingAfter}`;
+					}
+
+					const invoicesRes = await stripeFetch(env, invoiceUrl);
+
+					if (invoicesRes.status === 200 && invoicesRes.body) {
+						const invoicesData = invoicesRes.body.data || [];
+						const hasMoreFlag = invoicesRes.body.has_more || false;
+
+						console.log(`[Invoices] Fetched ${invoicesData.length} invoices for customer ${customerId} (has_more: ${hasMoreFlag})`);
+						console.log(
+							`[Invoices] Progress: ${invoicesFetchedForCustomer}/${maxInvoicesPerCustomer} invoices fetched for customer ${customerId}`
+						);
+
+						// Filter out $0 invoices and only include paid invoices
+						const paidInvoices = invoicesData.filter((invoice) => {
+							// Only include invoices that were actually paid (amount_paid > 0)
+							return invoice.status === 'paid' && invoice.amount_paid > 0;
+						});
+
+						customerInvoiceCount += paidInvoices.length;
+						invoicesFetchedForCustomer += invoicesData.length;
+						console.log(
+							`[Invoices] After this batch: ${invoicesFetchedForCustomer}/${maxInvoicesPerCustomer} total fetched, ${customerInvoiceCount} paid invoices found`
+						);
+
+						// Transform invoice data
+						const transformedInvoices = paidInvoices.map((invoice) => ({
+							id: invoice.id,
+							number: invoice.number,
+							amount_paid: invoice.amount_paid,
+							amount_due: invoice.amount_due,
+							currency: invoice.currency,
+							status: invoice.status,
+							created: invoice.created,
+							invoice_pdf: invoice.invoice_pdf,
+							hosted_invoice_url: invoice.hosted_invoice_url,
+							customer: invoice.customer,
+							subscription: invoice.subscription,
+							period_start: invoice.period_start,
+							period_end: invoice.period_end,
+							description: invoice.description || invoice.lines?.data?.[0]?.description || 'Invoice',
+							line_items:
+								invoice.lines?.data?.map((item) => ({
+									description: item.description,
+									amount: item.amount,
+									quantity: item.quantity,
+									price: item.price,
+								})) || [],
+						}));
+
+						allInvoices.push(...transformedInvoices);
+
+						// Early exit if we have enough paid invoices for pagination (with buffer)
+						// Only exit early if we have enough paid invoices, not just raw invoices
+						if (allInvoices.length >= offset + limit + 50) {
+							console.log(`[Invoices] Early exit: Collected enough paid invoices (${allInvoices.length}) for pagination`);
+							hasMore = false;
+							break;
+						}
+
+						// Continue fetching if there are more invoices and we haven't reached the limit
+						// Don't stop just because we fetched 50 - keep going to find paid invoices
+						if (hasMoreFlag && invoicesData.length > 0 && invoicesFetchedForCustomer < maxInvoicesPerCustomer) {
+							// Get the last invoice ID for pagination
+							startingAfter = invoicesData[invoicesData.length - 1].id;
+							hasMore = true;
+							console.log(
+								`[Invoices] Continuing to fetch more invoices for customer ${customerId} (${invoicesFetchedForCustomer} < ${maxInvoicesPerCustomer})`
+							);
+						} else {
+							hasMore = false;
+							if (invoicesFetchedForCustomer >= maxInvoicesPerCustomer) {
+								console.log(`[Invoices] Reached max invoices per customer (${maxInvoicesPerCustomer}) for customer ${customerId}`);
+							} else if (!hasMoreFlag) {
+								console.log(`[Invoices] No more invoices available for customer ${customerId} (has_more: false)`);
+							} else {
+								console.log(`[Invoices] Stopping fetch for customer ${customerId} (invoicesData.length: ${invoicesData.length})`);
+							}
+						}
+					} else {
+						console.error(`[Invoices] Failed to fetch invoices for customer ${customerId}:`, invoicesRes.status, invoicesRes.body);
+						hasMore = false;
+					}
+				}
+
+				if (invoicesFetchedForCustomer >= maxInvoicesPerCustomer) {
+					console.log(`[Invoices] Reached max invoices per customer (${maxInvoicesPerCustomer}) for customer ${customerId}`);
+				}
+
+				console.log(`[Invoices] Total paid invoices for customer ${customerId}: ${customerInvoiceCount}`);
+			} catch (stripeErr) {
+				console.error(`[Invoices] Error fetching invoices for customer ${customerId}:`, stripeErr);
+				// Continue with other customers
+			}
+		}
+
+		console.log(`[Invoices] Total invoices found across all customers: ${allInvoices.length}`);
+
+		// Sort by created date (most recent first) and remove duplicates
+		const uniqueInvoices = Array.from(new Map(allInvoices.map((inv) => [inv.id, inv])).values()).sort(
+			(a, b) => b.created - a.created
+		);
+
+		const totalCount = uniqueInvoices.length;
+
+		// Apply pagination
+		const paginatedInvoices = uniqueInvoices.slice(offset, offset + limit);
+		const hasMore = offset + limit < totalCount;
+
+		console.log(`[Invoices] Final unique paid invoices count: ${totalCount} (after deduplication)`);
+		console.log(`[Invoices] Pagination: offset=${offset}, limit=${limit}, returned=${paginatedInvoices.length}, hasMore=${hasMore}`);
+		console.log(`[Invoices] Customer IDs processed: ${allCustomerIds.length}`);
+
+		return jsonResponse(
+			200,
+			{
+				invoices: paginatedInvoices,
+				total: totalCount,
+				hasMore: hasMore,
+				offset: offset,
+				limit: limit,
+			},
+			true,
+			request
+		);
+	} catch (error) {
+		console.error('[Invoices] Error:', error);
+		console.error('[Invoices] Error details:', {
+			message: error.message,
+			stack: error.stack,
+			name: error.name,
+		});
+		return jsonResponse(
+			500,
+			{
+				error: 'Failed to fetch invoices',
+				message: error.message || 'An unexpected error occurred',
+				invoices: [],
+				total: 0,
+				hasMore: false,
+				offset: offset || 0,
+				limit: limit || 10,
+			},
+			true,
+			request
+		);
+	}
+}
+
+/**
+ * Create a Stripe Customer Portal session for the signed-in user.
+ * Body (optional): { customer_id } - pick one of the user's customers when they have several.
+ * Changes made in the portal come back through the customer.subscription.updated/deleted webhooks.
+ */
+export async function handleBillingPortal(request, env, ctx, route) {
+	const email = route.user.email;
+	const body = await request.json().catch(() => ({}));
+
+	if (!env.DB) {
+		return jsonResponse(500, { error: 'database_not_configured' }, true, request);
+	}
+
+	try {
+		// Only customers linked to this user in the customers table - never trust a customer_id from the client
+		const customersRes = await env.DB.prepare(
+			'SELECT customer_id FROM customers WHERE user_email = ? ORDER BY updated_at DESC, created_at DESC'
+		)
+			.bind(email)
+			.all();
+		const customerIds = (customersRes.results || []).map((row) => row.customer_id).filter((id) => id && id.startsWith('cus_'));
+
+		if (customerIds.length === 0) {
+			return jsonResponse(
+				404,
+				{ error: 'customer_not_found', message: 'No billing account found for this user. Complete a purchase first.' },
+				true,
+				request
+			);
+		}
+
+		let customerId = customerIds[0];
+		if (body.customer_id) {
+			if (!customerIds.includes(body.customer_id)) {
+				return jsonResponse(403, { error: 'forbidden', message: 'This billing account does not belong to you' }, true, request);
+			}
+			customerId = body.customer_id;
+		}
+
+		const dashboardUrl = env.MEMBERSTACK_REDIRECT_URL || 'https://dashboard.consentbit.com/dashboard';
+		const form = {
+			customer: customerId,
+			return_url: dashboardUrl,
+		};
+		if (env.STRIPE_PORTAL_CONFIGURATION_ID) {
+			form.configuration = env.STRIPE_PORTAL_CONFIGURATION_ID;
+		}
+
+		const sessionRes = await stripeFetch(env, '/billing_portal/sessions', 'POST', form, true);
+		if (sessionRes.status !== 200 || !sessionRes.body?.url) {
+			console.error(`[billing-portal] ❌ Failed to create portal session for ${customerId}:`, sessionRes.status, sessionRes.body);
+			return jsonResponse(
+				502,
+				{ error: 'portal_session_failed', message: sessionRes.body?.error?.message || 'Could not open the billing portal' },
+				true,
+				request
+			);
+		}
+
+		console.log(`[billing-portal] ✅ Portal session created for ${email} (${customerId})`);
+		return jsonResponse(200, { url: sessionRes.body.url }, true, request);
+	} catch (error) {
+		console.error('[billing-portal] ❌ Error:', error);
+		return jsonResponse(500, { error: 'portal_session_failed', message: error.message }, true, request);
+	}
+}
+
+// Shared by the preview and the switch: parse the body, resolve the target against the user's customers
+async function handlePlanSwitchRequest(request, env, route, logPrefix, run) {
+	const body = await request.json().catch(() => ({}));
+	if (!env.DB) {
+		return jsonResponse(500, { error: 'database_not_configured' }, true, request);
+	}
+
+	try {
+		const user = await getUserByEmail(env, route.user.email);
+		const customerIds = user && user.customers ? user.customers.map((c) => c.customerId) : [];
+		const target = await resolvePlanSwitch(
+			env,
+			{ subscriptionId: body.subscription_id, site: body.site, licenseKey: body.license_key, billingPeriod: body.billing_period },
+			customerIds
+		);
+		return jsonResponse(200, await run(target, body), true, request);
+	} catch (error) {
+		if (error.status) {
+			console.warn(`[${logPrefix}] ⚠️ ${error.code}: ${error.message}`);
+			return jsonResponse(error.status, { error: error.code, message: error.message, details: error.details || undefined }, true, request);
+		}
+		console.error(`[${logPrefix}] ❌ Error:`, error);
+		return jsonResponse(500, { error: 'plan_switch_failed', message: error.message }, true, request);
+	}
+}
+
+/**
+ * Preview switching between monthly and yearly billing.
+ * Body: { billing_period, subscription_id | site | license_key }
+ * Returns the amount due now and a proration_date to send back with POST /plan-switch.
+ */
+export async function handlePlanSwitchPreview(request, env, ctx, route) {
+	return handlePlanSwitchRequest(request, env, route, 'plan-switch-preview', (target) => previewPlanSwitch(env, target));
+}
+
+/**
+ * Switch between monthly and yearly billing.
+ * Body: { billing_period, subscription_id | site | license_key, proration_date } - proration_date from the preview.
+ */
+export async function handlePlanSwitch(request, env, ctx, route) {
+	return handlePlanSwitchRequest(request, env, route, 'plan-switch', async (target, body) => {
+		const prorationDate = parseInt(body.proration_date, 10);
+		const now = Math.floor(Date.now() / 1000);
+		// Stripe only accepts proration dates inside the current period; quotes older than a day are re-priced
+		const useQuote = prorationDate && prorationDate <= now && now - prorationDate < 24 * 60 * 60;
+		return { success: true, ...(await performPlanSwitch(env, target, useQuote ? prorationDate : now)) };
+	});
+}
+
+export function registerBillingRoutes(router) {
+	router.get('/api/invoices', handleGetInvoices);
+	router.post('/billing-portal', requireAuth, handleBillingPortal);
+	router.post('/plan-switch/preview', requireAuth, handlePlanSwitchPreview);
+	router.post('/plan-switch', requireAuth, handlePlanSwitch);
+}
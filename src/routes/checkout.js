@@ -0,0 +1,1389 @@
+/**
+ * Checkout routes: site checkouts, pending-site checkouts and quantity purchases.
+ */
+import { jsonResponse } from '../lib/http.js';
+import { stripeFetch } from '../lib/stripe.js';
+import { verifyToken } from '../lib/auth.js';
+import { getUserByEmail, saveUserByEmail, getUserByCustomerId } from '../lib/users.js';
+import { generateTempLicenseKeys } from '../lib/licenses.js';
+import { getCatalog, getCatalogEntry } from '../lib/catalog.js';
+import { getCurrencyError, resolveCheckoutCurrency } from '../lib/currency.js';
+import { previewOneTimeCharge, summarizeInvoice } from '../lib/invoice-preview.js';
+import { getSiteTrialSeconds } from '../lib/sites-queue.js';
+import { requireAuth } from '../router.js';
+
+// Generate multiple license keys with uniqueness check
+export async function handleCreateSiteCheckout(request, env) {
+	const url = new URL(request.url);
+
+	console.log('[CREATE-SITE-CHECKOUT] 📥 Request received');
+
+	/* ─────────────────────────────
+     PARSE BODY
+  ───────────────────────────── */
+	let body;
+	try {
+		body = await request.json();
+		console.log('[CREATE-SITE-CHECKOUT] 📋 Request body:', {
+			email: body.email ? 'provided' : 'not provided',
+			billing_period: body.billing_period,
+			sites: Array.isArray(body.sites) ? body.sites.length : 0,
+		});
+	} catch (err) {
+		console.error('[CREATE-SITE-CHECKOUT] ❌ Error parsing request body:', err);
+		return jsonResponse(
+			400,
+			{
+				error: 'invalid_request',
+				message: 'Invalid JSON in request body',
+			},
+			true,
+			request
+		);
+	}
+
+	const { email: emailParam, sites, billing_period: billingPeriodParam, currency: currencyParam } = body;
+	const sitesArray = Array.isArray(sites) ? sites : [];
+
+	if (!sitesArray.length) {
+		console.log('[CREATE-SITE-CHECKOUT] ❌ No sites provided');
+		return jsonResponse(
+			400,
+			{
+				error: 'missing_sites',
+				message: 'At least one site is required',
+			},
+			true,
+			request
+		);
+	}
+
+	/* ─────────────────────────────
+     AUTH / EMAIL (same as purchase-quantity)
+  ───────────────────────────── */
+	let email = emailParam?.toLowerCase().trim();
+
+	if (!email) {
+		const cookie = request.headers.get('cookie') || '';
+		const match = cookie.match(/sb_session=([^;]+)/);
+		if (!match) {
+			return jsonResponse(401, { error: 'unauthenticated' }, true, request);
+		}
+
+		const payload = await verifyToken(env, match[1]);
+		if (!payload?.email) {
+			return jsonResponse(401, { error: 'invalid_session' }, true, request);
+		}
+
+		email = payload.email;
+	}
+
+	if (!email.includes('@')) {
+		console.log('[CREATE-SITE-CHECKOUT] ❌ Invalid email format:', email);
+		return jsonResponse(400, { error: 'invalid_email' }, true, request);
+	}
+
+	console.log('[CREATE-SITE-CHECKOUT] ✅ Email validated:', email);
+
+	/* ─────────────────────────────
+     LOAD USER & CUSTOMER (exactly like purchase-quantity)
+  ───────────────────────────── */
+	console.log('[CREATE-SITE-CHECKOUT] 🔍 Loading user from database...');
+	const user = await getUserByEmail(env, email);
+
+	if (!user?.customers?.length) {
+		console.log('[CREATE-SITE-CHECKOUT] ❌ No customer found for email:', email);
+		return jsonResponse(
+			400,
+			{
+				error: 'no_customer',
+				message: 'Customer account required',
+			},
+			true,
+			request
+		);
+	}
+
+	console.log('[CREATE-SITE-CHECKOUT] ✅ User found with', user.customers.length, 'customer(s)');
+
+	let customerId = null;
+	if (user.customers && user.customers.length > 0) {
+		customerId = user.customers[0].customerId;
+	}
+
+	if (!customerId) {
+		return jsonResponse(
+			400,
+			{
+				error: 'no_customer',
+				message: 'Customer account required',
+			},
+			true,
+			request
+		);
+	}
+
+	/* ─────────────────────────────
+     PRICE CONFIG (reuse purchase-quantity logic)
+  ───────────────────────────── */
+	if (!billingPeriodParam) {
+		console.log('[CREATE-SITE-CHECKOUT] ❌ Billing period not provided');
+		return jsonResponse(
+			400,
+			{
+				error: 'billing_period_required',
+				message: 'billing_period is required. Please provide "monthly" or "yearly".',
+			},
+			true,
+			request
+		);
+	}
+
+	const normalizedPeriod = billingPeriodParam.toLowerCase().trim();
+	console.log('[CREATE-SITE-CHECKOUT] 📅 Billing period:', normalizedPeriod);
+
+	if (normalizedPeriod !== 'monthly' && normalizedPeriod !== 'yearly') {
+		console.log('[CREATE-SITE-CHECKOUT] ❌ Invalid billing period:', billingPeriodParam);
+		return jsonResponse(
+			400,
+			{
+				error: 'invalid_billing_period',
+				message: `Invalid billing_period: ${billingPeriodParam}. Must be "monthly" or "yearly".`,
+			},
+			true,
+			request
+		);
+	}
+
+	const checkoutCurrency = await resolveCheckoutCurrency(env, { request, customerId, requested: currencyParam });
+	const catalogEntry = await getCatalogEntry(env, normalizedPeriod, { currency: checkoutCurrency.currency });
+	const currencyError = getCurrencyError(checkoutCurrency, catalogEntry);
+	if (currencyError) {
+		return jsonResponse(409, currencyError, true, request);
+	}
+	if (!catalogEntry || !catalogEntry.product_id || catalogEntry.unit_amount === null) {
+		console.log('[CREATE-SITE-CHECKOUT] ❌ Catalog entry not configured for:', normalizedPeriod);
+		return jsonResponse(
+			500,
+			{
+				error: 'product_id_not_configured',
+				message: `${normalizedPeriod.charAt(0).toUpperCase() + normalizedPeriod.slice(1)} product ID not configured.`,
+			},
+			true,
+			request
+		);
+	}
+	const productId = catalogEntry.product_id;
+	const unitAmount = catalogEntry.unit_amount;
+	const currency = catalogEntry.currency;
+
+	const storedUnitAmount = unitAmount;
+	console.log(`[CREATE-SITE-CHECKOUT] ✅ Price config loaded (${normalizedPeriod}):`, {
+		productId,
+		storedUnitAmount,
+		currency,
+	});
+
+	/* ─────────────────────────────
+     STEP 1: CALCULATE AMOUNT (like purchase-quantity)
+  ───────────────────────────── */
+	const totalSites = sitesArray.length;
+	let totalAmount = storedUnitAmount * totalSites;
+	const invoiceCurrency = currency;
+
+	console.log(`[CREATE-SITE-CHECKOUT] Using unit_amount from catalog: ${storedUnitAmount}, sites: ${totalSites}, total: ${totalAmount}`);
+
+	/* ─────────────────────────────
+     STEP 2: PREPARE METADATA FOR AFTER PAYMENT
+  ───────────────────────────── */
+	try {
+		await stripeFetch(
+			env,
+			`/customers/${customerId}`,
+			'POST',
+			{
+				'metadata[sites_pending]': JSON.stringify(sitesArray),
+				'metadata[usecase]': '2',
+				'metadata[billing_period]': normalizedPeriod,
+			},
+			true
+		);
+	} catch (metadataErr) {
+		console.warn('[CREATE-SITE-CHECKOUT] ⚠️ Failed to store metadata in customer:', metadataErr);
+		// Non-critical
+	}
+
+	/* ─────────────────────────────
+     STEP 3: CREATE CHECKOUT SESSION (mode: payment, like purchase-quantity)
+  ───────────────────────────── */
+	const dashboardUrl = env.MEMBERSTACK_REDIRECT_URL || 'https://dashboard.consentbit.com/dashboard';
+
+	const form = {
+		mode: 'payment',
+		customer: customerId,
+		// Payment method types: Card only
+		'payment_method_types[0]': 'card',
+		// Enable promotion codes
+		allow_promotion_codes: 'true',
+		'line_items[0][price_data][currency]': invoiceCurrency,
+		'line_items[0][price_data][unit_amount]': storedUnitAmount, // Unit price per site
+		'line_items[0][price_data][product_data][name]': 'ConsentBit',
+		'line_items[0][price_data][product_data][description]': `Billed ${normalizedPeriod === 'yearly' ? 'yearly' : 'monthly'}`,
+		'line_items[0][quantity]': totalSites, // Show actual quantity (number of sites)
+
+		'payment_intent_data[metadata][usecase]': '2',
+		'payment_intent_data[metadata][customer_id]': customerId,
+		'payment_intent_data[metadata][sites_json]': JSON.stringify(sitesArray),
+		'payment_intent_data[metadata][billing_period]': normalizedPeriod,
+		'payment_intent_data[metadata][product_id]': productId, // 🔴 required for getPriceIdFromProduct
+		'payment_intent_data[metadata][currency]': invoiceCurrency,
+
+		'payment_intent_data[setup_future_usage]': 'off_session',
+		success_url: `${dashboardUrl}?session_id={CHECKOUT_SESSION_ID}&payment=success`,
+		cancel_url: dashboardUrl,
+	};
+
+	console.log('[CREATE-SITE-CHECKOUT] 💳 Creating Stripe checkout session...', {
+		amount: totalAmount,
+		currency: invoiceCurrency,
+		totalSites,
+		productId,
+	});
+
+	const session = await stripeFetch(env, '/checkout/sessions', 'POST', form, true);
+
+	if (session.status >= 400) {
+		console.error('[CREATE-SITE-CHECKOUT] ❌ Checkout session creation failed:', {
+			status: session.status,
+			body: session.body,
+		});
+
+		return jsonResponse(
+			500,
+			{
+				error: 'checkout_failed',
+				message: 'Failed to create checkout session',
+				details: session.body,
+			},
+			true,
+			request
+		);
+	}
+
+	console.log('[CREATE-SITE-CHECKOUT] ✅ Checkout session created successfully:', {
+		session_id: session.body.id,
+		checkout_url: session.body.url ? 'present' : 'missing',
+	});
+
+	const response = {
+		checkout_url: session.body.url,
+		session_id: session.body.id,
+		amount: totalAmount,
+		currency: invoiceCurrency,
+		sites: totalSites,
+		billing_period: normalizedPeriod,
+	};
+
+	console.log('[CREATE-SITE-CHECKOUT] 📤 Returning response:', {
+		has_checkout_url: !!response.checkout_url,
+		session_id: response.session_id,
+		sites: response.sites,
+	});
+
+	return jsonResponse(200, response, true, request);
+}
+
+// Create checkout session
+export async function handleCreateCheckoutSession(request, env, ctx, route) {
+	const { url } = route;
+	const data = await request.json();
+	const { customerEmail, sites, success_url, cancel_url } = data;
+
+	if (!customerEmail || !Array.isArray(sites) || sites.length === 0) {
+		console.error('Validation failed: missing customerEmail or sites');
+		return jsonResponse(400, { error: 'missing customerEmail or sites' });
+	}
+
+	// Create customer
+	const cust = await stripeFetch(env, '/customers', 'POST', { email: customerEmail }, true);
+	if (cust.status >= 400) {
+		console.error('Stripe customer creation failed:', cust.status);
+		return jsonResponse(500, { error: 'stripe customer create failed' });
+	}
+
+	const customerId = cust.body.id;
+	const dashboardUrl = env.MEMBERSTACK_REDIRECT_URL || 'https://dashboard.consentbit.com/dashboard';
+
+	const form = {
+		mode: 'subscription',
+		customer: customerId,
+		success_url: success_url || `${dashboardUrl}?session_id={CHECKOUT_SESSION_ID}&payment=success`,
+		cancel_url: cancel_url || dashboardUrl,
+		'metadata[usedfor]': 'dashboard',
+		'metadata[usecase]': '1',
+	};
+
+	sites.forEach((s, i) => {
+		form[`line_items[${i}][price]`] = s.price;
+		form[`line_items[${i}][quantity]`] = s.quantity || 1;
+		if (s.site) {
+			form[`subscription_data[metadata][site_${i}]`] = s.site;
+		}
+	});
+
+	const session = await stripeFetch(env, '/checkout/sessions', 'POST', form, true);
+	if (session.status >= 400) {
+		console.error('Stripe checkout session creation failed:', session.status);
+		return jsonResponse(500, { error: 'stripe checkout session failed' });
+	}
+
+	const redirect = url.searchParams.get('redirect') === 'true';
+	if (redirect && session.body.url) {
+		return new Response(null, {
+			status: 302,
+			headers: { Location: session.body.url },
+		});
+	}
+
+	return jsonResponse(200, { sessionId: session.body.id, url: session.body.url });
+}
+
+
+// Add sites batch endpoint - creates checkout session for batch site purchases
+export async function handleAddSitesBatch(request, env, ctx, route) {
+	try {
+		const body = await request.json();
+		const { email: emailParam, sites: sitesParam, billing_period: billingPeriodParam, currency: currencyParam } = body;
+
+		// Validate email
+		let email = emailParam?.toLowerCase().trim();
+		if (!email || !email.includes('@')) {
+			return jsonResponse(
+				400,
+				{
+					error: 'invalid_email',
+					message: 'Valid email is required',
+				},
+				true,
+				request
+			);
+		}
+
+		// Validate sites array
+		if (!Array.isArray(sitesParam) || sitesParam.length === 0) {
+			return jsonResponse(
+				400,
+				{
+					error: 'invalid_sites',
+					message: 'Sites array is required and must not be empty',
+				},
+				true,
+				request
+			);
+		}
+
+		// Validate max 5 sites
+		if (sitesParam.length > 5) {
+			return jsonResponse(
+				400,
+				{
+					error: 'too_many_sites',
+					message: 'Maximum 5 sites allowed per purchase',
+				},
+				true,
+				request
+			);
+		}
+
+		// Validate and normalize sites
+		const validatedSites = [];
+		const sitePattern = /^([a-zA-Z0-9]([a-zA-Z0-9\-]{0,61}[a-zA-Z0-9])?\.)+[a-zA-Z]{2,}$/;
+
+		for (const site of sitesParam) {
+			const siteName = typeof site === 'string' ? site.trim() : (site.site || site.site_domain || '').trim();
+
+			if (!siteName) {
+				return jsonResponse(
+					400,
+					{
+						error: 'invalid_site',
+						message: 'Site name cannot be empty',
+					},
+					true,
+					request
+				);
+			}
+
+			// Remove www. prefix for validation if present
+			const normalizedSite = siteName.replace(/^www\./i, '');
+
+			if (!sitePattern.test(normalizedSite)) {
+				return jsonResponse(
+					400,
+					{
+						error: 'invalid_site_format',
+						message: `Invalid site format: "${siteName}". Please use format like "example.com" or "www.example.com"`,
+					},
+					true,
+					request
+				);
+			}
+
+			validatedSites.push(siteName);
+		}
+
+		// Check for duplicates
+		const uniqueSites = [...new Set(validatedSites.map((s) => s.toLowerCase()))];
+		if (uniqueSites.length !== validatedSites.length) {
+			return jsonResponse(
+				400,
+				{
+					error: 'duplicate_sites',
+					message: 'Duplicate sites are not allowed',
+				},
+				true,
+				request
+			);
+		}
+
+		// Validate billing period
+		if (!billingPeriodParam) {
+			return jsonResponse(
+				400,
+				{
+					error: 'billing_period_required',
+					message: 'billing_period is required (monthly or yearly)',
+				},
+				true,
+				request
+			);
+		}
+
+		const normalizedPeriod = billingPeriodParam.toLowerCase().trim();
+		if (normalizedPeriod !== 'monthly' && normalizedPeriod !== 'yearly') {
+			return jsonResponse(
+				400,
+				{
+					error: 'invalid_billing_period',
+					message: 'Billing period must be "monthly" or "yearly"',
+				},
+				true,
+				request
+			);
+		}
+
+		// Get customer ID
+		const customerRes = await env.DB.prepare('SELECT customer_id FROM customers WHERE user_email = ? LIMIT 1').bind(email).first();
+
+		if (!customerRes?.customer_id) {
+			return jsonResponse(
+				400,
+				{
+					error: 'no_customer',
+					message: 'Customer account required. Please complete a payment first.',
+				},
+				true,
+				request
+			);
+		}
+
+		const customerId = customerRes.customer_id;
+
+		// Get price configuration in the customer's currency
+		const checkoutCurrency = await resolveCheckoutCurrency(env, { request, customerId, requested: currencyParam });
+		const catalogEntry = await getCatalogEntry(env, normalizedPeriod, { currency: checkoutCurrency.currency });
+		const currencyError = getCurrencyError(checkoutCurrency, catalogEntry);
+		if (currencyError) {
+			return jsonResponse(409, currencyError, true, request);
+		}
+		if (!catalogEntry || !catalogEntry.product_id || catalogEntry.unit_amount === null) {
+			return jsonResponse(
+				500,
+				{ error: 'price_not_configured', message: `Price not configured for ${normalizedPeriod} billing period.` },
+				true,
+				request
+			);
+		}
+		const productId = catalogEntry.product_id;
+		const unitAmount = catalogEntry.unit_amount;
+		const currency = catalogEntry.currency;
+
+		// Calculate total amount (for metadata purposes)
+		const totalAmount = unitAmount * validatedSites.length;
+		const billingPeriodText = normalizedPeriod === 'yearly' ? 'yearly' : 'monthly';
+
+		// Create checkout session with inline price_data (same as license purchase)
+		// Use mode: 'payment' with price_data for one-time payment
+		const checkoutForm = {
+			mode: 'payment', // One-time payment (same as license purchase)
+			customer: customerId,
+			// Payment method types: Card only
+			'payment_method_types[0]': 'card',
+			// Enable promotion codes
+			allow_promotion_codes: 'true',
+			// Use inline price_data with unit amount and quantity to show proper pricing breakdown
+			'line_items[0][price_data][currency]': currency,
+			'line_items[0][price_data][unit_amount]': unitAmount, // Unit price per site
+			'line_items[0][price_data][product_data][name]': 'ConsentBit',
+			'line_items[0][price_data][product_data][description]': `Billed ${billingPeriodText}`,
+			'line_items[0][quantity]': validatedSites.length, // Show actual quantity (number of sites)
+			'payment_intent_data[metadata][usecase]': '2',
+			'payment_intent_data[metadata][customer_id]': customerId,
+			'payment_intent_data[metadata][sites_json]': JSON.stringify(validatedSites),
+			'payment_intent_data[metadata][billing_period]': normalizedPeriod,
+			'payment_intent_data[metadata][product_id]': productId,
+			'payment_intent_data[metadata][currency]': currency,
+			'payment_intent_data[setup_future_usage]': 'off_session',
+			success_url: `${
+				env.MEMBERSTACK_REDIRECT_URL || 'https://dashboard.consentbit.com/dashboard'
+			}?session_id={CHECKOUT_SESSION_ID}&payment=success`,
+			cancel_url: env.MEMBERSTACK_REDIRECT_URL || 'https://dashboard.consentbit.com/dashboard',
+		};
+
+		const sessionRes = await stripeFetch(env, '/checkout/sessions', 'POST', checkoutForm, true);
+
+		if (sessionRes.status >= 400) {
+			console.error('[add-sites-batch] Checkout session creation failed:', sessionRes.body);
+			return jsonResponse(
+				500,
+				{
+					error: 'checkout_failed',
+					message: 'Failed to create checkout session',
+					details: sessionRes.body,
+				},
+				true,
+				request
+			);
+		}
+
+		const checkoutSession = sessionRes.body;
+
+		return jsonResponse(
+			200,
+			{
+				checkout_url: checkoutSession.url,
+				session_id: checkoutSession.id,
+				payment_intent_id: checkoutSession.payment_intent,
+				sites: validatedSites,
+				billing_period: normalizedPeriod,
+				amount: totalAmount,
+				currency: currency,
+			},
+			true,
+			request
+		);
+	} catch (error) {
+		console.error('[add-sites-batch] Error:', error);
+		return jsonResponse(
+			500,
+			{
+				error: 'server_error',
+				message: error.message || 'An unexpected error occurred',
+			},
+			true,
+			request
+		);
+	}
+}
+
+// Get available price options (monthly/yearly) from the catalog - the dashboard plan selector reads this
+export async function handleGetPriceOptions(request, env, ctx, route) {
+	const toOption = (entry) =>
+		entry
+			? {
+					price_id: entry.price_id,
+					product_id: entry.product_id,
+					unit_amount: entry.unit_amount,
+					currency: entry.currency,
+					discount_allowance: entry.discount_allowance,
+					discount_type: entry.discount_type,
+					coupon_code: entry.coupon_code,
+			  }
+			: null;
+
+	try {
+		// Public endpoint: ?currency= or the visitor's country picks the currency shown
+		const requested = new URL(request.url).searchParams.get('currency');
+		const { currency, source: currencySource } = await resolveCheckoutCurrency(env, { request, requested });
+		const catalog = await getCatalog(env, { currency });
+		return jsonResponse(
+			200,
+			{
+				monthly: toOption(catalog.monthly),
+				yearly: toOption(catalog.yearly),
+				currency: catalog.currency,
+				currency_source: currencySource,
+				currencies: catalog.currencies,
+				stripe_mode: catalog.stripe_mode,
+				source: catalog.monthly?.source || catalog.yearly?.source || null,
+			},
+			true,
+			request
+		);
+	} catch (error) {
+		console.error('[get-price-options] Error:', error);
+		return jsonResponse(500, { error: 'catalog_unavailable', message: error.message }, true, request);
+	}
+}
+
+
+// Create checkout session from pending sites - adds to existing subscription or creates new one
+export async function handleCreateCheckoutFromPending(request, env, ctx, route) {
+	console.log(`[USE CASE 2 - CHECKOUT] 🚀 STEP 2: Starting checkout session creation`);
+	const body = await request.json();
+	const {
+		email: emailParam,
+		subscriptionId: subscriptionIdParam,
+		billing_period: billingPeriodParam,
+		price_id: priceIdParam,
+		currency: currencyParam,
+	} = body;
+	console.log(`[USE CASE 2 - CHECKOUT] 📥 Received request: billing_period: ${billingPeriodParam}, price_id: ${priceIdParam}`);
+
+	// Support both session-based and email-based authentication
+	let email = null;
+	let customerId = null;
+	let subscriptionId = subscriptionIdParam || null;
+
+	// Try email parameter first (for Memberstack authentication)
+	if (emailParam) {
+		email = emailParam.toLowerCase().trim();
+	} else {
+		// Fallback to session cookie
+		const cookie = request.headers.get('cookie') || '';
+		const match = cookie.match(/sb_session=([^;]+)/);
+		if (!match) return jsonResponse(401, { error: 'unauthenticated', message: 'No email or session provided' }, true, request);
+		const token = match[1];
+		const payload = await verifyToken(env, token);
+		if (!payload) return jsonResponse(401, { error: 'invalid session' }, true, request);
+		email = payload.email;
+		customerId = payload.customerId;
+	}
+
+	if (!email || !email.includes('@')) {
+		return jsonResponse(400, { error: 'invalid email', message: 'Valid email is required' }, true, request);
+	}
+
+	// Get user by email (email-based structure)
+	let userFromEmail = await getUserByEmail(env, email);
+	let user = null;
+
+	// If email-based structure exists, use it
+	if (userFromEmail && userFromEmail.customers && userFromEmail.customers.length > 0) {
+		// Get the first customer (or find by customerId if provided)
+		const customer = customerId ? userFromEmail.customers.find((c) => c.customerId === customerId) : userFromEmail.customers[0];
+
+		if (!customer) {
+			return jsonResponse(400, { error: 'customer not found', message: 'No customer found for this email' }, true, request);
+		}
+
+		customerId = customer.customerId;
+
+		// Get subscription (use provided subscriptionId or first active subscription)
+		const subscription = subscriptionId
+			? customer.subscriptions.find((s) => s.subscriptionId === subscriptionId)
+			: customer.subscriptions.find((s) => s.status === 'active') || customer.subscriptions[0];
+
+		if (subscription) {
+			subscriptionId = subscription.subscriptionId;
+		}
+
+		// Convert email-based structure to legacy format for compatibility
+		user = {
+			customerId: customerId,
+			email: email,
+			sites: {},
+			pendingSites: userFromEmail.pendingSites || [],
+			subscriptionId: subscriptionId,
+			defaultPrice: userFromEmail.defaultPrice || null,
+		};
+
+		// Convert items to sites format
+		customer.subscriptions.forEach((sub) => {
+			if (sub.items) {
+				sub.items.forEach((item) => {
+					if (item.site) {
+						user.sites[item.site] = {
+							item_id: item.item_id,
+							price: item.price,
+							quantity: item.quantity || 1,
+							status: item.status || 'active',
+							created_at: item.created_at,
+							subscription_id: sub.subscriptionId,
+						};
+					}
+				});
+			}
+		});
+	} else {
+		// Fallback to legacy customer-based structure
+		if (!customerId) {
+			// Try to find customer ID from payments table
+			if (env.DB) {
+				try {
+					const paymentResult = await env.DB.prepare(
+						'SELECT customer_id FROM payments WHERE email = ? ORDER BY created_at DESC LIMIT 1'
+					)
+						.bind(email)
+						.first();
+					if (paymentResult && paymentResult.customer_id) {
+						customerId = paymentResult.customer_id;
+					}
+				} catch (dbError) {
+					console.error('[create-checkout-from-pending] Error fetching customer ID from payments:', dbError);
+				}
+			}
+
+			if (!customerId) {
+				return jsonResponse(
+					400,
+					{ error: 'customer not found', message: 'No customer found for this email. Please complete a payment first.' },
+					true,
+					request
+				);
+			}
+		}
+
+		// Get user from database by customerId
+		user = await getUserByCustomerId(env, customerId);
+		if (!user) {
+			return jsonResponse(400, { error: 'no user found' }, true, request);
+		}
+	}
+
+	// Check if there are pending sites
+	console.log(`[USE CASE 2 - CHECKOUT] 🔍 STEP 2.1: Checking pending sites (count: ${user.pendingSites?.length || 0})`);
+	if (!user.pendingSites || user.pendingSites.length === 0) {
+		console.log(`[USE CASE 2 - CHECKOUT] ❌ No pending sites found`);
+		return jsonResponse(
+			400,
+			{ error: 'no pending sites to checkout', message: 'Please add sites to the pending list first' },
+			true,
+			request
+		);
+	}
+	console.log(
+		`[USE CASE 2 - CHECKOUT] ✅ Found ${user.pendingSites.length} pending site(s):`,
+		user.pendingSites.map((ps) => ps.site || ps.site_domain)
+	);
+
+	// CRITICAL: Check if any pending sites already exist in subscription details
+	const existingSitesSet = new Set();
+
+	// Check legacy structure (user.sites)
+	if (user.sites) {
+		Object.keys(user.sites).forEach((site) => {
+			if (user.sites[site] && user.sites[site].status === 'active') {
+				existingSitesSet.add(site.toLowerCase().trim());
+			}
+		});
+	}
+
+	// Check email-based structure (subscription items)
+	if (userFromEmail && userFromEmail.customers) {
+		userFromEmail.customers.forEach((customer) => {
+			if (customer.subscriptions) {
+				customer.subscriptions.forEach((subscription) => {
+					if (subscription.items) {
+						subscription.items.forEach((item) => {
+							if (item.site && item.status === 'active') {
+								existingSitesSet.add(item.site.toLowerCase().trim());
+							}
+						});
+					}
+				});
+			}
+		});
+	}
+
+	// CRITICAL: Check database across ALL users to prevent duplicate sites
+	// Check subscription_items, sites, and licenses tables
+	const duplicateSites = [];
+	if (env.DB) {
+		try {
+			// Get all pending site names
+			const pendingSiteNames = user.pendingSites
+				.map((ps) => {
+					const siteName = (ps.site || ps.site_domain || '').toLowerCase().trim();
+					return siteName;
+				})
+				.filter((s) => s);
+
+			if (pendingSiteNames.length > 0) {
+				// Check each pending site against all database tables (across all users)
+				for (const pendingSite of pendingSiteNames) {
+					let isDuplicate = false;
+
+					// Check if site exists in subscription_items (across all users)
+					const existingInItems = await env.DB.prepare(
+						'SELECT site_domain FROM subscription_items WHERE LOWER(TRIM(site_domain)) = ? AND status = ? LIMIT 1'
+					)
+						.bind(pendingSite, 'active')
+						.first();
+
+					if (existingInItems) {
+						isDuplicate = true;
+					}
+
+					// Check if site exists in sites table (across all users)
+					if (!isDuplicate) {
+						const existingInSites = await env.DB.prepare(
+							'SELECT site_domain FROM sites WHERE LOWER(TRIM(site_domain)) = ? AND status = ? LIMIT 1'
+						)
+							.bind(pendingSite, 'active')
+							.first();
+
+						if (existingInSites) {
+							isDuplicate = true;
+						}
+					}
+
+					// Check if site exists in licenses table - both site_domain and used_site_domain (across all users)
+					if (!isDuplicate) {
+						const existingInLicenses = await env.DB.prepare(
+							'SELECT site_domain, used_site_domain FROM licenses WHERE (LOWER(TRIM(site_domain)) = ? OR LOWER(TRIM(used_site_domain)) = ?) AND (site_domain IS NOT NULL AND site_domain != "" OR used_site_domain IS NOT NULL AND used_site_domain != "") LIMIT 1'
+						)
+							.bind(pendingSite, pendingSite)
+							.first();
+
+						if (existingInLicenses) {
+							isDuplicate = true;
+						}
+					}
+
+					// Also check against existingSitesSet (from user's own subscriptions)
+					if (!isDuplicate && existingSitesSet.has(pendingSite)) {
+						isDuplicate = true;
+					}
+
+					if (isDuplicate) {
+						duplicateSites.push(pendingSite);
+					}
+				}
+			}
+		} catch (dbError) {
+			console.warn('[create-checkout-from-pending] Error checking database for existing sites:', dbError);
+		}
+	} else {
+		// Fallback: check against existingSitesSet if database not available
+		user.pendingSites.forEach((ps) => {
+			const siteName = (ps.site || ps.site_domain || '').toLowerCase().trim();
+			if (siteName && existingSitesSet.has(siteName)) {
+				duplicateSites.push(siteName);
+			}
+		});
+	}
+
+	// If any duplicates found, return error
+	if (duplicateSites.length > 0) {
+		const duplicateList = duplicateSites.join(', ');
+		return jsonResponse(
+			400,
+			{
+				error: 'duplicate_sites',
+				message: `The following site(s) already exist and cannot be added (may be in use by another user): ${duplicateList}. Please remove them from the pending list.`,
+				duplicateSites: duplicateSites,
+			},
+			true,
+			request
+		);
+	}
+
+	// Email and customerId are already set above from authentication
+	if (!email) {
+		return jsonResponse(400, { error: 'email required' }, true, request);
+	}
+
+	// Create or find customer if not already set
+	if (!customerId || !customerId.startsWith('cus_')) {
+		customerId = user.customerId;
+	}
+	if (!customerId || !customerId.startsWith('cus_')) {
+		const cust = await stripeFetch(env, '/customers', 'POST', { email: email }, true);
+		if (cust.status >= 400) {
+			return jsonResponse(500, { error: 'failed to create customer', details: cust.body }, true, request);
+		}
+		customerId = cust.body.id;
+		user.customerId = customerId;
+
+		// Update email-based structure if it exists
+		if (userFromEmail && userFromEmail.customers && userFromEmail.customers.length > 0) {
+			const customer = userFromEmail.customers.find((c) => c.customerId === customerId) || userFromEmail.customers[0];
+			if (customer) {
+				customer.customerId = customerId;
+				await saveUserByEmail(env, email, userFromEmail);
+			}
+		}
+	}
+
+	// After payment, redirect directly to dashboard
+	// Users will be automatically logged in via Memberstack session
+	const dashboardUrl = env.MEMBERSTACK_REDIRECT_URL || 'https://dashboard.consentbit.com/dashboard';
+	const successUrl = `${dashboardUrl}?session_id={CHECKOUT_SESSION_ID}&payment=success`;
+	const cancelUrl = dashboardUrl;
+
+	// CRITICAL: Deduplicate pending sites FIRST
+	const uniquePendingSites = [];
+	const seenSites = new Set();
+	for (const ps of user.pendingSites) {
+		const siteKey = (ps.site || ps.site_domain || '').toLowerCase().trim();
+		if (siteKey && !seenSites.has(siteKey)) {
+			seenSites.add(siteKey);
+			uniquePendingSites.push(ps);
+		}
+	}
+
+	if (user.pendingSites.length !== uniquePendingSites.length) {
+		console.warn(`⚠️ Deduplicated ${user.pendingSites.length} pending sites to ${uniquePendingSites.length} unique sites`);
+	}
+
+	// Validate we have at least one site to process
+	if (uniquePendingSites.length === 0) {
+		return jsonResponse(
+			400,
+			{
+				error: 'no_pending_sites',
+				message: 'No valid pending sites found to process. Please add sites before checkout.',
+			},
+			true,
+			request
+		);
+	}
+
+	// USE CASE 2: Create separate subscription for each site (like Use Case 3 for licenses)
+	// Use payment mode and handle subscription creation in webhook
+	console.log(`[USE CASE 2 - CHECKOUT] 🔍 STEP 2.2: Preparing checkout session for ${uniquePendingSites.length} site(s)`);
+	const form = {
+		customer: customerId,
+		success_url: successUrl,
+		cancel_url: cancelUrl,
+		mode: 'payment', // Payment mode like Use Case 3
+		// Payment method types: Card, Amazon Pay, Cash App Pay, Bank transfer
+		'payment_method_types[0]': 'card',
+		'payment_method_types[1]': 'link', // Link supports various payment methods
+		// Enable promotion codes
+		allow_promotion_codes: 'true',
+	};
+
+	// Get price ID from billing_period parameter (required - no fallbacks)
+	if (!billingPeriodParam) {
+		console.log(`[USE CASE 2 - CHECKOUT] ❌ Missing billing_period parameter`);
+		return jsonResponse(
+			400,
+			{
+				error: 'missing_billing_period',
+				message: 'billing_period parameter is required (monthly or yearly).',
+			},
+			true,
+			request
+		);
+	}
+
+	console.log(`[USE CASE 2 - CHECKOUT] 🔍 Getting catalog entry for billing period: ${billingPeriodParam}`);
+	const checkoutCurrency = await resolveCheckoutCurrency(env, { request, customerId, requested: currencyParam });
+	const catalogEntry = await getCatalogEntry(env, billingPeriodParam, { currency: checkoutCurrency.currency });
+	const currencyError = getCurrencyError(checkoutCurrency, catalogEntry);
+	if (currencyError) {
+		return jsonResponse(409, currencyError, true, request);
+	}
+	if (!catalogEntry || catalogEntry.unit_amount === null) {
+		return jsonResponse(
+			400,
+			{
+				error: 'price_not_configured',
+				message: `Price ID not configured for ${billingPeriodParam} billing period. Please configure it in the database or environment variables.`,
+			},
+			true,
+			request
+		);
+	}
+	const priceId = catalogEntry.price_id;
+	console.log(`[USE CASE 2 - CHECKOUT] ✅ Price ID: ${priceId}`);
+
+	const unitAmount = catalogEntry.unit_amount;
+	const billingPeriodText = catalogEntry.billing_period;
+
+	// Create single line item with unit amount and quantity to show proper pricing breakdown
+	// Use the product_id from the price to ensure all site purchases use the same product
+	form['line_items[0][price_data][currency]'] = catalogEntry.currency;
+	form['line_items[0][price_data][unit_amount]'] = unitAmount; // Unit price per site
+
+	// Use product_data to show proper name and billing period
+	form['line_items[0][price_data][product_data][name]'] = 'ConsentBit';
+	form['line_items[0][price_data][product_data][description]'] = `Billed ${billingPeriodText}`;
+
+	form['line_items[0][quantity]'] = uniquePendingSites.length; // Show actual quantity (number of sites)
+
+	// Store site names and metadata in payment_intent_data (like Use Case 3 stores license keys)
+	const siteNames = uniquePendingSites.map((ps) => ps.site || ps.site_domain);
+	console.log(`[USE CASE 2 - CHECKOUT] 📝 Storing metadata: ${siteNames.length} site(s):`, siteNames);
+	form['payment_intent_data[metadata][usecase]'] = '2'; // Use Case 2 identifier
+	form['payment_intent_data[metadata][purchase_type]'] = 'site'; // Distinguish from Use Case 3
+	form['payment_intent_data[metadata][customer_id]'] = customerId;
+	form['payment_intent_data[metadata][price_id]'] = priceId;
+	form['payment_intent_data[metadata][product_id]'] = catalogEntry.product_id;
+	form['payment_intent_data[metadata][billing_period]'] = catalogEntry.billing_period;
+	form['payment_intent_data[metadata][currency]'] = catalogEntry.currency;
+	form['payment_intent_data[metadata][quantity]'] = uniquePendingSites.length.toString();
+	form['payment_intent_data[metadata][sites]'] = JSON.stringify(siteNames); // Store sites as JSON array
+
+	// Create checkout session
+	console.log(`[USE CASE 2 - CHECKOUT] 💳 STEP 2.3: Creating Stripe checkout session...`);
+	const session = await stripeFetch(env, '/checkout/sessions', 'POST', form, true);
+
+	if (session.status >= 400) {
+		console.error(`[USE CASE 2 - CHECKOUT] ❌ Stripe checkout session creation failed (${session.status}):`, session.body);
+		return jsonResponse(
+			500,
+			{
+				error: 'stripe_checkout_failed',
+				message: 'Failed to create checkout session with Stripe. Please try again.',
+				details: session.body?.error?.message || 'Unknown error',
+			},
+			true,
+			request
+		);
+	}
+
+	// Validate session was created successfully
+	if (!session.body || !session.body.id || !session.body.url) {
+		console.error(`[USE CASE 2 - CHECKOUT] ❌ Invalid checkout session response from Stripe`);
+		return jsonResponse(
+			500,
+			{
+				error: 'invalid_checkout_session',
+				message: 'Stripe returned an invalid checkout session. Please try again.',
+				details: session.body,
+			},
+			true,
+			request
+		);
+	}
+
+	console.log(`[USE CASE 2 - CHECKOUT] ✅ STEP 2 COMPLETE: Checkout session created - ${session.body.id}`);
+	console.log(`[USE CASE 2 - CHECKOUT] 🔗 Checkout URL: ${session.body.url}`);
+	return jsonResponse(
+		200,
+		{
+			sessionId: session.body.id,
+			url: session.body.url,
+		},
+		true,
+		request
+	);
+}
+
+
+export async function handlePurchaseQuantity(request, env, ctx, route) {
+	const startTime = Date.now();
+
+	let requestBody;
+	try {
+		requestBody = await request.json();
+	} catch (parseError) {
+		return jsonResponse(
+			400,
+			{
+				error: 'invalid_request',
+				message: 'Invalid JSON in request body',
+			},
+			true,
+			request
+		);
+	}
+
+	const { email: emailParam, quantity, billing_period: billingPeriodParam, currency: currencyParam } = requestBody;
+
+	const MAX_QUANTITY = env.MAX_QUANTITY_PER_PURCHASE ? parseInt(env.MAX_QUANTITY_PER_PURCHASE) : 50;
+	if (!quantity || quantity < 1 || quantity > MAX_QUANTITY) {
+		return jsonResponse(
+			400,
+			{
+				error: 'invalid_quantity',
+				message: `Quantity must be between 1 and ${MAX_QUANTITY}`,
+			},
+			true,
+			request
+		);
+	}
+
+	// Get email from request or session
+	let email = emailParam?.toLowerCase().trim();
+	if (!email) {
+		const cookie = request.headers.get('cookie') || '';
+		const match = cookie.match(/sb_session=([^;]+)/);
+		if (!match) {
+			return jsonResponse(401, { error: 'unauthenticated' }, true, request);
+		}
+		const payload = await verifyToken(env, match[1]);
+		if (!payload?.email) {
+			return jsonResponse(401, { error: 'invalid_session' }, true, request);
+		}
+		email = payload.email.toLowerCase().trim();
+	}
+
+	if (!email.includes('@')) {
+		return jsonResponse(400, { error: 'invalid_email' }, true, request);
+	}
+
+	// Get customer ID
+	const customerRes = await env.DB.prepare('SELECT customer_id FROM customers WHERE user_email = ? LIMIT 1').bind(email).first();
+
+	if (!customerRes?.customer_id) {
+		return jsonResponse(
+			400,
+			{
+				error: 'no_customer',
+				message: 'Customer account required',
+			},
+			true,
+			request
+		);
+	}
+
+	const customerId = customerRes.customer_id;
+
+	// Get price configuration
+	if (!billingPeriodParam) {
+		return jsonResponse(
+			400,
+			{
+				error: 'billing_period_required',
+				message: 'billing_period is required',
+			},
+			true,
+			request
+		);
+	}
+
+	const normalizedPeriod = billingPeriodParam.toLowerCase().trim();
+	if (normalizedPeriod !== 'monthly' && normalizedPeriod !== 'yearly') {
+		return jsonResponse(
+			400,
+			{
+				error: 'invalid_billing_period',
+				message: 'Billing period must be "monthly" or "yearly"',
+			},
+			true,
+			request
+		);
+	}
+
+	const checkoutCurrency = await resolveCheckoutCurrency(env, { request, customerId, requested: currencyParam });
+	const catalogEntry = await getCatalogEntry(env, normalizedPeriod, { currency: checkoutCurrency.currency });
+	const currencyError = getCurrencyError(checkoutCurrency, catalogEntry);
+	if (currencyError) {
+		return jsonResponse(409, currencyError, true, request);
+	}
+	if (!catalogEntry || !catalogEntry.product_id || catalogEntry.unit_amount === null) {
+		return jsonResponse(
+			500,
+			{
+				error: 'product_id_not_configured',
+				message: 'Product ID not configured',
+			},
+			true,
+			request
+		);
+	}
+	const productId = catalogEntry.product_id;
+	const unitAmount = catalogEntry.unit_amount;
+	const price_id = catalogEntry.price_id;
+
+	// Generate temporary license keys and calculate amount
+	const licenseKeys = generateTempLicenseKeys(quantity);
+	const invoiceCurrency = catalogEntry.currency;
+	const billingPeriodText = normalizedPeriod === 'yearly' ? 'year' : 'month';
+
+	// Update customer metadata (non-blocking)
+	stripeFetch(
+		env,
+		`/customers/${customerId}`,
+		'POST',
+		{
+			'metadata[license_keys_pending]': JSON.stringify(licenseKeys),
+			'metadata[usecase]': '3',
+			'metadata[product_id]': productId,
+			'metadata[price_id]': price_id,
+			'metadata[currency]': invoiceCurrency,
+			'metadata[quantity]': quantity.toString(),
+			'metadata[billing_period]': normalizedPeriod,
+		},
+		true
+	).catch(() => {}); // Non-critical
+
+	// Create checkout session
+	const dashboardUrl = env.MEMBERSTACK_REDIRECT_URL || 'https://dashboard.consentbit.com/dashboard';
+
+	const form = {
+		mode: 'payment', // One-time payment for prorated amount
+		customer: customerId,
+		// Payment method types: Card only
+		'payment_method_types[0]': 'card',
+		// Enable promotion codes
+		allow_promotion_codes: 'true',
+		// Use custom price_data with unit amount and quantity to show proper pricing breakdown
+		'line_items[0][price_data][currency]': invoiceCurrency,
+		'line_items[0][price_data][unit_amount]': unitAmount, // Unit price (not multiplied)
+		'line_items[0][price_data][product_data][name]': 'ConsentBit',
+		'line_items[0][price_data][product_data][description]': `Billed ${billingPeriodText}ly`,
+		'line_items[0][quantity]': quantity, // Show actual quantity
+		'payment_intent_data[metadata][usecase]': '3', // Primary identifier for Use Case 3
+		'payment_intent_data[metadata][customer_id]': customerId, // Required for webhook
+		// For large quantities, license_keys may exceed 500 char limit - store in customer metadata instead
+		// Only store in payment_intent_data if it fits within Stripe's 500 character limit
+		...(JSON.stringify(licenseKeys).length <= 450
+			? {
+					'payment_intent_data[metadata][license_keys]': JSON.stringify(licenseKeys), // Store if within limit
+			  }
+			: {
+					'payment_intent_data[metadata][license_keys_count]': quantity.toString(), // Store count instead
+					'payment_intent_data[metadata][license_keys_source]': 'customer_metadata', // Indicate where to find keys
+			  }),
+		'payment_intent_data[metadata][product_id]': productId, // Required: to create subscriptions after payment (webhook can get price_id from this)
+		'payment_intent_data[metadata][price_id]': price_id, // Required: to create subscriptions after payment
+		'payment_intent_data[metadata][quantity]': quantity.toString(), // Required: quantity to create
+		'payment_intent_data[metadata][currency]': invoiceCurrency, // Store currency for reference
+		'payment_intent_data[metadata][billing_period]': normalizedPeriod, // Store billing period for reference
+		'payment_intent_data[setup_future_usage]': 'off_session', // Save payment method for future subscriptions
+		success_url: `${dashboardUrl}?session_id={CHECKOUT_SESSION_ID}&payment=success`,
+		cancel_url: dashboardUrl,
+	};
+
+	const session = await stripeFetch(env, '/checkout/sessions', 'POST', form, true);
+
+	if (session.status >= 400) {
+		return jsonResponse(
+			500,
+			{
+				error: 'checkout_failed',
+				message: 'Failed to create checkout session',
+				details: session.body,
+			},
+			true,
+			request
+		);
+	}
+
+	const totalTime = Date.now() - startTime;
+	console.log(`[PURCHASE-QUANTITY] ✅ Created checkout in ${totalTime}ms`);
+
+	return jsonResponse(
+		200,
+		{
+			checkout_url: session.body.url,
+			session_id: session.body.id,
+			unit_amount: unitAmount,
+			quantity: quantity,
+			total_amount: unitAmount * quantity,
+			currency: invoiceCurrency,
+		},
+		true,
+		request
+	);
+}
+
+/**
+ * Quote the pending sites before checkout with the amounts /create-checkout-from-pending charges: the catalog
+ * unit_amount for each site in the checkout currency, the tax on that one-time charge, and the renewal once each
+ * site's own subscription leaves its trial.
+ * Body: { billing_period, sites?, currency? } - sites default to the caller's saved pending sites.
+ */
+export async function handlePreviewAddSites(request, env, ctx, route) {
+	const body = await request.json().catch(() => ({}));
+	const email = route.user.email;
+	const billingPeriod = (body.billing_period || '').toLowerCase().trim();
+
+	if (billingPeriod !== 'monthly' && billingPeriod !== 'yearly') {
+		return jsonResponse(
+			400,
+			{ error: 'missing_billing_period', message: 'billing_period parameter is required (monthly or yearly).' },
+			true,
+			request
+		);
+	}
+
+	try {
+		const user = await getUserByEmail(env, email);
+		const rawSites = Array.isArray(body.sites) && body.sites.length > 0 ? body.sites : user?.pendingSites || [];
+		const sites = [
+			...new Set(rawSites.map((ps) => (typeof ps === 'string' ? ps : ps.site || ps.site_domain || '').toLowerCase().trim()).filter(Boolean)),
+		];
+		if (sites.length === 0) {
+			return jsonResponse(400, { error: 'no_pending_sites', message: 'Please add sites to the pending list first' }, true, request);
+		}
+
+		// Same customer, currency and catalog entry as the checkout
+		const customerId = user?.customers?.[0]?.customerId || null;
+		const resolvedCurrency = await resolveCheckoutCurrency(env, { request, customerId, requested: body.currency });
+		const price = await getCatalogEntry(env, billingPeriod, { currency: resolvedCurrency.currency });
+		const currencyError = getCurrencyError(resolvedCurrency, price);
+		if (currencyError) {
+			return jsonResponse(409, currencyError, true, request);
+		}
+		if (!price || price.unit_amount === null) {
+			return jsonResponse(
+				400,
+				{ error: 'price_not_configured', message: `Price ID not configured for ${billingPeriod} billing period.` },
+				true,
+				request
+			);
+		}
+
+		const subtotal = price.unit_amount * sites.length;
+		const quote = {
+			billing_period: billingPeriod,
+			price_id: price.price_id,
+			unit_amount: price.unit_amount,
+			currency: price.currency,
+			sites,
+			quantity: sites.length,
+			subtotal,
+			// Each site gets its own subscription, trialing until the end of the period paid for now
+			next_renewal_at: Math.floor(Date.now() / 1000) + getSiteTrialSeconds(billingPeriod),
+			estimated: false,
+		};
+
+		const previewRes = customerId
+			? await previewOneTimeCharge(env, {
+					customer: customerId,
+					currency: price.currency,
+					unitAmount: price.unit_amount,
+					quantity: sites.length,
+					description: `Billed ${billingPeriod}`,
+			  })
+			: null;
+		if (!previewRes || previewRes.status !== 200) {
+			// Tax is only known from the preview; the charge itself does not depend on it
+			console.warn(`[preview-add-sites] ⚠️ Invoice preview unavailable for ${email}, quoting without tax`, previewRes?.body);
+			return jsonResponse(
+				200,
+				{ ...quote, estimated: true, tax: 0, amount_due_now: subtotal, next_renewal_total: subtotal },
+				true,
+				request
+			);
+		}
+
+		const { tax } = summarizeInvoice(previewRes.body);
+		console.log(`[preview-add-sites] ✅ Quoted ${sites.length} site(s) for ${email}: ${subtotal} + ${tax} tax ${price.currency}`);
+		return jsonResponse(
+			200,
+			{ ...quote, tax, amount_due_now: subtotal + tax, next_renewal_total: subtotal + tax },
+			true,
+			request
+		);
+	} catch (error) {
+		console.error('[preview-add-sites] ❌ Error:', error);
+		return jsonResponse(500, { error: 'preview_failed', message: error.message }, true, request);
+	}
+}
+
+export function registerCheckoutRoutes(router) {
+	router.post('/create-checkout-session', handleCreateCheckoutSession);
+	router.post('/create-site-checkout', handleCreateSiteCheckout);
+	router.post('/add-sites-batch', handleAddSitesBatch);
+	router.post('/preview-add-sites', requireAuth, handlePreviewAddSites);
+	router.get('/get-price-options', handleGetPriceOptions);
+	router.post('/create-checkout-from-pending', handleCreateCheckoutFromPending);
+	router.post('/purchase-quantity', handlePurchaseQuantity);
+}
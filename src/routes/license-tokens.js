@@ -0,0 +1,76 @@
+/**
+ * Signed license token routes: the public key set the ConsentBit script verifies against, and re-issuing a token
+ * (new expiry after a renewal or plan change). Tokens are also returned by /activate-license.
+ */
+import { jsonResponse } from '../lib/http.js';
+import { normalizeLicenseKey, validateLicenseKey } from '../lib/licenses.js';
+import { getLicenseTokenJwks, getLicenseTokenKeys, issueLicenseToken } from '../lib/license-tokens.js';
+import { cors, rateLimit } from '../router.js';
+
+// Public keys for offline verification; cached by the script and CDN for an hour
+export async function handleLicenseTokenKeys(request, env, ctx, route) {
+	const response = jsonResponse(200, getLicenseTokenJwks(env), true, request);
+	response.headers.set('Cache-Control', 'public, max-age=3600');
+	return response;
+}
+
+/**
+ * Re-issue a token for an activated license
+ * Body: { license_key, site_domain }
+ */
+export async function handleReissueLicenseToken(request, env, ctx, route) {
+	const body = await request.json().catch(() => ({}));
+	const licenseKey = normalizeLicenseKey(body.license_key);
+	const siteDomain = typeof body.site_domain === 'string' ? body.site_domain.toLowerCase().trim() : '';
+
+	if (!licenseKey || !siteDomain) {
+		return jsonResponse(400, { error: 'missing_fields', message: 'license_key and site_domain are required' }, true, request);
+	}
+	if (!validateLicenseKey(licenseKey).valid) {
+		return jsonResponse(400, { error: 'invalid_license_key', message: 'This license key is not valid' }, true, request);
+	}
+	if (!env.DB) {
+		return jsonResponse(500, { error: 'database_not_configured' }, true, request);
+	}
+	if (!getLicenseTokenKeys(env)) {
+		return jsonResponse(503, { error: 'license_tokens_not_configured', message: 'License tokens are not enabled' }, true, request);
+	}
+
+	try {
+		let license;
+		try {
+			license = await env.DB.prepare(
+				'SELECT license_key, site_domain, used_site_domain, status, billing_period, renewal_date FROM licenses WHERE license_key = ?'
+			)
+				.bind(licenseKey)
+				.first();
+		} catch (error) {
+			if (!error.message?.includes('no such column')) throw error;
+			license = await env.DB.prepare('SELECT license_key, site_domain, used_site_domain, status FROM licenses WHERE license_key = ?')
+				.bind(licenseKey)
+				.first();
+		}
+
+		// Only the domain the license is activated on gets a token - same 404 either way to avoid probing
+		if (!license || (license.used_site_domain || '').toLowerCase().trim() !== siteDomain) {
+			return jsonResponse(404, { error: 'license_not_activated', message: 'No activated license for this site' }, true, request);
+		}
+
+		const issued = await issueLicenseToken(env, license);
+		console.log(`[license-token] ✅ Re-issued token for ${licenseKey} on ${siteDomain} (kid ${issued.kid})`);
+		return jsonResponse(
+			200,
+			{ license_token: issued.token, kid: issued.kid, expires_at: issued.expires_at, status: license.status },
+			true,
+			request
+		);
+	} catch (error) {
+		console.error('[license-token] ❌ Error re-issuing token:', error);
+		return jsonResponse(500, { error: 'token_issue_failed', message: error.message }, true, request);
+	}
+}
+
+export function registerLicenseTokenRoutes(router) {
+	router.get('/license-token/keys', cors('public'), handleLicenseTokenKeys);
+	router.post('/license-token', cors('public'), rateLimit('license-token'), handleReissueLicenseToken);
+}
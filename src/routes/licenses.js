@@ -0,0 +1,1724 @@
+/**
+ * License status, activation and deactivation routes, plus adding/revoking keys on shared quantity subscriptions.
+ */
+import { jsonResponse } from '../lib/http.js';
+import { stripeFetch } from '../lib/stripe.js';
+import { verifyToken, getAuthenticatedUser } from '../lib/auth.js';
+import { batchQuery, getUserByEmail, saveUserByEmail } from '../lib/users.js';
+import {
+	detectPlatform,
+	getKvNamespaces,
+	saveLicenseKeyToKVPlatform,
+	formatSiteName,
+	saveLicenseKeyToKV,
+	normalizeLicenseKey,
+	validateLicenseKey,
+	updateLicenseKvRecords,
+	generateLicenseKeys,
+} from '../lib/licenses.js';
+import { issueLicenseToken } from '../lib/license-tokens.js';
+import { getDefaultCurrency } from '../lib/catalog.js';
+import {
+	isQuantitySubscription,
+	addLicensesToQuantitySubscription,
+	revokeQuantityLicense,
+	getQuantityProrationBehavior,
+} from '../lib/quantity-subscriptions.js';
+import { cors, rateLimit, requireAuth } from '../router.js';
+
+// GET /api/licenses/status
+// GET /api/licenses/status - Check subscription queue status by customer_id
+export async function handleLicensesStatus(request, env, ctx, route) {
+  try {
+    // Resolve email from the verified identity (Memberstack token or session cookie)
+    const email = route.user.email;
+
+    if (!env.DB) {
+      console.error('[LICENSE STATUS] ❌ Database not configured (env.DB missing)');
+      return jsonResponse(
+        500,
+        { error: 'Database not configured' },
+        true,
+        request
+      );
+    }
+
+    // 1️⃣ Find all customer_ids for this user
+    let allCustomerIds = [];
+    try {
+      const [customersRes, paymentsCustomersRes] = await Promise.all([
+        env.DB.prepare('SELECT DISTINCT customer_id FROM customers WHERE user_email = ?')
+          .bind(email)
+          .all(),
+        env.DB.prepare(
+          'SELECT DISTINCT customer_id FROM payments WHERE email = ? AND customer_id IS NOT NULL'
+        )
+          .bind(email)
+          .all(),
+      ]);
+
+      if (customersRes?.results) {
+        allCustomerIds = customersRes.results.map((r) => r.customer_id).filter(Boolean);
+      }
+
+      if (paymentsCustomersRes?.results) {
+        const paymentCustomerIds = paymentsCustomersRes.results
+          .map((r) => r.customer_id)
+          .filter((id) => id && id.startsWith('cus_'));
+        allCustomerIds = [...new Set([...allCustomerIds, ...paymentCustomerIds])];
+      }
+    } catch (err) {
+      console.error('[LICENSE STATUS] ❌ Error finding customers by email:', err);
+    }
+
+    if (allCustomerIds.length === 0) {
+      return jsonResponse(
+        200,
+        { status: 'completed', progress: { total: 0, completed: 0, pending: 0, processing: 0, failed: 0 } },
+        true,
+        request
+      );
+    }
+
+    // 2️⃣ Check subscription_queue for statuses
+    let statusCounts = { pending: 0, processing: 0, completed: 0, failed: 0 };
+    let totalQueueItems = 0;
+
+    try {
+      const queueRes = await batchQuery(env, allCustomerIds, async (batch) => {
+        const placeholders = batch.map(() => '?').join(',');
+        return await env.DB.prepare(
+          `SELECT status
+           FROM subscription_queue
+           WHERE customer_id IN (${placeholders})`
+        )
+          .bind(...batch)
+          .all();
+      });
+
+      if (queueRes?.results?.length > 0) {
+        totalQueueItems = queueRes.results.length;
+        for (const row of queueRes.results) {
+          const s = (row.status || 'pending').toLowerCase();
+          if (statusCounts.hasOwnProperty(s)) statusCounts[s]++;
+        }
+      }
+    } catch (err) {
+      console.error('[LICENSE STATUS] ❌ Error querying subscription queue:', err);
+      return jsonResponse(
+        500,
+        { error: 'Failed to query subscription queue', message: err.message },
+        true,
+        request
+      );
+    }
+
+    // 3️⃣ Determine overall status
+    let overallStatus = 'pending';
+    if (statusCounts.failed > 0 && statusCounts.pending === 0 && statusCounts.processing === 0) {
+      overallStatus = 'failed';
+    } else if (statusCounts.completed === totalQueueItems && totalQueueItems > 0) {
+      overallStatus = 'completed';
+    } else if (statusCounts.processing > 0 || statusCounts.completed > 0) {
+      overallStatus = 'processing';
+    }
+
+    // 4️⃣ Return response
+    return jsonResponse(
+      200,
+      {
+        status: overallStatus,
+        progress: {
+          total: totalQueueItems,
+          completed: statusCounts.completed,
+          pending: statusCounts.pending,
+          processing: statusCounts.processing,
+          failed: statusCounts.failed,
+        },
+      },
+      true,
+      request
+    );
+  } catch (err) {
+    console.error('[LICENSE STATUS] ❌ unexpected error:', err);
+    return jsonResponse(
+      500,
+      {
+        error: 'internal_error',
+        message: err.message || 'An unexpected error occurred',
+        details: process.env.NODE_ENV === 'development' ? err.stack : undefined,
+      },
+      true,
+      request
+    );
+  }
+}
+
+
+export async function handleGetLicenses(request, env, ctx, route) {
+	const { url } = route;
+	// Pagination parameters
+	const limit = parseInt(url.searchParams.get('limit')) || 10;
+	const offset = parseInt(url.searchParams.get('offset')) || 0;
+	const status = url.searchParams.get('status'); // 'available', 'activated', 'cancelling', 'cancelled'
+
+	// Email comes from the verified identity (Memberstack token or session cookie), never from ?email=
+	const authUser = await getAuthenticatedUser(request, env);
+	if (!authUser) {
+		return jsonResponse(
+			401,
+			{
+				error: 'unauthenticated',
+				message: 'A valid Memberstack token or session is required',
+				licenses: [],
+				pagination: { total: 0, hasMore: false },
+			},
+			true,
+			request
+		);
+	}
+	const email = authUser.email;
+	const customerId = authUser.customerId;
+
+	// CRITICAL: Find ALL customers with the same email to get all licenses
+	let allCustomerIds = customerId ? [customerId] : [];
+	if (email && env.DB) {
+		try {
+			// First, get customer IDs from the customers table (primary source)
+			const customersRes = await env.DB.prepare('SELECT DISTINCT customer_id FROM customers WHERE user_email = ?')
+				.bind(email.toLowerCase().trim())
+				.all();
+
+			if (customersRes && customersRes.results) {
+				const foundCustomerIds = customersRes.results.map((row) => row.customer_id).filter((id) => id && id.startsWith('cus_'));
+				allCustomerIds = [...new Set([...allCustomerIds, ...foundCustomerIds])];
+			}
+
+			// Also check payments table for any additional customer IDs
+			const paymentsRes = await env.DB.prepare(
+				'SELECT DISTINCT customer_id FROM payments WHERE email = ? AND customer_id IS NOT NULL'
+			)
+				.bind(email.toLowerCase().trim())
+				.all();
+
+			if (paymentsRes && paymentsRes.results) {
+				const paymentCustomerIds = paymentsRes.results.map((row) => row.customer_id).filter((id) => id && id.startsWith('cus_'));
+				allCustomerIds = [...new Set([...allCustomerIds, ...paymentCustomerIds])];
+			}
+
+			// Filter out null values and ensure all are valid customer IDs
+			allCustomerIds = allCustomerIds.filter((id) => id && id.startsWith('cus_'));
+		} catch (dbErr) {
+			console.error('Error finding all customers by email for licenses:', dbErr);
+		}
+	}
+
+	try {
+		let licenses = [];
+		let d1Error = null;
+		let kvError = null;
+
+		// Try to get from D1 database first - query ALL customer IDs
+		if (env.DB) {
+			try {
+				// Build query for all customer IDs
+				// Batch query to avoid SQLite's 999 variable limit
+				let result = { results: [] };
+				try {
+					// Use smaller batch size (50) for queries with many columns (11 columns)
+					const batchResult = await batchQuery(
+						env,
+						allCustomerIds,
+						async (batch) => {
+							const placeholders = batch.map(() => '?').join(',');
+							return env.DB.prepare(
+								`SELECT license_key, site_domain, used_site_domain, status, purchase_type, created_at, customer_id, subscription_id, item_id, billing_period, renewal_date, platform FROM licenses WHERE customer_id IN (${placeholders}) ORDER BY created_at DESC`
+							)
+								.bind(...batch)
+								.all();
+						},
+						50
+					);
+					result = batchResult;
+				} catch (columnErr) {
+					// Fallback if new columns don't exist yet
+					if (
+						columnErr.message &&
+						(columnErr.message.includes('no such column: used_site_domain') ||
+							columnErr.message.includes('no such column: purchase_type'))
+					) {
+						try {
+							const batchResult = await batchQuery(env, allCustomerIds, async (batch) => {
+								const placeholders = batch.map(() => '?').join(',');
+								return env.DB.prepare(
+									`SELECT license_key, site_domain, status, created_at, customer_id, subscription_id, item_id, purchase_type, billing_period, renewal_date, platform FROM licenses WHERE customer_id IN (${placeholders}) ORDER BY created_at DESC`
+								)
+									.bind(...batch)
+									.all();
+							});
+							result = batchResult;
+						} catch (fallbackErr) {
+							if (fallbackErr.message && fallbackErr.message.includes('no such column: site_domain')) {
+								const batchResult = await batchQuery(env, allCustomerIds, async (batch) => {
+									const placeholders = batch.map(() => '?').join(',');
+									return env.DB.prepare(
+										`SELECT license_key, status, created_at, customer_id, platform FROM licenses WHERE customer_id IN (${placeholders}) ORDER BY created_at DESC`
+									)
+										.bind(...batch)
+										.all();
+								});
+								result = batchResult;
+							} else {
+								throw fallbackErr;
+							}
+						}
+					} else {
+						throw columnErr;
+					}
+				}
+
+				// batchQuery returns { results: [] }, not { success, results }
+				// Check if results exist (will be empty array if no licenses found)
+				if (result && result.results) {
+					// Get subscription statuses for all subscription IDs (batched to avoid SQLite limit)
+					const subscriptionIds = [...new Set(result.results.map((r) => r.subscription_id).filter(Boolean))];
+					const subscriptionStatusMap = {};
+
+					if (subscriptionIds.length > 0 && env.DB) {
+						try {
+							const subStatusRes = await batchQuery(env, subscriptionIds, async (batch) => {
+								const placeholders = batch.map(() => '?').join(',');
+								return env.DB.prepare(
+									`SELECT subscription_id, status, cancel_at_period_end, cancel_at, current_period_end 
+                         FROM subscriptions 
+                         WHERE subscription_id IN (${placeholders})`
+								)
+									.bind(...batch)
+									.all();
+							});
+
+							if (subStatusRes && subStatusRes.results) {
+								subStatusRes.results.forEach((sub) => {
+									subscriptionStatusMap[sub.subscription_id] = {
+										status: sub.status,
+										cancel_at_period_end: sub.cancel_at_period_end === 1,
+										cancel_at: sub.cancel_at,
+										current_period_end: sub.current_period_end,
+									};
+								});
+							}
+						} catch (subErr) {
+							console.error('[Licenses] Error fetching subscription statuses:', subErr);
+						}
+					}
+
+					licenses = result.results.map((row) => {
+						const subscriptionInfo = row.subscription_id ? subscriptionStatusMap[row.subscription_id] : null;
+						const isSubscriptionCancelled =
+							subscriptionInfo &&
+							(subscriptionInfo.status === 'canceled' ||
+								subscriptionInfo.cancel_at_period_end ||
+								subscriptionInfo.cancel_at !== null);
+
+						// Debug logging for cancelled subscriptions
+						if (isSubscriptionCancelled) {
+							// Subscription cancellation details available
+						}
+
+						return {
+							license_key: row.license_key,
+							site_domain: row.site_domain || null,
+							used_site_domain: row.used_site_domain || null, // May not exist in old schema
+							status: row.status || 'active',
+							purchase_type: row.purchase_type || 'site', // May not exist in old schema
+							created_at: row.created_at,
+							customer_id: row.customer_id || customerId,
+							subscription_id: row.subscription_id || null,
+							item_id: row.item_id || null,
+							billing_period: row.billing_period || null, // From licenses table
+							renewal_date: row.renewal_date || subscriptionInfo?.current_period_end || null, // From licenses table or subscription
+							subscription_status: subscriptionInfo?.status || null,
+							subscription_cancelled: isSubscriptionCancelled || false,
+							subscription_cancel_at_period_end: subscriptionInfo?.cancel_at_period_end || false,
+							subscription_current_period_end: subscriptionInfo?.current_period_end || null,
+                    platform: row.platform || 'unknown',
+						};
+					});
+				} else {
+					// No results found (empty array is valid, so this shouldn't happen)
+					// But log if result is null/undefined
+					if (!result) {
+						console.warn(`[Licenses] D1 query returned null/undefined for customer ${customerId}`);
+						d1Error = 'D1 query returned no result';
+					}
+				}
+			} catch (dbErr) {
+				console.error(`[Licenses] D1 database error for customer ${customerId}:`, dbErr);
+				d1Error = dbErr.message;
+				// Continue to try KV fallback
+			}
+		} else {
+			d1Error = 'D1 database not configured';
+		}
+
+		// If D1 failed or returned no results, try fetching by email
+		if (licenses.length === 0 && email) {
+			try {
+				// Get user from database by email (all data is now in D1)
+				const user = await getUserByEmail(env, email);
+				if (user && user.customers) {
+					// Get all customer IDs for this user
+					const customerIds = user.customers.map((c) => c.customerId);
+					if (customerIds.length > 0) {
+						// Fetch licenses from database for all customer IDs (batched to avoid SQLite limit)
+						// Handle case where used_site_domain column might not exist
+						let licenseRes = { results: [] };
+						try {
+							// Query ALL licenses (not just active) to show complete history
+							licenseRes = await batchQuery(env, customerIds, async (batch) => {
+								const placeholders = batch.map(() => '?').join(',');
+								return env.DB.prepare(
+									`SELECT license_key, site_domain, used_site_domain, purchase_type, status, created_at, customer_id, subscription_id, item_id, billing_period, renewal_date FROM licenses WHERE customer_id IN (${placeholders}) ORDER BY created_at DESC`
+								)
+									.bind(...batch)
+									.all();
+							});
+						} catch (colError) {
+							// Fallback if used_site_domain doesn't exist
+							if (colError.message && colError.message.includes('no such column: used_site_domain')) {
+								try {
+									licenseRes = await batchQuery(env, customerIds, async (batch) => {
+										const placeholders = batch.map(() => '?').join(',');
+										return env.DB.prepare(
+											`SELECT license_key, site_domain, status, created_at, customer_id, subscription_id, item_id, purchase_type, billing_period, renewal_date FROM licenses WHERE customer_id IN (${placeholders}) ORDER BY created_at DESC`
+										)
+											.bind(...batch)
+											.all();
+									});
+								} catch (colError2) {
+									// Fallback if billing_period or renewal_date don't exist
+									if (
+										colError2.message &&
+										(colError2.message.includes('no such column: billing_period') ||
+											colError2.message.includes('no such column: renewal_date'))
+									) {
+										licenseRes = await batchQuery(env, customerIds, async (batch) => {
+											const placeholders = batch.map(() => '?').join(',');
+											return env.DB.prepare(
+												`SELECT license_key, site_domain, status, created_at, customer_id, subscription_id, item_id, purchase_type FROM licenses WHERE customer_id IN (${placeholders}) ORDER BY created_at DESC`
+											)
+												.bind(...batch)
+												.all();
+										});
+									} else {
+										throw colError2;
+									}
+								}
+							} else {
+								throw colError;
+							}
+						}
+
+						// batchQuery returns { results: [] }, check if results exist
+						if (licenseRes && licenseRes.results) {
+							// Get subscription statuses for fallback licenses too (batched to avoid SQLite limit)
+							const fallbackSubscriptionIds = [...new Set(licenseRes.results.map((r) => r.subscription_id).filter(Boolean))];
+							const fallbackSubscriptionStatusMap = {};
+
+							if (fallbackSubscriptionIds.length > 0 && env.DB) {
+								try {
+									const fallbackSubStatusRes = await batchQuery(env, fallbackSubscriptionIds, async (batch) => {
+										const placeholders = batch.map(() => '?').join(',');
+										return env.DB.prepare(
+											`SELECT subscription_id, status, cancel_at_period_end, cancel_at, current_period_end 
+                             FROM subscriptions 
+                             WHERE subscription_id IN (${placeholders})`
+										)
+											.bind(...batch)
+											.all();
+									});
+
+									if (fallbackSubStatusRes && fallbackSubStatusRes.results) {
+										fallbackSubStatusRes.results.forEach((sub) => {
+											fallbackSubscriptionStatusMap[sub.subscription_id] = {
+												status: sub.status,
+												cancel_at_period_end: sub.cancel_at_period_end === 1,
+												cancel_at: sub.cancel_at,
+												current_period_end: sub.current_period_end,
+											};
+										});
+									}
+								} catch (fallbackSubErr) {
+									console.error('[Licenses] Error fetching subscription statuses for fallback licenses:', fallbackSubErr);
+								}
+							}
+
+							const userLicenses = licenseRes.results.map((l) => {
+								const subscriptionInfo = l.subscription_id ? fallbackSubscriptionStatusMap[l.subscription_id] : null;
+								const isSubscriptionCancelled =
+									subscriptionInfo &&
+									(subscriptionInfo.status === 'canceled' ||
+										subscriptionInfo.cancel_at_period_end ||
+										subscriptionInfo.cancel_at !== null);
+
+								return {
+									license_key: l.license_key,
+									site_domain: l.site_domain || null,
+									used_site_domain: l.used_site_domain || null,
+									status: l.status || 'active',
+									purchase_type: l.purchase_type || 'site',
+									created_at: l.created_at,
+									customer_id: l.customer_id || customerIds[0],
+									subscription_id: l.subscription_id || null,
+									item_id: l.item_id || null,
+									billing_period: l.billing_period || null, // From licenses table
+									renewal_date: l.renewal_date || subscriptionInfo?.current_period_end || null, // From licenses table or subscription
+									subscription_status: subscriptionInfo?.status || null,
+									subscription_cancelled: isSubscriptionCancelled || false,
+									subscription_cancel_at_period_end: subscriptionInfo?.cancel_at_period_end || false,
+									subscription_current_period_end: subscriptionInfo?.current_period_end || null,
+								};
+							});
+							licenses = [...licenses, ...userLicenses];
+						}
+					}
+				}
+			} catch (emailErr) {
+				console.error(`[Licenses] Error fetching licenses by email:`, emailErr);
+			}
+		}
+
+		// If D1 failed, return error
+		if (d1Error && licenses.length === 0) {
+			console.error(`[Licenses] D1 failed for email ${email}. D1: ${d1Error}`);
+			return jsonResponse(500, {
+				error: 'Failed to fetch licenses',
+				details: {
+					d1Error: d1Error,
+				},
+				licenses: [], // Return empty array so frontend doesn't break
+			});
+		}
+
+		// Fetch active subscriptions for the user
+		let activeSubscriptions = [];
+		if (email && env.DB) {
+			try {
+				// Get all subscriptions for this email that are active or trialing
+				const subsRes = await env.DB.prepare(
+					`SELECT subscription_id, status, cancel_at_period_end, cancel_at, current_period_start, current_period_end, billing_period, created_at
+                 FROM subscriptions 
+                 WHERE user_email = ? AND (status = 'active' OR status = 'trialing') AND (cancel_at_period_end = 0 OR cancel_at_period_end IS NULL)
+                 ORDER BY created_at DESC`
+				)
+					.bind(email.toLowerCase().trim())
+					.all();
+
+				if (subsRes && subsRes.results) {
+					activeSubscriptions = subsRes.results.map((sub) => ({
+						subscription_id: sub.subscription_id,
+						status: sub.status,
+						cancel_at_period_end: sub.cancel_at_period_end === 1,
+						cancel_at: sub.cancel_at,
+						current_period_start: sub.current_period_start,
+						current_period_end: sub.current_period_end,
+						billing_period: sub.billing_period || null,
+						created_at: sub.created_at,
+					}));
+				}
+			} catch (subsErr) {
+				console.error('[Licenses] Error fetching active subscriptions:', subsErr);
+			}
+		}
+
+		// Debug: Log what we're returning
+		if (licenses.length > 0) {
+			// Count by purchase_type
+			const quantityLicenses = licenses.filter((l) => l.purchase_type === 'quantity').length;
+			const siteLicenses = licenses.filter((l) => l.purchase_type === 'site').length;
+		}
+
+		// Return licenses and active subscriptions
+		return jsonResponse(200, { success: true, licenses, activeSubscriptions }, true, request);
+	} catch (error) {
+		console.error(`[Licenses] ❌ Unexpected error fetching licenses:`, error);
+		console.error(`[Licenses] ❌ Error details:`, {
+			message: error.message,
+			stack: error.stack,
+			email: email || 'unknown',
+			customerId: customerId || 'unknown',
+			allCustomerIdsLength: allCustomerIds?.length || 0,
+		});
+		return jsonResponse(
+			500,
+			{
+				error: 'Failed to fetch licenses',
+				message: error.message || 'An unexpected error occurred',
+				licenses: [], // Return empty array so frontend doesn't break
+				details: process.env.NODE_ENV === 'development' ? error.stack : undefined,
+			},
+			true,
+			request
+		);
+	}
+}
+
+
+// Check license status for a site
+export async function handleCheckLicenseStatus(request, env, ctx, route) {
+	const { url } = route;
+	// Get site domain from URL parameters (GET) or request body (POST)
+	let site_domain = null;
+	let email = null;
+
+	if (request.method === 'GET') {
+		site_domain = url.searchParams.get('site') || url.searchParams.get('site_domain') || url.searchParams.get('domain');
+		email = url.searchParams.get('email');
+	} else {
+		const body = await request.json().catch(() => ({}));
+		site_domain = body.site || body.site_domain || body.domain;
+		email = body.email;
+	}
+
+	if (!site_domain) {
+		return jsonResponse(
+			400,
+			{
+				error: 'missing_site',
+				message: 'Site domain is required. Provide it as URL parameter: ?site=example.com or in request body.',
+			},
+			true,
+			request
+		);
+	}
+
+	// Normalize site domain
+	const normalizedSite = site_domain.toLowerCase().trim();
+
+	console.log(`[check-license-status] 🔍 Checking license status for site: ${normalizedSite}`);
+
+	if (!env.DB) {
+		return jsonResponse(500, { error: 'database_not_configured', message: 'Database not configured' }, true, request);
+	}
+
+	try {
+		// Check for active license with this site domain
+		// Check both used_site_domain (activated licenses) and site_domain (site-based purchases)
+		const licenseRes = await env.DB.prepare(
+			`SELECT 
+              license_key, 
+              customer_id, 
+              subscription_id, 
+              item_id,
+              site_domain,
+              used_site_domain,
+              status, 
+              purchase_type,
+              billing_period,
+              renewal_date,
+              created_at,
+              updated_at
+            FROM licenses 
+            WHERE (LOWER(TRIM(used_site_domain)) = ? OR LOWER(TRIM(site_domain)) = ?)
+            AND status = 'active'
+            ORDER BY updated_at DESC
+            LIMIT 1`
+		)
+			.bind(normalizedSite, normalizedSite)
+			.first();
+
+		if (!licenseRes) {
+			console.log(`[check-license-status] ❌ No active license found for site: ${normalizedSite}`);
+			return jsonResponse(
+				200,
+				{
+					success: false,
+					available: false,
+					site: site_domain,
+					message: 'No active license found for this site',
+					license: null,
+				},
+				true,
+				request
+			);
+		}
+
+		// If email is provided, verify the license belongs to that user
+		if (email) {
+			const normalizedEmail = email.toLowerCase().trim();
+			const user = await getUserByEmail(env, normalizedEmail);
+
+			if (user && user.customers) {
+				const customerIds = user.customers.map((c) => c.customerId);
+				if (!customerIds.includes(licenseRes.customer_id)) {
+					console.log(`[check-license-status] ❌ License does not belong to user: ${normalizedEmail}`);
+					return jsonResponse(
+						200,
+						{
+							success: false,
+							available: false,
+							site: site_domain,
+							message: 'No active license found for this site in your account',
+							license: null,
+						},
+						true,
+						request
+					);
+				}
+			}
+		}
+
+		// Get subscription details if available
+		let subscriptionDetails = null;
+		if (licenseRes.subscription_id) {
+			try {
+				const subRes = await env.DB.prepare(
+					'SELECT subscription_id, status, current_period_end, cancel_at_period_end FROM subscriptions WHERE subscription_id = ? LIMIT 1'
+				)
+					.bind(licenseRes.subscription_id)
+					.first();
+
+				if (subRes) {
+					subscriptionDetails = {
+						subscription_id: subRes.subscription_id,
+						status: subRes.status,
+						current_period_end: subRes.current_period_end,
+						cancel_at_period_end: subRes.cancel_at_period_end === 1,
+					};
+				}
+			} catch (subError) {
+				console.warn(`[check-license-status] ⚠️ Could not fetch subscription details:`, subError.message);
+			}
+		}
+
+		// Format expiration date
+		let expirationDate = null;
+		if (licenseRes.renewal_date) {
+			try {
+				const timestamp = typeof licenseRes.renewal_date === 'number' ? licenseRes.renewal_date : parseInt(licenseRes.renewal_date);
+				const dateInMs = timestamp < 1e12 ? timestamp * 1000 : timestamp;
+				expirationDate = new Date(dateInMs).toISOString();
+			} catch (e) {
+				console.warn(`[check-license-status] ⚠️ Error parsing expiration date:`, e);
+			}
+		} else if (subscriptionDetails && subscriptionDetails.current_period_end) {
+			try {
+				const timestamp =
+					typeof subscriptionDetails.current_period_end === 'number'
+						? subscriptionDetails.current_period_end
+						: parseInt(subscriptionDetails.current_period_end);
+				const dateInMs = timestamp < 1e12 ? timestamp * 1000 : timestamp;
+				expirationDate = new Date(dateInMs).toISOString();
+			} catch (e) {
+				console.warn(`[check-license-status] ⚠️ Error parsing subscription expiration date:`, e);
+			}
+		}
+
+		console.log(`[check-license-status] ✅ Found active license for site: ${normalizedSite}`);
+
+		return jsonResponse(
+			200,
+			{
+				success: true,
+				available: true,
+				site: site_domain,
+				message: 'Active license found for this site',
+				license: {
+					license_key: licenseRes.license_key,
+					status: licenseRes.status,
+					purchase_type: licenseRes.purchase_type,
+					site_domain: licenseRes.site_domain,
+					used_site_domain: licenseRes.used_site_domain,
+					billing_period: licenseRes.billing_period,
+					expiration_date: expirationDate,
+					renewal_date: licenseRes.renewal_date,
+					created_at: licenseRes.created_at,
+					updated_at: licenseRes.updated_at,
+					subscription: subscriptionDetails,
+				},
+			},
+			true,
+			request
+		);
+	} catch (error) {
+		console.error(`[check-license-status] ❌ Error checking license status:`, error);
+		return jsonResponse(
+			500,
+			{
+				error: 'database_error',
+				message: 'Failed to check license status',
+				details: error.message,
+			},
+			true,
+			request
+		);
+	}
+}
+
+
+export async function handleActivateLicense(request, env, ctx, route) {
+	const body = await request.json();
+	const { site_domain, email: emailParam } = body;
+	const license_key = normalizeLicenseKey(body.license_key);
+
+	if (!license_key || !site_domain) {
+		return jsonResponse(400, { error: 'missing_fields', message: 'license_key and site_domain are required' }, true, request);
+	}
+
+	// Reject typos locally - the check character makes a DB lookup pointless for malformed keys
+	if (!validateLicenseKey(license_key).valid) {
+		return jsonResponse(
+			400,
+			{ error: 'invalid_license_key', message: 'This license key is not valid. Please check for typos and try again.' },
+			true,
+			request
+		);
+	}
+
+	// Normalize domain early
+	const normalizedRequestedSite = site_domain.toLowerCase().trim();
+
+	// Get email
+	let email = null;
+	if (emailParam) {
+		email = emailParam.toLowerCase().trim();
+	} else {
+		const cookie = request.headers.get('cookie') || '';
+		const match = cookie.match(/sb_session=([^;]+)/);
+		if (!match) {
+			return jsonResponse(401, { error: 'unauthenticated', message: 'No email or session provided' }, true, request);
+		}
+		const token = match[1];
+		const payload = await verifyToken(env, token);
+		if (!payload) {
+			return jsonResponse(401, { error: 'invalid session' }, true, request);
+		}
+		email = payload.email;
+	}
+
+	// Find license in database
+	if (!env.DB) {
+		return jsonResponse(500, { error: 'database_not_configured' }, true, request);
+	}
+
+	try {
+		// Check if license exists and get full details
+		const licenseRes = await env.DB.prepare(
+			'SELECT license_key, site_domain, used_site_domain, status, customer_id, subscription_id, item_id, purchase_type FROM licenses WHERE license_key = ?'
+		)
+			.bind(license_key)
+			.first();
+
+		if (!licenseRes) {
+			console.error(`[activate-license] :x: License not found: ${license_key}`);
+			return jsonResponse(
+				404,
+				{
+					error: 'license_not_found',
+					message: 'License key not found. Please check the license key and try again.',
+				},
+				true,
+				request
+			);
+		}
+
+		// Verify customer ownership
+		if (email) {
+			const user = await getUserByEmail(env, email);
+			if (user && user.customers) {
+				const customerIds = user.customers.map((c) => c.customerId);
+				if (!customerIds.includes(licenseRes.customer_id)) {
+					console.error(`[activate-license] :x: Unauthorized: License ${license_key} does not belong to user ${email}`);
+					return jsonResponse(
+						403,
+						{ error: 'unauthorized', message: 'This license key does not belong to your account' },
+						true,
+						request
+					);
+				}
+			}
+		}
+
+		// Check subscription status if subscription_id exists
+		if (licenseRes.subscription_id) {
+			try {
+				const subRes = await env.DB.prepare(
+					'SELECT subscription_id, status, cancel_at_period_end, cancel_at, current_period_end FROM subscriptions WHERE subscription_id = ? LIMIT 1'
+				)
+					.bind(licenseRes.subscription_id)
+					.first();
+
+				if (!subRes) {
+					console.warn(`[activate-license] :warning: Subscription not found in database: ${licenseRes.subscription_id}`);
+					// Try to fetch from Stripe as fallback
+					try {
+						const stripeSubRes = await stripeFetch(env, `/subscriptions/${licenseRes.subscription_id}`);
+						if (stripeSubRes.status === 200 && stripeSubRes.body) {
+							const stripeSub = stripeSubRes.body;
+							const now = Math.floor(Date.now() / 1000);
+							const periodEnd = stripeSub.current_period_end || 0;
+
+							// Check if subscription has ended
+							if (periodEnd > 0 && periodEnd < now) {
+								const endDate = new Date(periodEnd * 1000).toLocaleDateString();
+								console.warn(`[activate-license] :warning: Subscription has ended: ${endDate}`);
+								return jsonResponse(
+									400,
+									{
+										error: 'subscription_ended',
+										message: `This license key's subscription has ended on ${endDate}. Please renew your subscription to continue using this license.`,
+										subscription_end_date: periodEnd,
+										subscription_end_date_formatted: endDate,
+									},
+									true,
+									request
+								);
+							}
+
+							// Check if subscription is cancelled
+							if (stripeSub.status === 'canceled' || stripeSub.cancel_at_period_end || stripeSub.canceled_at) {
+								const cancelDate = stripeSub.cancel_at
+									? new Date(stripeSub.cancel_at * 1000).toLocaleDateString()
+									: stripeSub.current_period_end
+									? new Date(stripeSub.current_period_end * 1000).toLocaleDateString()
+									: 'N/A';
+								console.warn(`[activate-license] :warning: Subscription is cancelled: ${cancelDate}`);
+								return jsonResponse(
+									400,
+									{
+										error: 'subscription_cancelled',
+										message: `This license key's subscription has been cancelled. It will end on ${cancelDate}. Please reactivate your subscription to continue using this license.`,
+										subscription_cancel_date: stripeSub.cancel_at || stripeSub.current_period_end,
+										subscription_cancel_date_formatted: cancelDate,
+									},
+									true,
+									request
+								);
+							}
+
+							// Check if subscription is not active
+							if (stripeSub.status !== 'active' && stripeSub.status !== 'trialing') {
+								console.warn(`[activate-license] :warning: Subscription is not active: ${stripeSub.status}`);
+								return jsonResponse(
+									400,
+									{
+										error: 'subscription_inactive',
+										message: `This license key's subscription is ${stripeSub.status}. Please ensure your subscription is active to use this license.`,
+										subscription_status: stripeSub.status,
+									},
+									true,
+									request
+								);
+							}
+						}
+					} catch (stripeErr) {
+						console.warn(`[activate-license] :warning: Could not fetch subscription from Stripe:`, stripeErr.message);
+					}
+				} else {
+					// Subscription found in database - check status
+					const now = Math.floor(Date.now() / 1000);
+					const periodEnd = subRes.current_period_end || 0;
+
+					// Check if subscription has ended
+					if (periodEnd > 0 && periodEnd < now) {
+						const endDate = new Date(periodEnd * 1000).toLocaleDateString();
+						console.warn(`[activate-license] :warning: Subscription has ended: ${endDate}`);
+						return jsonResponse(
+							400,
+							{
+								error: 'subscription_ended',
+								message: `This license key's subscription has ended on ${endDate}. Please renew your subscription to continue using this license.`,
+								subscription_end_date: periodEnd,
+								subscription_end_date_formatted: endDate,
+							},
+							true,
+							request
+						);
+					}
+
+					// Check if subscription is cancelled
+					if (subRes.status === 'canceled' || subRes.cancel_at_period_end === 1 || subRes.cancel_at) {
+						const cancelDate = subRes.cancel_at
+							? new Date(subRes.cancel_at * 1000).toLocaleDateString()
+							: subRes.current_period_end
+							? new Date(subRes.current_period_end * 1000).toLocaleDateString()
+							: 'N/A';
+						console.warn(`[activate-license] :warning: Subscription is cancelled: ${cancelDate}`);
+						return jsonResponse(
+							400,
+							{
+								error: 'subscription_cancelled',
+								message: `This license key's subscription has been cancelled. It will end on ${cancelDate}. Please reactivate your subscription to continue using this license.`,
+								subscription_cancel_date: subRes.cancel_at || subRes.current_period_end,
+								subscription_cancel_date_formatted: cancelDate,
+							},
+							true,
+							request
+						);
+					}
+
+					// Check if subscription is not active
+					if (subRes.status !== 'active' && subRes.status !== 'trialing') {
+						console.warn(`[activate-license] :warning: Subscription is not active: ${subRes.status}`);
+						return jsonResponse(
+							400,
+							{
+								error: 'subscription_inactive',
+								message: `This license key's subscription is ${subRes.status}. Please ensure your subscription is active to use this license.`,
+								subscription_status: subRes.status,
+							},
+							true,
+							request
+						);
+					}
+				}
+			} catch (subCheckErr) {
+				console.error(`[activate-license] :warning: Error checking subscription status:`, subCheckErr.message);
+				// Continue with activation if subscription check fails (non-critical)
+			}
+		}
+
+		// CRITICAL: Check if license is from site-based purchase (has site_domain set)
+		// Site-based licenses are pre-assigned to a specific site and cannot be used for other sites
+		if (licenseRes.site_domain && licenseRes.site_domain.trim() !== '') {
+			const normalizedOriginalSite = licenseRes.site_domain.toLowerCase().trim();
+
+			if (normalizedOriginalSite !== normalizedRequestedSite) {
+				console.error(
+					`[activate-license] :x: License ${license_key} is tied to site ${licenseRes.site_domain} and cannot be used for ${site_domain}`
+				);
+				return jsonResponse(
+					400,
+					{
+						error: 'license_site_mismatch',
+						message: `This license key is tied to the site "${licenseRes.site_domain}" and cannot be used for other sites. Please use the correct license key for "${site_domain}".`,
+						original_site: licenseRes.site_domain,
+						requested_site: site_domain,
+					},
+					true,
+					request
+				);
+			}
+
+			// Site matches - check if already activated
+			if (licenseRes.used_site_domain) {
+				console.log(
+					`[activate-license] :information_source: License ${license_key} is already activated for site ${licenseRes.used_site_domain}`
+				);
+				// Site-based licenses are already "used" - return success but don't allow reuse
+				return jsonResponse(
+					400,
+					{
+						error: 'license_already_used',
+						message: `This license key is already activated and tied to "${licenseRes.used_site_domain}". Site-based licenses cannot be reused or transferred.`,
+						activated_site: licenseRes.used_site_domain,
+					},
+					true,
+					request
+				);
+			}
+		}
+
+		// Check if license is already activated (for quantity-based purchases)
+		const isAlreadyActivated = !!licenseRes.used_site_domain;
+
+		// If already activated, prevent reuse
+		if (isAlreadyActivated) {
+			console.error(
+				`[activate-license] :x: License ${license_key} is already activated for site ${licenseRes.used_site_domain} and cannot be reused`
+			);
+			return jsonResponse(
+				400,
+				{
+					error: 'license_already_used',
+					message: `This license key is already activated and used for "${licenseRes.used_site_domain}". Licenses cannot be reused or transferred to other sites.`,
+					activated_site: licenseRes.used_site_domain,
+				},
+				true,
+				request
+			);
+		}
+
+		// :new: PLATFORM DETECTION - Detect platform before activation
+		console.log(`[activate-license] :mag: Detecting platform for site: ${normalizedRequestedSite}`);
+		const platform = await detectPlatform(normalizedRequestedSite);
+		console.log(`[activate-license] :white_check_mark: Detected platform "${platform}" for ${normalizedRequestedSite}`);
+
+		// :new: Get platform-specific KV namespace
+		const kvNamespaces = getKvNamespaces(env, platform);
+		const activeSitesKv = kvNamespaces.activeSitesKv;
+
+		if (!activeSitesKv && licenseRes.subscription_id && licenseRes.customer_id) {
+			console.warn(`[activate-license] :warning: No KV namespace available for platform "${platform}"`);
+		}
+
+		// First-time activation - mark as activated
+		console.log(
+			`[activate-license] :white_check_mark: Activating license ${license_key} for the first time with site: ${normalizedRequestedSite}, platform: ${platform}`
+		);
+
+		// Check if inactive
+		if (licenseRes.status !== 'active') {
+			console.warn(`[activate-license] :warning: License is not active: ${licenseRes.status}`);
+			return jsonResponse(400, { error: 'inactive_license', message: 'This license is not active' }, true, request);
+		}
+
+		const timestamp = Math.floor(Date.now() / 1000);
+
+		// Step 1: Update license with used site domain + platform (NEW COLUMN)
+		const licenseUpdate = await env.DB.prepare(
+			'UPDATE licenses SET used_site_domain = ?, platform = ?, updated_at = ? WHERE license_key = ?'
+		)
+			.bind(normalizedRequestedSite, platform, timestamp, license_key)
+			.run();
+
+			//   //insert sites table 
+			// 	await env.DB.prepare(
+			// 		'INSERT INTO sites (customer_id, subscription_id, site_domain, price_id, amount_paid, currency, status, renewal_date, platform, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)'
+			// 	).bind(
+			// 		licenseRes.customer_id,licenseRes.subscription_id,normalizedRequestedSite,licenseRes.item_id,0,'usd','active',0,platform,timestamp,timestamp
+			// 	).run();
+
+		// Step 2: Update KV storage with site details (for license key activation) - PLATFORM AWARE
+		if (licenseRes.subscription_id && licenseRes.customer_id && activeSitesKv) {
+			console.log(`[activate-license] :floppy_disk: Updating KV storage for license key: ${license_key}, platform: ${platform}`);
+
+			// Always clean up old KV entries before saving new one
+			try {
+				// 1. Delete old entry keyed by license key (always, for backward compatibility)
+				try {
+					const oldLicenseKeyEntry = await activeSitesKv.get(license_key);
+					if (oldLicenseKeyEntry) {
+						await activeSitesKv.delete(license_key);
+						console.log(`[activate-license] :wastebasket: Deleted old KV entry keyed by license key: ${license_key}`);
+					}
+				} catch (deleteLicenseKeyErr) {
+					// Entry might not exist, that's okay
+					console.log(`[activate-license] :information_source: No existing KV entry found for license key: ${license_key}`);
+				}
+
+				// 2. If updating domain (not first activation), delete old domain entry
+				if (isAlreadyActivated && licenseRes.used_site_domain && licenseRes.used_site_domain !== normalizedRequestedSite) {
+					const oldFormattedDomain = formatSiteName(licenseRes.used_site_domain);
+					if (oldFormattedDomain) {
+						try {
+							const oldDomainEntry = await activeSitesKv.get(oldFormattedDomain);
+							if (oldDomainEntry) {
+								await activeSitesKv.delete(oldFormattedDomain);
+								console.log(`[activate-license] :wastebasket: Deleted old KV entry for previous domain: ${oldFormattedDomain}`);
+							}
+						} catch (deleteDomainErr) {
+							console.warn(`[activate-license] :warning: Could not delete old domain KV entry:`, deleteDomainErr.message);
+							// Non-critical, continue
+						}
+					}
+				}
+			} catch (deleteErr) {
+				console.warn(`[activate-license] :warning: Error during KV cleanup:`, deleteErr.message);
+				// Non-critical, continue - we'll still save the new entry
+			}
+
+			// Get subscription cancel_at_period_end status for KV storage
+			let cancelAtPeriodEnd = false;
+			try {
+				const subDetails = await env.DB.prepare('SELECT cancel_at_period_end FROM subscriptions WHERE subscription_id = ? LIMIT 1')
+					.bind(licenseRes.subscription_id)
+					.first();
+				if (subDetails) {
+					cancelAtPeriodEnd = subDetails.cancel_at_period_end === 1;
+				}
+			} catch (subErr) {
+				console.warn(`[activate-license] :warning: Could not fetch subscription cancel status:`, subErr.message);
+			}
+
+			// CRITICAL: Ensure site_domain is not item_id - validate it's a proper domain
+			let validatedSiteDomain = normalizedRequestedSite;
+
+			if (!normalizedRequestedSite || normalizedRequestedSite.trim() === '') {
+				console.error(`[activate-license] :x: Empty site_domain provided`);
+				return jsonResponse(
+					400,
+					{
+						error: 'invalid_site_domain',
+						message: 'Site domain cannot be empty.',
+					},
+					true,
+					request
+				);
+			}
+
+			// Check if site_domain is actually an item_id (Stripe item IDs start with 'si_')
+			if (
+				normalizedRequestedSite.startsWith('si_') ||
+				normalizedRequestedSite.startsWith('item_') ||
+				normalizedRequestedSite.match(/^[a-z]{2}_[a-zA-Z0-9]+$/)
+			) {
+				console.error(
+					`[activate-license] :x: Invalid site_domain provided: "${normalizedRequestedSite}". This appears to be an item_id, not a domain name.`
+				);
+
+				// If updating and we have a previous valid domain, use that instead
+				if (
+					isAlreadyActivated &&
+					licenseRes.used_site_domain &&
+					!licenseRes.used_site_domain.startsWith('si_') &&
+					!licenseRes.used_site_domain.startsWith('item_')
+				) {
+					console.warn(`[activate-license] :warning: Using previous valid domain: ${licenseRes.used_site_domain}`);
+					validatedSiteDomain = licenseRes.used_site_domain;
+				} else {
+					return jsonResponse(
+						400,
+						{
+							error: 'invalid_site_domain',
+							message: `Invalid site domain provided: "${normalizedRequestedSite}". Expected a domain name (e.g., example.com), not an item ID.`,
+						},
+						true,
+						request
+					);
+				}
+			}
+
+			console.log(
+				`[activate-license] :white_check_mark: Using validated site domain: ${validatedSiteDomain} (original: ${normalizedRequestedSite})`
+			);
+
+			// :new: Updated saveLicenseKeyToKV with platform and dynamic KV
+			await saveLicenseKeyToKVPlatform(
+				activeSitesKv, // :new: Pass specific KV namespace
+				license_key,
+				licenseRes.customer_id,
+				licenseRes.subscription_id,
+				email,
+				'complete', // License is active
+				cancelAtPeriodEnd,
+				validatedSiteDomain,
+				platform // :new: Pass platform to KV payload
+			);
+		}
+
+		// Step 3: Update or create site entry in sites table - WITH PLATFORM
+		if (licenseRes.subscription_id && licenseRes.customer_id) {
+			// Check if site already exists
+			const existingSite = await env.DB.prepare(
+				'SELECT id, site_domain, status FROM sites WHERE customer_id = ? AND site_domain = ? LIMIT 1'
+			)
+				.bind(licenseRes.customer_id, normalizedRequestedSite)
+				.first();
+
+			if (existingSite) {
+				// Update existing site entry
+
+				// Get subscription details for renewal date
+				let renewalDate = null;
+				if (licenseRes.subscription_id) {
+					try {
+						const subDetails = await env.DB.prepare('SELECT current_period_end FROM subscriptions WHERE subscription_id = ? LIMIT 1')
+							.bind(licenseRes.subscription_id)
+							.first();
+						if (subDetails && subDetails.current_period_end) {
+							renewalDate = subDetails.current_period_end;
+						}
+					} catch (subErr) {
+						console.warn(`[activate-license] :warning: Could not fetch subscription details:`, subErr.message);
+					}
+				}
+
+				await env.DB.prepare(
+					'UPDATE sites SET status = ?, updated_at = ?, renewal_date = ?, platform = ? WHERE customer_id = ? AND site_domain = ?'
+				)
+					.bind('active', timestamp, renewalDate, platform, licenseRes.customer_id, normalizedRequestedSite)
+					.run();
+			} else {
+				// Create new site entry
+
+				// Get subscription and price details
+				let priceId = null;
+				let amountPaid = 0;
+				let currency = getDefaultCurrency(env);
+				let renewalDate = null;
+
+				if (licenseRes.subscription_id) {
+					try {
+						const subDetails = await env.DB.prepare(
+							'SELECT price_id, current_period_end FROM subscriptions WHERE subscription_id = ? LIMIT 1'
+						)
+							.bind(licenseRes.subscription_id)
+							.first();
+
+						if (subDetails) {
+							priceId = subDetails.price_id;
+							renewalDate = subDetails.current_period_end;
+
+							// Get price amount
+							if (priceId) {
+								try {
+									const priceRes = await stripeFetch(env, `/prices/${priceId}`);
+									if (priceRes.status === 200 && priceRes.body) {
+										amountPaid = priceRes.body.unit_amount || 0;
+										currency = priceRes.body.currency || currency;
+									}
+								} catch (priceErr) {
+									console.warn(`[activate-license] :warning: Could not fetch price details:`, priceErr.message);
+								}
+							}
+						}
+					} catch (subErr) {
+						console.warn(`[activate-license] :warning: Could not fetch subscription details:`, subErr.message);
+					}
+				}
+
+				await env.DB.prepare(
+					'INSERT INTO sites (customer_id, subscription_id, site_domain, price_id, amount_paid, currency, status, renewal_date, platform, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)'
+				)
+					.bind(
+						licenseRes.customer_id,
+						licenseRes.subscription_id,
+						normalizedRequestedSite,
+						priceId,
+						amountPaid,
+						currency,
+						'active',
+						renewalDate,
+						platform,
+						timestamp,
+						timestamp
+					)
+					.run();
+			}
+		} else {
+			console.warn(`[activate-license] :warning: Missing subscription_id or customer_id, skipping sites table update`);
+		}
+
+		// Step 4: Update user object sites if available
+		if (email && env.KV) {
+			try {
+				const user = await getUserByEmail(env, email);
+				if (user && licenseRes.subscription_id) {
+					if (!user.sites) user.sites = {};
+					user.sites[normalizedRequestedSite] = {
+						subscriptionId: licenseRes.subscription_id,
+						site: normalizedRequestedSite,
+						status: 'active',
+						licenseKey: license_key,
+						platform: platform, // :new: Add platform
+						updatedAt: timestamp,
+					};
+					await saveUserByEmail(env, email, user);
+				}
+			} catch (userErr) {
+				console.warn(`[activate-license] :warning: Could not update user object:`, userErr.message);
+				// Non-critical, continue
+			}
+		}
+
+		// Step 5: Signed token so the ConsentBit script can verify the license offline (see lib/license-tokens.js)
+		let licenseToken = null;
+		try {
+			const activatedLicense = { ...licenseRes, used_site_domain: normalizedRequestedSite };
+			const period = await env.DB.prepare('SELECT billing_period, renewal_date FROM licenses WHERE license_key = ?')
+				.bind(license_key)
+				.first()
+				.catch(() => null); // columns may not be migrated yet
+			licenseToken = await issueLicenseToken(env, { ...activatedLicense, ...(period || {}) });
+			if (licenseToken) {
+				await updateLicenseKvRecords(env, activatedLicense, {
+					license_token: licenseToken.token,
+					license_token_expires_at: licenseToken.expires_at,
+				});
+			}
+		} catch (tokenErr) {
+			console.warn(`[activate-license] :warning: Could not issue license token:`, tokenErr.message);
+			// Non-critical - the script falls back to /check-license-status
+		}
+
+		const actionText = isAlreadyActivated ? 'updated' : 'activated';
+		const message = isAlreadyActivated
+			? `License site domain updated successfully from ${licenseRes.used_site_domain} to ${normalizedRequestedSite}`
+			: `License activated successfully for ${normalizedRequestedSite}`;
+
+		return jsonResponse(
+			200,
+			{
+				success: true,
+				message: message,
+				license_key: license_key,
+				site_domain: normalizedRequestedSite,
+				platform: platform, // :new: Include in response
+				previous_site: isAlreadyActivated ? licenseRes.used_site_domain : null,
+				status: 'used',
+				is_used: true,
+				is_activated: true,
+				was_update: isAlreadyActivated,
+				license_token: licenseToken ? licenseToken.token : null,
+				license_token_expires_at: licenseToken ? licenseToken.expires_at : null,
+			},
+			true,
+			request
+		);
+	} catch (error) {
+		console.error('[activate-license] :x: Error:', error);
+		console.error('[activate-license] :x: Error stack:', error.stack);
+		return jsonResponse(500, { error: 'activation_failed', message: error.message }, true, request);
+	}
+}
+
+
+// Deactivate a license - releases the activated site so the key can be assigned again
+export async function handleDeactivateLicense(request, env, ctx, route) {
+	const body = await request.json().catch(() => ({}));
+	const license_key = normalizeLicenseKey(body.license_key);
+
+	if (!license_key) {
+		return jsonResponse(400, { error: 'missing_fields', message: 'license_key is required' }, true, request);
+	}
+
+	// Ownership is checked against the verified identity, never the body email
+	const email = route.user.email;
+
+	if (!env.DB) {
+		return jsonResponse(500, { error: 'database_not_configured' }, true, request);
+	}
+
+	try {
+		let licenseRes = null;
+		try {
+			licenseRes = await env.DB.prepare(
+				'SELECT license_key, site_domain, used_site_domain, status, customer_id, subscription_id, purchase_type, platform, last_deactivated_at FROM licenses WHERE license_key = ?'
+			)
+				.bind(license_key)
+				.first();
+		} catch (columnErr) {
+			// Fallback if the deactivation columns have not been migrated yet
+			if (columnErr.message && columnErr.message.includes('no such column: last_deactivated_at')) {
+				console.warn('[deactivate-license] :warning: last_deactivated_at column missing - run add-license-deactivation-columns.sql');
+				licenseRes = await env.DB.prepare(
+					'SELECT license_key, site_domain, used_site_domain, status, customer_id, subscription_id, purchase_type, platform FROM licenses WHERE license_key = ?'
+				)
+					.bind(license_key)
+					.first();
+			} else {
+				throw columnErr;
+			}
+		}
+
+		if (!licenseRes) {
+			console.error(`[deactivate-license] :x: License not found: ${license_key}`);
+			return jsonResponse(
+				404,
+				{
+					error: 'license_not_found',
+					message: 'License key not found. Please check the license key and try again.',
+				},
+				true,
+				request
+			);
+		}
+
+		// Verify customer ownership
+		const user = await getUserByEmail(env, email);
+		const customerIds = user && user.customers ? user.customers.map((c) => c.customerId) : [];
+		if (!customerIds.includes(licenseRes.customer_id)) {
+			console.error(`[deactivate-license] :x: Unauthorized: License ${license_key} does not belong to user ${email}`);
+			return jsonResponse(403, { error: 'unauthorized', message: 'This license key does not belong to your account' }, true, request);
+		}
+
+		// Only an active license goes back to the unassigned pool as 'complete'
+		if (licenseRes.status !== 'active') {
+			return jsonResponse(409, { error: 'license_not_active', message: `License is ${licenseRes.status}` }, true, request);
+		}
+
+		// Site-based licenses are pre-assigned to one site and cannot be moved
+		if (licenseRes.site_domain && licenseRes.site_domain.trim() !== '') {
+			return jsonResponse(
+				400,
+				{
+					error: 'license_site_locked',
+					message: `This license key is tied to the site "${licenseRes.site_domain}" and cannot be deactivated or moved to another site.`,
+					original_site: licenseRes.site_domain,
+				},
+				true,
+				request
+			);
+		}
+
+		if (!licenseRes.used_site_domain) {
+			return jsonResponse(
+				400,
+				{ error: 'license_not_activated', message: 'This license key is not activated on any site.' },
+				true,
+				request
+			);
+		}
+
+		// Cooldown - a key may only be released once per window so it can't be hopped between sites endlessly
+		const timestamp = Math.floor(Date.now() / 1000);
+		const cooldownSeconds = parseInt(env.LICENSE_DEACTIVATION_COOLDOWN_SECONDS || '86400');
+		const cooldownResponse = (deactivatedAt) => {
+			const retryAfter = cooldownSeconds - (timestamp - deactivatedAt);
+			const availableAt = new Date((deactivatedAt + cooldownSeconds) * 1000).toISOString();
+			console.warn(`[deactivate-license] :warning: Cooldown active for ${license_key} (${retryAfter}s remaining)`);
+			return jsonResponse(
+				429,
+				{
+					error: 'deactivation_cooldown',
+					message: `This license key was deactivated recently. You can deactivate it again after ${availableAt}.`,
+					retry_after: retryAfter,
+					available_at: availableAt,
+				},
+				true,
+				request
+			);
+		};
+		const lastDeactivatedAt = licenseRes.last_deactivated_at || 0;
+		if (lastDeactivatedAt && timestamp - lastDeactivatedAt < cooldownSeconds) {
+			return cooldownResponse(lastDeactivatedAt);
+		}
+
+		const previousSite = licenseRes.used_site_domain;
+		const normalizedPreviousSite = previousSite.toLowerCase().trim();
+
+		// Step 1: Clear the activated site on the license - only if no other request deactivated it since the read above
+		try {
+			const released = await env.DB.prepare(
+				'UPDATE licenses SET used_site_domain = NULL, platform = ?, last_deactivated_at = ?, updated_at = ? WHERE license_key = ? AND COALESCE(last_deactivated_at, 0) = ?'
+			)
+				.bind('pending', timestamp, timestamp, license_key, lastDeactivatedAt)
+				.run();
+			if ((released.meta?.changes || 0) === 0) {
+				const current = await env.DB.prepare('SELECT last_deactivated_at FROM licenses WHERE license_key = ?').bind(license_key).first();
+				return cooldownResponse(current?.last_deactivated_at || timestamp);
+			}
+		} catch (columnErr) {
+			if (columnErr.message && columnErr.message.includes('no such column: last_deactivated_at')) {
+				await env.DB.prepare('UPDATE licenses SET used_site_domain = NULL, platform = ?, updated_at = ? WHERE license_key = ?')
+					.bind('pending', timestamp, license_key)
+					.run();
+			} else {
+				throw columnErr;
+			}
+		}
+
+		// Step 2: Remove the site entries from every platform KV namespace (platform may have changed since activation)
+		const formattedDomain = formatSiteName(normalizedPreviousSite);
+		const activeSitesNamespaces = [env.ACTIVE_SITES_CONSENTBIT, env.ACTIVE_SITES_CONSENTBIT_FRAMER, env.Pending_Active_site].filter(Boolean);
+		for (const activeSitesKv of activeSitesNamespaces) {
+			try {
+				await activeSitesKv.delete(license_key);
+				if (formattedDomain) {
+					// The domain may have been activated with another key since - only remove this key's record
+					const existing = await activeSitesKv.get(formattedDomain);
+					const record = existing ? JSON.parse(existing) : null;
+					if (record && (!record.license_key || record.license_key === license_key)) {
+						await activeSitesKv.delete(formattedDomain);
+					}
+				}
+			} catch (kvErr) {
+				console.warn(`[deactivate-license] :warning: Could not delete KV entries:`, kvErr.message);
+				// Non-critical, continue with other namespaces
+			}
+		}
+
+		// Step 3: Mark the site row inactive
+		if (licenseRes.customer_id) {
+			try {
+				await env.DB.prepare('UPDATE sites SET status = ?, updated_at = ? WHERE customer_id = ? AND LOWER(TRIM(site_domain)) = ?')
+					.bind('inactive', timestamp, licenseRes.customer_id, normalizedPreviousSite)
+					.run();
+			} catch (siteErr) {
+				console.warn(`[deactivate-license] :warning: Could not update sites table:`, siteErr.message);
+			}
+		}
+
+		// Step 4: Return the key to the unassigned pool
+		let cancelAtPeriodEnd = false;
+		if (licenseRes.subscription_id) {
+			try {
+				const subDetails = await env.DB.prepare('SELECT cancel_at_period_end FROM subscriptions WHERE subscription_id = ? LIMIT 1')
+					.bind(licenseRes.subscription_id)
+					.first();
+				cancelAtPeriodEnd = subDetails?.cancel_at_period_end === 1;
+			} catch (subErr) {
+				console.warn(`[deactivate-license] :warning: Could not fetch subscription cancel status:`, subErr.message);
+			}
+		}
+		await saveLicenseKeyToKV(
+			env,
+			license_key,
+			licenseRes.customer_id,
+			licenseRes.subscription_id,
+			email,
+			'complete',
+			cancelAtPeriodEnd,
+			null
+		);
+
+		console.log(`[deactivate-license] :white_check_mark: License ${license_key} released from ${previousSite}`);
+
+		return jsonResponse(
+			200,
+			{
+				success: true,
+				message: `License deactivated successfully. It is no longer active on ${previousSite} and can be assigned to another site.`,
+				license_key: license_key,
+				previous_site: previousSite,
+				status: 'available',
+				is_used: false,
+				is_activated: false,
+				next_deactivation_available_at: new Date((timestamp + cooldownSeconds) * 1000).toISOString(),
+			},
+			true,
+			request
+		);
+	} catch (error) {
+		console.error('[deactivate-license] :x: Error:', error);
+		return jsonResponse(500, { error: 'deactivation_failed', message: error.message }, true, request);
+	}
+}
+
+// Customer IDs the verified user owns
+async function getOwnedCustomerIds(env, email) {
+	const user = await getUserByEmail(env, email);
+	return user && user.customers ? user.customers.map((c) => c.customerId) : [];
+}
+
+// Add license keys to a shared quantity subscription - the item quantity grows with proration
+export async function handleAddLicenses(request, env, ctx, route) {
+	const body = await request.json().catch(() => ({}));
+	const { subscription_id } = body;
+	const quantity = parseInt(body.quantity, 10);
+	const email = route.user.email;
+
+	const MAX_QUANTITY = env.MAX_QUANTITY_PER_PURCHASE ? parseInt(env.MAX_QUANTITY_PER_PURCHASE) : 50;
+	if (!subscription_id) {
+		return jsonResponse(400, { error: 'missing_fields', message: 'subscription_id is required' }, true, request);
+	}
+	if (!quantity || quantity < 1 || quantity > MAX_QUANTITY) {
+		return jsonResponse(400, { error: 'invalid_quantity', message: `Quantity must be between 1 and ${MAX_QUANTITY}` }, true, request);
+	}
+	if (!env.DB) {
+		return jsonResponse(500, { error: 'database_not_configured' }, true, request);
+	}
+
+	try {
+		const subRes = await stripeFetch(env, `/subscriptions/${subscription_id}`);
+		if (subRes.status !== 200) {
+			return jsonResponse(404, { error: 'subscription_not_found' }, true, request);
+		}
+		const subscription = subRes.body;
+
+		const customerIds = await getOwnedCustomerIds(env, email);
+		if (!customerIds.includes(subscription.customer)) {
+			console.error(`[add-licenses] ❌ Unauthorized: ${subscription_id} does not belong to ${email}`);
+			return jsonResponse(403, { error: 'unauthorized', message: 'This subscription does not belong to your account' }, true, request);
+		}
+
+		if (!isQuantitySubscription(subscription) || subscription.cancel_at_period_end || subscription.status === 'canceled') {
+			return jsonResponse(
+				409,
+				{
+					error: 'not_quantity_subscription',
+					message: 'Licenses can only be added to an active shared license subscription. Use Purchase Licenses instead.',
+				},
+				true,
+				request
+			);
+		}
+
+		const licenseKeys = await generateLicenseKeys(quantity, env);
+		const result = await addLicensesToQuantitySubscription(env, {
+			customerId: subscription.customer,
+			userEmail: email,
+			priceId: subscription.items.data[0].price.id,
+			licenseKeys,
+			prorationBehavior: getQuantityProrationBehavior(env),
+		});
+
+		console.log(`[add-licenses] ✅ Added ${quantity} license(s) to ${result.subscriptionId} (quantity ${result.quantity})`);
+		return jsonResponse(
+			200,
+			{ success: true, license_keys: licenseKeys, subscription_id: result.subscriptionId, quantity: result.quantity },
+			true,
+			request
+		);
+	} catch (error) {
+		console.error('[add-licenses] ❌ Error:', error);
+		return jsonResponse(502, { error: 'add_licenses_failed', message: error.message }, true, request);
+	}
+}
+
+// Revoke a license on a shared quantity subscription - the item quantity drops with proration
+export async function handleRevokeLicense(request, env, ctx, route) {
+	const body = await request.json().catch(() => ({}));
+	const license_key = normalizeLicenseKey(body.license_key);
+	const email = route.user.email;
+
+	if (!license_key) {
+		return jsonResponse(400, { error: 'missing_fields', message: 'license_key is required' }, true, request);
+	}
+	if (!env.DB) {
+		return jsonResponse(500, { error: 'database_not_configured' }, true, request);
+	}
+
+	try {
+		const license = await env.DB.prepare(
+			'SELECT license_key, site_domain, used_site_domain, status, customer_id, subscription_id, item_id, purchase_type FROM licenses WHERE license_key = ?'
+		)
+			.bind(license_key)
+			.first();
+
+		if (!license) {
+			return jsonResponse(404, { error: 'license_not_found', message: 'License key not found.' }, true, request);
+		}
+
+		const customerIds = await getOwnedCustomerIds(env, email);
+		if (!customerIds.includes(license.customer_id)) {
+			console.error(`[revoke-license] ❌ Unauthorized: License ${license_key} does not belong to user ${email}`);
+			return jsonResponse(403, { error: 'unauthorized', message: 'This license key does not belong to your account' }, true, request);
+		}
+
+		if (!['active', 'past_due', 'suspended'].includes(license.status)) {
+			return jsonResponse(409, { error: 'license_not_active', message: `License is already ${license.status}` }, true, request);
+		}
+
+		const subRes = license.subscription_id ? await stripeFetch(env, `/subscriptions/${license.subscription_id}`) : null;
+		if (!subRes || subRes.status !== 200 || !isQuantitySubscription(subRes.body)) {
+			return jsonResponse(
+				409,
+				{
+					error: 'not_quantity_subscription',
+					message: 'This license has its own subscription. Cancel it from the dashboard instead.',
+				},
+				true,
+				request
+			);
+		}
+
+		const result = await revokeQuantityLicense(env, license);
+		return jsonResponse(
+			200,
+			{
+				success: true,
+				license_key,
+				subscription_id: result.subscriptionId,
+				quantity: result.quantity,
+				subscription_canceled: result.canceled,
+			},
+			true,
+			request
+		);
+	} catch (error) {
+		console.error('[revoke-license] ❌ Error:', error);
+		return jsonResponse(502, { error: 'revoke_failed', message: error.message }, true, request);
+	}
+}
+
+export function registerLicensesRoutes(router) {
+	router.get('/api/licenses/status', requireAuth, handleLicensesStatus);
+	router.get('/licenses', handleGetLicenses);
+	router.add(['GET', 'POST'], '/check-license-status', cors('public'), rateLimit('check-license-status'), handleCheckLicenseStatus);
+	router.post('/activate-license', rateLimit('activate-license'), handleActivateLicense);
+	router.post('/deactivate-license', requireAuth, handleDeactivateLicense);
+	router.post('/add-licenses', requireAuth, handleAddLicenses);
+	router.post('/revoke-license', requireAuth, handleRevokeLicense);
+}
@@ -0,0 +1,130 @@
+/**
+ * Subscription queue and sites queue maintenance routes.
+ */
+import { jsonResponse } from '../lib/http.js';
+import { processSubscriptionQueue } from '../lib/queue.js';
+import { processSitesQueue } from '../lib/sites-queue.js';
+import { requireAdmin } from '../router.js';
+
+// Can be called manually to process queue immediately (useful for debugging)
+export async function handleProcessQueue(request, env, ctx, route) {
+	const { limit = 100 } = await request.json().catch(() => ({}));
+	console.log(`[ENDPOINT] /process-queue called with limit: ${limit}`);
+	const result = await processSubscriptionQueue(env, limit);
+	console.log(`[ENDPOINT] /process-queue result:`, result);
+	return jsonResponse(200, result, true, request);
+}
+
+
+// // Process refunds for failed queue items older than 12 hours
+//   const { limit = 50 } = await request.json().catch(() => ({}));
+//   const result = await processRefundsForOldFailedItems(env, limit);
+//   return jsonResponse(200, result, true, request);
+// Get queue status endpoint
+export async function handleQueueStatus(request, env, ctx, route) {
+	const { url } = route;
+	const { payment_intent_id } = Object.fromEntries(url.searchParams);
+
+	if (!payment_intent_id) {
+		return jsonResponse(400, { error: 'payment_intent_id required' }, true, request);
+	}
+
+	try {
+		const queueItems = await env.DB.prepare(
+			`SELECT queue_id, license_key, status, attempts, error_message, subscription_id, claimed_by, lease_expires_at, reclaim_count,
+                    created_at, processed_at
+             FROM subscription_queue 
+             WHERE payment_intent_id = ?
+             ORDER BY created_at ASC`
+		)
+			.bind(payment_intent_id)
+			.all();
+
+		const stats = {
+			total: queueItems.results.length,
+			pending: queueItems.results.filter((item) => item.status === 'pending').length,
+			processing: queueItems.results.filter((item) => item.status === 'processing').length,
+			completed: queueItems.results.filter((item) => item.status === 'completed').length,
+			failed: queueItems.results.filter((item) => item.status === 'failed').length,
+			// Items taken back from a worker whose lease expired at least once
+			reclaimed: queueItems.results.filter((item) => item.reclaim_count > 0).length,
+			items: queueItems.results,
+		};
+
+		return jsonResponse(200, stats, true, request);
+	} catch (error) {
+		console.error('[queue-status] Error:', error);
+		return jsonResponse(500, { error: error.message }, true, request);
+	}
+}
+
+// Process the Use Case 2 sites queue immediately instead of waiting for the cron
+export async function handleProcessSitesQueue(request, env, ctx, route) {
+	const { limit = 100 } = await request.json().catch(() => ({}));
+	const result = await processSitesQueue(env, limit);
+	console.log(`[ENDPOINT] /process-sites-queue result:`, result);
+	return jsonResponse(200, result, true, request);
+}
+
+// Sites queue jobs for a payment intent, with the subscription and license each site got so far
+export async function handleSitesQueueStatus(request, env, ctx, route) {
+	const { url } = route;
+	const { payment_intent_id } = Object.fromEntries(url.searchParams);
+
+	if (!payment_intent_id) {
+		return jsonResponse(400, { error: 'payment_intent_id required' }, true, request);
+	}
+
+	try {
+		const jobs = await env.DB.prepare(
+			`SELECT queueid, status, attempts, max_attempts, next_retry_at, error_message, refund_id, sites_json, createdat, processedat
+             FROM sitesqueue
+             WHERE paymentintentid = ?
+             ORDER BY createdat ASC`
+		)
+			.bind(payment_intent_id)
+			.all();
+
+		const items = jobs.results.map(({ sites_json, ...job }) => {
+			let sites = [];
+			try {
+				sites = JSON.parse(sites_json || '[]');
+			} catch {
+				sites = [];
+			}
+			return {
+				...job,
+				sites: sites.map((site) => ({
+					site: typeof site === 'string' ? site : site.site || site.site_domain,
+					license_key: site.subscription_id ? site.license_key : null,
+					subscription_id: site.subscription_id || null,
+				})),
+			};
+		});
+
+		return jsonResponse(
+			200,
+			{
+				total: items.length,
+				pending: items.filter((item) => item.status === 'pending').length,
+				processing: items.filter((item) => item.status === 'processing').length,
+				completed: items.filter((item) => item.status === 'completed').length,
+				failed: items.filter((item) => item.status === 'failed').length,
+				refunded: items.filter((item) => item.refund_id).length,
+				items,
+			},
+			true,
+			request
+		);
+	} catch (error) {
+		console.error('[sites-queue-status] Error:', error);
+		return jsonResponse(500, { error: error.message }, true, request);
+	}
+}
+
+export function registerQueueRoutes(router) {
+	router.post('/process-queue', requireAdmin('queue:run'), handleProcessQueue);
+	router.get('/queue-status', requireAdmin('queue:read'), handleQueueStatus);
+	router.post('/process-sites-queue', requireAdmin('queue:run'), handleProcessSitesQueue);
+	router.get('/sites-queue-status', requireAdmin('queue:read'), handleSitesQueueStatus);
+}
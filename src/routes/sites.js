@@ -0,0 +1,762 @@
+/**
+ * Dashboard and site management routes.
+ */
+import { jsonResponse } from '../lib/http.js';
+import { stripeFetch } from '../lib/stripe.js';
+import { getPendingSites, getUserByEmail, saveUserByEmail } from '../lib/users.js';
+import { isQuantitySubscription, revokeQuantityLicense } from '../lib/quantity-subscriptions.js';
+import { requireAuth } from '../router.js';
+
+//DASHBOARD STARTS HERE
+export async function handleDashboard(request, env, ctx, route) {
+  try {
+    // ---------------------------------------------------
+    // 1. EMAIL (FROM VERIFIED IDENTITY - never from the query string)
+    // ---------------------------------------------------
+    const email = route.user.email;
+    if (!env.DB) {
+      console.error('[DASHBOARD] :x: DB not configured');
+      return jsonResponse(500, { error: 'db_not_configured' }, true, request);
+    }
+    // ---------------------------------------------------
+    // 2. FETCH FROM SITES ONLY
+    // ---------------------------------------------------
+    const sitesRes = await env.DB.prepare(`
+      SELECT
+        id,
+        user_email,
+        customer_id,
+        subscription_id,
+        item_id,
+        site_domain,
+        price_id,
+        amount_paid,
+        currency,
+        status,
+        platform,
+        license_key,
+        current_period_start,
+        current_period_end,
+        renewal_date,
+        cancel_at_period_end,
+        canceled_at,
+        created_at
+      FROM sites
+      WHERE user_email = ?
+      ORDER BY created_at DESC
+    `)
+      .bind(email)
+      .all();
+    // ---------------------------------------------------
+    // 3. BUILD RESPONSE OBJECTS
+    // ---------------------------------------------------
+    const sites = {};
+    const subscriptions = {};
+    for (const row of sitesRes.results || []) {
+      // -----------------------
+      // SITES OBJECT
+      // -----------------------
+      sites[row.site_domain] = {
+        site_domain: row.site_domain,
+        subscription_id: row.subscription_id,
+        customer_id: row.customer_id,
+        item_id: row.item_id,
+        price: row.price_id,
+        amount_paid: row.amount_paid,
+        currency: row.currency,
+        status: row.status,
+        platform: row.platform,
+        // :white_check_mark: LICENSE KEY — ONLY FROM SITES
+        license_key: row.license_key,
+        current_period_start: row.current_period_start,
+        current_period_end: row.current_period_end,
+        renewal_date: row.renewal_date,
+        cancel_at_period_end: !!row.cancel_at_period_end,
+        canceled_at: row.canceled_at,
+        created_at: row.created_at,
+      };
+      // -----------------------
+      // SUBSCRIPTIONS (LEGACY)
+      // -----------------------
+      if (!subscriptions[row.subscription_id]) {
+        subscriptions[row.subscription_id] = {
+          subscriptionId: row.subscription_id,
+          customerId: row.customer_id,
+          status: row.status,
+          items: [],
+          sitesCount: 0,
+          purchase_type: 'site',
+        };
+      }
+      subscriptions[row.subscription_id].items.push({
+        item_id: row.item_id,
+        site_domain: row.site_domain,
+        status: row.status,
+        license_key: row.license_key,
+      });
+      subscriptions[row.subscription_id].sitesCount++;
+    }
+    const subscriptionIds = Object.keys(subscriptions);
+    const firstSub = subscriptionIds.length > 0 ? subscriptions[subscriptionIds[0]] : null;
+    // ---------------------------------------------------
+    // 3b. PAYMENT ISSUES (DUNNING) - drives the "payment failed" banner
+    // ---------------------------------------------------
+    let paymentIssues = [];
+    try {
+      const dunningRes = await env.DB.prepare(`
+        SELECT subscription_id, status, dunning_status, payment_failed_at, payment_attempt_count,
+               grace_period_ends_at, payment_update_url
+        FROM subscriptions
+        WHERE user_email = ? AND dunning_status IS NOT NULL
+      `)
+        .bind(email)
+        .all();
+      paymentIssues = (dunningRes.results || []).map((row) => ({
+        subscription_id: row.subscription_id,
+        status: row.status,
+        suspended: row.dunning_status === 'suspended',
+        payment_failed_at: row.payment_failed_at,
+        attempt_count: row.payment_attempt_count,
+        grace_period_ends_at: row.grace_period_ends_at,
+        update_payment_url: row.payment_update_url,
+      }));
+    } catch (dunningErr) {
+      // Dunning columns not migrated yet - no banner
+      if (!dunningErr.message?.includes('no such column')) throw dunningErr;
+    }
+    // ---------------------------------------------------
+    // 4. FINAL RESPONSE (FRONTEND SAFE)
+    // ---------------------------------------------------
+    return jsonResponse(
+      200,
+      {
+        sites,
+        subscriptions,
+        pendingSites: [],        // kept for compatibility
+        paymentHistory: [],      // kept for compatibility
+        paymentIssues,
+        subscription: firstSub
+          ? {
+              id: firstSub.subscriptionId,
+              customerId: firstSub.customerId,
+              email,
+            }
+          : null,
+        subscriptionId: firstSub?.subscriptionId || null,
+        customerId: firstSub?.customerId || null,
+        allCustomerIds: firstSub?.customerId ? [firstSub.customerId] : [],
+        email,
+      },
+      true,
+      request
+    );
+  } catch (err) {
+    console.error('[DASHBOARD] :x: Unexpected error:', err);
+    return jsonResponse(
+      500,
+      { error: 'internal_error', message: err.message },
+      true,
+      request
+    );
+  }
+}
+
+
+// DASHBOARD ENDS HERE
+// GET /api/sites/status - Check sites queue processing status
+export async function handleSitesStatus(request, env, ctx, route) {
+	try {
+		const url = new URL(request.url);
+		const paymentIntentIdParam = url.searchParams.get('payment_intent_id');
+
+		const email = route.user.email;
+
+		if (!env.DB) {
+			return jsonResponse(
+				200,
+				{ status: 'unknown', progress: { total: 0, completed: 0, pending: 0, processing: 0, failed: 0 } },
+				true,
+				request
+			);
+		}
+
+		// Find most recent payment_intent_id for this user if not provided
+		let paymentIntentId = paymentIntentIdParam;
+		if (!paymentIntentId) {
+			// Get recent payment intent from recent payments (last 15 minutes)
+			const fifteenMinutesAgo = Math.floor(Date.now() / 1000) - 15 * 60;
+			const recentPayment = await env.DB.prepare(
+				`SELECT payment_intent_id FROM sitesqueue 
+         WHERE useremail = ? AND createdat >= ? 
+         ORDER BY createdat DESC LIMIT 1`
+			)
+				.bind(email, fifteenMinutesAgo)
+				.first();
+
+			if (recentPayment && recentPayment.payment_intent_id) {
+				paymentIntentId = recentPayment.payment_intent_id;
+			}
+		}
+
+		if (!paymentIntentId) {
+			// Fallback: check recent queue items by time
+			const fifteenMinutesAgo = Math.floor(Date.now() / 1000) - 15 * 60;
+			const recentQueue = await env.DB.prepare(
+				`SELECT payment_intent_id, status FROM sitesqueue 
+         WHERE useremail = ? AND createdat >= ?
+         ORDER BY createdat DESC`
+			)
+				.bind(email, fifteenMinutesAgo)
+				.all();
+
+			if (recentQueue && recentQueue.results && recentQueue.results.length > 0) {
+				const queueItem = recentQueue.results[0];
+				paymentIntentId = queueItem.payment_intent_id;
+			}
+		}
+
+		if (!paymentIntentId) {
+			return jsonResponse(
+				200,
+				{
+					status: 'not_found',
+					progress: { total: 0, completed: 0, pending: 0, processing: 0, failed: 0 },
+				},
+				true,
+				request
+			);
+		}
+
+		// Get queue items for this payment intent
+		const queueItems = await env.DB.prepare(
+			`SELECT status FROM sitesqueue 
+       WHERE payment_intent_id = ? AND useremail = ?`
+		)
+			.bind(paymentIntentId, email)
+			.all();
+
+		if (!queueItems || !queueItems.results || queueItems.results.length === 0) {
+			return jsonResponse(
+				200,
+				{
+					status: 'not_found',
+					progress: { total: 0, completed: 0, pending: 0, processing: 0, failed: 0 },
+				},
+				true,
+				request
+			);
+		}
+
+		const statusCounts = {
+			pending: 0,
+			processing: 0,
+			completed: 0,
+			failed: 0,
+		};
+
+		queueItems.results.forEach((item) => {
+			const status = (item.status || 'pending').toLowerCase();
+			if (statusCounts.hasOwnProperty(status)) {
+				statusCounts[status]++;
+			}
+		});
+
+		const total = queueItems.results.length;
+		const completed = statusCounts.completed;
+		const pending = statusCounts.pending;
+		const processing = statusCounts.processing;
+		const failed = statusCounts.failed;
+
+		let overallStatus = 'pending';
+		if (failed > 0 && completed === 0) {
+			overallStatus = 'failed';
+		} else if (completed === total) {
+			overallStatus = 'completed';
+		} else if (processing > 0 || completed > 0) {
+			overallStatus = 'processing';
+		}
+
+		return jsonResponse(
+			200,
+			{
+				status: overallStatus,
+				progress: {
+					total,
+					completed,
+					pending,
+					processing,
+					failed,
+				},
+				payment_intent_id: paymentIntentId,
+			},
+			true,
+			request
+		);
+	} catch (error) {
+		console.error('[SITES STATUS] Error:', error);
+		return jsonResponse(
+			500,
+			{
+				error: 'Failed to fetch sites status',
+				message: error.message || 'An unexpected error occurred',
+			},
+			true,
+			request
+		);
+	}
+}
+
+
+// Remove a pending site - deletes the pending_sites row for the caller and returns the updated list
+export async function handleRemovePendingSite(request, env, ctx, route) {
+	const email = route.user.email;
+
+	const body = await request.json().catch(() => ({}));
+	const siteParam = body.site || body.site_domain;
+	const site = typeof siteParam === 'string' ? siteParam.toLowerCase().trim() : '';
+
+	if (!site) {
+		return jsonResponse(400, { error: 'missing_site', message: 'site is required' }, true, request);
+	}
+
+	if (!env.DB) {
+		return jsonResponse(500, { error: 'database_not_configured' }, true, request);
+	}
+
+	try {
+		const deleteResult = await env.DB.prepare('DELETE FROM pending_sites WHERE user_email = ? AND LOWER(TRIM(site_domain)) = ?')
+			.bind(email, site)
+			.run();
+		const removed = (deleteResult?.meta?.changes || 0) > 0;
+
+		console.log(`[remove-pending-site] ${removed ? '✅ Removed' : 'ℹ️ No pending row for'} site ${site} (${email})`);
+
+		const pendingSites = await getPendingSites(env, email);
+
+		return jsonResponse(200, { success: true, removed, site, pendingSites }, true, request);
+	} catch (error) {
+		console.error('[remove-pending-site] Error:', error);
+		return jsonResponse(500, { error: 'server_error', message: error.message || 'An unexpected error occurred' }, true, request);
+	}
+}
+
+
+// Remove a site (delete subscription item from subscription)
+// Uses transaction-like pattern with rollback for consistency
+// Remove a site (cancel subscription at period end for that site/user)
+export async function handleRemoveSite(request, env, ctx, route) {
+	// Identity comes from the verified token or session (requireAuth) - never from the request body
+	const email = route.user.email;
+	const body = await request.json().catch(() => ({}));
+	const { site, subscription_id } = body;
+
+	console.log(`[REMOVE-SITE] 🔍 Received request to remove site: ${site} for email: ${email} for subscriptionid ${subscription_id}`);
+
+	if (!site) {
+		console.error('[REMOVE-SITE] ❌ Missing site parameter');
+		return jsonResponse(400, { error: 'missing site parameter' }, true, request);
+	}
+
+	if (!env.DB) {
+		return jsonResponse(500, { error: 'database_not_configured' }, true, request);
+	}
+
+	// A subscription named in the body must belong to one of the caller's customers before anything is looked up or changed
+	if (subscription_id) {
+		const owned = await env.DB.prepare(
+			'SELECT s.customer_id FROM subscriptions s JOIN customers c ON c.customer_id = s.customer_id WHERE s.subscription_id = ? AND c.user_email = ? LIMIT 1'
+		)
+			.bind(subscription_id, email)
+			.first();
+		if (!owned) {
+			console.error(`[REMOVE-SITE] ❌ Unauthorized: subscription ${subscription_id} does not belong to ${email}`);
+			return jsonResponse(403, { error: 'unauthorized', message: 'This subscription does not belong to your account' }, true, request);
+		}
+	}
+
+	// Idempotency
+	const operationId = `remove_site_${email}_${site}_${Date.now()}`;
+
+	if (env.DB) {
+		const existingOp = await env.DB.prepare('SELECT operation_data FROM idempotency_keys WHERE operation_id = ? LIMIT 1')
+			.bind(operationId)
+			.first();
+		if (existingOp && existingOp.operation_data) {
+			const result = JSON.parse(existingOp.operation_data);
+			return jsonResponse(200, { success: true, idempotent: true, ...result }, true, request);
+		}
+	}
+
+	// Fetch user record
+	let user = await getUserByEmail(env, email);
+	if (!user) {
+		console.error(`[REMOVE-SITE] ❌ User not found in database: ${email}`);
+		return jsonResponse(400, { error: 'user not found' }, true, request);
+	}
+
+	// ---------- SUBSCRIPTION-LEVEL LOOKUP ----------
+	let itemId = null;
+	let subscriptionId = subscription_id || null;
+
+	// 1) If subscription_id provided, verify it belongs to this site/user
+	if (subscriptionId && env.DB) {
+		try {
+			const siteRecord = await env.DB.prepare(
+				'SELECT item_id FROM sites WHERE subscription_id = ? AND LOWER(TRIM(site_domain)) = ? AND status = ? LIMIT 1'
+			)
+				.bind(subscriptionId, site.toLowerCase().trim(), 'active')
+				.first();
+
+			if (siteRecord && siteRecord.item_id) {
+				itemId = siteRecord.item_id;
+			}
+		} catch (err) {
+			console.error('[REMOVE-SITE] ⚠️ Error verifying subscription_id in sites:', err);
+		}
+	}
+
+	// 2) If subscriptionId not known yet, derive via customers → sites
+	if (!subscriptionId && env.DB) {
+		try {
+			const customerIdsRes = await env.DB.prepare('SELECT DISTINCT customer_id FROM customers WHERE user_email = ?')
+				.bind(email)
+				.all();
+
+			if (customerIdsRes && customerIdsRes.results && customerIdsRes.results.length > 0) {
+				const customerIds = customerIdsRes.results.map((r) => r.customer_id);
+
+				for (const cid of customerIds) {
+					const siteRecord = await env.DB.prepare(
+						'SELECT item_id, subscription_id FROM sites WHERE customer_id = ? AND LOWER(TRIM(site_domain)) = ? AND status = ? LIMIT 1'
+					)
+						.bind(cid, site.toLowerCase().trim(), 'active')
+						.first();
+
+					if (siteRecord && siteRecord.subscription_id) {
+						subscriptionId = siteRecord.subscription_id;
+						if (siteRecord.item_id) itemId = siteRecord.item_id;
+						break;
+					}
+				}
+			}
+		} catch (dbError) {
+			console.error('[REMOVE-SITE] ❌ Error querying sites table:', dbError);
+		}
+	}
+
+	// FINAL CHECK
+	if (!subscriptionId) {
+		console.error(`[REMOVE-SITE] ❌ Subscription not found for site: ${site}, email: ${email}`);
+		return jsonResponse(
+			400,
+			{
+				error: 'subscription_not_found_for_site',
+				message: `Could not find an active subscription for site "${site}". The site may not exist or may have already been removed.`,
+			},
+			true,
+			request
+		);
+	}
+
+	// Check if quantity use case
+	let isIndividualSubscription = false;
+	let isSharedQuantitySubscription = false;
+	let purchaseType = 'site';
+	if (env.DB && subscriptionId) {
+		try {
+			const licenseCheck = await env.DB.prepare('SELECT purchase_type FROM licenses WHERE subscription_id = ? LIMIT 1')
+				.bind(subscriptionId)
+				.first();
+
+			if (licenseCheck && licenseCheck.purchase_type === 'quantity') {
+				purchaseType = 'quantity';
+				try {
+					const subRes = await stripeFetch(env, `/subscriptions/${subscriptionId}`);
+					if (subRes.status === 200) {
+						const sub = subRes.body;
+						const subMetadata = sub.metadata || {};
+						if (isQuantitySubscription(sub)) {
+							isSharedQuantitySubscription = true;
+						} else if (subMetadata.purchase_type === 'quantity' && subMetadata.usecase === '3') {
+							isIndividualSubscription = true;
+						}
+					}
+				} catch (subErr) {
+					console.warn('[REMOVE-SITE] ⚠️ Could not check subscription metadata:', subErr.message);
+				}
+			}
+		} catch (licenseErr) {
+			console.warn('[REMOVE-SITE] ⚠️ Could not check license purchase_type:', licenseErr.message);
+		}
+	}
+
+	// Shared quantity subscription: only this site's license is revoked, the other keys keep the subscription
+	if (isSharedQuantitySubscription) {
+		const license = await env.DB.prepare(
+			`SELECT license_key, site_domain, used_site_domain, status, customer_id, subscription_id, item_id FROM licenses
+       WHERE subscription_id = ? AND (LOWER(TRIM(used_site_domain)) = ? OR LOWER(TRIM(site_domain)) = ?)
+       AND status IN ('active', 'past_due', 'suspended') LIMIT 1`
+		)
+			.bind(subscriptionId, site.toLowerCase().trim(), site.toLowerCase().trim())
+			.first();
+		if (!license) {
+			return jsonResponse(404, { error: 'license_not_found_for_site', message: `No active license is used on "${site}".` }, true, request);
+		}
+		try {
+			const result = await revokeQuantityLicense(env, license);
+			return jsonResponse(
+				200,
+				{
+					success: true,
+					site,
+					subscriptionId,
+					license_key: license.license_key,
+					quantity: result.quantity,
+					is_individual_subscription: false,
+					purchase_type: purchaseType,
+					requires_proration: true,
+					message: `License removed. Your subscription now covers ${result.quantity} license(s) and the change is prorated.`,
+				},
+				true,
+				request
+			);
+		} catch (revokeError) {
+			console.error('[REMOVE-SITE] ❌ Could not revoke license on shared subscription:', revokeError);
+			return jsonResponse(500, { error: 'operation_failed', message: revokeError.message }, true, request);
+		}
+	}
+
+	const originalUserState = JSON.parse(JSON.stringify(user));
+	let originalStripeItem = null;
+
+	try {
+		// Step 1: fetch Stripe item only if we have itemId
+		if (itemId) {
+			const getItemRes = await stripeFetch(env, `/subscription_items/${itemId}`);
+			if (getItemRes.status === 200) {
+				originalStripeItem = getItemRes.body;
+			} else {
+				console.error('[REMOVE-SITE] ⚠️ Failed to fetch Stripe item:', getItemRes.status, getItemRes.body);
+			}
+		}
+
+		// Step 2: DB updates at subscription level (all three tables)
+		const removedAt = Math.floor(Date.now() / 1000);
+
+		if (env.DB && subscriptionId) {
+			try {
+				await env.DB.prepare('UPDATE subscription_items SET status = ?, removed_at = ?, updated_at = ? WHERE subscription_id = ?')
+					.bind('inactive', removedAt, removedAt, subscriptionId)
+					.run();
+			} catch (err) {
+				console.error('[REMOVE-SITE] ❌ Failed to update subscription_items:', err);
+			}
+
+			try {
+				await env.DB.prepare('UPDATE sites SET status = ?, canceled_at = ?, updated_at = ? WHERE subscription_id = ?')
+					.bind('inactive', removedAt, removedAt, subscriptionId)
+					.run();
+			} catch (err) {
+				console.error('[REMOVE-SITE] ❌ Failed to update sites:', err);
+			}
+
+			try {
+				const now = Math.floor(Date.now() / 1000);
+				await env.DB.prepare(
+					'UPDATE subscriptions SET status = ?, cancel_at_period_end = ?, cancel_at = ?, updated_at = ? WHERE subscription_id = ?'
+				)
+					.bind('canceled', 1, now, now, subscriptionId)
+					.run();
+			} catch (err) {
+				console.error('[REMOVE-SITE] ❌ Failed to update subscriptions:', err);
+			}
+		}
+
+		// Update user object
+		for (const customer of user.customers || []) {
+			for (const subscription of customer.subscriptions || []) {
+				if (subscription.subscriptionId === subscriptionId) {
+					if (subscription.items) {
+						subscription.items.forEach((item) => {
+							if (item.status === 'active') {
+								item.status = 'inactive';
+								item.removed_at = removedAt;
+							}
+						});
+					}
+					subscription.status = 'canceled';
+				}
+			}
+		}
+
+		if (user.sites) {
+			Object.keys(user.sites).forEach((siteKey) => {
+				const siteData = user.sites[siteKey];
+				if (siteData.subscription_id === subscriptionId && siteData.status === 'active') {
+					siteData.status = 'inactive';
+					siteData.removed_at = removedAt;
+				}
+			});
+		}
+
+		// Save user with retry
+		let dbSuccess = false;
+		for (let attempt = 0; attempt < 3; attempt++) {
+			try {
+				await saveUserByEmail(env, email, user);
+				dbSuccess = true;
+				break;
+			} catch (dbError) {
+				console.error(`[REMOVE-SITE] ❌ Database save attempt ${attempt + 1} failed:`, dbError.message);
+				if (attempt === 2) throw dbError;
+				const delay = 1000 * Math.pow(2, attempt);
+				await new Promise((resolve) => setTimeout(resolve, delay));
+			}
+		}
+
+		if (!dbSuccess) {
+			throw new Error('Failed to update database after 3 retries');
+		}
+
+		// Step 3: cancel subscription at period end on Stripe
+		const cancelRes = await stripeFetch(env, `/subscriptions/${subscriptionId}`, 'POST', { cancel_at_period_end: true }, true);
+
+		if (cancelRes.status >= 400) {
+			console.error(`[REMOVE-SITE] ❌ Stripe cancellation failed (status ${cancelRes.status}), rolling back database update`);
+			console.error('[REMOVE-SITE] Stripe error details:', cancelRes.body);
+			await saveUserByEmail(env, email, originalUserState);
+			console.error('[REMOVE-SITE] ✅ Database rollback completed');
+			return jsonResponse(
+				500,
+				{
+					error: 'failed to cancel subscription',
+					details: cancelRes.body,
+					rolledBack: true,
+				},
+				true,
+				request
+			);
+		}
+
+		// Update timing fields on subscriptions from Stripe response
+		if (env.DB) {
+			try {
+				const timestamp = Math.floor(Date.now() / 1000);
+				const currentPeriodEnd = cancelRes.body?.current_period_end || null;
+				const cancelAt = cancelRes.body?.cancel_at || cancelRes.body?.canceled_at || timestamp;
+
+				await env.DB.prepare(
+					'UPDATE subscriptions SET cancel_at_period_end = ?, cancel_at = ?, current_period_end = ?, updated_at = ? WHERE subscription_id = ?'
+				)
+					.bind(1, cancelAt, currentPeriodEnd, timestamp, subscriptionId)
+					.run();
+			} catch (subUpdateError) {
+				console.error('[REMOVE-SITE] ⚠️ Failed to update subscription timing (non-critical):', subUpdateError);
+			}
+		}
+
+		// Step 4: mark licenses inactive
+		let customerIdForLicense = null;
+		if (user.customers && user.customers.length > 0) {
+			for (const customer of user.customers) {
+				if (customer.subscriptions && customer.subscriptions.some((s) => s.subscriptionId === subscriptionId)) {
+					customerIdForLicense = customer.customerId;
+					break;
+				}
+			}
+			if (!customerIdForLicense && user.customers[0]) {
+				customerIdForLicense = user.customers[0].customerId;
+			}
+		}
+
+		if (env.DB && customerIdForLicense) {
+			try {
+				const timestamp = Math.floor(Date.now() / 1000);
+
+				await env.DB.prepare(
+					'UPDATE licenses SET status = ?, updated_at = ? WHERE customer_id = ? AND site_domain = ? AND status = ?'
+				)
+					.bind('inactive', timestamp, customerIdForLicense, site, 'active')
+					.run();
+
+				await env.DB.prepare('UPDATE licenses SET status = ?, updated_at = ? WHERE subscription_id = ? AND status = ?')
+					.bind('inactive', timestamp, subscriptionId, 'active')
+					.run();
+			} catch (dbError) {
+				console.error('[REMOVE-SITE] ⚠️ License status update failed (non-critical):', dbError);
+			}
+		} else if (!customerIdForLicense) {
+			console.warn('[REMOVE-SITE] ⚠️ Could not find customer ID for license update, skipping');
+		} else {
+			console.warn('[REMOVE-SITE] ⚠️ env.DB not configured, skipping license update');
+		}
+
+		// Idempotency record
+		if (env.DB) {
+			try {
+				const resultData = {
+					operationId,
+					success: true,
+					site,
+					itemId,
+					completedAt: Date.now(),
+				};
+				await env.DB.prepare('INSERT OR REPLACE INTO idempotency_keys (operation_id, operation_data, created_at) VALUES (?, ?, ?)')
+					.bind(operationId, JSON.stringify(resultData), Math.floor(Date.now() / 1000))
+					.run();
+			} catch (idempotencyError) {
+				console.error('[REMOVE-SITE] ⚠️ Failed to save idempotency key (non-critical):', idempotencyError);
+			}
+		}
+
+		let cancelMessage = '';
+		if (isIndividualSubscription) {
+			cancelMessage =
+				'Subscription canceled successfully. This license has its own individual subscription (Use Case 3), so canceling it will cancel the entire subscription. NO PRORATION applies since each license has its own subscription. The subscription will remain active until the end of the current billing period.';
+		} else {
+			cancelMessage =
+				'Subscription canceled successfully. The subscription has been canceled and will remain active until the end of the current billing period. All sites in this subscription have been marked as inactive. Stripe will prorate the current period and future invoices will be reduced.';
+		}
+
+		return jsonResponse(
+			200,
+			{
+				success: true,
+				site,
+				subscriptionId,
+				is_individual_subscription: isIndividualSubscription,
+				purchase_type: purchaseType,
+				requires_proration: !isIndividualSubscription,
+				message: cancelMessage,
+			},
+			true,
+			request
+		);
+	} catch (error) {
+		console.error('[REMOVE-SITE] Attempting database rollback...');
+		try {
+			await saveUserByEmail(env, email, originalUserState);
+			console.error('[REMOVE-SITE] ✅ Database rollback completed');
+		} catch (rollbackError) {
+			console.error('[REMOVE-SITE] ❌ Failed to rollback database:', rollbackError);
+		}
+
+		return jsonResponse(
+			500,
+			{
+				error: 'operation_failed',
+				message: error.message,
+				rolledBack: true,
+			},
+			true,
+			request
+		);
+	}
+}
+
+export function registerSitesRoutes(router) {
+	router.get('/dashboard', requireAuth, handleDashboard);
+	router.get('/api/sites/status', requireAuth, handleSitesStatus);
+	router.post('/remove-pending-site', requireAuth, handleRemovePendingSite);
+	router.post('/remove-site', requireAuth, handleRemoveSite);
+}
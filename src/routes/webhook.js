@@ -0,0 +1,90 @@
+/**
+ * Stripe webhook route. Verifies the signature, stores the event in the webhook inbox and acknowledges
+ * immediately; the event is processed in the background and by the scheduled worker (see lib/webhook-inbox.js).
+ */
+import { initializeStripe } from '../lib/stripe.js';
+import { enqueueWebhookEvent, processWebhookInbox } from '../lib/webhook-inbox.js';
+import { dispatchEvent } from '../webhooks/index.js';
+import { cors } from '../router.js';
+
+export async function handleWebhook(request, env, ctx, route) {
+	const stripe = initializeStripe(env);
+	const signature = request.headers.get('stripe-signature');
+	const webhookSecret = env.STRIPE_WEBHOOK_SECRET;
+
+	if (!signature) {
+		console.error('[WEBHOOK] ❌ Missing stripe-signature header');
+		return new Response('Missing stripe-signature header', { status: 400 });
+	}
+
+	if (!webhookSecret) {
+		console.error('[WEBHOOK] ❌ STRIPE_WEBHOOK_SECRET not configured');
+		return new Response('Webhook secret not configured', { status: 500 });
+	}
+
+	let event;
+	let rawBody;
+
+	try {
+		// Get raw body as text/buffer string for signature verification
+		rawBody = await request.text();
+
+		if (!rawBody) {
+			console.error('[WEBHOOK] ❌ Empty request body');
+			return new Response('Empty request body', { status: 400 });
+		}
+
+		console.log('[WEBHOOK] 🔐 Verifying Stripe signature...');
+
+		event = await stripe.webhooks.constructEventAsync(rawBody, signature, webhookSecret.trim());
+
+		console.log('[WEBHOOK] ✅ Signature verified successfully');
+		console.log('[WEBHOOK] 📨 Event type:', event.type);
+		console.log('[WEBHOOK] 🔑 Event ID:', event.id);
+	} catch (err) {
+		const errorMessage = err instanceof Error ? err.message : 'Unknown signature verification error';
+
+		console.error('[WEBHOOK] ❌ Signature verification failed:', errorMessage);
+		console.error('[WEBHOOK] ❌ Error details:', err);
+
+		return new Response(
+			JSON.stringify({
+				error: 'signature_verification_failed',
+				message: errorMessage,
+			}),
+			{ status: 400, headers: { 'Content-Type': 'application/json' } }
+		);
+	}
+
+	if (!env.DB) {
+		console.warn('[WEBHOOK] ⚠️ No DB configured - processing event inline');
+		return dispatchEvent(event, { env, executionCtx: ctx });
+	}
+
+	let inbox;
+	try {
+		inbox = await enqueueWebhookEvent(env, event, rawBody);
+	} catch (error) {
+		// Not acknowledged - Stripe will redeliver
+		console.error('[WEBHOOK] ❌ Failed to store event in inbox:', error);
+		return new Response(JSON.stringify({ error: 'inbox_unavailable', message: error.message }), {
+			status: 500,
+			headers: { 'Content-Type': 'application/json' },
+		});
+	}
+
+	if (!inbox.stored) {
+		return dispatchEvent(event, { env, executionCtx: ctx });
+	}
+
+	// Start on the new event right away; anything unfinished is picked up by the scheduled worker
+	if (!inbox.duplicate && ctx?.waitUntil) {
+		ctx.waitUntil(processWebhookInbox(env, 1, { eventId: event.id, executionCtx: ctx }));
+	}
+
+	return new Response('ok');
+}
+
+export function registerWebhookRoutes(router) {
+	router.post('/webhook', cors('none'), handleWebhook);
+}
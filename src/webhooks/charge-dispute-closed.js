@@ -0,0 +1,64 @@
+/**
+ * charge.dispute.closed: a won dispute (or an inquiry closed without a chargeback) restores the licenses and sites
+ * revoked by charge.dispute.created; a lost dispute leaves them revoked. The refunds row takes the final status.
+ */
+import { logStripeEvent } from '../lib/stripe.js';
+import {
+	getDisputeCharge,
+	findPaymentPurchases,
+	getRefundRecord,
+	recordRefund,
+	restoreRevokedPurchases,
+	revokePurchases,
+	updateRefundRecord,
+} from '../lib/refunds.js';
+
+export const type = 'charge.dispute.closed';
+
+const RESTORING_STATUSES = ['won', 'warning_closed'];
+
+export async function handle(event, ctx) {
+	const { env } = ctx;
+	const dispute = event.data.object;
+	if (!env.DB) {
+		return;
+	}
+
+	const won = RESTORING_STATUSES.includes(dispute.status);
+	const record = await getRefundRecord(env, dispute.id);
+
+	if (!record) {
+		// charge.dispute.created was never processed - a lost dispute still has to revoke
+		const charge = await getDisputeCharge(env, dispute);
+		const purchases = await findPaymentPurchases(env, charge);
+		const revoked = won ? null : await revokePurchases(env, purchases, 'disputed');
+		await recordRefund(env, {
+			refundId: dispute.id,
+			paymentIntentId: dispute.payment_intent || charge.payment_intent,
+			chargeId: charge.id,
+			customerId: purchases.customerId,
+			amount: dispute.amount,
+			currency: dispute.currency,
+			status: dispute.status,
+			reason: `dispute_${dispute.reason || 'general'}`,
+			purchases,
+			metadata: { source: type, dispute_status: dispute.status, revoked },
+		});
+		console.log(`[charge.dispute.closed] ⚠️ Dispute ${dispute.id} closed (${dispute.status}) without a recorded opening`);
+		return;
+	}
+
+	const restored = won ? await restoreRevokedPurchases(env, record.metadata.revoked) : null;
+	await updateRefundRecord(env, dispute.id, {
+		status: dispute.status,
+		metadata: { ...record.metadata, dispute_status: dispute.status, restored },
+	});
+
+	await logStripeEvent(env, event, record.subscription_id, record.customer_id, {
+		action: won ? 'dispute_won_licenses_restored' : 'dispute_lost',
+		dispute_status: dispute.status,
+		licenses_restored: restored?.license_keys.length || 0,
+	});
+
+	console.log(`[charge.dispute.closed] ${won ? '✅' : '🚫'} Dispute ${dispute.id} ${dispute.status}`);
+}
@@ -0,0 +1,44 @@
+/**
+ * charge.dispute.created: a chargeback opened on a payment. The licenses and sites it paid for are revoked while
+ * the dispute is open, and the dispute is recorded in the refunds table (refund_id = dispute ID, status 'disputed')
+ * with what was revoked so charge.dispute.closed can restore it if the dispute is won.
+ */
+import { logStripeEvent } from '../lib/stripe.js';
+import { getDisputeCharge, findPaymentPurchases, recordRefund, revokePurchases } from '../lib/refunds.js';
+
+export const type = 'charge.dispute.created';
+
+export async function handle(event, ctx) {
+	const { env } = ctx;
+	const dispute = event.data.object;
+	if (!env.DB) {
+		return;
+	}
+
+	const charge = await getDisputeCharge(env, dispute);
+	const purchases = await findPaymentPurchases(env, charge);
+	const revoked = await revokePurchases(env, purchases, 'disputed');
+
+	await recordRefund(env, {
+		refundId: dispute.id,
+		paymentIntentId: dispute.payment_intent || charge.payment_intent,
+		chargeId: charge.id,
+		customerId: purchases.customerId,
+		amount: dispute.amount,
+		currency: dispute.currency,
+		status: 'disputed',
+		reason: `dispute_${dispute.reason || 'general'}`,
+		purchases,
+		metadata: { source: type, dispute_status: dispute.status, revoked },
+	});
+
+	await logStripeEvent(env, event, purchases.subscriptionIds[0] || null, purchases.customerId, {
+		action: 'charge_disputed_licenses_revoked',
+		charge_id: charge.id,
+		dispute_reason: dispute.reason,
+		licenses_revoked: revoked.license_keys.length,
+		sites_revoked: revoked.site_ids.length,
+	});
+
+	console.log(`[charge.dispute.created] 🚫 Dispute ${dispute.id} on ${charge.id}: revoked ${revoked.license_keys.length} license(s)`);
+}
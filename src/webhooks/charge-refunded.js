@@ -0,0 +1,62 @@
+/**
+ * charge.refunded: refunds issued in Stripe (dashboard, API or the queue's automatic refunds). Every refund on the
+ * charge is recorded in the refunds table; once the charge is fully refunded the licenses and sites it paid for
+ * are revoked. Partial refunds are recorded only - they are usually goodwill credits, not a cancelled purchase.
+ */
+import { logStripeEvent, stripeFetch } from '../lib/stripe.js';
+import { findPaymentPurchases, recordRefund, revokePurchases } from '../lib/refunds.js';
+
+export const type = 'charge.refunded';
+
+export async function handle(event, ctx) {
+	const { env } = ctx;
+	const charge = event.data.object;
+	if (!env.DB) {
+		return;
+	}
+
+	let refunds = charge.refunds?.data;
+	if (!refunds) {
+		// Newer API versions no longer include the refunds list on the charge
+		const refundsRes = await stripeFetch(env, `/refunds?charge=${charge.id}&limit=100`);
+		refunds = refundsRes.status === 200 ? refundsRes.body.data || [] : [];
+	}
+
+	const fullRefund = charge.refunded === true || (charge.amount_refunded || 0) >= (charge.amount || 0);
+	// A charge completed by a refund from POST /admin/refunds already had exactly the refunded licenses revoked. When an
+	// earlier admin refund covered some keys and a later Stripe refund the rest, whatever is still active is revoked.
+	const latestRefund = [...refunds].sort((a, b) => (b.created || 0) - (a.created || 0))[0];
+	const adminRefund = latestRefund?.metadata?.source === 'admin';
+	const purchases = await findPaymentPurchases(env, charge);
+	const revoked = fullRefund && !adminRefund ? await revokePurchases(env, purchases, 'refunded') : null;
+
+	let recorded = 0;
+	for (const refund of refunds) {
+		const created = await recordRefund(env, {
+			refundId: refund.id,
+			paymentIntentId: charge.payment_intent,
+			chargeId: charge.id,
+			customerId: purchases.customerId,
+			amount: refund.amount,
+			currency: refund.currency || charge.currency,
+			status: refund.status || 'succeeded',
+			reason: refund.metadata?.reason || refund.reason || 'refunded_in_stripe',
+			purchases,
+			metadata: { source: type, full_refund: fullRefund, revoked },
+		});
+		if (created) recorded++;
+	}
+
+	await logStripeEvent(env, event, purchases.subscriptionIds[0] || null, purchases.customerId, {
+		action: fullRefund ? 'charge_refunded_licenses_revoked' : 'charge_partially_refunded',
+		charge_id: charge.id,
+		amount_refunded: charge.amount_refunded,
+		refunds_recorded: recorded,
+		licenses_revoked: revoked?.license_keys.length || 0,
+		sites_revoked: revoked?.site_ids.length || 0,
+	});
+
+	console.log(
+		`[charge.refunded] ${fullRefund ? '🚫' : 'ℹ️'} Charge ${charge.id}: ${recorded} refund(s) recorded, ${revoked?.license_keys.length || 0} license(s) revoked`
+	);
+}
@@ -0,0 +1,1181 @@
+/**
+ * checkout.session.completed: Use Case 1 (dashboard subscription), Use Case 2 (site purchase) and Use Case 3 (license quantity purchase).
+ */
+import { getCustomerEmail, stripeFetch } from '../lib/stripe.js';
+import { ensureMemberstackMember } from '../lib/memberstack.js';
+import { detectPlatform, generateTempLicenseKeys, generateUniqueLicenseKey } from '../lib/licenses.js';
+import { getOrCreateDynamicPrice, getPriceIdByBillingPeriod } from '../lib/pricing.js';
+import { getCatalogEntryForProduct, getDefaultCurrency } from '../lib/catalog.js';
+import { addToSubscriptionQueue } from '../lib/queue.js';
+import { getUc3SubscriptionMode } from '../lib/quantity-subscriptions.js';
+import { enqueueSiteQueueItem } from '../lib/sites-queue.js';
+
+export const type = 'checkout.session.completed';
+
+// Handle checkout.session.completed - save payment details and generate magic link
+export async function handle(event, ctx) {
+	const { env, step } = ctx;
+	// CRITICAL: Declare ALL variables IMMEDIATELY at the start of the handler
+	// This ensures they're always defined, even if an error occurs early
+
+	let subscriptionId = null;
+	let operationId = null;
+	let failedOperations = [];
+	let purchaseType = 'site';
+	let addToExisting = false;
+	let existingSubscriptionId = null;
+	let isDirectLink = false;
+	let paymentBy = null;
+	let totalAmount = 0;
+	let currency = 'usd';
+	let customFieldSiteUrl = null;
+	let billingPeriod = null;
+	let billingInterval = null;
+
+	const checkoutCompleted = event.data.object;
+
+	// Extract necessary information
+	let customerId = checkoutCompleted.customer;
+	const email = checkoutCompleted.customer_details ? checkoutCompleted.customer_details.email : null;
+
+	const session = event.data.object;
+	// Note: subscriptionId and customerId are already declared at the top of the handler
+	subscriptionId = session.subscription;
+	customerId = session.customer;
+
+	// ========================================
+	// STEP 1: IDENTIFY USE CASE
+	// ========================================
+	// First, determine which use case this is based on session properties
+	// This ensures clean separation and prevents conflicts
+	const sessionMode = session.mode;
+	let sessionUseCase = session.metadata?.usecase; // Check session metadata first
+
+	// For payment mode, we need to check customer metadata or payment intent metadata
+	// session.payment_intent is just an ID string, not an object, so we can't access .metadata directly
+	if (sessionMode === 'payment' && !sessionUseCase && customerId) {
+		try {
+			// Check customer metadata (we store usecase: '3' there)
+			const customerRes = await stripeFetch(env, `/customers/${customerId}`);
+			if (customerRes.status === 200 && customerRes.body?.metadata?.usecase) {
+				sessionUseCase = customerRes.body.metadata.usecase;
+			}
+		} catch (customerErr) {
+			console.warn(`[checkout.session.completed] Could not fetch customer metadata:`, customerErr);
+		}
+
+		// If still not found, check payment intent metadata
+		if (!sessionUseCase && session.payment_intent && typeof session.payment_intent === 'string') {
+			try {
+				const piRes = await stripeFetch(env, `/payment_intents/${session.payment_intent}`);
+				if (piRes.status === 200 && piRes.body?.metadata?.usecase) {
+					sessionUseCase = piRes.body.metadata.usecase;
+				}
+			} catch (piErr) {
+				console.warn(`[checkout.session.completed] Could not fetch payment intent metadata:`, piErr);
+			}
+		}
+	}
+
+	// Determine use case based on mode and metadata
+	let identifiedUseCase = null;
+
+	if (sessionMode === 'payment' && sessionUseCase === '3') {
+		identifiedUseCase = '3'; // Use Case 3: Quantity purchase
+	} else if (sessionMode === 'payment' && sessionUseCase === '2') {
+		identifiedUseCase = '2'; // ✅ Use Case 2: Site purchase (now handled here)
+	} else if (sessionMode === 'subscription') {
+		identifiedUseCase = '1'; // Use Case 1: Direct payment link
+	} else {
+		console.warn(
+			`[checkout.session.completed] ⚠️ Unknown use case - mode: ${sessionMode}, usecase: ${
+				sessionUseCase || 'not set'
+			}. Defaulting to Use Case 1.`
+		);
+		identifiedUseCase = '1';
+	}
+
+	// ========================================
+	// USE CASE 1 HANDLER: Direct Payment Links
+	// ========================================
+	// This section ONLY processes Use Case 1
+	// Use Case 3 is handled above and returns early, so it never reaches here
+	if (identifiedUseCase === '1') {
+		console.log('[USE CASE 1] 🚀 Processing Use Case 1 - Dashboard Subscription');
+
+		const session = event.data.object;
+		const subscriptionId = session.subscription || null;
+		const customerId = session.customer || null;
+
+		// ========================================
+		// STEP 1: Get Email
+		// ========================================
+		let email = session.customer_details && session.customer_details.email ? session.customer_details.email : null;
+
+		if (!email && customerId) {
+			console.log('[USE CASE 1] 🔍 Email not in session, fetching from customer...');
+			email = await getCustomerEmail(env, customerId);
+			if (!email) {
+				console.log('[USE CASE 1] ❌ Could not get email from customer - exiting');
+				return new Response('ok');
+			}
+		}
+
+		console.log('[USE CASE 1] ✅ Email found:', email);
+
+		// ========================================
+		// STEP 2: Extract Custom Field (Site Domain)
+		// ========================================
+		let customFieldSiteUrl = null;
+		if (session.custom_fields && session.custom_fields.length > 0) {
+			const siteUrlField = session.custom_fields.find(
+				(field) =>
+					field.key === 'adddomain' ||
+					field.key === 'customdomain' ||
+					field.key === 'enteryourlivedomain' ||
+					field.key === 'enteryourlivesiteurl' ||
+					field.key === 'enteryourlivesiteur' ||
+					(field.key && field.key.toLowerCase().includes('domain')) ||
+					(field.key && field.key.toLowerCase().includes('site')) ||
+					(field.type === 'text' && field.text && field.text.value)
+			);
+
+
+
+			if (siteUrlField && siteUrlField.type === 'text' && siteUrlField.text && siteUrlField.text.value) {
+				customFieldSiteUrl = siteUrlField.text.value.trim();
+				console.log(`[USE CASE 1] ✅ Extracted custom field site: ${customFieldSiteUrl}`);
+			} else {
+				console.log('[USE CASE 1] ⚠️ No custom field found');
+			}
+		}
+
+
+		// ========================================
+		// STEP 3: Verify this is for Dashboard
+		// ========================================
+		const sessionUsedFor = session.metadata && session.metadata.usedfor;
+		if (sessionUsedFor && sessionUsedFor !== 'dashboard') {
+			console.log(`[USE CASE 1] ⏭️ SKIPPING - not for dashboard`);
+			return new Response('ok');
+		}
+
+		// ========================================
+		// STEP 4: Fetch Subscription from Stripe
+		// ========================================
+		if (!subscriptionId) {
+			console.log('[USE CASE 1] ❌ No subscriptionId on session - exiting');
+			return new Response('ok');
+		}
+
+		console.log('[USE CASE 1] 🔍 Fetching subscription from Stripe...');
+		const subRes = await stripeFetch(env, `/subscriptions/${subscriptionId}`);
+		if (subRes.status !== 200) {
+			console.log('[USE CASE 1] ❌ Failed to fetch subscription:', subRes.status);
+			return new Response('ok');
+		}
+
+		const sub = subRes.body;
+		console.log('[USE CASE 1] ✅ Subscription fetched:', {
+			id: sub.id,
+			status: sub.status,
+			items_count: sub.items && sub.items.data ? sub.items.data.length : 0,
+		});
+
+		// ========================================
+		// STEP 5: Verify Product is for Dashboard
+		// ========================================
+		if (sub.items && sub.items.data && sub.items.data.length > 0) {
+			const firstItem = sub.items.data[0];
+			if (firstItem.price && firstItem.price.product) {
+				const productId = typeof firstItem.price.product === 'string' ? firstItem.price.product : firstItem.price.product.id;
+
+				try {
+					console.log(`[USE CASE 1] 🔍 Fetching product metadata for product: ${productId}`);
+					const productRes = await stripeFetch(env, `/products/${productId}`);
+					if (productRes.status === 200 && productRes.body && productRes.body.metadata) {
+						const productUsedFor = productRes.body.metadata.usedfor;
+						console.log('[USE CASE 1] 🏷️ Product metadata usedfor:', productUsedFor);
+
+						if (productUsedFor && productUsedFor !== 'dashboard') {
+							console.log(`[USE CASE 1] ⏭️ SKIPPING - product.usedfor is "${productUsedFor}", not "dashboard"`);
+							return new Response('ok');
+						}
+					}
+				} catch (productErr) {
+					console.warn('[USE CASE 1] ⚠️ Could not fetch product metadata:', productErr);
+					// Continue anyway (backward compatibility)
+				}
+			}
+		}
+
+		// ========================================
+		// STEP 6: Ensure Memberstack Member Exists
+		// ========================================
+		console.log('[USE CASE 1] 👤 Ensuring Memberstack member for:', email);
+		const memberstackId = await ensureMemberstackMember(email, env);
+		if (!memberstackId) {
+			console.log('[USE CASE 1] ❌ Failed to ensure Memberstack member - exiting');
+			return new Response('ok');
+		}
+		const normalizedEmail = email.toLowerCase().trim();
+		const now = Math.floor(Date.now() / 1000);
+		console.log('[USE CASE 1] ✅ Memberstack member ID:', memberstackId);
+
+
+
+
+const licenseKey1 = await step('uc1_license_key', () => generateUniqueLicenseKey(env));
+
+
+              //DETECTING PLATFORM FROM METADATA STARTS
+
+              let platform = await detectPlatform(customFieldSiteUrl);
+              console.log(`[USE CASE 1] [ Detected platform:] ${platform}`);   
+              	// :new: Get platform-specific KV namespace
+    	// const kvNamespaces = getKvNamespaces(env, platform);
+     	// const activeSitesKv = kvNamespaces.activeSitesKv;           
+              
+
+/*activeSitesKv,
+license_key,
+customer_id,
+subscription_id,
+email,
+status,
+cancelAtPeriodEnd,
+validatedSiteDomain,
+platform */
+
+       
+
+
+              //detecting platform from metadata endS
+
+
+
+
+
+
+
+
+		await env.DB.prepare(
+			`
+  INSERT OR IGNORE INTO users (email, created_at, updated_at)
+  VALUES (?, ?, ?)
+`
+		)
+			.bind(normalizedEmail, now, now)
+			.run();
+		const response1 = await env.DB.prepare(
+			`INSERT INTO customers (customer_id, user_email, created_at, updated_at)
+  VALUES (?, ?, ?, ?)`
+		)
+			.bind(customerId, normalizedEmail, now, now)
+			.run();
+		console.log('[USE CASE 1] ✅ Customer record ensured:', response1);
+		// ========================================
+		// STEP 7: Save to Database
+		// ========================================
+		const billingPeriods = sub.items?.data?.[0]?.price?.recurring?.interval === 'year' ? 'yearly' : 'monthly';
+		const amountPaid = sub.latest_invoice && sub.latest_invoice.amount_paid ? sub.latest_invoice.amount_paid : 0;
+		console.log('[USE CASE 1] 💾 Saving subscription to database...');
+
+		if (env.DB) {
+			try {
+				// Save subscription with custom field site
+				console.log('[USE CASE 1]  Saving subscription to subscriptions...');
+				const response = await env.DB.prepare(
+					`INSERT OR REPLACE INTO subscriptions 
+   (user_email, subscription_id, customer_id,status, created_at, current_period_start, current_period_end, billing_period)
+   VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+				)
+					.bind(
+						normalizedEmail,
+						sub.id,
+						customerId,
+						sub.status || 'active',
+						now,
+						sub.current_period_start || now,
+						sub.current_period_end || now + 30 * 24 * 60 * 60,
+						billingPeriods
+					)
+					.run();
+				console.log('response from insert [SUBSCRIPTIONS]:', response);
+			} catch (dbErr) {
+				console.error('[USE CASE 1] ❌ Error saving subscription to database:', dbErr);
+				// Don't fail the webhook - payment already succeeded
+			}
+		}
+
+		// ========================================
+		// STEP 8: Save Site Details to Sites Table
+		// ========================================
+		if (env.DB && customFieldSiteUrl) {
+			try {
+				const now = Math.floor(Date.now() / 1000); // current time in seconds
+				const normalizedEmail = email.toLowerCase().trim();
+
+				console.log('[USE CASE 1] 💾 Saving site details to database...');
+			
+				// Ensure all values are defined, provide fallback if Stripe subscription data missing
+				const currentPeriodStart = sub.current_period_start ?? now;
+				const currentPeriodEnd = sub.current_period_end ?? now + 30 * 24 * 60 * 60; // +30 days fallback
+				const cancelAtPeriodEnd = sub.cancel_at_period_end ? 1 : 0; // store as integer
+				const canceledAt = sub.canceled_at ?? null;
+
+				const response = await env.DB.prepare(
+					`INSERT INTO sites 
+        (
+subscription_id,
+         customer_id, 
+         site_domain, 
+         price_id,
+         created_at,
+         current_period_start,
+         current_period_end,
+         renewal_date,
+         cancel_at_period_end,
+         canceled_at,
+         platform,
+         currency,
+         amount_paid,
+ license_key,
+ user_email,
+ billing_period)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,?,?,?, ?,?)`
+				)
+					.bind(
+						sub.id,
+						customerId,
+						customFieldSiteUrl,
+						null, // price_id fallback (or provide actual if available)
+						now, // created_at
+						currentPeriodStart, // Stripe or fallback
+						currentPeriodEnd, // Stripe or fallback
+						currentPeriodEnd, // renewal_date = end of current period
+						cancelAtPeriodEnd,
+						canceledAt,
+						platform,
+						sub.currency || session.currency || getDefaultCurrency(env),
+						amountPaid ,
+						licenseKey1,
+						normalizedEmail,
+						billingPeriods
+					)
+					.run();
+
+				console.log('[USE CASE 1] ✅[SITES] Site details saved:', response);
+			} catch (siteErr) {
+				console.error('[USE CASE 1] ⚠️ Error saving site details:', siteErr);
+				// Continue anyway - subscription is already saved
+			}
+		}
+
+		// ========================================
+		// STEP 9: Save Subscription Items
+		// ========================================
+		if (env.DB && sub.items && sub.items.data && sub.items.data.length > 0) {
+			try {
+				const now = Math.floor(Date.now() / 1000);
+				const normalizedEmail = email.toLowerCase().trim();
+
+				console.log('[USE CASE 1] 💾 Saving subscription items...');
+				for (let index = 0; index < sub.items.data.length; index++) {
+					const item = sub.items.data[index];
+
+					const response = await env.DB.prepare(
+						`INSERT OR REPLACE INTO subscription_items 
+           (subscription_id, item_id, price_id, quantity, site_domain, status, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`
+					)
+						.bind(sub.id, item.id, item.price.id, item.quantity || 1, customFieldSiteUrl || null, 'active', now)
+						.run();
+					console.log(`[USE CASE 1] ✅[SUBSCRIPTION_ITEMS] Saved item ${item.id}:`, response);
+				}
+
+				console.log('[USE CASE 1] ✅ Subscription items saved');
+			} catch (itemErr) {
+				console.error('[USE CASE 1] ⚠️ Error saving subscription items:', itemErr);
+				// Continue anyway
+			}
+		}
+
+		// ========================================
+		// STEP 10: Generate License Key
+		// ========================================
+		try {
+		//	const licenseKey = await generateUniqueLicenseKey(env);
+			const now = Math.floor(Date.now() / 1000);
+			const normalizedEmail = email.toLowerCase().trim();
+				   console.log('[USE CASE 1] 🔍 email to save...', normalizedEmail);
+			console.log('[USE CASE 1] 🔑 Generated license key:', licenseKey1.substring(0, 10) + '...');
+
+			const response = await env.DB.prepare(
+				`
+  INSERT INTO licenses 
+  (
+  license_key, 
+  subscription_id,
+  customer_id,
+   item_id,
+    site_domain, 
+status,
+ used_site_domain,
+  purchase_type,
+   created_at, 
+   updated_at,
+    platform,
+user_email)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+`
+			)
+				.bind(
+					licenseKey1,
+					sub.id,
+					customerId,
+					null,
+					customFieldSiteUrl || null,
+					'active',
+					customFieldSiteUrl || null,
+					'site',
+					now,
+					now,
+					platform,
+					normalizedEmail
+				)
+				.run();
+			console.log('[USE CASE 1] ✅ [LICENSES] License key saved:', response);
+		} catch (licenseErr) {
+			console.error('[USE CASE 1] ❌ Error generating/saving license:', licenseErr);
+			// Don't fail the webhook - payment already succeeded
+		}
+
+		// ========================================
+		// STEP 11: Save Payment Record
+		// ========================================
+		if (env.DB) {
+			try {
+				const now = Math.floor(Date.now() / 1000);
+				const normalizedEmail = email.toLowerCase().trim();
+				const amount = session.amount_total || 0;
+				const currency = session.currency || sub.currency || getDefaultCurrency(env);
+
+				const response = await env.DB.prepare(
+					`INSERT INTO payments 
+         (subscription_id, customer_id, email, amount, currency, site_domain, status, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+				)
+					.bind(sub.id, customerId, normalizedEmail, amount, currency, customFieldSiteUrl || null, 'succeeded', now)
+					.run();
+
+				console.log('[USE CASE 1] ✅ [PAYMENTS] Payment record saved', response);
+			} catch (paymentErr) {
+				console.error('[USE CASE 1] ⚠️ Error saving payment record:', paymentErr);
+				// Continue anyway
+			}
+		}
+
+		console.log('[USE CASE 1] ✅ Use Case 1 processing completed successfully');
+		return new Response('ok');
+	}
+
+
+
+
+
+
+            //USECASE 1 ENDS HERE
+	if (identifiedUseCase === '2') {
+		console.log('[USE CASE 2] 🚀 Processing Use Case 2 checkout session');
+		const paymentIntentId = session.payment_intent;
+
+		let paymentIntent = null;
+		if (paymentIntentId) {
+			const piRes = await stripeFetch(env, `/payment_intents/${paymentIntentId}`);
+			if (piRes.status === 200) {
+				paymentIntent = piRes.body;
+			}
+		}
+
+		const metadata = (paymentIntent && paymentIntent.metadata) || session.metadata || {};
+		console.log('[USE CASE 2 - CS COMPLETED] metadata:', metadata);
+
+		const useCase2CustomerId = metadata.customer_id || customerId;
+
+		const userEmail = await getCustomerEmail(env, useCase2CustomerId);
+		if (!userEmail) {
+			console.warn('[USE CASE 2] No user email, exiting');
+			return new Response('ok');
+		}
+
+		// Parse sites
+		let siteNames = [];
+		try {
+			const rawSites = metadata.sites_json || metadata.sites;
+			if (rawSites) {
+				siteNames = JSON.parse(rawSites);
+			}
+		} catch (e) {
+			console.error('[USE CASE 2] Error parsing sites_json:', e);
+		}
+
+		const productId = metadata.product_id;
+
+		// Check product metadata to verify it's for dashboard
+		if (productId) {
+			try {
+				const productRes = await stripeFetch(env, `/products/${productId}`);
+				if (productRes.status === 200 && productRes.body?.metadata?.usedfor) {
+					const productUsedFor = productRes.body.metadata.usedfor;
+					console.log(`[USE CASE 2] 🏷️ Product metadata usedfor: ${productUsedFor}`);
+
+					// Only process if product is for dashboard
+					if (productUsedFor !== 'dashboard') {
+						console.log(`[USE CASE 2] ⏭️ Skipping - Product usedfor is "${productUsedFor}", not "dashboard"`);
+						return new Response('ok'); // Skip processing
+					}
+				}
+			} catch (productErr) {
+				console.warn(`[USE CASE 2] ⚠️ Could not fetch product metadata:`, productErr);
+				// Continue processing if product fetch fails (backward compatibility)
+			}
+		}
+
+		const rawPeriod = metadata.billing_period || '';
+		const billingPeriod = rawPeriod.toLowerCase().trim(); // "monthly" / "yearly"
+		const currency = metadata.currency || paymentIntent?.currency || session.currency || getDefaultCurrency(env);
+
+		// Derive per-site unit amount
+		let unitAmount = null;
+		try {
+			if (siteNames.length > 0 && typeof session.amount_total === 'number') {
+				unitAmount = Math.round(session.amount_total / siteNames.length);
+			}
+		} catch (_) {}
+
+		// Fallback if needed
+		if (!unitAmount) {
+			const catalogEntry = await getCatalogEntryForProduct(env, productId, billingPeriod);
+			unitAmount = catalogEntry?.unit_amount || null;
+		}
+
+		// Create or get dynamic price
+		const priceId = await getOrCreateDynamicPrice(env, {
+			productId,
+			billingPeriod,
+			currency,
+			unitAmount,
+		});
+
+		if (!priceId || siteNames.length === 0) {
+			console.warn('[USE CASE 2] Missing priceId or sites after dynamic price create, skipping enqueue', {
+				productId,
+				billingPeriod,
+				priceId,
+				siteNamesLength: siteNames.length,
+			});
+			return new Response('ok');
+		}
+
+		const sitesForQueue = siteNames.map((name) => ({
+			site: name,
+			price: priceId,
+			billing_period: billingPeriod,
+		}));
+
+		const queueId = await enqueueSiteQueueItem(env, {
+			customerId: useCase2CustomerId,
+			userEmail,
+			subscriptionId: null,
+			sites: sitesForQueue,
+			billingPeriod,
+			priceId,
+			paymentIntentId: paymentIntentId || null,
+		});
+
+		console.log('[USE CASE 2] ✅ Enqueued sites job (checkout.session.completed)', {
+			queueId,
+			sites: siteNames.length,
+			siteNames: siteNames,
+			paymentIntentId: paymentIntentId,
+			customerId: useCase2CustomerId,
+			userEmail: userEmail,
+		});
+
+		return new Response('ok');
+	}
+      //USECASE 2 ENDS HERE
+
+
+
+
+	if (identifiedUseCase === '3') {
+		// ========================================
+		// USE CASE 3 HANDLER: Quantity Purchase
+		// ALWAYS QUEUE, NEVER IMMEDIATE
+		// ========================================
+
+		const paymentIntentId = session.payment_intent;
+
+		if (paymentIntentId && typeof paymentIntentId === 'string') {
+			try {
+				// 1) Fetch payment intent + metadata
+				const piRes = await stripeFetch(env, `/payment_intents/${paymentIntentId}`);
+				if (piRes.status === 200) {
+					const paymentIntent = piRes.body;
+					let metadata = paymentIntent.metadata || {};
+
+					// Also merge charge metadata if needed
+					if (!metadata.usecase && paymentIntent.latest_charge) {
+						try {
+							const chargeRes = await stripeFetch(env, `/charges/${paymentIntent.latest_charge}`);
+							if (chargeRes.status === 200 && chargeRes.body.metadata) {
+								metadata = { ...metadata, ...chargeRes.body.metadata };
+							}
+						} catch (chargeErr) {
+							console.warn(`[checkout.session.completed] Could not fetch charge metadata:`, chargeErr);
+						}
+					}
+
+					// Only handle Use Case 3
+					if (metadata.usecase === '3') {
+						// 2) Resolve customer id for this use case
+						const useCase3CustomerId = session.customer || metadata.customer_id || paymentIntent.customer;
+
+						// 3) Load license keys (temporary) from metadata / customer
+						let licenseKeys = [];
+						try {
+							if (metadata.license_keys) {
+								// Stored directly on payment_intent metadata
+								licenseKeys = JSON.parse(metadata.license_keys);
+							} else if (metadata.license_keys_source === 'customer_metadata' || metadata.license_keys_count) {
+								// For large quantity, keys are on customer metadata
+								try {
+									const customerRes = await stripeFetch(env, `/customers/${useCase3CustomerId}`);
+									if (customerRes.status === 200 && customerRes.body.metadata?.license_keys_pending) {
+										licenseKeys = JSON.parse(customerRes.body.metadata.license_keys_pending);
+										console.log(
+											`[checkout.session.completed] ✅ Retrieved ${licenseKeys.length} license keys from customer metadata`
+										);
+									}
+								} catch (customerErr) {
+									console.error(
+										`[checkout.session.completed] ❌ Error fetching license keys from customer metadata:`,
+										customerErr
+									);
+								}
+							}
+						} catch (e) {
+							console.error(`[checkout.session.completed] Error parsing license_keys:`, e);
+						}
+
+						// If still empty, try again (same logic, but keep as is for idempotency)
+						if (licenseKeys.length === 0) {
+							console.warn(
+								`[checkout.session.completed] ⚠️ No license_keys found in metadata. Available keys: ${Object.keys(metadata).join(
+									', '
+								)}`
+							);
+						}
+
+						// 4) Enhanced idempotency check: check payment_intent_id in queue to prevent duplicate processing
+						if (env.DB && paymentIntentId) {
+							try {
+								// Check if queue items already exist for this payment_intent_id
+								const queueCheck = await env.DB.prepare(
+									`SELECT COUNT(*) as count FROM subscription_queue 
+                 WHERE payment_intent_id = ? AND status IN ('pending', 'processing', 'completed')`
+								)
+									.bind(paymentIntentId)
+									.first();
+
+								if (queueCheck && queueCheck.count > 0) {
+									console.log(
+										`[checkout.session.completed] ℹ️ Use Case 3 already processed (${queueCheck.count} queue item(s) exist for payment_intent_id=${paymentIntentId}), returning early to prevent duplicates.`
+									);
+									return new Response('ok');
+								}
+
+								// Also check if licenses already exist for this payment_intent_id (via queue)
+								if (licenseKeys.length > 0) {
+									const existingLicenseCheck = await env.DB.prepare(
+										`SELECT license_key FROM licenses WHERE license_key = ? LIMIT 1`
+									)
+										.bind(licenseKeys[0])
+										.first();
+									if (existingLicenseCheck) {
+										console.log(
+											`[checkout.session.completed] ℹ️ Use Case 3 already processed (license ${licenseKeys[0]} exists), returning early.`
+										);
+										return new Response('ok');
+									}
+								}
+							} catch (checkErr) {
+								console.warn(`[checkout.session.completed] Could not check for existing queue items/licenses:`, checkErr);
+							}
+						}
+
+						// 5) Resolve user email
+						const userEmail = await getCustomerEmail(env, useCase3CustomerId);
+						if (!userEmail) {
+							console.warn('[checkout.session.completed] User email not found for Use Case 3');
+							return new Response('ok');
+						}
+
+						// 6) Resolve priceId (from metadata → product → billing_period)
+						let priceId = null;
+						// CRITICAL FIX: Get quantity from metadata FIRST, don't fall back to licenseKeys.length
+						let quantity = parseInt(metadata.quantity) || 0;
+						const productIdFromMetadata = metadata.product_id || null;
+						let productIdFromCustomer = null;
+
+						console.log(`[checkout.session.completed] 📋 Metadata keys: ${Object.keys(metadata).join(', ')}`);
+						console.log(`[checkout.session.completed] 📋 Initial quantity from metadata: ${quantity}`);
+						if (productIdFromMetadata) {
+							console.log(`[checkout.session.completed] 🆔 Product ID from metadata: ${productIdFromMetadata}`);
+						}
+
+						try {
+							// Re-load keys if needed (same as above, safe)
+							if (metadata.license_keys) {
+								licenseKeys = JSON.parse(metadata.license_keys);
+								console.log(
+									`[checkout.session.completed] ✅ Retrieved ${licenseKeys.length} license keys from payment_intent metadata`
+								);
+							} else if (metadata.license_keys_source === 'customer_metadata' || metadata.license_keys_count) {
+								if (licenseKeys.length === 0) {
+									try {
+										const customerRes = await stripeFetch(env, `/customers/${useCase3CustomerId}`);
+										if (customerRes.status === 200 && customerRes.body.metadata?.license_keys_pending) {
+											licenseKeys = JSON.parse(customerRes.body.metadata.license_keys_pending);
+											console.log(
+												`[checkout.session.completed] ✅ Retrieved ${licenseKeys.length} license keys from customer metadata`
+											);
+										}
+										if (!productIdFromMetadata && customerRes.body.metadata?.product_id) {
+											productIdFromCustomer = customerRes.body.metadata.product_id;
+											console.log(`[checkout.session.completed] 🆔 Product ID from customer metadata: ${productIdFromCustomer}`);
+										}
+									} catch (customerErr) {
+										console.error(
+											`[checkout.session.completed] ❌ Error fetching license keys from customer metadata:`,
+											customerErr
+										);
+									}
+								}
+							} else {
+								console.warn(`[checkout.session.completed] ⚠️ No license_keys found in metadata.`);
+							}
+
+							priceId = metadata.price_id || null;
+							// CRITICAL FIX: Update quantity from metadata again (in case it was set after licenseKeys check)
+							if (metadata.quantity) {
+								quantity = parseInt(metadata.quantity) || quantity;
+							}
+
+							// CRITICAL FIX: If quantity is still 0 but we have licenseKeys, use licenseKeys.length
+							if (quantity === 0 && licenseKeys.length > 0) {
+								quantity = licenseKeys.length;
+								console.log(`[checkout.session.completed] ⚠️ Quantity was 0, using licenseKeys.length: ${quantity}`);
+							}
+
+							// CRITICAL FIX: If quantity is still 0, this is an error - log it
+							if (quantity === 0) {
+								console.error(
+									`[checkout.session.completed] ❌ CRITICAL: Quantity is 0 and no license keys found! Cannot queue items.`
+								);
+								console.error(`[checkout.session.completed] ❌ Metadata: ${JSON.stringify(metadata)}`);
+							}
+
+							const productIdToUse = productIdFromMetadata || productIdFromCustomer;
+
+							// Check product metadata to verify it's for dashboard
+							let productUsedFor = null;
+							if (productIdToUse) {
+								try {
+									const productRes = await stripeFetch(env, `/products/${productIdToUse}`);
+									if (productRes.status === 200 && productRes.body?.metadata?.usedfor) {
+										productUsedFor = productRes.body.metadata.usedfor;
+										console.log(`[checkout.session.completed] 🏷️ Product metadata usedfor: ${productUsedFor}`);
+
+										// Only process if product is for dashboard
+										if (productUsedFor !== 'dashboard') {
+											console.log(
+												`[checkout.session.completed] ⏭️ Skipping - Product usedfor is "${productUsedFor}", not "dashboard"`
+											);
+											return new Response('ok'); // Skip processing
+										}
+									}
+								} catch (productErr) {
+									console.warn(`[checkout.session.completed] ⚠️ Could not fetch product metadata:`, productErr);
+									// Continue processing if product fetch fails (backward compatibility)
+								}
+							}
+
+							// If price_id not in metadata, try via product
+							if (!priceId && productIdToUse) {
+								console.log(`[checkout.session.completed] 🔍 price_id not found, fetching from product_id: ${productIdToUse}`);
+								try {
+									const productRes = await stripeFetch(env, `/products/${productIdToUse}`);
+									if (productRes.status === 200 && productRes.body) {
+										const pricesRes = await stripeFetch(env, `/prices?product=${productIdToUse}&active=true&limit=1`);
+										if (pricesRes.status === 200 && pricesRes.body?.data?.length > 0) {
+											priceId = pricesRes.body.data[0].id;
+											console.log(`[checkout.session.completed] ✅ Found price_id from product: ${priceId}`);
+										} else {
+											console.warn(`[checkout.session.completed] ⚠️ No active prices found for product: ${productIdToUse}`);
+										}
+									}
+								} catch (productErr) {
+									console.error(`[checkout.session.completed] ❌ Error fetching price_id from product_id:`, productErr);
+								}
+							}
+
+							// Fallback: by billing_period
+							if (!priceId && metadata.billing_period) {
+								console.log(
+									`[checkout.session.completed] 🔍 Trying to get price_id from billing_period: ${metadata.billing_period}`
+								);
+								try {
+									priceId = await getPriceIdByBillingPeriod(env, metadata.billing_period, metadata.currency);
+									if (priceId) {
+										console.log(`[checkout.session.completed] ✅ Found price_id from billing_period: ${priceId}`);
+									}
+								} catch (billingErr) {
+									console.error(`[checkout.session.completed] ❌ Error getting price_id from billing_period:`, billingErr);
+								}
+							}
+						} catch (parseErr) {
+							console.error('[checkout.session.completed] ❌ Error parsing metadata:', parseErr);
+						}
+
+						// 7) Save payment method to customer (unchanged)
+						let paymentMethodId = paymentIntent.payment_method;
+
+						if (!paymentMethodId && paymentIntent.latest_charge) {
+							try {
+								const chargeRes = await stripeFetch(env, `/charges/${paymentIntent.latest_charge}`);
+								if (chargeRes.status === 200 && chargeRes.body.payment_method) {
+									paymentMethodId = chargeRes.body.payment_method;
+								}
+							} catch (chargeErr) {
+								console.warn(`[checkout.session.completed] Could not fetch charge for payment method:`, chargeErr);
+							}
+						}
+
+						const customerIdForPaymentMethod = session.customer || paymentIntent.customer || useCase3CustomerId;
+
+						let paymentMethodSaved = false;
+
+						if (paymentMethodId && customerIdForPaymentMethod) {
+							try {
+								const attachRes = await stripeFetch(
+									env,
+									`/payment_methods/${paymentMethodId}/attach`,
+									'POST',
+									{ customer: customerIdForPaymentMethod },
+									true
+								);
+
+								if (attachRes.status === 200) {
+									const setDefaultRes = await stripeFetch(
+										env,
+										`/customers/${customerIdForPaymentMethod}`,
+										'POST',
+										{ 'invoice_settings[default_payment_method]': paymentMethodId },
+										true
+									);
+									if (setDefaultRes.status === 200) {
+										paymentMethodSaved = true;
+									} else {
+										console.warn(
+											`[checkout.session.completed] ⚠️ Payment method attached but failed to set as default:`,
+											setDefaultRes.status,
+											setDefaultRes.body
+										);
+									}
+								} else {
+									const errorMessage = attachRes.body?.error?.message || '';
+									if (errorMessage.includes('already attached') || errorMessage.includes('already been attached')) {
+										const setDefaultRes = await stripeFetch(
+											env,
+											`/customers/${customerIdForPaymentMethod}`,
+											'POST',
+											{ 'invoice_settings[default_payment_method]': paymentMethodId },
+											true
+										);
+										if (setDefaultRes.status === 200) {
+											paymentMethodSaved = true;
+										} else {
+											console.warn(
+												`[checkout.session.completed] ⚠️ Failed to set payment method as default:`,
+												setDefaultRes.status,
+												setDefaultRes.body
+											);
+										}
+									} else {
+										console.error(
+											`[checkout.session.completed] ❌ STEP 1 FAILED: Failed to attach payment method:`,
+											attachRes.status,
+											attachRes.body
+										);
+									}
+								}
+							} catch (attachErr) {
+								console.error(`[checkout.session.completed] ❌ STEP 1 FAILED: Error attaching payment method:`, attachErr);
+							}
+						} else {
+							console.error(
+								`[checkout.session.completed] ❌ STEP 1 FAILED: Missing payment_method or customer. payment_method: ${paymentMethodId}, customer: ${customerIdForPaymentMethod}`
+							);
+						}
+
+						// 8) ALWAYS QUEUE: no immediate subscription creation, no thresholds
+						const customerIdForSubscriptions = customerIdForPaymentMethod || session.customer || useCase3CustomerId;
+
+						// CRITICAL: Add detailed logging before condition check
+						console.log(`[USE CASE 3 - QUEUE CHECK] 🔍 Checking queue conditions:`);
+						console.log(`[USE CASE 3 - QUEUE CHECK]   - paymentMethodSaved: ${paymentMethodSaved}`);
+						console.log(`[USE CASE 3 - QUEUE CHECK]   - priceId: ${priceId}`);
+						console.log(`[USE CASE 3 - QUEUE CHECK]   - quantity: ${quantity}`);
+						console.log(`[USE CASE 3 - QUEUE CHECK]   - customerIdForSubscriptions: ${customerIdForSubscriptions}`);
+						console.log(`[USE CASE 3 - QUEUE CHECK]   - licenseKeys.length: ${licenseKeys ? licenseKeys.length : 'undefined'}`);
+
+						if (paymentMethodSaved && priceId && quantity > 0 && customerIdForSubscriptions) {
+							try {
+								// Calculate single trial_end for all future subscriptions
+								const now = Math.floor(Date.now() / 1000);
+
+								let trialPeriodDays = null;
+								if (env.TRIAL_PERIOD_DAYS) {
+									trialPeriodDays = parseInt(env.TRIAL_PERIOD_DAYS);
+								} else if (session.metadata?.trial_period_days) {
+									trialPeriodDays = parseInt(session.metadata.trial_period_days);
+								}
+
+								let trialPeriodSeconds = 30 * 24 * 60 * 60;
+								let billingInterval = 'month';
+
+								if (trialPeriodDays) {
+									trialPeriodSeconds = trialPeriodDays * 24 * 60 * 60;
+								} else {
+									try {
+										const priceRes = await stripeFetch(env, `/prices/${priceId}`);
+										if (priceRes.status === 200 && priceRes.body.recurring) {
+											billingInterval = priceRes.body.recurring.interval;
+											const intervalCount = priceRes.body.recurring.interval_count || 1;
+											if (billingInterval === 'week') {
+												trialPeriodSeconds = 7 * 24 * 60 * 60 * intervalCount;
+											} else if (billingInterval === 'month') {
+												trialPeriodSeconds = 30 * 24 * 60 * 60 * intervalCount;
+											} else if (billingInterval === 'year') {
+												trialPeriodSeconds = 365 * 24 * 60 * 60 * intervalCount;
+											} else if (billingInterval === 'day') {
+												trialPeriodSeconds = 24 * 60 * 60 * intervalCount;
+											}
+										}
+									} catch (priceErr) {
+										console.warn(
+											`[checkout.session.completed] ⚠️ Could not fetch price details, using default 30 days:`,
+											priceErr
+										);
+									}
+								}
+
+								const trialEndTime = now + trialPeriodSeconds;
+								const minimumTrialEnd = billingInterval === 'day' ? now + 7 * 24 * 60 * 60 : now + 3600;
+								const trialEnd = Math.max(trialEndTime, minimumTrialEnd);
+
+								// CRITICAL FIX: Ensure we have exactly 'quantity' license keys before queuing
+								if (!licenseKeys || licenseKeys.length === 0) {
+									if (quantity > 0) {
+										licenseKeys = await step('uc3_temp_license_keys', () => generateTempLicenseKeys(quantity));
+										console.log(`[USE CASE 3] ✅ Generated ${licenseKeys.length} temporary license keys (quantity: ${quantity})`);
+									} else {
+										console.error(`[USE CASE 3] ❌ CRITICAL: Cannot generate license keys - quantity is 0!`);
+										// This will cause the condition at line 3764 to fail, which is correct
+									}
+								} else if (licenseKeys.length < quantity) {
+									// If we have some keys but not enough, generate the missing ones
+									console.warn(
+										`[USE CASE 3] ⚠️ Only ${licenseKeys.length} license keys found, but quantity is ${quantity}. Generating ${
+											quantity - licenseKeys.length
+										} more...`
+									);
+									const additionalKeys = await step('uc3_additional_temp_license_keys', () =>
+										generateTempLicenseKeys(quantity - licenseKeys.length)
+									);
+									licenseKeys = [...licenseKeys, ...additionalKeys];
+									console.log(`[USE CASE 3] ✅ Now have ${licenseKeys.length} license keys (matches quantity: ${quantity})`);
+								} else if (licenseKeys.length > quantity) {
+									// If we have more keys than quantity, trim to quantity
+									console.warn(
+										`[USE CASE 3] ⚠️ Found ${licenseKeys.length} license keys but quantity is ${quantity}. Using first ${quantity} keys.`
+									);
+									licenseKeys = licenseKeys.slice(0, quantity);
+								}
+
+								// CRITICAL: Verify we have the correct number of keys
+								if (licenseKeys.length !== quantity) {
+									console.error(
+										`[USE CASE 3] ❌ CRITICAL MISMATCH: licenseKeys.length (${licenseKeys.length}) != quantity (${quantity})`
+									);
+								}
+
+								const toQueue = Math.min(licenseKeys.length, quantity);
+								console.log(
+									`[USE CASE 3 - QUEUE ONLY] 📋 Will queue ${toQueue} items (licenseKeys: ${licenseKeys.length}, quantity: ${quantity})`
+								);
+
+								// CRITICAL: Add validation before queuing
+								if (toQueue === 0) {
+									console.error(`[USE CASE 3 - QUEUE ONLY] ❌ CRITICAL: Cannot queue items - toQueue is 0!`);
+									console.error(
+										`[USE CASE 3 - QUEUE ONLY] ❌ Debug info: licenseKeys.length=${licenseKeys.length}, quantity=${quantity}, priceId=${priceId}, paymentMethodSaved=${paymentMethodSaved}, customerIdForSubscriptions=${customerIdForSubscriptions}`
+									);
+								}
+
+								let queuedCount = 0;
+								let queueErrors = 0;
+								const failedQueueItems = [];
+
+								// Quantity mode: one batch row for the whole purchase (one subscription item with quantity N)
+								if (toQueue > 0 && getUc3SubscriptionMode(env) === 'quantity') {
+									const batchResult = await addToSubscriptionQueue(env, {
+										customerId: customerIdForSubscriptions,
+										userEmail,
+										paymentIntentId: paymentIntent.id,
+										priceId,
+										licenseKey: `batch_${paymentIntent.id}`,
+										licenseKeys: licenseKeys.slice(0, toQueue),
+										trialEnd,
+									});
+									if (batchResult.success) {
+										queuedCount = toQueue;
+										console.log(`[USE CASE 3 - QUEUE ONLY] ✅ Queued ${toQueue} license(s) as batch ${batchResult.queueId}`);
+									} else {
+										console.warn(
+											`[USE CASE 3 - QUEUE ONLY] ⚠️ Could not queue batch (${batchResult.error}) - falling back to one item per license`
+										);
+									}
+								}
+
+								if (toQueue > 0 && queuedCount === 0) {
+									console.log(`[USE CASE 3 - QUEUE ONLY] 📋 Adding ${toQueue} items to subscription_queue...`);
+
+									for (let i = 0; i < toQueue; i++) {
+										const queueResult = await addToSubscriptionQueue(env, {
+											customerId: customerIdForSubscriptions,
+											userEmail,
+											paymentIntentId: paymentIntent.id,
+											priceId,
+											licenseKey: licenseKeys[i],
+											quantity: 1,
+											trialEnd,
+										});
+
+										if (queueResult.success) {
+											queuedCount++;
+											if ((i + 1) % 10 === 0 || i === toQueue - 1) {
+												console.log(
+													`[USE CASE 3 - QUEUE ONLY] ✅ Queued ${
+														i + 1
+													}/${toQueue} items (${queuedCount} successful, ${queueErrors} errors)`
+												);
+											}
+										} else {
+											queueErrors++;
+											failedQueueItems.push({ index: i, licenseKey: licenseKeys[i], error: queueResult.error });
+											console.error(
+												`[USE CASE 3 - QUEUE ONLY] ❌ Failed to queue item ${i + 1}/${toQueue} for license ${licenseKeys[i]}:`,
+												queueResult.error
+											);
+										}
+									}
+
+									// Retry failed queue items once
+									if (failedQueueItems.length > 0) {
+										console.log(`[USE CASE 3 - QUEUE ONLY] 🔄 Retrying ${failedQueueItems.length} failed queue items...`);
+										for (const failedItem of failedQueueItems) {
+											const retryResult = await addToSubscriptionQueue(env, {
+												customerId: customerIdForSubscriptions,
+												userEmail,
+												paymentIntentId: paymentIntent.id,
+												priceId,
+												licenseKey: failedItem.licenseKey,
+												quantity: 1,
+												trialEnd,
+											});
+
+											if (retryResult.success) {
+												queuedCount++;
+												queueErrors--;
+												console.log(`[USE CASE 3 - QUEUE ONLY] ✅ Retry successful for license ${failedItem.licenseKey}`);
+											} else {
+												console.error(
+													`[USE CASE 3 - QUEUE ONLY] ❌ Retry failed for license ${failedItem.licenseKey}:`,
+													retryResult.error
+												);
+											}
+										}
+									}
+
+									console.log(
+										`[USE CASE 3 - QUEUE ONLY] 📊 Queue Summary: ${queuedCount} queued successfully, ${queueErrors} failed out of ${toQueue} planned (quantity: ${quantity})`
+									);
+
+									// CRITICAL: Verify all items were queued
+									if (queuedCount !== quantity) {
+										console.error(
+											`[USE CASE 3 - QUEUE ONLY] ❌ CRITICAL: Only ${queuedCount} out of ${quantity} items were queued successfully!`
+										);
+									}
+								}
+
+								// No subscription creation here. Background worker / cron will call processQueueItem()
+								// for each pending row and:
+								//  - generate real license key if temporary
+								//  - create subscription in Stripe
+								//  - create license row in DB
+								//  - mark queue row as completed or delete it
+							} catch (queueErr) {
+								console.error('[checkout.session.completed] ❌ Error queuing subscriptions for Use Case 3:', queueErr);
+							}
+						} else {
+							// Explain why nothing was queued
+							console.error(`[USE CASE 3 - QUEUE CHECK] ❌ QUEUE STEP SKIPPED - Conditions not met:`);
+							if (!paymentMethodSaved) {
+								console.error(`[checkout.session.completed] ❌ QUEUE STEP SKIPPED: Payment method was not saved successfully`);
+							}
+							if (!priceId) {
+								console.error(`[checkout.session.completed] ❌ QUEUE STEP SKIPPED: Missing priceId`);
+							}
+							if (!quantity || quantity <= 0) {
+								console.error(`[checkout.session.completed] ❌ QUEUE STEP SKIPPED: Invalid quantity: ${quantity}`);
+							}
+							if (!customerIdForSubscriptions) {
+								console.error(`[checkout.session.completed] ❌ QUEUE STEP SKIPPED: Missing customerId`);
+							}
+						}
+
+						// IMPORTANT: no immediate creation, no license DB writes here.
+						// Everything happens in queue processor.
+
+						return new Response('ok');
+					}
+				}
+			} catch (piErr) {
+				console.error(`[checkout.session.completed] Error fetching payment_intent for Use Case 3:`, piErr);
+			}
+		}
+
+		// If payment_intent fetch failed or metadata.usecase is not '3', return early
+		// This ensures Use Case 3 doesn't fall through to Use Case 1 processing
+		return new Response('ok');
+	}
+ //USECASE 3 ENDS HERE
+	// If we reach here, use case was not identified (shouldn't happen)
+	console.warn(`[checkout.session.completed] ⚠️ Unhandled use case - returning ok`);
+	return new Response('ok', { status: 200 });
+}
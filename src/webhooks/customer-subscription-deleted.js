@@ -0,0 +1,121 @@
+/**
+ * customer.subscription.deleted: mark the subscription and its sites as inactive.
+ */
+import { getCustomerEmail, logStripeEvent } from '../lib/stripe.js';
+import { getUserByEmail, saveUserByEmail, saveOrUpdateSiteInDB } from '../lib/users.js';
+
+export const type = 'customer.subscription.deleted';
+
+// Handle customer.subscription.deleted - subscription was permanently deleted
+export async function handle(event, ctx) {
+	const { env } = ctx;
+	const subscription = event.data.object;
+	const subscriptionId = subscription.id;
+	const customerId = subscription.customer;
+
+	// Log subscription deletion
+	await logStripeEvent(env, event, subscriptionId, customerId, {
+		action: 'subscription_deleted',
+		status: subscription.status,
+		canceled_at: subscription.canceled_at,
+		current_period_end: subscription.current_period_end,
+		note: 'Subscription permanently deleted by Stripe',
+	});
+
+	// Get user record from database by email
+	const userEmail = await getCustomerEmail(env, customerId);
+	if (!userEmail) {
+		console.warn('User email not found for subscription deletion');
+		return new Response('ok');
+	}
+
+	const user = await getUserByEmail(env, userEmail);
+	if (!user) {
+		console.warn('User record not found for subscription deletion');
+		return new Response('ok');
+	}
+
+	// Mark subscription as deleted
+	if (user.subscriptions && user.subscriptions[subscriptionId]) {
+		user.subscriptions[subscriptionId].status = 'deleted';
+		user.subscriptions[subscriptionId].deleted_at = Math.floor(Date.now() / 1000);
+		user.subscriptions[subscriptionId].canceled_at = subscription.canceled_at;
+	}
+
+	// Mark all sites in this subscription as inactive/expired
+	const deletedAt = Math.floor(Date.now() / 1000);
+	Object.keys(user.sites || {}).forEach((site) => {
+		if (user.sites[site].subscription_id === subscriptionId) {
+			user.sites[site].status = 'expired';
+			if (!user.sites[site].removed_at) {
+				user.sites[site].removed_at = deletedAt;
+			}
+
+			// Update site status in database to expired
+			if (env.DB) {
+				saveOrUpdateSiteInDB(env, {
+					customerId: customerId,
+					subscriptionId: subscriptionId,
+					itemId: user.sites[site].item_id,
+					siteDomain: site,
+					priceId: user.sites[site].price,
+					amountPaid: 0, // Will be updated from existing record
+					currency: subscription.currency || 'usd',
+					status: 'expired',
+					currentPeriodStart: subscription.current_period_start || null,
+					currentPeriodEnd: subscription.current_period_end || null,
+					renewalDate: subscription.current_period_end || null,
+					cancelAtPeriodEnd: false,
+					canceledAt: subscription.canceled_at || deletedAt,
+				}).catch((err) => console.error('Failed to update site in DB:', err));
+			}
+		}
+	});
+
+	// Update licenses in database
+	if (env.DB) {
+		try {
+			const timestamp = Math.floor(Date.now() / 1000);
+			await env.DB.prepare('UPDATE licenses SET status = ?, updated_at = ? WHERE subscription_id = ? AND status = ?')
+				.bind('inactive', timestamp, subscriptionId, 'active')
+				.run();
+		} catch (dbError) {
+			console.error('Failed to update licenses for deleted subscription:', dbError);
+		}
+	}
+
+	// If this was the primary subscription, update subscriptionId
+	if (user.subscriptionId === subscriptionId) {
+		// Find another active subscription
+		const activeSub = Object.keys(user.subscriptions || {}).find((subId) => user.subscriptions[subId].status === 'active');
+		user.subscriptionId = activeSub || null;
+	}
+
+	// Save updated user to database
+	await saveUserByEmail(env, userEmail, user);
+
+	// Update database structure
+	if (userEmail) {
+		try {
+			const userFromEmail = await getUserByEmail(env, userEmail);
+			if (userFromEmail && userFromEmail.customers) {
+				for (const customer of userFromEmail.customers) {
+					const subscription = customer.subscriptions.find((s) => s.subscriptionId === subscriptionId);
+					if (subscription) {
+						subscription.status = 'deleted';
+						subscription.deleted_at = Math.floor(Date.now() / 1000);
+						// Mark items as inactive
+						if (subscription.items) {
+							subscription.items.forEach((item) => {
+								item.status = 'inactive';
+							});
+						}
+					}
+				}
+				await saveUserByEmail(env, user.email, userFromEmail);
+			}
+		} catch (emailStructureError) {
+			console.error(`❌ Failed to update email-based structure:`, emailStructureError);
+		}
+	}
+}
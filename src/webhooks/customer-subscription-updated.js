@@ -0,0 +1,503 @@
+/**
+ * customer.subscription.updated: sync site and license status with the Stripe subscription.
+ */
+import { extractBillingPeriodFromStripe, getCustomerEmail, logStripeEvent, stripeFetch } from '../lib/stripe.js';
+import { getUserByEmail, saveUserByEmail, addOrUpdateCustomerInUser, saveOrUpdateSiteInDB } from '../lib/users.js';
+import { generateUniqueLicenseKey, getLicenseForSite, getLicensesForSites, saveSubscriptionToKV } from '../lib/licenses.js';
+import { refreshLicenseTokens } from '../lib/license-tokens.js';
+
+export const type = 'customer.subscription.updated';
+
+// Handle subscription.updated - sync site status
+export async function handle(event, ctx) {
+	const { env } = ctx;
+	const subscription = event.data.object;
+	const subscriptionId = subscription.id;
+	const customerId = subscription.customer;
+
+	// Log subscription update with detailed status information
+	await logStripeEvent(env, event, subscriptionId, customerId, {
+		action: 'subscription_updated',
+		status: subscription.status,
+		cancel_at_period_end: subscription.cancel_at_period_end,
+		canceled_at: subscription.canceled_at,
+		current_period_end: subscription.current_period_end,
+		current_period_start: subscription.current_period_start,
+		billing_cycle_anchor: subscription.billing_cycle_anchor,
+		note: 'Subscription status updated by Stripe',
+	});
+
+	// Check product metadata to verify it's for dashboard
+	if (subscription.items && subscription.items.data && subscription.items.data.length > 0) {
+		const firstItem = subscription.items.data[0];
+		if (firstItem.price && firstItem.price.product) {
+			const productId = typeof firstItem.price.product === 'string' ? firstItem.price.product : firstItem.price.product.id;
+
+			try {
+				const productRes = await stripeFetch(env, `/products/${productId}`);
+				if (productRes.status === 200 && productRes.body?.metadata?.usedfor) {
+					const productUsedFor = productRes.body.metadata.usedfor;
+					console.log(`[customer.subscription.updated] 🏷️ Product metadata usedfor: ${productUsedFor}`);
+
+					// Only process if product is for dashboard
+					if (productUsedFor !== 'dashboard') {
+						console.log(`[customer.subscription.updated] ⏭️ Skipping - Product usedfor is "${productUsedFor}", not "dashboard"`);
+						return new Response('ok'); // Skip processing
+					}
+				}
+			} catch (productErr) {
+				console.warn(`[customer.subscription.updated] ⚠️ Could not fetch product metadata:`, productErr);
+				// Continue processing if product fetch fails (backward compatibility)
+			}
+		}
+	}
+
+	// Get user email from customerId
+	const userEmail = await getCustomerEmail(env, customerId);
+	if (!userEmail) {
+		console.warn('User email not found for subscription update');
+		return new Response('ok');
+	}
+
+	// Get user record from database
+	let user = await getUserByEmail(env, userEmail);
+	if (!user) {
+		console.warn('User record not found for subscription update');
+		return new Response('ok');
+	}
+
+	// Check if this subscription belongs to this user
+	const subscriptionExists = user.customers.some((c) => c.subscriptions.some((s) => s.subscriptionId === subscriptionId));
+	if (!subscriptionExists) {
+		return new Response('ok');
+	}
+
+	// Get current subscription items from Stripe
+	const subRes = await stripeFetch(env, `/subscriptions/${subscriptionId}`);
+	if (subRes.status === 200) {
+		const sub = subRes.body;
+
+		// CRITICAL: Check if subscription is cancelled - skip license generation and site updates
+		const now = Math.floor(Date.now() / 1000);
+		const periodEnded = sub.current_period_end && sub.current_period_end < now;
+		const isCancelled =
+			sub.status === 'canceled' || (sub.cancel_at_period_end === true && periodEnded) || sub.canceled_at !== null;
+
+		// Always update subscription status in database when cancel_at_period_end is true
+		if (isCancelled || sub.cancel_at_period_end === true) {
+			// Still update subscription status in database, but don't generate licenses or update sites
+			// The subscription is cancelled, so we should mark items as inactive
+			if (env.DB) {
+				try {
+					const timestamp = Math.floor(Date.now() / 1000);
+					// Determine final status: if period ended and cancel_at_period_end was true, it's now cancelled
+					// When Stripe automatically cancels at period end, it sends status: 'canceled'
+					let finalStatus = sub.status || 'active';
+					if (sub.status === 'canceled') {
+						// Stripe has cancelled the subscription (either manually or automatically at period end)
+						finalStatus = 'canceled';
+					} else if (sub.cancel_at_period_end === true && periodEnded) {
+						// Period ended and cancel_at_period_end was true - subscription should be cancelled
+						finalStatus = 'canceled';
+					} else if (sub.cancel_at_period_end === true && !periodEnded) {
+						// Still active but will cancel at period end
+						finalStatus = 'active';
+					}
+
+					await env.DB.prepare(
+						'UPDATE subscriptions SET status = ?, cancel_at_period_end = ?, cancel_at = ?, current_period_end = ?, updated_at = ? WHERE subscription_id = ?'
+					)
+						.bind(
+							finalStatus,
+							sub.cancel_at_period_end ? 1 : 0,
+							sub.canceled_at || null, // Stripe returns canceled_at, we store it as cancel_at
+							sub.current_period_end || null, // Ensure current_period_end is updated from Stripe
+							timestamp,
+							subscriptionId
+						)
+						.run();
+
+					// Mark items and licenses as inactive if:
+					// 1. Subscription status is 'canceled' (Stripe has cancelled it)
+					// 2. OR period has ended and cancel_at_period_end was true
+					// This handles both manual cancellations and automatic cancellations at period end
+					const shouldMarkInactive = sub.status === 'canceled' || (periodEnded && sub.cancel_at_period_end === true);
+
+					if (shouldMarkInactive) {
+						console.log(
+							`[subscription.updated] Marking subscription ${subscriptionId} as inactive - status: ${sub.status}, periodEnded: ${periodEnded}, cancel_at_period_end: ${sub.cancel_at_period_end}`
+						);
+
+						// Mark all subscription items as inactive
+						await env.DB.prepare(
+							'UPDATE subscription_items SET status = ?, updated_at = ? WHERE subscription_id = ? AND status = ?'
+						)
+							.bind('inactive', timestamp, subscriptionId, 'active')
+							.run();
+
+						// Mark all licenses as inactive for this subscription
+						const licenseUpdateResult = await env.DB.prepare(
+							'UPDATE licenses SET status = ?, updated_at = ? WHERE subscription_id = ? AND status = ?'
+						)
+							.bind('inactive', timestamp, subscriptionId, 'active')
+							.run();
+
+						if (licenseUpdateResult.success) {
+							console.log(`[subscription.updated] ✅ Marked licenses as inactive for subscription ${subscriptionId}`);
+
+							// Log the license deactivation
+							await logStripeEvent(
+								env,
+								{
+									id: `manual_${timestamp}`,
+									type: 'subscription.cancelled',
+									data: { object: sub },
+									created: timestamp,
+								},
+								subscriptionId,
+								customerId,
+								{
+									action: 'licenses_marked_inactive',
+									period_ended: periodEnded,
+									cancel_at_period_end: sub.cancel_at_period_end,
+									status: sub.status,
+									note: 'Licenses marked inactive due to subscription cancellation',
+								}
+							);
+						} else {
+							console.warn(`[subscription.updated] ⚠️ Failed to mark licenses as inactive for subscription ${subscriptionId}`);
+						}
+					} else {
+						console.log(
+							`[subscription.updated] Subscription ${subscriptionId} is not yet cancelled - status: ${sub.status}, periodEnded: ${periodEnded}, cancel_at_period_end: ${sub.cancel_at_period_end}`
+						);
+					}
+				} catch (dbErr) {
+					console.error('Error updating cancelled subscription in database:', dbErr);
+				}
+			}
+			return new Response('ok');
+		}
+
+		// Not cancelling - sync the subscription row and license billing period. Covers changes made in the
+		// Customer Portal: a scheduled cancellation being undone, or a switch to another plan/interval.
+		if (env.DB) {
+			const timestamp = Math.floor(Date.now() / 1000);
+			const periodEnd = sub.current_period_end || sub.items?.data?.[0]?.current_period_end || null;
+			try {
+				await env.DB.prepare(
+					'UPDATE subscriptions SET status = ?, cancel_at_period_end = 0, cancel_at = NULL, current_period_end = COALESCE(?, current_period_end), updated_at = ? WHERE subscription_id = ?'
+				)
+					.bind(sub.status, periodEnd, timestamp, subscriptionId)
+					.run();
+				await env.DB.prepare(
+					'UPDATE licenses SET billing_period = COALESCE(?, billing_period), renewal_date = COALESCE(?, renewal_date), updated_at = ? WHERE subscription_id = ?'
+				)
+					.bind(extractBillingPeriodFromStripe(sub), periodEnd, timestamp, subscriptionId)
+					.run();
+			} catch (dbErr) {
+				// billing_period/renewal_date columns may not be migrated yet
+				if (!dbErr.message?.includes('no such column')) {
+					console.error('[customer.subscription.updated] ❌ Error syncing subscription row:', dbErr);
+				}
+			}
+
+			// New period, plan or status - re-issue signed license tokens so their expiry follows the subscription
+			const previous = event.data.previous_attributes || {};
+			if (['current_period_end', 'current_period_start', 'items', 'status'].some((field) => field in previous)) {
+				try {
+					await refreshLicenseTokens(env, subscriptionId);
+				} catch (tokenErr) {
+					console.error('[customer.subscription.updated] ❌ Error re-issuing license tokens:', tokenErr);
+				}
+			}
+		}
+
+		const activeItemIds = new Set(sub.items.data.map((item) => item.id));
+		const itemIdToSite = new Map(); // Map item_id -> site name from user record
+
+		// Build map of item_id to site name from user record
+		Object.keys(user.sites || {}).forEach((site) => {
+			const siteData = user.sites[site];
+			if (siteData.item_id) {
+				itemIdToSite.set(siteData.item_id, site);
+			}
+		});
+
+		// First, update existing sites and add new ones from Stripe
+		const itemsForEmailStructure = [];
+		const userEmail = user.email;
+
+		// Fetch all licenses for sites in this subscription (batch fetch for efficiency)
+		const siteNames = sub.items.data
+			.map((item) => {
+				const siteFromMetadata = item.metadata?.site;
+				const siteFromUserRecord = itemIdToSite.get(item.id);
+				return siteFromMetadata || siteFromUserRecord;
+			})
+			.filter(Boolean);
+		const licensesMap = await getLicensesForSites(env, siteNames, customerId, sub.id);
+
+		for (const item of sub.items.data) {
+			const siteFromMetadata = item.metadata?.site;
+			const siteFromUserRecord = itemIdToSite.get(item.id);
+			const site = siteFromMetadata || siteFromUserRecord;
+
+			if (site) {
+				// Get license for this site (already fetched in batch, but check if missing)
+				let license = licensesMap[site];
+				if (!license) {
+					license = await getLicenseForSite(env, site, customerId, sub.id);
+				}
+
+				// Generate license key if missing (for subscription.updated webhook)
+				// CRITICAL: Only generate licenses for active subscriptions (not cancelled)
+				if (!license && env.DB && sub.status === 'active' && !sub.cancel_at_period_end && !sub.canceled_at) {
+					try {
+						// Check if license already exists in database
+						const existingLicense = await env.DB.prepare(
+							'SELECT license_key FROM licenses WHERE customer_id = ? AND site_domain = ? AND status = ? LIMIT 1'
+						)
+							.bind(customerId, site, 'active')
+							.first();
+
+						if (!existingLicense) {
+							// Generate new license key only if subscription is active
+							const licenseKey = await generateUniqueLicenseKey(env);
+							const timestamp = Math.floor(Date.now() / 1000);
+							// Extract billing_period and renewal_date from subscription
+							const billingPeriod = extractBillingPeriodFromStripe(sub);
+							const renewalDate = sub.current_period_end || null;
+							await env.DB.prepare(
+								'INSERT INTO licenses (customer_id, subscription_id, item_id, site_domain, license_key, status, billing_period, renewal_date, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)'
+							)
+								.bind(customerId, sub.id, item.id, site, licenseKey, 'active', billingPeriod, renewalDate, timestamp, timestamp)
+								.run();
+							license = { license_key: licenseKey };
+						} else {
+							license = existingLicense;
+						}
+					} catch (licenseError) {
+						console.error(`Failed to generate license for site ${site}:`, licenseError);
+					}
+				} else if (!license && (sub.status === 'canceled' || sub.cancel_at_period_end || sub.canceled_at)) {
+				}
+
+				// Update existing site or add new one
+				// CRITICAL: Mark as inactive if subscription is cancelled
+				if (!user.sites) user.sites = {};
+				const siteStatus = sub.status === 'canceled' || sub.cancel_at_period_end || sub.canceled_at ? 'inactive' : 'active';
+				const siteData = {
+					item_id: item.id,
+					price: item.price.id,
+					quantity: item.quantity,
+					status: siteStatus,
+					created_at: user.sites[site]?.created_at || Math.floor(Date.now() / 1000),
+					subscription_id: sub.id,
+					license: license ? license.license_key || license : null, // Add license info to site object
+					current_period_start: sub.current_period_start,
+					current_period_end: sub.current_period_end,
+					renewal_date: sub.current_period_end,
+					cancel_at_period_end: sub.cancel_at_period_end || false,
+					canceled_at: sub.canceled_at || null,
+				};
+				user.sites[site] = siteData;
+
+				// Save to KV storage (for subscription updates)
+				// Only save for site purchases, not quantity purchases
+				const itemPurchaseType = item.metadata?.purchase_type || 'site';
+				if (itemPurchaseType !== 'quantity' && site) {
+					console.log(`[subscription.updated] 💾 Saving to KV storage for site: ${site}`);
+					await saveSubscriptionToKV(
+						env,
+						customerId,
+						subscriptionId,
+						userEmail,
+						site,
+						sub.status === 'active' ? 'complete' : sub.status,
+						'paid',
+						sub.cancel_at_period_end || false
+					);
+				}
+
+				// Save/update site details in database
+				if (env.DB) {
+					// Get price details for amount
+					const priceDetailsRes = await stripeFetch(env, `/prices/${item.price.id}`);
+					const priceDetails = priceDetailsRes.status === 200 ? priceDetailsRes.body : null;
+
+					await saveOrUpdateSiteInDB(env, {
+						customerId: customerId,
+						subscriptionId: sub.id,
+						itemId: item.id,
+						siteDomain: site,
+						priceId: item.price.id,
+						amountPaid: priceDetails?.unit_amount || 0,
+						currency: priceDetails?.currency || 'usd',
+						status: (() => {
+							const now = Math.floor(Date.now() / 1000);
+							const periodEnded = sub.current_period_end && sub.current_period_end < now;
+
+							if (sub.status === 'canceled' || sub.canceled_at) {
+								return 'inactive';
+							} else if (sub.status === 'unpaid' || sub.status === 'past_due') {
+								return 'inactive';
+							} else if (sub.cancel_at_period_end && periodEnded) {
+								return 'inactive'; // Period ended, now cancelled
+							} else if (sub.cancel_at_period_end && !periodEnded) {
+								return 'cancelling'; // Will cancel at period end
+							} else {
+								return 'active';
+							}
+						})(),
+						currentPeriodStart: sub.current_period_start,
+						currentPeriodEnd: sub.current_period_end,
+						renewalDate: sub.current_period_end,
+						cancelAtPeriodEnd: sub.cancel_at_period_end || false,
+						canceledAt: sub.canceled_at || null,
+					});
+				}
+
+				// ALSO store in subscriptions structure (NEW structure)
+				if (!user.subscriptions) {
+					user.subscriptions = {};
+				}
+				if (!user.subscriptions[sub.id]) {
+					user.subscriptions[sub.id] = {
+						subscriptionId: sub.id,
+						status: sub.status || 'active',
+						sites: {},
+						created_at: Math.floor(Date.now() / 1000),
+					};
+				}
+				user.subscriptions[sub.id].sites[site] = siteData;
+				user.subscriptions[sub.id].sitesCount = Object.keys(user.subscriptions[sub.id].sites).length;
+
+				// Prepare item for email-based structure
+				itemsForEmailStructure.push({
+					item_id: item.id,
+					site: site, // Actual site name/domain
+					price: item.price.id,
+					quantity: item.quantity,
+					status: 'active',
+					created_at: siteData.created_at,
+					license: license || null, // Add license info to item
+				});
+			} else {
+				// Item exists in Stripe but no site mapping - try to create one from metadata
+				if (item.metadata?.site) {
+					const newSite = item.metadata.site;
+					if (!user.sites) user.sites = {};
+					user.sites[newSite] = {
+						item_id: item.id,
+						price: item.price.id,
+						quantity: item.quantity,
+						status: 'active',
+						created_at: Math.floor(Date.now() / 1000),
+					};
+				}
+			}
+		}
+
+		// Now, only mark sites as inactive if:
+		// 1. They have an item_id
+		// 2. That item_id is NOT in the active items
+		// 3. They are currently marked as active (don't re-mark already inactive sites)
+		Object.keys(user.sites || {}).forEach((site) => {
+			const siteData = user.sites[site];
+			if (siteData.item_id && siteData.status === 'active') {
+				// Only mark as inactive if item no longer exists AND it was previously active
+				if (!activeItemIds.has(siteData.item_id)) {
+					// Double-check: make sure this item was actually removed, not just being added
+					// If the site was just added in checkout.session.completed, it might not be in Stripe yet
+					// So we only mark inactive if it's been more than a few seconds since creation
+					const timeSinceCreation = Date.now() / 1000 - (siteData.created_at || 0);
+					if (timeSinceCreation > 10) {
+						// Only mark inactive if created more than 10 seconds ago
+						user.sites[site].status = 'inactive';
+						if (!user.sites[site].removed_at) {
+							user.sites[site].removed_at = Math.floor(Date.now() / 1000);
+						}
+					} else {
+					}
+				} else {
+					// Item exists - ensure it's active and update quantity
+					const currentItem = sub.items.data.find((item) => item.id === siteData.item_id);
+					if (currentItem) {
+						user.sites[site].status = 'active'; // Ensure it's active
+						user.sites[site].quantity = currentItem.quantity;
+						user.sites[site].price = currentItem.price.id; // Update price in case it changed
+					}
+				}
+			}
+		});
+
+		// Update subscription status (handle cancellation)
+		if (sub.cancel_at_period_end) {
+			// Subscription is scheduled to cancel at period end
+			user.subscriptionStatus = 'cancelling';
+			if (user.subscriptions && user.subscriptions[subscriptionId]) {
+				user.subscriptions[subscriptionId].status = 'cancelling';
+				user.subscriptions[subscriptionId].cancel_at_period_end = true;
+				user.subscriptions[subscriptionId].cancel_at = sub.cancel_at;
+				user.subscriptions[subscriptionId].current_period_end = sub.current_period_end;
+			}
+		} else if (sub.status === 'canceled' || sub.status === 'unpaid' || sub.status === 'past_due') {
+			// Subscription is cancelled or in bad state
+			const finalStatus = sub.status === 'canceled' && sub.current_period_end < now ? 'expired' : sub.status;
+			user.subscriptionStatus = finalStatus;
+			if (user.subscriptions && user.subscriptions[subscriptionId]) {
+				user.subscriptions[subscriptionId].status = finalStatus;
+				user.subscriptions[subscriptionId].canceled_at = sub.canceled_at;
+			}
+			// Mark all sites as inactive or expired
+			const removedAt = Math.floor(Date.now() / 1000);
+			Object.keys(user.sites || {}).forEach((site) => {
+				if (user.sites[site].subscription_id === subscriptionId) {
+					user.sites[site].status = finalStatus === 'expired' ? 'expired' : 'inactive';
+					if (!user.sites[site].removed_at) {
+						user.sites[site].removed_at = removedAt;
+					}
+
+					// Update site status in database
+					if (env.DB) {
+						saveOrUpdateSiteInDB(env, {
+							customerId: customerId,
+							subscriptionId: subscriptionId,
+							itemId: user.sites[site].item_id,
+							siteDomain: site,
+							priceId: user.sites[site].price,
+							amountPaid: 0, // Will be updated from existing record
+							currency: sub.currency || 'usd',
+							status: finalStatus === 'expired' ? 'expired' : 'inactive',
+							currentPeriodStart: sub.current_period_start,
+							currentPeriodEnd: sub.current_period_end,
+							renewalDate: sub.current_period_end,
+							cancelAtPeriodEnd: false,
+							canceledAt: sub.canceled_at || removedAt,
+						}).catch((err) => console.error('Failed to update site in DB:', err));
+					}
+				}
+			});
+		} else {
+			// Subscription is active
+			user.subscriptionStatus = 'active';
+			if (user.subscriptions && user.subscriptions[subscriptionId]) {
+				user.subscriptions[subscriptionId].status = 'active';
+				user.subscriptions[subscriptionId].cancel_at_period_end = false;
+			}
+		}
+
+		// Update user in database
+		await saveUserByEmail(env, userEmail, user);
+
+		// Update subscription items in database
+		if (itemsForEmailStructure.length > 0) {
+			try {
+				await addOrUpdateCustomerInUser(env, userEmail, customerId, subscriptionId, itemsForEmailStructure);
+			} catch (dbError) {
+				console.error(`❌ Failed to update database structure:`, dbError);
+			}
+		}
+	}
+}
@@ -0,0 +1,28 @@
+/**
+ * Registers every Stripe webhook event module. To support a new event, add a module exporting
+ * `type` and `handle(event, ctx)` and list it here.
+ */
+import { registerEventModule } from './registry.js';
+import * as checkoutSessionCompleted from './checkout-session-completed.js';
+import * as customerSubscriptionUpdated from './customer-subscription-updated.js';
+import * as customerSubscriptionDeleted from './customer-subscription-deleted.js';
+import * as paymentIntentSucceeded from './payment-intent-succeeded.js';
+import * as invoicePaymentSucceeded from './invoice-payment-succeeded.js';
+import * as invoicePaymentFailed from './invoice-payment-failed.js';
+import * as chargeRefunded from './charge-refunded.js';
+import * as chargeDisputeCreated from './charge-dispute-created.js';
+import * as chargeDisputeClosed from './charge-dispute-closed.js';
+
+[
+	checkoutSessionCompleted,
+	customerSubscriptionUpdated,
+	customerSubscriptionDeleted,
+	paymentIntentSucceeded,
+	invoicePaymentSucceeded,
+	invoicePaymentFailed,
+	chargeRefunded,
+	chargeDisputeCreated,
+	chargeDisputeClosed,
+].forEach(registerEventModule);
+
+export { dispatchEvent, getHandledEventTypes } from './registry.js';
@@ -0,0 +1,139 @@
+/**
+ * invoice.payment_failed: dunning. The first failure puts the subscription into a grace period (licenses keep
+ * working, flagged in KV); later failures extend the grace period while Stripe keeps retrying, and once Stripe
+ * gives up the licenses are suspended in every active-sites namespace.
+ */
+import { getInvoiceSubscriptionId, logStripeEvent } from '../lib/stripe.js';
+import { updateLicenseKvRecords } from '../lib/licenses.js';
+
+export const type = 'invoice.payment_failed';
+
+const DAY = 24 * 60 * 60;
+
+/**
+ * Work out the dunning state for a failed invoice.
+ * Stripe sets next_payment_attempt to null after its last retry; DUNNING_MAX_ATTEMPTS caps it on our side too.
+ */
+export function getDunningState(invoice, env, now = Math.floor(Date.now() / 1000)) {
+	const graceDays = parseInt(env.DUNNING_GRACE_DAYS, 10) || 3;
+	const maxAttempts = parseInt(env.DUNNING_MAX_ATTEMPTS, 10) || 4;
+	const attemptCount = invoice.attempt_count || 1;
+	const final = !invoice.next_payment_attempt || attemptCount >= maxAttempts;
+
+	return {
+		status: final ? 'suspended' : 'grace',
+		attemptCount,
+		// Keep licenses working until a little after Stripe's next retry
+		graceEndsAt: final ? now : invoice.next_payment_attempt + graceDays * DAY,
+	};
+}
+
+// Handle invoice.payment_failed - grace period first, suspension after Stripe's final retry
+export async function handle(event, ctx) {
+	const { env } = ctx;
+	const invoice = event.data.object;
+	const subscriptionId = getInvoiceSubscriptionId(invoice);
+	const customerId = invoice.customer;
+	const now = Math.floor(Date.now() / 1000);
+
+	// Log invoice payment failure
+	await logStripeEvent(env, event, subscriptionId, customerId, {
+		action: 'invoice_payment_failed',
+		invoice_id: invoice.id,
+		amount_due: invoice.amount_due,
+		currency: invoice.currency,
+		attempt_count: invoice.attempt_count,
+		next_payment_attempt: invoice.next_payment_attempt,
+		note: 'Invoice payment failed - subscription may be at risk',
+	});
+
+	if (!subscriptionId || !env.DB) {
+		return;
+	}
+
+	const dunning = getDunningState(invoice, env, now);
+	const updateUrl = invoice.hosted_invoice_url || null;
+
+	console.log(`[invoice.payment_failed] 💳 Subscription ${subscriptionId} dunning:`, {
+		invoice: invoice.id,
+		attempt_count: dunning.attemptCount,
+		status: dunning.status,
+		grace_period_ends_at: dunning.graceEndsAt,
+	});
+
+	// 1. Subscription: past_due plus dunning state for the dashboard banner
+	try {
+		await env.DB.prepare(
+			`UPDATE subscriptions
+       SET status = 'past_due', dunning_status = ?, payment_failed_at = COALESCE(payment_failed_at, ?),
+           payment_attempt_count = ?, grace_period_ends_at = ?, payment_update_url = ?, updated_at = ?
+       WHERE subscription_id = ?`
+		)
+			.bind(dunning.status, now, dunning.attemptCount, dunning.graceEndsAt, updateUrl, now, subscriptionId)
+			.run();
+	} catch (error) {
+		if (!error.message?.includes('no such column')) throw error;
+		console.warn('[invoice.payment_failed] ⚠️ Dunning columns missing - run add-dunning-columns.sql. Updating status only.');
+		await env.DB.prepare(`UPDATE subscriptions SET status = 'past_due', updated_at = ? WHERE subscription_id = ?`)
+			.bind(now, subscriptionId)
+			.run();
+	}
+
+	const licensesRes = await env.DB.prepare(
+		'SELECT license_key, site_domain, used_site_domain, status FROM licenses WHERE subscription_id = ?'
+	)
+		.bind(subscriptionId)
+		.all();
+	const licenses = (licensesRes.results || []).filter((l) => l.status === 'active' || l.status === 'suspended');
+
+	if (dunning.status === 'grace') {
+		// 2a. Grace period: licenses stay active, KV records carry the flag so banners keep working
+		for (const license of licenses) {
+			await updateLicenseKvRecords(env, license, { payment_status: 'past_due', grace_period_ends_at: dunning.graceEndsAt });
+		}
+		console.log(`[invoice.payment_failed] ⏳ ${licenses.length} license(s) in grace period until ${dunning.graceEndsAt}`);
+		return;
+	}
+
+	// 2b. Final failure: suspend licenses and sites
+	await env.DB.batch([
+		env.DB.prepare(`UPDATE licenses SET status = 'suspended', updated_at = ? WHERE subscription_id = ? AND status = 'active'`).bind(
+			now,
+			subscriptionId
+		),
+		env.DB.prepare(`UPDATE sites SET status = 'suspended', updated_at = ? WHERE subscription_id = ? AND status = 'active'`).bind(
+			now,
+			subscriptionId
+		),
+	]);
+
+	for (const license of licenses) {
+		await updateLicenseKvRecords(env, license, { status: 'suspended', active: false, payment_status: 'unpaid', grace_period_ends_at: now });
+	}
+
+	if (env.SUBSCRIPTION_CONSENTBIT && customerId) {
+		const subscriptionKey = `${customerId}-${subscriptionId}`;
+		const existing = await env.SUBSCRIPTION_CONSENTBIT.get(subscriptionKey);
+		if (existing) {
+			await env.SUBSCRIPTION_CONSENTBIT.put(
+				subscriptionKey,
+				JSON.stringify({
+					...JSON.parse(existing),
+					isSubscribed: false,
+					subscriptionStatus: 'past_due',
+					paymentStatus: 'unpaid',
+					lastUpdated: new Date().toISOString(),
+				})
+			);
+		}
+	}
+
+	await logStripeEvent(env, event, subscriptionId, customerId, {
+		action: 'licenses_suspended_for_non_payment',
+		invoice_id: invoice.id,
+		attempt_count: dunning.attemptCount,
+		licenses_suspended: licenses.length,
+	});
+
+	console.log(`[invoice.payment_failed] 🚫 Suspended ${licenses.length} license(s) for ${subscriptionId} after final payment failure`);
+}
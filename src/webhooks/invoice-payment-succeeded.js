@@ -0,0 +1,197 @@
+/**
+ * invoice.payment_succeeded: renewals. Refreshes period dates on the subscription, its sites and licenses,
+ * reactivates licenses suspended for non-payment and records the payment.
+ */
+import { getInvoiceSubscriptionId, extractBillingPeriodFromStripe, getCustomerEmail, logStripeEvent, stripeFetch } from '../lib/stripe.js';
+import { updateLicenseKvRecords } from '../lib/licenses.js';
+
+export const type = 'invoice.payment_succeeded';
+
+// License/site statuses set while an invoice is unpaid; a paid invoice restores them to 'active'
+const UNPAID_STATUSES = ['past_due', 'suspended'];
+
+// Period dates moved from the subscription to its items in newer API versions
+function getSubscriptionPeriod(sub, item = null) {
+	const source = item && item.current_period_end ? item : sub.items?.data?.[0]?.current_period_end ? sub.items.data[0] : sub;
+	return {
+		start: source.current_period_start || sub.current_period_start || null,
+		end: source.current_period_end || sub.current_period_end || null,
+	};
+}
+
+// Handle invoice.payment_succeeded - keep renewal dates and license status current
+export async function handle(event, ctx) {
+	const { env, step } = ctx;
+	const invoice = event.data.object;
+	const subscriptionId = getInvoiceSubscriptionId(invoice);
+	const customerId = invoice.customer;
+
+	if (!subscriptionId) {
+		console.log(`[invoice.payment_succeeded] ⏭️ Invoice ${invoice.id} is not for a subscription - nothing to renew`);
+		return;
+	}
+
+	if (!env.DB) {
+		console.warn('[invoice.payment_succeeded] ⚠️ No DB configured, skipping renewal');
+		return;
+	}
+
+	const subRes = await stripeFetch(env, `/subscriptions/${subscriptionId}`);
+	if (subRes.status !== 200) {
+		throw new Error(`Failed to fetch subscription ${subscriptionId}: ${subRes.status}`);
+	}
+	const sub = subRes.body;
+	const period = getSubscriptionPeriod(sub);
+	const billingPeriod = extractBillingPeriodFromStripe(sub);
+	const now = Math.floor(Date.now() / 1000);
+
+	console.log(`[invoice.payment_succeeded] 🔄 Renewing ${subscriptionId}:`, {
+		invoice: invoice.id,
+		billing_reason: invoice.billing_reason,
+		period_end: period.end,
+	});
+
+	// 1. Subscription row - a paid invoice also ends any dunning cycle
+	try {
+		await env.DB.prepare(
+			`UPDATE subscriptions
+       SET status = ?, current_period_start = ?, current_period_end = ?, cancel_at_period_end = ?,
+           dunning_status = NULL, payment_failed_at = NULL, payment_attempt_count = 0, grace_period_ends_at = NULL,
+           payment_update_url = NULL, updated_at = ?
+       WHERE subscription_id = ?`
+		)
+			.bind(sub.status, period.start, period.end, sub.cancel_at_period_end ? 1 : 0, now, subscriptionId)
+			.run();
+	} catch (error) {
+		if (!error.message?.includes('no such column')) throw error;
+		// Dunning columns not migrated yet
+		await env.DB.prepare(
+			`UPDATE subscriptions
+       SET status = ?, current_period_start = ?, current_period_end = ?, cancel_at_period_end = ?, updated_at = ?
+       WHERE subscription_id = ?`
+		)
+			.bind(sub.status, period.start, period.end, sub.cancel_at_period_end ? 1 : 0, now, subscriptionId)
+			.run();
+	}
+
+	// 2. Sites - per item when the item is known, subscription period otherwise
+	const statements = [];
+	for (const item of sub.items?.data || []) {
+		const itemPeriod = getSubscriptionPeriod(sub, item);
+		statements.push(
+			env.DB.prepare(
+				`UPDATE sites
+         SET current_period_start = ?, current_period_end = ?, renewal_date = ?,
+             status = CASE WHEN status IN ('past_due', 'suspended') THEN 'active' ELSE status END,
+             updated_at = ?
+         WHERE subscription_id = ? AND item_id = ?`
+			).bind(itemPeriod.start, itemPeriod.end, itemPeriod.end, now, subscriptionId, item.id)
+		);
+	}
+	statements.push(
+		env.DB.prepare(
+			`UPDATE sites
+       SET current_period_start = ?, current_period_end = ?, renewal_date = ?,
+           status = CASE WHEN status IN ('past_due', 'suspended') THEN 'active' ELSE status END,
+           updated_at = ?
+       WHERE subscription_id = ? AND (item_id IS NULL OR item_id = '')`
+		).bind(period.start, period.end, period.end, now, subscriptionId)
+	);
+	await env.DB.batch(statements);
+
+	// 3. Licenses - renewal date, billing period and reactivation
+	const suspendedBefore = await env.DB.prepare(
+		`SELECT license_key FROM licenses WHERE subscription_id = ? AND status IN ('past_due', 'suspended')`
+	)
+		.bind(subscriptionId)
+		.all();
+	try {
+		await env.DB.prepare(
+			`UPDATE licenses
+       SET renewal_date = ?, billing_period = COALESCE(?, billing_period),
+           status = CASE WHEN status IN ('past_due', 'suspended') THEN 'active' ELSE status END,
+           updated_at = ?
+       WHERE subscription_id = ?`
+		)
+			.bind(period.end, billingPeriod, now, subscriptionId)
+			.run();
+	} catch (error) {
+		if (!error.message?.includes('no such column')) throw error;
+		// renewal_date/billing_period columns not migrated yet - status only
+		await env.DB.prepare(
+			`UPDATE licenses
+       SET status = CASE WHEN status IN ('past_due', 'suspended') THEN 'active' ELSE status END, updated_at = ?
+       WHERE subscription_id = ?`
+		)
+			.bind(now, subscriptionId)
+			.run();
+	}
+
+	// 4. KV records read by the consent banner (also clears the grace-period flag set by dunning)
+	const licensesRes = await env.DB.prepare(
+		'SELECT license_key, site_domain, used_site_domain, status FROM licenses WHERE subscription_id = ?'
+	)
+		.bind(subscriptionId)
+		.all();
+	const reactivated = new Set((suspendedBefore.results || []).map((l) => l.license_key));
+	for (const license of licensesRes.results || []) {
+		const patch = {
+			renewal_date: period.end,
+			cancelAtPeriodEnd: sub.cancel_at_period_end || false,
+			payment_status: 'paid',
+			grace_period_ends_at: null,
+		};
+		// KV records use the activation vocabulary: 'complete' is an active license
+		if (reactivated.has(license.license_key) || UNPAID_STATUSES.includes(license.status)) {
+			patch.status = 'complete';
+			patch.active = true;
+		}
+		await updateLicenseKvRecords(env, license, patch);
+	}
+
+	if (env.SUBSCRIPTION_CONSENTBIT && customerId) {
+		const subscriptionKey = `${customerId}-${subscriptionId}`;
+		const existing = await env.SUBSCRIPTION_CONSENTBIT.get(subscriptionKey);
+		if (existing) {
+			const record = JSON.parse(existing);
+			await env.SUBSCRIPTION_CONSENTBIT.put(
+				subscriptionKey,
+				JSON.stringify({
+					...record,
+					isSubscribed: true,
+					subscriptionStatus: sub.status,
+					paymentStatus: 'paid',
+					lastUpdated: new Date().toISOString(),
+				})
+			);
+		}
+	}
+
+	// 5. Payment record - first invoices are recorded by the checkout handlers
+	if (invoice.billing_reason !== 'subscription_create' && invoice.amount_paid > 0) {
+		await step('record_payment', async () => {
+			const email = invoice.customer_email || (await getCustomerEmail(env, customerId));
+			await env.DB.prepare(
+				`INSERT INTO payments (customer_id, subscription_id, email, amount, currency, status, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+			)
+				.bind(customerId, subscriptionId, email || '', invoice.amount_paid, invoice.currency || 'usd', 'succeeded', now, now)
+				.run();
+			return { invoice_id: invoice.id };
+		});
+	}
+
+	await logStripeEvent(env, event, subscriptionId, customerId, {
+		action: 'invoice_payment_succeeded',
+		invoice_id: invoice.id,
+		billing_reason: invoice.billing_reason,
+		amount_paid: invoice.amount_paid,
+		currency: invoice.currency,
+		current_period_end: period.end,
+		licenses_reactivated: reactivated.size,
+	});
+
+	console.log(
+		`[invoice.payment_succeeded] ✅ Renewed ${subscriptionId}: ${licensesRes.results?.length || 0} license(s), ${reactivated.size} reactivated`
+	);
+}
@@ -0,0 +1,604 @@
+/**
+ * payment_intent.succeeded: payment-mode checkouts for Use Case 2 and Use Case 3.
+ */
+import { getCustomerEmail, stripeFetch } from '../lib/stripe.js';
+import { getUserByEmail, saveUserByEmail, addOrUpdateCustomerInUser, saveOrUpdateSiteInDB } from '../lib/users.js';
+import { generateLicenseKeys, generateUniqueLicenseKey, saveLicenseKeyToKV } from '../lib/licenses.js';
+import { getPriceIdFromProduct } from '../lib/pricing.js';
+import { enqueueSiteQueueItem } from '../lib/sites-queue.js';
+import { getUc3SubscriptionMode, addLicensesToQuantitySubscription } from '../lib/quantity-subscriptions.js';
+
+export const type = 'payment_intent.succeeded';
+
+// Handle payment_intent.succeeded - for payment mode checkouts (prorated amounts)
+// IMPORTANT: This handler ONLY processes Use Case 2 and Use Case 3
+// Use Case 1 (subscription mode) is handled by checkout.session.completed ONLY
+export async function handle(event, ctx) {
+	const { env, step } = ctx;
+	const paymentIntent = event.data.object;
+	const customerId = paymentIntent.customer;
+
+	// For Use Case 3, metadata might be on payment_intent or we need to fetch it
+	// Also check if there's a charge with metadata
+	let metadata = paymentIntent.metadata || {};
+
+	// If metadata is empty, try to get it from the latest charge
+	if (!metadata.usecase && paymentIntent.latest_charge) {
+		try {
+			const chargeRes = await stripeFetch(env, `/charges/${paymentIntent.latest_charge}`);
+			if (chargeRes.status === 200 && chargeRes.body.metadata) {
+				metadata = { ...metadata, ...chargeRes.body.metadata };
+			}
+		} catch (chargeErr) {
+			console.warn(`[payment_intent.succeeded] Could not fetch charge metadata:`, chargeErr);
+		}
+	}
+
+	const existingSubscriptionId = metadata.existing_subscription_id || metadata.subscription_id;
+	const addToExisting = metadata.add_to_existing === 'true';
+	const useCase3 = metadata.usecase === '3'; // Primary identifier for Use Case 3
+	const useCase2 = metadata.usecase === '2'; // Primary identifier for Use Case 2
+	// For Use Case 3, get customer ID from metadata or paymentIntent.customer
+	const useCase3CustomerId = metadata.customer_id || customerId;
+	// For Use Case 2, get customer ID from metadata or paymentIntent.customer
+	const useCase2CustomerId = metadata.customer_id || customerId;
+
+	// CRITICAL: Skip Use Case 1 - it's handled by checkout.session.completed ONLY
+	// If this is a subscription mode checkout (Use Case 1), payment_intent.succeeded should NOT process it
+	// Check if this payment intent is associated with a subscription (Use Case 1 indicator)
+	if (!useCase2 && !useCase3) {
+		// Check if payment intent has an invoice with subscription (Use Case 1 indicator)
+		if (paymentIntent.invoice) {
+			try {
+				const invoiceRes = await stripeFetch(env, `/invoices/${paymentIntent.invoice}`);
+				if (invoiceRes.status === 200 && invoiceRes.body.subscription) {
+					console.log(
+						`[payment_intent.succeeded] ⚠️ Skipping Use Case 1 - payment intent ${paymentIntent.id} is for subscription ${invoiceRes.body.subscription}. Use Case 1 is handled by checkout.session.completed ONLY.`
+					);
+					return new Response('ok');
+				}
+			} catch (invoiceErr) {
+				// If we can't check invoice, log warning but continue check
+				console.warn(`[payment_intent.succeeded] Could not check invoice for subscription:`, invoiceErr);
+			}
+		}
+
+		// Also check if payment intent metadata indicates subscription mode
+		// Use Case 1 subscriptions don't have usecase='2' or '3' in metadata
+		// If metadata is empty or doesn't have usecase, and it's not Use Case 2/3, it's likely Use Case 1
+		if (!metadata.usecase || (metadata.usecase !== '2' && metadata.usecase !== '3')) {
+			console.log(
+				`[payment_intent.succeeded] ⚠️ Skipping Use Case 1 - payment intent ${
+					paymentIntent.id
+				} has no usecase metadata or usecase is not 2/3 (usecase: ${
+					metadata.usecase || 'not set'
+				}). Use Case 1 is handled by checkout.session.completed ONLY.`
+			);
+			return new Response('ok');
+		}
+	}
+
+	// USE CASE 2: Site purchase - Create separate subscription for each site (like Use Case 3 for licenses)
+	// DEBUG: always log what we got for this PI
+	console.log('[PI DEBUG] payment_intent.succeeded id:', paymentIntent.id);
+	console.log('[PI DEBUG] metadata:', metadata);
+	console.log('[PI DEBUG] usecase:', metadata.usecase, 'useCase2:', useCase2, 'useCase3:', useCase3);
+
+	// USE CASE 2: Site purchase - enqueue site processing job
+	if (useCase2 && useCase2CustomerId) {
+		console.log('[USE CASE 2] Handling site purchase (payment_intent.succeeded)');
+
+		const userEmail = await getCustomerEmail(env, useCase2CustomerId);
+		console.log('[USE CASE 2] userEmail:', userEmail);
+
+		if (!userEmail) {
+			console.warn('[USE CASE 2] No user email, exiting');
+			return new Response('ok');
+		}
+
+		// Parse sites
+		let siteNames = [];
+		try {
+			const rawSites = metadata.sites_json || metadata.sites;
+			console.log('[USE CASE 2] rawSites:', rawSites);
+			if (rawSites) {
+				siteNames = JSON.parse(rawSites);
+			}
+		} catch (e) {
+			console.error('[USE CASE 2] Error parsing sites_json:', e);
+		}
+
+		const productId = metadata.product_id;
+		const billingPeriod = (metadata.billing_period || '').toLowerCase().trim() || null;
+
+		console.log('[USE CASE 2] productId:', productId, 'billingPeriod:', billingPeriod);
+
+		// Derive priceId from product + billingPeriod in the currency the customer paid in (shared helper)
+		const priceId = await getPriceIdFromProduct(productId, billingPeriod, env, metadata.currency || paymentIntent.currency);
+		console.log('[USE CASE 2] derived priceId:', priceId);
+
+		if (!priceId || siteNames.length === 0) {
+			console.warn('[USE CASE 2] Missing priceId or sites, skipping enqueue', {
+				productId,
+				billingPeriod,
+				priceId,
+				siteNamesLength: siteNames.length,
+			});
+			return new Response('ok');
+		}
+
+		// Save payment method
+		let paymentMethodId = paymentIntent.payment_method;
+		console.log('[USE CASE 2] paymentMethodId from PI:', paymentMethodId);
+
+		if (!paymentMethodId && paymentIntent.latest_charge) {
+			try {
+				const chargeRes = await stripeFetch(env, `/charges/${paymentIntent.latest_charge}`);
+				console.log('[USE CASE 2] chargeRes.status:', chargeRes.status);
+				if (chargeRes.status === 200) {
+					paymentMethodId = chargeRes.body.payment_method;
+				}
+			} catch (e) {
+				console.warn('[USE CASE 2] Could not fetch charge for payment method:', e);
+			}
+		}
+
+		if (!paymentMethodId) {
+			console.warn('[USE CASE 2] No payment method, skipping enqueue');
+			return new Response('ok');
+		}
+
+		await stripeFetch(
+			env,
+			`/payment_methods/${paymentMethodId}/attach`,
+			'POST',
+			{
+				customer: useCase2CustomerId,
+			},
+			true
+		);
+
+		await stripeFetch(
+			env,
+			`/customers/${useCase2CustomerId}`,
+			'POST',
+			{
+				'invoice_settings[default_payment_method]': paymentMethodId,
+			},
+			true
+		);
+
+		// Enqueue sites job
+		const sitesForQueue = siteNames.map((name) => ({
+			site: name,
+			price: priceId,
+			billing_period: billingPeriod,
+		}));
+
+		console.log('[USE CASE 2] sitesForQueue:', sitesForQueue);
+
+		const queueId = await enqueueSiteQueueItem(env, {
+			customerId: useCase2CustomerId,
+			userEmail,
+			subscriptionId: null,
+			sites: sitesForQueue,
+			billingPeriod,
+			priceId,
+			paymentIntentId: paymentIntent.id,
+		});
+
+		console.log('[USE CASE 2] ✅ Enqueued sites job', {
+			queueId,
+			sites: siteNames.length,
+		});
+
+		return new Response('ok');
+	}
+
+	// USE CASE 3: Quantity license purchase
+
+	if (useCase3 && useCase3CustomerId) {
+		// Check if subscriptions/licenses already exist for this payment intent
+		// This indicates checkout.session.completed already processed the purchase
+		if (env.DB) {
+			try {
+				// Method 1: Check if subscriptions exist with payment_intent_id in queue (most reliable)
+				// Include 'pending' status because checkout.session.completed adds items with 'pending' status
+				const queueCheck = await env.DB.prepare(
+					`SELECT COUNT(*) as count FROM subscription_queue 
+         WHERE payment_intent_id = ? AND status IN ('pending', 'processing', 'completed')`
+				)
+					.bind(paymentIntent.id)
+					.first();
+
+				if (queueCheck && queueCheck.count > 0) {
+					console.log(
+						`[USE CASE 3 - payment_intent.succeeded] ⚠️ Skipping duplicate processing - ${queueCheck.count} queue item(s) already exist (status: pending/processing/completed) for payment_intent_id=${paymentIntent.id}. checkout.session.completed webhook already handled this.`
+					);
+					return new Response('ok');
+				}
+
+				// Method 2: Check if licenses exist for this customer with purchase_type='quantity' created recently (within last 10 minutes)
+				// This catches cases where checkout.session.completed already processed the purchase
+				const recentTimestamp = Math.floor(Date.now() / 1000) - 10 * 60; // 10 minutes ago
+				const existingLicenses = await env.DB.prepare(
+					`SELECT COUNT(*) as count FROM licenses 
+         WHERE customer_id = ? AND purchase_type = 'quantity' AND created_at >= ?`
+				)
+					.bind(useCase3CustomerId, recentTimestamp)
+					.first();
+
+				if (existingLicenses && existingLicenses.count > 0) {
+					console.log(
+						`[USE CASE 3 - payment_intent.succeeded] ⚠️ Skipping duplicate processing - ${existingLicenses.count} license(s) already created by checkout.session.completed webhook`
+					);
+					return new Response('ok');
+				}
+			} catch (checkErr) {
+				console.warn(`[USE CASE 3 - payment_intent.succeeded] ⚠️ Could not check for existing licenses:`, checkErr);
+				// Continue processing if check fails (fallback behavior - but log warning)
+				console.warn(
+					`[USE CASE 3 - payment_intent.succeeded] ⚠️ Proceeding with fallback processing (may create duplicates if checkout.session.completed already processed)`
+				);
+			}
+		}
+
+		try {
+			const userEmail = await getCustomerEmail(env, useCase3CustomerId);
+			if (!userEmail) {
+				console.warn('[USE CASE 3] Email not found');
+				return new Response('ok');
+			}
+
+			// ===============================
+			// ✅ METADATA (ONLY quantity + price)
+			// ===============================
+			const priceId = metadata.price_id || null;
+			const quantity = Number(metadata.quantity) || 0;
+
+			if (!priceId || quantity <= 0) {
+				console.error('[USE CASE 3] ❌ Invalid metadata', metadata);
+				return new Response('ok');
+			}
+
+			// ===============================
+			// ✅ GENERATE REAL LICENSE KEYS
+			// ===============================
+			// Checkpointed so a retried event reuses the same keys instead of minting new ones
+			const licenseKeys = await step('uc3_license_keys', () => generateLicenseKeys(quantity, env));
+
+			console.log(
+				`[USE CASE 3 - payment_intent.succeeded] ✅ Generated ${licenseKeys.length} license keys (fallback handler - checkout.session.completed should have handled this)`
+			);
+
+			// ===============================
+			// STEP 1: Save payment method
+			// ===============================
+			let paymentMethodId = paymentIntent.payment_method;
+
+			if (!paymentMethodId && paymentIntent.latest_charge) {
+				const charge = await stripeFetch(env, `/charges/${paymentIntent.latest_charge}`);
+				paymentMethodId = charge?.body?.payment_method;
+			}
+
+			if (!paymentMethodId) {
+				console.error('[USE CASE 3] ❌ No payment method');
+				return new Response('ok');
+			}
+
+			await stripeFetch(env, `/payment_methods/${paymentMethodId}/attach`, 'POST', { customer: useCase3CustomerId }, true);
+
+			await stripeFetch(
+				env,
+				`/customers/${useCase3CustomerId}`,
+				'POST',
+				{ 'invoice_settings[default_payment_method]': paymentMethodId },
+				true
+			);
+
+			const now = Math.floor(Date.now() / 1000);
+			const trialEnd = now + 30 * 24 * 60 * 60; // 30 days
+
+			// Quantity mode: one shared subscription item, licenses/KV/payment saved in one go
+			if (getUc3SubscriptionMode(env) === 'quantity') {
+				const result = await addLicensesToQuantitySubscription(env, {
+					customerId: useCase3CustomerId,
+					userEmail,
+					priceId,
+					licenseKeys,
+					trialEnd,
+					prorationBehavior: 'none', // paid by this payment intent
+					idempotencyKey: `uc3-${paymentIntent.id}`,
+				});
+				if (env.DB) {
+					await env.DB.prepare(
+						`INSERT INTO payments (customer_id, subscription_id, email, amount, currency, status, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, 'succeeded', ?, ?)`
+					)
+						.bind(useCase3CustomerId, result.subscriptionId, userEmail, paymentIntent.amount, paymentIntent.currency || 'usd', now, now)
+						.run();
+				}
+				return new Response('ok');
+			}
+
+			// ===============================
+			// STEP 2: Create subscriptions
+			// ===============================
+			const createdSubscriptionIds = [];
+			const successfulLicenseSubscriptions = [];
+
+			for (let i = 0; i < quantity; i++) {
+				const res = await stripeFetch(
+					env,
+					'/subscriptions',
+					'POST',
+					{
+						customer: useCase3CustomerId,
+						'items[0][price]': priceId,
+						'items[0][quantity]': 1,
+						trial_end: trialEnd.toString(),
+						'metadata[license_key]': licenseKeys[i],
+						'metadata[usecase]': '3',
+						'metadata[purchase_type]': 'quantity',
+					},
+					true
+				);
+
+				if (res.status !== 200) continue;
+
+				const sub = res.body;
+				createdSubscriptionIds.push(sub.id);
+
+				const itemId = sub.items?.data?.[0]?.id || null;
+
+				successfulLicenseSubscriptions.push({
+					licenseKey: licenseKeys[i],
+					subscriptionId: sub.id,
+					itemId,
+					renewalDate: sub.current_period_end || null,
+				});
+			}
+
+			// ===============================
+			// STEP 3: Save licenses to DB + KV
+			// ===============================
+			if (env.DB) {
+				const ts = Math.floor(Date.now() / 1000);
+
+				for (const l of successfulLicenseSubscriptions) {
+					await env.DB.prepare(
+						`INSERT INTO licenses 
+                             (license_key, customer_id, subscription_id, item_id, 
+            status, purchase_type, created_at, updated_at,user_email)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+					)
+						.bind(l.licenseKey, useCase3CustomerId, l.subscriptionId, l.itemId, 'active', 'quantity', ts, ts,userEmail)
+						.run();
+
+					await saveLicenseKeyToKV(env, l.licenseKey, useCase3CustomerId, l.subscriptionId, userEmail, 'complete', false, null);
+				}
+			}
+
+			// ===============================
+			// STEP 4: Save payments
+			// ===============================
+			if (env.DB && createdSubscriptionIds.length > 0) {
+				const ts = Math.floor(Date.now() / 1000);
+				const perUnit = Math.round(paymentIntent.amount / quantity);
+
+				for (const subId of createdSubscriptionIds) {
+					await env.DB.prepare(
+						`INSERT INTO payments
+           (customer_id, subscription_id, email, amount, currency,
+            status, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+					)
+						.bind(useCase3CustomerId, subId, userEmail, perUnit, paymentIntent.currency || 'usd', 'succeeded', ts, ts)
+						.run();
+				}
+			}
+
+			return new Response('ok');
+		} catch (err) {
+			console.error('[USE CASE 3] ❌ Fatal error', err);
+			return new Response('ok');
+		}
+	}
+
+	// Normal site-based purchase flow (existing logic)
+	if (addToExisting && existingSubscriptionId && customerId) {
+		// Extract sites and prices from metadata
+		const sites = [];
+		const prices = [];
+		let index = 0;
+		while (metadata[`site_${index}`]) {
+			sites.push(metadata[`site_${index}`]);
+			prices.push(metadata[`price_${index}`]);
+			index++;
+		}
+
+		// Get user email from customerId
+		const userEmail = await getCustomerEmail(env, customerId);
+		if (!userEmail) {
+			console.warn('User email not found for payment_intent.succeeded');
+			return new Response('ok');
+		}
+
+		// Get user record from database
+		let user = await getUserByEmail(env, userEmail);
+		if (!user) {
+			console.warn('User record not found for payment_intent.succeeded');
+			return new Response('ok');
+		}
+
+		// Get existing subscription
+		const existingSubRes = await stripeFetch(env, `/subscriptions/${existingSubscriptionId}`);
+		if (existingSubRes.status === 200) {
+			const existingSub = existingSubRes.body;
+
+			// Add each site to the existing subscription with proration
+			for (let i = 0; i < sites.length; i++) {
+				const site = sites[i];
+				const priceId = prices[i];
+
+				if (!site || !priceId) continue;
+
+				// Add subscription item to existing subscription
+				// Note: Since user already paid prorated amount, we add with proration_behavior: 'none'
+				// to avoid double charging. The prorated amount was already paid in the checkout.
+				const addItemRes = await stripeFetch(
+					env,
+					'/subscription_items',
+					'POST',
+					{
+						subscription: existingSubscriptionId,
+						price: priceId,
+						quantity: 1,
+						'metadata[site]': site,
+						proration_behavior: 'none', // No proration - already paid
+					},
+					true
+				);
+
+				if (addItemRes.status === 200) {
+					const newItem = addItemRes.body;
+
+					const siteData = {
+						item_id: newItem.id,
+						price: newItem.price.id,
+						quantity: newItem.quantity,
+						status: 'active',
+						created_at: Math.floor(Date.now() / 1000),
+						subscription_id: existingSubscriptionId,
+					};
+
+					// Update user record
+					if (!user.sites) user.sites = {};
+					user.sites[site] = siteData;
+
+					// Update subscriptions structure
+					if (!user.subscriptions) {
+						user.subscriptions = {};
+					}
+					if (!user.subscriptions[existingSubscriptionId]) {
+						user.subscriptions[existingSubscriptionId] = {
+							subscriptionId: existingSubscriptionId,
+							status: 'active',
+							sites: {},
+							created_at: Math.floor(Date.now() / 1000),
+						};
+					}
+					user.subscriptions[existingSubscriptionId].sites[site] = siteData;
+					user.subscriptions[existingSubscriptionId].sitesCount = Object.keys(
+						user.subscriptions[existingSubscriptionId].sites
+					).length;
+
+					// Remove from pending sites
+					if (user.pendingSites) {
+						user.pendingSites = user.pendingSites.filter((p) => (p.site || p).toLowerCase().trim() !== site.toLowerCase().trim());
+					}
+
+					// Get subscription details for renewal date
+					const subDetailsRes = await stripeFetch(env, `/subscriptions/${existingSubscriptionId}`);
+					const subDetails = subDetailsRes.status === 200 ? subDetailsRes.body : null;
+
+					// Get price details for amount
+					const priceDetailsRes = await stripeFetch(env, `/prices/${priceId}`);
+					const priceDetails = priceDetailsRes.status === 200 ? priceDetailsRes.body : null;
+
+					// Save site details to database
+					if (env.DB && subDetails && priceDetails) {
+						await saveOrUpdateSiteInDB(env, {
+							customerId: customerId,
+							subscriptionId: existingSubscriptionId,
+							itemId: newItem.id,
+							siteDomain: site,
+							priceId: priceId,
+							amountPaid: priceDetails.unit_amount || 0,
+							currency: priceDetails.currency || 'usd',
+							status: 'active',
+							currentPeriodStart: subDetails.current_period_start,
+							currentPeriodEnd: subDetails.current_period_end,
+							renewalDate: subDetails.current_period_end,
+							cancelAtPeriodEnd: subDetails.cancel_at_period_end || false,
+							canceledAt: subDetails.canceled_at || null,
+						});
+
+						// Create payment record for this site
+						// The amount paid is the prorated amount from the payment intent
+						const paymentAmount = paymentIntent.amount || priceDetails.unit_amount || 0;
+						try {
+							const timestamp = Math.floor(Date.now() / 1000);
+							await env.DB.prepare(
+								`INSERT INTO payments (
+                          customer_id, subscription_id, email, amount, currency, 
+                          status, site_domain, magic_link, magic_link_generated, 
+                          created_at, updated_at
+                        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+							)
+								.bind(
+									customerId,
+									existingSubscriptionId,
+									userEmail,
+									paymentAmount,
+									paymentIntent.currency || priceDetails.currency || 'usd',
+									'succeeded',
+									site,
+									null, // magic_link - not used
+									0, // magic_link_generated - false
+									timestamp,
+									timestamp
+								)
+								.run();
+						} catch (paymentError) {
+							console.error(`Failed to create payment record for site ${site}:`, paymentError);
+							// Don't fail the whole operation if payment record creation fails
+						}
+					}
+
+					// Generate license key
+					if (env.DB) {
+						try {
+							const licenseKey = await step(`license_key:${site}`, () => generateUniqueLicenseKey(env));
+							const timestamp = Math.floor(Date.now() / 1000);
+							await env.DB.prepare(
+								'INSERT INTO licenses (customer_id, subscription_id, item_id, site_domain, license_key, status, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)'
+							)
+								.bind(customerId, existingSubscriptionId, newItem.id, site, licenseKey, 'active', timestamp, timestamp)
+								.run();
+						} catch (licenseError) {
+							console.error('Failed to generate license:', licenseError);
+						}
+					}
+				} else {
+					console.error(`Failed to add site ${site} to subscription:`, addItemRes.status, addItemRes.body);
+				}
+			}
+
+			// Save user record to database
+			await saveUserByEmail(env, userEmail, user);
+
+			// Update database structure
+			if (user.email) {
+				try {
+					await addOrUpdateCustomerInUser(
+						env,
+						user.email,
+						customerId,
+						existingSubscriptionId,
+						sites.map((site, i) => ({
+							item_id: user.sites[site]?.item_id,
+							site: site,
+							price: prices[i],
+							quantity: 1,
+							status: 'active',
+							created_at: Math.floor(Date.now() / 1000),
+						}))
+					);
+				} catch (emailError) {
+					console.error('Failed to update email-based structure:', emailError);
+				}
+			}
+		}
+	}
+}
@@ -0,0 +1,122 @@
+/**
+ * Stripe webhook event registry.
+ *
+ * Each event module exports `type` (the Stripe event type) and `handle(event, ctx)`, where `ctx` is
+ * `{ env, executionCtx, step }`. Events are usually processed from the webhook inbox, after the HTTP request has
+ * been answered, so handlers must not depend on the request. A handler may return a Response; when it returns
+ * nothing the event counts as handled (200 "ok").
+ *
+ * Events are deduplicated on `event.id` (see lib/stripe-events.js). Work that must not be repeated when a
+ * failed event is retried, such as minting license keys, should be wrapped in `ctx.step(name, fn)`.
+ *
+ * Shared hooks run around every dispatch:
+ * - `unhandled(event, ctx)` for event types without a handler (default: record in stripe_logs)
+ * - `error(err, event, ctx)` when a handler throws (default: log, record in stripe_logs, respond 500)
+ */
+import { logStripeEvent } from '../lib/stripe.js';
+import { beginStripeEvent, completeStripeEvent, failStripeEvent, createStepRunner } from '../lib/stripe-events.js';
+
+const handlers = new Map();
+
+const hooks = {
+	async unhandled(event, ctx) {
+		const unhandledSubId = event.data?.object?.subscription || event.data?.object?.id || null;
+		const unhandledCustId = event.data?.object?.customer || null;
+		await logStripeEvent(ctx.env, event, unhandledSubId, unhandledCustId, {
+			action: 'unhandled_event',
+			note: `Unhandled event type: ${event.type}`,
+		});
+	},
+
+	async error(error, event, ctx) {
+		// Safely log error without referencing variables that might not be in scope
+		const errorMessage = error?.message || 'Unknown error';
+		const errorStack = error?.stack || 'No stack trace';
+		console.error(`[WEBHOOK] ❌ Handler error for ${event.type} (${event.id}):`, errorMessage);
+		console.error('Error stack:', errorStack);
+		await logStripeEvent(ctx.env, event, null, null, {
+			action: 'handler_error',
+			error: errorMessage,
+		});
+		return new Response(JSON.stringify({ error: 'Internal server error', message: errorMessage }), {
+			status: 500,
+			headers: { 'Content-Type': 'application/json' },
+		});
+	},
+};
+
+export function registerEventHandler(type, handle) {
+	if (handlers.has(type)) {
+		throw new Error(`Webhook handler already registered for ${type}`);
+	}
+	handlers.set(type, handle);
+}
+
+export function registerEventModule(module) {
+	registerEventHandler(module.type, module.handle);
+}
+
+export function getEventHandler(type) {
+	return handlers.get(type) || null;
+}
+
+export function getHandledEventTypes() {
+	return [...handlers.keys()];
+}
+
+// Replace a shared hook ('unhandled' or 'error')
+export function setWebhookHook(name, fn) {
+	if (!(name in hooks)) {
+		throw new Error(`Unknown webhook hook: ${name}`);
+	}
+	hooks[name] = fn;
+}
+
+export async function dispatchEvent(event, ctx) {
+	const handle = getEventHandler(event.type);
+	if (!handle) {
+		await hooks.unhandled(event, ctx);
+		return new Response('ok');
+	}
+
+	const { env } = ctx;
+	const claim = await beginStripeEvent(env, event);
+
+	if (claim.state === 'duplicate') {
+		console.log(`[WEBHOOK] ⏭️ Event ${event.id} (${event.type}) already processed - acknowledging redelivery`);
+		return new Response('ok');
+	}
+
+	if (claim.state === 'in_progress') {
+		// Another delivery is still working on it - ask Stripe to retry later rather than acknowledging work that may fail
+		console.log(`[WEBHOOK] ⏳ Event ${event.id} (${event.type}) is already being processed`);
+		return new Response(JSON.stringify({ error: 'event_in_progress', event_id: event.id }), {
+			status: 409,
+			headers: { 'Content-Type': 'application/json' },
+		});
+	}
+
+	if (claim.state === 'resumed') {
+		console.log(`[WEBHOOK] 🔁 Resuming event ${event.id} (attempt ${claim.attempts}) with checkpoints:`, Object.keys(claim.checkpoints));
+	}
+
+	const tracked = claim.state !== 'untracked';
+	const step = createStepRunner(env, tracked ? event.id : null, claim.checkpoints);
+
+	try {
+		const response = (await handle(event, { ...ctx, step })) || new Response('ok');
+		if (tracked) {
+			if (response.status >= 500) {
+				await failStripeEvent(env, event.id, `Handler responded with status ${response.status}`);
+			} else {
+				await completeStripeEvent(env, event.id);
+			}
+		}
+		return response;
+	} catch (error) {
+		if (tracked) {
+			await failStripeEvent(env, event.id, error?.message);
+		}
+		return hooks.error(error, event, ctx);
+	}
+}
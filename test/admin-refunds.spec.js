@@ -0,0 +1,243 @@
+import { env, fetchMock, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import worker from '../src';
+import { hashAdminToken } from '../src/lib/admin-auth.js';
+import { applySql } from './helpers/d1.js';
+import schemaSql from '../schema.sql?raw';
+import stripeLogsSql from '../create-stripe-logs-table.sql?raw';
+
+const keys = ['KEY-QTY-A', 'KEY-QTY-B', 'KEY-QTY-C'];
+let testEnv;
+
+beforeAll(async () => {
+	await applySql(env.DB, schemaSql);
+	await applySql(env.DB, stripeLogsSql);
+	await env.DB.batch([
+		env.DB.prepare("INSERT INTO users (email) VALUES ('support@example.com')"),
+		env.DB.prepare("INSERT INTO customers (user_email, customer_id) VALUES ('support@example.com', 'cus_r')"),
+		env.DB.prepare(
+			"INSERT INTO subscriptions (user_email, customer_id, subscription_id, status, license_model) VALUES ('support@example.com', 'cus_r', 'sub_qty', 'active', 'quantity')"
+		),
+		env.DB.prepare(
+			"INSERT INTO subscription_queue (queue_id, customer_id, user_email, payment_intent_id, price_id, license_key, license_keys, quantity, status, subscription_id, item_id) VALUES ('q_qty', 'cus_r', 'support@example.com', 'pi_qty', 'price_monthly', 'KEY-QTY-A', ?, 3, 'completed', 'sub_qty', 'si_qty')"
+		).bind(JSON.stringify(keys)),
+		...keys.map((key) =>
+			env.DB.prepare(
+				"INSERT INTO licenses (license_key, customer_id, subscription_id, item_id, status, purchase_type) VALUES (?, 'cus_r', 'sub_qty', 'si_qty', 'active', 'quantity')"
+			).bind(key)
+		),
+	]);
+	testEnv = {
+		...env,
+		STRIPE_SECRET_KEY: 'sk_test_admin_refunds',
+		ADMIN_API_TOKENS: JSON.stringify({ [await hashAdminToken('support-token')]: { name: 'support', permissions: ['refunds:write'] } }),
+	};
+	fetchMock.activate();
+	fetchMock.disableNetConnect();
+});
+
+afterEach(() => fetchMock.assertNoPendingInterceptors());
+
+const stripe = () => fetchMock.get('https://api.stripe.com');
+
+async function refund(body, token = 'support-token') {
+	const headers = { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) };
+	const ctx = createExecutionContext();
+	const response = await worker.fetch(
+		new Request('http://example.com/admin/refunds', { method: 'POST', headers, body: JSON.stringify(body) }),
+		testEnv,
+		ctx
+	);
+	await waitOnExecutionContext(ctx);
+	return response;
+}
+
+function mockPayment(amountRefunded = 0) {
+	stripe().intercept({ path: '/v1/payment_intents/pi_qty' }).reply(200, {
+		id: 'pi_qty',
+		status: 'succeeded',
+		customer: 'cus_r',
+		amount: 2400,
+		amount_received: 2400,
+		currency: 'usd',
+		latest_charge: 'ch_qty',
+		metadata: {},
+	});
+	stripe().intercept({ path: '/v1/charges/ch_qty' }).reply(200, { id: 'ch_qty', amount_refunded: amountRefunded });
+}
+
+async function licenseStatus(key) {
+	return (await env.DB.prepare('SELECT status FROM licenses WHERE license_key = ?').bind(key).first()).status;
+}
+
+describe('POST /admin/refunds', () => {
+	it('requires an admin token with refunds:write', async () => {
+		expect((await refund({ payment_intent_id: 'pi_qty' }, null)).status).toBe(401);
+	});
+
+	it('previews a per-license refund without calling Stripe refunds', async () => {
+		mockPayment();
+		const response = await refund({ license_keys: ['KEY-QTY-B'] });
+		expect(response.status).toBe(200);
+		expect(await response.json()).toMatchObject({
+			dry_run: true,
+			payment_intent_id: 'pi_qty',
+			amount: 800,
+			per_license_amount: 800,
+			refundable: 2400,
+			license_keys: ['KEY-QTY-B'],
+			full_refund: false,
+		});
+		expect(await licenseStatus('KEY-QTY-B')).toBe('active');
+	});
+
+	it('rejects keys that were not bought with the payment', async () => {
+		mockPayment();
+		const response = await refund({ payment_intent_id: 'pi_qty', license_keys: ['KEY-OTHER'], dry_run: false });
+		expect(response.status).toBe(400);
+		expect(await response.json()).toMatchObject({ error: 'license_not_in_payment', details: { license_keys: ['KEY-OTHER'] } });
+	});
+
+	it('refunds one key of a quantity purchase and revokes only that key', async () => {
+		mockPayment();
+		const sent = {};
+		stripe()
+			.intercept({
+				path: '/v1/refunds',
+				method: 'POST',
+				body: (body) => {
+					sent.refund = new URLSearchParams(body);
+					return true;
+				},
+			})
+			.reply(200, { id: 're_admin', amount: 800, currency: 'usd', status: 'succeeded' });
+		stripe()
+			.intercept({
+				path: '/v1/subscription_items/si_qty',
+				method: 'POST',
+				body: (body) => {
+					sent.item = new URLSearchParams(body);
+					return true;
+				},
+			})
+			.reply(200, { id: 'si_qty', quantity: 2 });
+
+		const response = await refund({ payment_intent_id: 'pi_qty', license_keys: ['KEY-QTY-B'], reason: 'duplicate', dry_run: false });
+		expect(response.status).toBe(200);
+		expect(await response.json()).toMatchObject({ refund_id: 're_admin', amount: 800, revoked_license_keys: ['KEY-QTY-B'], billing_errors: [] });
+		expect(sent.refund.get('amount')).toBe('800');
+		expect(sent.refund.get('metadata[refunded_by]')).toBe('support');
+		expect(sent.refund.get('metadata[source]')).toBe('admin');
+		expect(sent.item.get('quantity')).toBe('2');
+		expect(sent.item.get('proration_behavior')).toBe('none');
+
+		expect(await licenseStatus('KEY-QTY-B')).toBe('revoked');
+		expect(await licenseStatus('KEY-QTY-A')).toBe('active');
+		expect(await licenseStatus('KEY-QTY-C')).toBe('active');
+		const row = await env.DB.prepare("SELECT payment_intent_id, amount, reason FROM refunds WHERE refund_id = 're_admin'").first();
+		expect(row).toEqual({ payment_intent_id: 'pi_qty', amount: 800, reason: 'duplicate' });
+	});
+
+	it('sends a new idempotency key for a second refund of the same amount', async () => {
+		const keys = [];
+		for (const [amountRefunded, refundId] of [
+			[0, 're_first'],
+			[800, 're_second'],
+		]) {
+			mockPayment(amountRefunded);
+			stripe()
+				.intercept({
+					path: '/v1/refunds',
+					method: 'POST',
+					headers: (headers) => {
+						keys.push(headers['Idempotency-Key'] ?? headers['idempotency-key']);
+						return true;
+					},
+				})
+				.reply(200, { id: refundId, amount: 800, currency: 'usd', status: 'succeeded' });
+			const response = await refund({ payment_intent_id: 'pi_qty', amount: 800, dry_run: false });
+			expect(await response.json()).toMatchObject({ refund_id: refundId });
+		}
+		expect(new Set(keys).size).toBe(2);
+	});
+
+	it('cancels the site subscriptions of a fully refunded site purchase and reports the ones that fail', async () => {
+		const sites = [
+			{ site: 'a.example.com', license_key: 'KEY-SITE-A', subscription_id: 'sub_site_a' },
+			{ site: 'b.example.com', license_key: 'KEY-SITE-B', subscription_id: 'sub_site_b' },
+		];
+		await env.DB.batch([
+			env.DB.prepare(
+				"INSERT INTO sitesqueue (queueid, customerid, useremail, paymentintentid, sites_json, status, createdat, updatedat) VALUES ('sq_refund', 'cus_r', 'support@example.com', 'pi_sites', ?, 'completed', 0, 0)"
+			).bind(JSON.stringify(sites)),
+			...sites.map(({ site, license_key, subscription_id }) =>
+				env.DB.prepare(
+					"INSERT INTO licenses (license_key, customer_id, subscription_id, site_domain, status, purchase_type) VALUES (?, 'cus_r', ?, ?, 'active', 'site')"
+				).bind(license_key, subscription_id, site)
+			),
+		]);
+		stripe().intercept({ path: '/v1/payment_intents/pi_sites' }).reply(200, {
+			id: 'pi_sites',
+			status: 'succeeded',
+			customer: 'cus_r',
+			amount: 1600,
+			amount_received: 1600,
+			currency: 'usd',
+			latest_charge: 'ch_sites',
+			metadata: {},
+		});
+		stripe().intercept({ path: '/v1/charges/ch_sites' }).reply(200, { id: 'ch_sites', amount_refunded: 0 });
+		stripe()
+			.intercept({ path: '/v1/refunds', method: 'POST' })
+			.reply(200, { id: 're_sites', amount: 1600, currency: 'usd', status: 'succeeded' });
+		stripe().intercept({ path: '/v1/subscriptions/sub_site_a', method: 'DELETE' }).reply(200, { id: 'sub_site_a', status: 'canceled' });
+		stripe().intercept({ path: '/v1/subscriptions/sub_site_b', method: 'DELETE' }).reply(500, { error: { message: 'boom' } });
+
+		const response = await refund({ payment_intent_id: 'pi_sites', dry_run: false });
+		expect(response.status).toBe(200);
+		const body = await response.json();
+		expect(body.revoked_license_keys.sort()).toEqual(['KEY-SITE-A', 'KEY-SITE-B']);
+		expect(body.billing_errors).toEqual([{ site: 'b.example.com', subscription_id: 'sub_site_b', error: expect.stringContaining('500') }]);
+		expect(await licenseStatus('KEY-SITE-A')).toBe('revoked');
+	});
+
+	it('stops billing for every remaining license on a full refund without keys', async () => {
+		mockPayment();
+		stripe()
+			.intercept({ path: '/v1/refunds', method: 'POST' })
+			.reply(200, { id: 're_admin_full', amount: 2400, currency: 'usd', status: 'succeeded' });
+		// The shared item drops to the keys that are left, then the subscription is canceled with the last one
+		for (const quantity of ['2', '1']) {
+			stripe()
+				.intercept({
+					path: '/v1/subscription_items/si_qty',
+					method: 'POST',
+					body: (body) => new URLSearchParams(body).get('quantity') === quantity,
+				})
+				.reply(200, { id: 'si_qty', quantity: Number(quantity) });
+		}
+		const canceled = {};
+		stripe()
+			.intercept({
+				path: '/v1/subscriptions/sub_qty',
+				method: 'POST',
+				body: (body) => {
+					canceled.form = new URLSearchParams(body);
+					return true;
+				},
+			})
+			.reply(200, { id: 'sub_qty', cancel_at_period_end: true });
+
+		const response = await refund({ payment_intent_id: 'pi_qty', dry_run: false });
+		expect(response.status).toBe(200);
+		expect(await response.json()).toMatchObject({
+			refund_id: 're_admin_full',
+			revoked_license_keys: keys,
+			billing_errors: [],
+		});
+		expect(canceled.form.get('cancel_at_period_end')).toBe('true');
+		for (const key of keys) {
+			expect(await licenseStatus(key)).toBe('revoked');
+		}
+	});
+});
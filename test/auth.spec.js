@@ -0,0 +1,69 @@
+import { env, fetchMock, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import worker from '../src';
+import { getAuthenticatedUser, verifyMemberstackToken } from '../src/lib/auth.js';
+import { applySql } from './helpers/d1.js';
+import schemaSql from '../schema.sql?raw';
+
+const testEnv = { ...env, MEMBERSTACK_SECRET_KEY: 'sk_memberstack_test' };
+
+beforeAll(async () => {
+	await applySql(env.DB, schemaSql);
+	fetchMock.activate();
+	fetchMock.disableNetConnect();
+});
+
+afterEach(() => fetchMock.assertNoPendingInterceptors());
+
+const memberstack = () => fetchMock.get('https://admin.memberstack.com');
+
+function mockVerifiedMember(token, memberId, email) {
+	memberstack()
+		.intercept({ path: '/members/verify-token', method: 'POST', body: (body) => JSON.parse(body).token === token })
+		.reply(200, { data: { id: memberId } });
+	memberstack()
+		.intercept({ path: `/members/${memberId}` })
+		.reply(200, { data: { id: memberId, auth: { email } } });
+}
+
+function bearer(token, path = 'http://example.com/') {
+	return new Request(path, { headers: { Authorization: `Bearer ${token}` } });
+}
+
+describe('Memberstack authentication', () => {
+	it('resolves the member email from a valid token', async () => {
+		mockVerifiedMember('tok_valid', 'mem_1', ' Member@Example.com ');
+
+		expect(await getAuthenticatedUser(bearer('tok_valid'), testEnv)).toEqual({
+			email: 'member@example.com',
+			customerId: null,
+			memberId: 'mem_1',
+			source: 'memberstack',
+		});
+	});
+
+	it('rejects a token Memberstack does not accept', async () => {
+		memberstack().intercept({ path: '/members/verify-token', method: 'POST' }).reply(401, { error: 'invalid token' });
+
+		expect(await getAuthenticatedUser(bearer('tok_invalid'), testEnv)).toBeNull();
+	});
+
+	it('treats an unreachable Memberstack as unauthenticated', async () => {
+		memberstack()
+			.intercept({ path: '/members/verify-token', method: 'POST' })
+			.replyWithError(new Error('connect ECONNREFUSED'));
+
+		expect(await verifyMemberstackToken(testEnv, 'tok_any')).toBeNull();
+	});
+
+	it('answers 401 on protected routes without a verified identity, ignoring ?email=', async () => {
+		memberstack().intercept({ path: '/members/verify-token', method: 'POST' }).reply(401, { error: 'invalid token' });
+
+		const ctx = createExecutionContext();
+		const response = await worker.fetch(bearer('tok_invalid', 'http://example.com/licenses?email=victim@example.com'), testEnv, ctx);
+		await waitOnExecutionContext(ctx);
+
+		expect(response.status).toBe(401);
+		expect(await response.json()).toMatchObject({ error: 'unauthenticated', licenses: [] });
+	});
+});
@@ -0,0 +1,73 @@
+import { env, fetchMock, SELF } from 'cloudflare:test';
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import { handleBillingPortal } from '../src/routes/billing.js';
+import { applySql } from './helpers/d1.js';
+import schemaSql from '../schema.sql?raw';
+
+const testEnv = { ...env, STRIPE_SECRET_KEY: 'sk_test_portal', MEMBERSTACK_REDIRECT_URL: 'https://dashboard.example.com/dashboard' };
+
+function portalRequest(body = {}) {
+	return new Request('http://example.com/billing-portal', {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		body: JSON.stringify(body),
+	});
+}
+
+beforeAll(async () => {
+	await applySql(env.DB, schemaSql);
+	await env.DB.batch([
+		env.DB.prepare("INSERT INTO users (email) VALUES ('portal@example.com'), ('other@example.com')"),
+		env.DB.prepare("INSERT INTO customers (user_email, customer_id) VALUES ('portal@example.com', 'cus_portal')"),
+		env.DB.prepare("INSERT INTO customers (user_email, customer_id) VALUES ('other@example.com', 'cus_other')"),
+	]);
+	fetchMock.activate();
+	fetchMock.disableNetConnect();
+});
+
+afterEach(() => fetchMock.assertNoPendingInterceptors());
+
+describe('POST /billing-portal', () => {
+	it('requires authentication', async () => {
+		const response = await SELF.fetch('http://example.com/billing-portal', { method: 'POST' });
+		expect(response.status).toBe(401);
+	});
+
+	it("creates a portal session for the caller's Stripe customer", async () => {
+		let sentBody;
+		fetchMock
+			.get('https://api.stripe.com')
+			.intercept({
+				path: '/v1/billing_portal/sessions',
+				method: 'POST',
+				body: (body) => {
+					sentBody = new URLSearchParams(body);
+					return true;
+				},
+			})
+			.reply(200, { id: 'bps_1', url: 'https://billing.stripe.com/p/session/test' });
+
+		const response = await handleBillingPortal(portalRequest(), testEnv, {}, { user: { email: 'portal@example.com' } });
+
+		expect(response.status).toBe(200);
+		expect(await response.json()).toEqual({ url: 'https://billing.stripe.com/p/session/test' });
+		expect(sentBody.get('customer')).toBe('cus_portal');
+		expect(sentBody.get('return_url')).toBe('https://dashboard.example.com/dashboard');
+	});
+
+	it('refuses a customer_id that belongs to someone else', async () => {
+		const response = await handleBillingPortal(
+			portalRequest({ customer_id: 'cus_other' }),
+			testEnv,
+			{},
+			{ user: { email: 'portal@example.com' } },
+		);
+		expect(response.status).toBe(403);
+	});
+
+	it('returns 404 when the user has no Stripe customer yet', async () => {
+		const response = await handleBillingPortal(portalRequest(), testEnv, {}, { user: { email: 'nobody@example.com' } });
+		expect(response.status).toBe(404);
+		expect((await response.json()).error).toBe('customer_not_found');
+	});
+});
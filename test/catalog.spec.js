@@ -0,0 +1,76 @@
+import { env, fetchMock } from 'cloudflare:test';
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import { getCatalogEntry, getStripeMode } from '../src/lib/catalog.js';
+import { getPriceIdFromProduct } from '../src/lib/pricing.js';
+import { handleGetPriceOptions } from '../src/routes/checkout.js';
+import { applySql } from './helpers/d1.js';
+import priceConfigSql from '../create-price-config-table.sql?raw';
+import priceConfigColumnsSql from '../add-product-id-unit-amount-to-price-config.sql?raw';
+import stripeModeSql from '../add-stripe-mode-to-price-config.sql?raw';
+
+const testEnv = { ...env, STRIPE_SECRET_KEY: 'sk_test_catalog' };
+const liveEnv = { ...env, STRIPE_SECRET_KEY: 'sk_live_catalog' };
+
+beforeAll(async () => {
+	await applySql(env.DB, priceConfigSql);
+	await applySql(env.DB, priceConfigColumnsSql);
+	await applySql(env.DB, stripeModeSql);
+	await env.DB.batch([
+		env.DB.prepare(
+			"UPDATE price_config SET price_id = 'price_live_' || price_type, product_id = 'prod_live_' || price_type, unit_amount = 800, currency = 'usd'"
+		),
+		env.DB.prepare(
+			"INSERT INTO price_config (price_type, price_id, product_id, unit_amount, currency, stripe_mode) VALUES ('monthly', 'price_test_monthly', 'prod_test_monthly', 500, 'usd', 'test')"
+		),
+	]);
+	fetchMock.activate();
+	fetchMock.disableNetConnect();
+});
+
+afterEach(() => fetchMock.assertNoPendingInterceptors());
+
+describe('Price catalog', () => {
+	it('derives the Stripe mode from the secret key unless STRIPE_MODE is set', () => {
+		expect(getStripeMode(testEnv)).toBe('test');
+		expect(getStripeMode(liveEnv)).toBe('live');
+		expect(getStripeMode({ ...testEnv, STRIPE_MODE: 'live' })).toBe('live');
+	});
+
+	it('prefers the row for the current mode and falls back to the shared row', async () => {
+		expect(await getCatalogEntry(testEnv, 'monthly')).toMatchObject({
+			price_id: 'price_test_monthly',
+			product_id: 'prod_test_monthly',
+			unit_amount: 500,
+			stripe_mode: 'test',
+			source: 'database',
+		});
+		expect(await getCatalogEntry(liveEnv, 'monthly')).toMatchObject({ price_id: 'price_live_monthly', unit_amount: 800 });
+		expect(await getCatalogEntry(testEnv, 'yearly')).toMatchObject({ price_id: 'price_live_yearly', interval: 'year' });
+	});
+
+	it('fills product, amount and currency from Stripe for an env-configured price', async () => {
+		await env.DB.prepare("UPDATE price_config SET is_active = 0 WHERE price_type = 'yearly'").run();
+		fetchMock
+			.get('https://api.stripe.com')
+			.intercept({ path: '/v1/prices/price_env_yearly' })
+			.reply(200, { id: 'price_env_yearly', product: 'prod_env', unit_amount: 7200, currency: 'eur', recurring: { interval: 'year' } });
+
+		const entry = await getCatalogEntry({ ...liveEnv, YEARLY_PRICE_ID: 'price_env_yearly' }, 'yearly');
+
+		expect(entry).toMatchObject({ price_id: 'price_env_yearly', product_id: 'prod_env', unit_amount: 7200, currency: 'eur', source: 'environment' });
+	});
+
+	it('resolves the price for a purchase by product and billing period', async () => {
+		expect(await getPriceIdFromProduct('prod_test_monthly', 'monthly', testEnv)).toBe('price_test_monthly');
+		expect(await getPriceIdFromProduct('prod_live_monthly', 'weekly', testEnv)).toBeNull();
+	});
+
+	it('serves the catalog on /get-price-options', async () => {
+		const response = await handleGetPriceOptions(new Request('http://example.com/get-price-options'), testEnv, {}, {});
+		expect(await response.json()).toMatchObject({
+			stripe_mode: 'test',
+			monthly: { price_id: 'price_test_monthly', product_id: 'prod_test_monthly', unit_amount: 500, currency: 'usd' },
+			yearly: { price_id: 'price_live_yearly', product_id: 'prod_live_yearly', unit_amount: 800 },
+		});
+	});
+});
@@ -0,0 +1,174 @@
+import { env, fetchMock } from 'cloudflare:test';
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import { dispatchEvent } from '../src/webhooks/index.js';
+import { applySql } from './helpers/d1.js';
+import schemaSql from '../schema.sql?raw';
+import stripeLogsSql from '../create-stripe-logs-table.sql?raw';
+
+const testEnv = { ...env, STRIPE_SECRET_KEY: 'sk_test_refunds' };
+
+beforeAll(async () => {
+	await applySql(env.DB, schemaSql);
+	await applySql(env.DB, stripeLogsSql);
+	fetchMock.activate();
+	fetchMock.disableNetConnect();
+});
+
+afterEach(() => fetchMock.assertNoPendingInterceptors());
+
+const stripe = () => fetchMock.get('https://api.stripe.com');
+
+async function seedLicense(licenseKey, subscriptionId, domain, status = 'active') {
+	await env.DB.batch([
+		env.DB.prepare("INSERT OR IGNORE INTO users (email) VALUES ('buyer@example.com')"),
+		env.DB.prepare("INSERT OR IGNORE INTO customers (user_email, customer_id) VALUES ('buyer@example.com', 'cus_1')"),
+		env.DB.prepare(
+			"INSERT INTO sites (customer_id, subscription_id, item_id, site_domain, amount_paid, status) VALUES ('cus_1', ?, 'si_1', ?, 800, ?)"
+		).bind(subscriptionId, domain, status),
+		env.DB.prepare(
+			"INSERT INTO licenses (license_key, customer_id, subscription_id, site_domain, used_site_domain, status, platform) VALUES (?, 'cus_1', ?, ?, ?, ?, 'webflow')"
+		).bind(licenseKey, subscriptionId, domain, domain, status),
+	]);
+	const active = status === 'active';
+	await env.ACTIVE_SITES_CONSENTBIT.put(
+		licenseKey,
+		JSON.stringify({ license_key: licenseKey, status: active ? 'complete' : status, active, site_domain: domain })
+	);
+}
+
+async function licenseState(licenseKey) {
+	const row = await env.DB.prepare('SELECT l.status, s.status AS site_status FROM licenses l JOIN sites s ON s.site_domain = l.site_domain WHERE l.license_key = ?')
+		.bind(licenseKey)
+		.first();
+	const kv = JSON.parse(await env.ACTIVE_SITES_CONSENTBIT.get(licenseKey));
+	return { ...row, kv_status: kv.status, kv_active: kv.active };
+}
+
+function refundedCharge(id, paymentIntentId, amountRefunded, refunds) {
+	return {
+		id: `evt_${id}`,
+		type: 'charge.refunded',
+		data: {
+			object: {
+				id,
+				customer: 'cus_1',
+				payment_intent: paymentIntentId,
+				amount: 1600,
+				amount_refunded: amountRefunded,
+				refunded: amountRefunded === 1600,
+				currency: 'eur',
+				refunds: { data: refunds },
+			},
+		},
+	};
+}
+
+describe('charge.refunded', () => {
+	it('revokes the licenses bought with a fully refunded payment and records the refund', async () => {
+		await seedLicense('KEY-REFUND-1', 'sub_queue', 'refunded.example.com');
+		await env.DB.prepare(
+			"INSERT INTO subscription_queue (queue_id, customer_id, user_email, payment_intent_id, price_id, license_key, quantity, status, subscription_id) VALUES ('q_1', 'cus_1', 'buyer@example.com', 'pi_full', 'price_1', 'KEY-REFUND-1', 1, 'completed', 'sub_queue')"
+		).run();
+		stripe().intercept({ path: '/v1/payment_intents/pi_full' }).reply(200, { id: 'pi_full', metadata: { usecase: '3' } });
+
+		const response = await dispatchEvent(
+			refundedCharge('ch_full', 'pi_full', 1600, [{ id: 're_full', amount: 1600, currency: 'eur', status: 'succeeded', reason: 'requested_by_customer' }]),
+			{ env: testEnv }
+		);
+
+		expect(response.status).toBe(200);
+		expect(await licenseState('KEY-REFUND-1')).toEqual({ status: 'revoked', site_status: 'revoked', kv_status: 'revoked', kv_active: false });
+		const refund = await env.DB.prepare('SELECT payment_intent_id, customer_id, user_email, amount, currency, reason FROM refunds WHERE refund_id = ?')
+			.bind('re_full')
+			.first();
+		expect(refund).toEqual({
+			payment_intent_id: 'pi_full',
+			customer_id: 'cus_1',
+			user_email: 'buyer@example.com',
+			amount: 1600,
+			currency: 'eur',
+			reason: 'requested_by_customer',
+		});
+	});
+
+	it('records a partial refund without revoking anything', async () => {
+		await seedLicense('KEY-PARTIAL-1', 'sub_partial', 'partial.example.com');
+		stripe()
+			.intercept({ path: '/v1/payment_intents/pi_partial' })
+			.reply(200, { id: 'pi_partial', metadata: { usecase: '2', sites_json: '["partial.example.com"]' } });
+
+		await dispatchEvent(refundedCharge('ch_partial', 'pi_partial', 400, [{ id: 're_partial', amount: 400, status: 'succeeded' }]), { env: testEnv });
+
+		expect(await licenseState('KEY-PARTIAL-1')).toEqual({ status: 'active', site_status: 'active', kv_status: 'complete', kv_active: true });
+		const refund = await env.DB.prepare('SELECT amount, reason FROM refunds WHERE refund_id = ?').bind('re_partial').first();
+		expect(refund).toEqual({ amount: 400, reason: 'refunded_in_stripe' });
+	});
+
+	it('revokes the rest of a purchase when a Stripe refund completes a charge partly refunded by an admin', async () => {
+		await seedLicense('KEY-MIXED-1', 'sub_mixed', 'mixed-1.example.com', 'revoked');
+		await seedLicense('KEY-MIXED-2', 'sub_mixed', 'mixed-2.example.com');
+		await env.DB.prepare(
+			"INSERT INTO subscription_queue (queue_id, customer_id, user_email, payment_intent_id, price_id, license_key, license_keys, quantity, status) VALUES ('q_mixed', 'cus_1', 'buyer@example.com', 'pi_mixed', 'price_1', 'KEY-MIXED-1', '[\"KEY-MIXED-1\",\"KEY-MIXED-2\"]', 2, 'completed')"
+		).run();
+		stripe().intercept({ path: '/v1/payment_intents/pi_mixed' }).reply(200, { id: 'pi_mixed', metadata: { usecase: '3' } });
+
+		await dispatchEvent(
+			refundedCharge('ch_mixed', 'pi_mixed', 1600, [
+				{ id: 're_mixed_dashboard', amount: 800, status: 'succeeded', created: 200 },
+				{ id: 're_mixed_admin', amount: 800, status: 'succeeded', created: 100, metadata: { source: 'admin' } },
+			]),
+			{ env: testEnv }
+		);
+
+		expect(await licenseState('KEY-MIXED-2')).toMatchObject({ status: 'revoked', kv_status: 'revoked', kv_active: false });
+	});
+
+	it('leaves revocation to the admin refund that completed the charge', async () => {
+		await seedLicense('KEY-ADMIN-1', 'sub_admin', 'admin.example.com');
+		await env.DB.prepare(
+			"INSERT INTO subscription_queue (queue_id, customer_id, user_email, payment_intent_id, price_id, license_key, quantity, status) VALUES ('q_admin', 'cus_1', 'buyer@example.com', 'pi_admin', 'price_1', 'KEY-ADMIN-1', 1, 'completed')"
+		).run();
+		stripe().intercept({ path: '/v1/payment_intents/pi_admin' }).reply(200, { id: 'pi_admin', metadata: { usecase: '3' } });
+
+		await dispatchEvent(
+			refundedCharge('ch_admin', 'pi_admin', 1600, [{ id: 're_admin_only', amount: 1600, status: 'succeeded', created: 100, metadata: { source: 'admin' } }]),
+			{ env: testEnv }
+		);
+
+		expect(await licenseState('KEY-ADMIN-1')).toMatchObject({ status: 'active' });
+	});
+});
+
+describe('charge disputes', () => {
+	function disputeEvent(eventType, status) {
+		return {
+			id: `evt_${eventType}_${status}`,
+			type: eventType,
+			data: { object: { id: 'du_1', charge: 'ch_disputed', payment_intent: 'pi_disputed', amount: 800, currency: 'usd', reason: 'fraudulent', status } },
+		};
+	}
+
+	it('revokes a subscription paid by invoice while disputed and restores it when the dispute is won', async () => {
+		await seedLicense('KEY-DISPUTE-1', 'sub_invoiced', 'disputed.example.com');
+		await seedLicense('KEY-DISPUTE-2', 'sub_invoiced', 'suspended.example.com', 'suspended');
+		stripe()
+			.intercept({ path: '/v1/charges/ch_disputed' })
+			.reply(200, { id: 'ch_disputed', customer: 'cus_1', payment_intent: 'pi_disputed', invoice: 'in_1' });
+		stripe().intercept({ path: '/v1/payment_intents/pi_disputed' }).reply(200, { id: 'pi_disputed', metadata: {} });
+		stripe().intercept({ path: '/v1/invoices/in_1' }).reply(200, { id: 'in_1', subscription: 'sub_invoiced' });
+
+		await dispatchEvent(disputeEvent('charge.dispute.created', 'needs_response'), { env: testEnv });
+
+		expect(await licenseState('KEY-DISPUTE-1')).toEqual({ status: 'revoked', site_status: 'revoked', kv_status: 'revoked', kv_active: false });
+		expect(await licenseState('KEY-DISPUTE-2')).toMatchObject({ status: 'revoked' });
+		const opened = await env.DB.prepare('SELECT status, reason, subscription_id FROM refunds WHERE refund_id = ?').bind('du_1').first();
+		expect(opened).toEqual({ status: 'disputed', reason: 'dispute_fraudulent', subscription_id: 'sub_invoiced' });
+
+		await dispatchEvent(disputeEvent('charge.dispute.closed', 'won'), { env: testEnv });
+
+		expect(await licenseState('KEY-DISPUTE-1')).toEqual({ status: 'active', site_status: 'active', kv_status: 'complete', kv_active: true });
+		expect(await licenseState('KEY-DISPUTE-2')).toEqual({ status: 'suspended', site_status: 'suspended', kv_status: 'suspended', kv_active: false });
+		const closed = await env.DB.prepare('SELECT status FROM refunds WHERE refund_id = ?').bind('du_1').first();
+		expect(closed.status).toBe('won');
+	});
+});
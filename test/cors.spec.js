@@ -0,0 +1,77 @@
+import { env, SELF } from 'cloudflare:test';
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import { clearCorsCache, originMatches } from '../src/lib/cors.js';
+import { applySql } from './helpers/d1.js';
+import corsSql from '../create-cors-allowed-origins-table.sql?raw';
+
+function fetchWithOrigin(path, origin, init = {}) {
+	return SELF.fetch(`http://example.com${path}`, { ...init, headers: { Origin: origin, ...(init.headers || {}) } });
+}
+
+beforeAll(async () => {
+	await applySql(env.DB, corsSql);
+});
+
+afterEach(() => clearCorsCache());
+
+describe('originMatches', () => {
+	it('matches exact origins', () => {
+		expect(originMatches('https://dashboard.consentbit.com', 'https://dashboard.consentbit.com')).toBe(true);
+		expect(originMatches('http://dashboard.consentbit.com', 'https://dashboard.consentbit.com')).toBe(false);
+		expect(originMatches('https://dashboard.consentbit.com.evil.com', 'https://dashboard.consentbit.com')).toBe(false);
+	});
+
+	it('supports wildcard subdomains and ports', () => {
+		expect(originMatches('https://app.consentbit.com', 'https://*.consentbit.com')).toBe(true);
+		expect(originMatches('https://a.b.consentbit.com', 'https://*.consentbit.com')).toBe(true);
+		expect(originMatches('https://consentbit.com', 'https://*.consentbit.com')).toBe(false);
+		expect(originMatches('https://evilconsentbit.com', 'https://*.consentbit.com')).toBe(false);
+		expect(originMatches('http://localhost:5173', 'http://localhost:*')).toBe(true);
+		expect(originMatches('http://localhost:5173', 'http://localhost')).toBe(false);
+	});
+});
+
+describe('CORS policy', () => {
+	it('does not allow unknown origins on dashboard routes', async () => {
+		const response = await fetchWithOrigin('/dashboard', 'https://evil.example');
+		expect(response.status).toBe(401);
+		expect(response.headers.get('Access-Control-Allow-Origin')).toBeNull();
+		expect(response.headers.get('Access-Control-Allow-Credentials')).toBeNull();
+
+		const preflight = await fetchWithOrigin('/dashboard', 'https://evil.example', { method: 'OPTIONS' });
+		expect(preflight.headers.get('Access-Control-Allow-Origin')).toBeNull();
+	});
+
+	it('allows configured origins with credentials on responses and preflights alike', async () => {
+		const response = await fetchWithOrigin('/dashboard', 'https://dashboard.consentbit.com');
+		expect(response.headers.get('Access-Control-Allow-Origin')).toBe('https://dashboard.consentbit.com');
+		expect(response.headers.get('Access-Control-Allow-Credentials')).toBe('true');
+
+		const preflight = await fetchWithOrigin('/dashboard', 'https://dashboard.consentbit.com', { method: 'OPTIONS' });
+		expect(preflight.status).toBe(204);
+		expect(preflight.headers.get('Access-Control-Allow-Origin')).toBe('https://dashboard.consentbit.com');
+		expect(preflight.headers.get('Access-Control-Allow-Credentials')).toBe('true');
+		expect(preflight.headers.get('Access-Control-Allow-Methods')).toBe('GET, OPTIONS');
+	});
+
+	it('lets any origin call public routes without credentials', async () => {
+		const preflight = await fetchWithOrigin('/check-license-status', 'https://customer-site.example', { method: 'OPTIONS' });
+		expect(preflight.headers.get('Access-Control-Allow-Origin')).toBe('*');
+		expect(preflight.headers.get('Access-Control-Allow-Credentials')).toBeNull();
+
+		const response = await fetchWithOrigin('/check-license-status', 'https://customer-site.example');
+		expect(response.headers.get('Access-Control-Allow-Origin')).toBe('*');
+		expect(response.headers.get('Access-Control-Allow-Credentials')).toBeNull();
+	});
+
+	it('adds no CORS headers to server-to-server routes', async () => {
+		const response = await fetchWithOrigin('/webhook', 'https://dashboard.consentbit.com', { method: 'POST', body: '{}' });
+		expect(response.headers.get('Access-Control-Allow-Origin')).toBeNull();
+	});
+
+	it('reads additional origins from the cors_allowed_origins table', async () => {
+		await env.DB.prepare("INSERT INTO cors_allowed_origins (origin) VALUES ('https://*.partner.example')").run();
+		const response = await fetchWithOrigin('/dashboard', 'https://app.partner.example');
+		expect(response.headers.get('Access-Control-Allow-Origin')).toBe('https://app.partner.example');
+	});
+});
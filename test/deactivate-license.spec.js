@@ -0,0 +1,91 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeAll } from 'vitest';
+import { handleDeactivateLicense } from '../src/routes/licenses.js';
+import { applySql } from './helpers/d1.js';
+import schemaSql from '../schema.sql?raw';
+
+beforeAll(async () => {
+	await applySql(env.DB, schemaSql);
+	await env.DB.batch([
+		env.DB.prepare("INSERT INTO users (email) VALUES ('d@example.com')"),
+		env.DB.prepare("INSERT INTO customers (user_email, customer_id) VALUES ('d@example.com', 'cus_d')"),
+	]);
+});
+
+async function seedLicense(licenseKey, { status = 'active', lastDeactivatedAt = null } = {}) {
+	await env.DB.prepare(
+		"INSERT INTO licenses (license_key, customer_id, subscription_id, status, used_site_domain, platform, last_deactivated_at) VALUES (?, 'cus_d', 'sub_d', ?, 'shop.example.com', 'webflow', ?)"
+	)
+		.bind(licenseKey, status, lastDeactivatedAt)
+		.run();
+}
+
+function deactivate(licenseKey) {
+	const request = new Request('http://example.com/deactivate-license', {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		body: JSON.stringify({ license_key: licenseKey }),
+	});
+	return handleDeactivateLicense(request, env, {}, { user: { email: 'd@example.com' } });
+}
+
+async function license(licenseKey) {
+	return env.DB.prepare('SELECT used_site_domain, platform, last_deactivated_at FROM licenses WHERE license_key = ?').bind(licenseKey).first();
+}
+
+describe('POST /deactivate-license', () => {
+	it('releases the site for a key given in any case and returns it to the pool as complete', async () => {
+		await seedLicense('KEY-DEACT-ONE');
+		await env.ACTIVE_SITES_CONSENTBIT.put('https://shop.example.com', JSON.stringify({ license_key: 'KEY-DEACT-ONE', status: 'complete' }));
+
+		const response = await deactivate('  key-deact-one ');
+
+		expect(response.status).toBe(200);
+		expect(await response.json()).toMatchObject({ license_key: 'KEY-DEACT-ONE', previous_site: 'shop.example.com', status: 'available' });
+		expect(await license('KEY-DEACT-ONE')).toMatchObject({ used_site_domain: null, platform: 'pending' });
+		expect(await env.ACTIVE_SITES_CONSENTBIT.get('https://shop.example.com')).toBeNull();
+		expect(JSON.parse(await env.UN_ASSIGNED_LICENSE_KEYS.get('KEY-DEACT-ONE'))).toMatchObject({ status: 'complete', active: true });
+	});
+
+	it("keeps the site's KV record when another key has been activated on it since", async () => {
+		await seedLicense('KEY-DEACT-OLD');
+		const newerRecord = JSON.stringify({ license_key: 'KEY-DEACT-NEW', status: 'complete', site_domain: 'shop.example.com' });
+		await env.ACTIVE_SITES_CONSENTBIT.put('https://shop.example.com', newerRecord);
+		await env.ACTIVE_SITES_CONSENTBIT.put('KEY-DEACT-OLD', JSON.stringify({ license_key: 'KEY-DEACT-OLD', status: 'complete' }));
+
+		expect((await deactivate('KEY-DEACT-OLD')).status).toBe(200);
+
+		expect(await env.ACTIVE_SITES_CONSENTBIT.get('KEY-DEACT-OLD')).toBeNull();
+		expect(await env.ACTIVE_SITES_CONSENTBIT.get('https://shop.example.com')).toBe(newerRecord);
+	});
+
+	it('refuses licenses that are not active', async () => {
+		await seedLicense('KEY-DEACT-REVOKED', { status: 'revoked' });
+
+		const response = await deactivate('KEY-DEACT-REVOKED');
+
+		expect(response.status).toBe(409);
+		expect(await response.json()).toMatchObject({ error: 'license_not_active' });
+		expect((await license('KEY-DEACT-REVOKED')).used_site_domain).toBe('shop.example.com');
+		expect(await env.UN_ASSIGNED_LICENSE_KEYS.get('KEY-DEACT-REVOKED')).toBeNull();
+	});
+
+	it('enforces the cooldown', async () => {
+		const recently = Math.floor(Date.now() / 1000) - 60;
+		await seedLicense('KEY-DEACT-COOL', { lastDeactivatedAt: recently });
+
+		const response = await deactivate('KEY-DEACT-COOL');
+
+		expect(response.status).toBe(429);
+		expect(await response.json()).toMatchObject({ error: 'deactivation_cooldown' });
+		expect((await license('KEY-DEACT-COOL')).used_site_domain).toBe('shop.example.com');
+	});
+
+	it('releases a license only once when two deactivations race', async () => {
+		await seedLicense('KEY-DEACT-RACE');
+
+		const responses = await Promise.all([deactivate('KEY-DEACT-RACE'), deactivate('KEY-DEACT-RACE')]);
+
+		expect(responses.map((response) => response.status).sort()).toEqual([200, 429]);
+	});
+});
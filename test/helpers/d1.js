@@ -0,0 +1,13 @@
+// Apply a .sql migration file (imported with `?raw`) to a D1 binding, one statement at a time
+export async function applySql(db, sql) {
+	const statements = sql
+		.split('\n')
+		.map((line) => line.replace(/--.*$/, ''))
+		.join('\n')
+		.split(';')
+		.map((statement) => statement.trim())
+		.filter(Boolean);
+	for (const statement of statements) {
+		await db.prepare(statement).run();
+	}
+}
@@ -2,19 +2,37 @@ import { env, createExecutionContext, waitOnExecutionContext, SELF } from 'cloud
 import { describe, it, expect } from 'vitest';
 import worker from '../src';
 
-describe('Hello World worker', () => {
-	it('responds with Hello World! (unit style)', async () => {
-		const request = new Request('http://example.com');
+describe('consentbit dashboard worker', () => {
+	it('responds 404 for unknown paths (unit style)', async () => {
+		const request = new Request('http://example.com/does-not-exist');
 		// Create an empty context to pass to `worker.fetch()`.
 		const ctx = createExecutionContext();
 		const response = await worker.fetch(request, env, ctx);
 		// Wait for all `Promise`s passed to `ctx.waitUntil()` to settle before running test assertions
 		await waitOnExecutionContext(ctx);
-		expect(await response.text()).toMatchInlineSnapshot(`"Hello World!"`);
+		expect(response.status).toBe(404);
+		expect(await response.text()).toMatchInlineSnapshot(`"not found"`);
 	});
 
-	it('responds with Hello World! (integration style)', async () => {
-		const response = await SELF.fetch('http://example.com');
-		expect(await response.text()).toMatchInlineSnapshot(`"Hello World!"`);
+	it('responds 405 with an Allow header for a known path and wrong method (integration style)', async () => {
+		const response = await SELF.fetch('http://example.com/dashboard', { method: 'POST' });
+		expect(response.status).toBe(405);
+		expect(response.headers.get('Allow')).toBe('GET');
+	});
+
+	it('answers CORS preflight for known routes', async () => {
+		const response = await SELF.fetch('http://example.com/activate-license', {
+			method: 'OPTIONS',
+			headers: { Origin: 'http://localhost:5173' },
+		});
+		expect(response.status).toBe(204);
+		expect(response.headers.get('Access-Control-Allow-Origin')).toBe('http://localhost:5173');
+		expect(response.headers.get('Access-Control-Allow-Methods')).toBe('POST, OPTIONS');
+	});
+
+	it('requires authentication for the dashboard', async () => {
+		const response = await SELF.fetch('http://example.com/dashboard');
+		expect(response.status).toBe(401);
+		expect(await response.json()).toMatchObject({ error: 'unauthenticated' });
 	});
 });
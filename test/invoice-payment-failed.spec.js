@@ -0,0 +1,114 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeAll } from 'vitest';
+import { dispatchEvent } from '../src/webhooks/index.js';
+import { getDunningState } from '../src/webhooks/invoice-payment-failed.js';
+import { applySql } from './helpers/d1.js';
+import schemaSql from '../schema.sql?raw';
+import stripeLogsSql from '../create-stripe-logs-table.sql?raw';
+
+const DAY = 24 * 60 * 60;
+
+beforeAll(async () => {
+	await applySql(env.DB, schemaSql);
+	await applySql(env.DB, stripeLogsSql);
+});
+
+async function seedSubscription(subscriptionId, licenseKey, domain) {
+	await env.DB.batch([
+		env.DB.prepare("INSERT OR IGNORE INTO users (email) VALUES ('owner@example.com')"),
+		env.DB.prepare(
+			"INSERT INTO subscriptions (user_email, customer_id, subscription_id, status) VALUES ('owner@example.com', 'cus_1', ?, 'active')"
+		).bind(subscriptionId),
+		env.DB.prepare(
+			"INSERT INTO sites (customer_id, subscription_id, item_id, site_domain, amount_paid, status) VALUES ('cus_1', ?, 'si_1', ?, 800, 'active')"
+		).bind(subscriptionId, domain),
+		env.DB.prepare(
+			"INSERT INTO licenses (license_key, customer_id, subscription_id, site_domain, used_site_domain, status, platform) VALUES (?, 'cus_1', ?, ?, ?, 'active', 'framer')"
+		).bind(licenseKey, subscriptionId, domain, domain),
+	]);
+	const record = JSON.stringify({ license_key: licenseKey, status: 'complete', active: true, site_domain: domain });
+	await env.ACTIVE_SITES_CONSENTBIT_FRAMER.put(licenseKey, record);
+	await env.ACTIVE_SITES_CONSENTBIT_FRAMER.put(`https://${domain}`, record);
+}
+
+function failedInvoiceEvent(id, subscriptionId, attemptCount, nextPaymentAttempt) {
+	return {
+		id,
+		type: 'invoice.payment_failed',
+		data: {
+			object: {
+				id: `in_${id}`,
+				customer: 'cus_1',
+				subscription: subscriptionId,
+				attempt_count: attemptCount,
+				next_payment_attempt: nextPaymentAttempt,
+				hosted_invoice_url: 'https://invoice.stripe.com/i/test',
+				amount_due: 800,
+				currency: 'usd',
+			},
+		},
+	};
+}
+
+describe('getDunningState', () => {
+	it('keeps a grace period while Stripe will retry', () => {
+		expect(getDunningState({ attempt_count: 1, next_payment_attempt: 1000 }, {}, 500)).toEqual({
+			status: 'grace',
+			attemptCount: 1,
+			graceEndsAt: 1000 + 3 * DAY,
+		});
+	});
+
+	it('suspends after the final attempt or the configured maximum', () => {
+		expect(getDunningState({ attempt_count: 4, next_payment_attempt: null }, {}, 500).status).toBe('suspended');
+		expect(getDunningState({ attempt_count: 2, next_payment_attempt: 1000 }, { DUNNING_MAX_ATTEMPTS: '2' }, 500).status).toBe(
+			'suspended'
+		);
+	});
+});
+
+describe('invoice.payment_failed', () => {
+	it('flags licenses with a grace period on the first failure', async () => {
+		await seedSubscription('sub_grace', 'KEY-GRACE', 'grace.example.com');
+		const nextAttempt = Math.floor(Date.now() / 1000) + 3 * DAY;
+
+		await dispatchEvent(failedInvoiceEvent('evt_fail_1', 'sub_grace', 1, nextAttempt), { env });
+
+		const sub = await env.DB.prepare(
+			'SELECT status, dunning_status, grace_period_ends_at, payment_update_url FROM subscriptions WHERE subscription_id = ?'
+		)
+			.bind('sub_grace')
+			.first();
+		expect(sub).toEqual({
+			status: 'past_due',
+			dunning_status: 'grace',
+			grace_period_ends_at: nextAttempt + 3 * DAY,
+			payment_update_url: 'https://invoice.stripe.com/i/test',
+		});
+
+		const license = await env.DB.prepare('SELECT status FROM licenses WHERE license_key = ?').bind('KEY-GRACE').first();
+		expect(license.status).toBe('active');
+
+		const kvRecord = JSON.parse(await env.ACTIVE_SITES_CONSENTBIT_FRAMER.get('https://grace.example.com'));
+		expect(kvRecord).toMatchObject({ status: 'complete', active: true, payment_status: 'past_due', grace_period_ends_at: nextAttempt + 3 * DAY });
+	});
+
+	it('suspends licenses in KV and D1 after the final failure', async () => {
+		await seedSubscription('sub_final', 'KEY-FINAL', 'final.example.com');
+
+		await dispatchEvent(failedInvoiceEvent('evt_fail_2', 'sub_final', 4, null), { env });
+
+		const license = await env.DB.prepare('SELECT status FROM licenses WHERE license_key = ?').bind('KEY-FINAL').first();
+		expect(license.status).toBe('suspended');
+		const site = await env.DB.prepare('SELECT status FROM sites WHERE subscription_id = ?').bind('sub_final').first();
+		expect(site.status).toBe('suspended');
+
+		for (const key of ['KEY-FINAL', 'https://final.example.com']) {
+			expect(JSON.parse(await env.ACTIVE_SITES_CONSENTBIT_FRAMER.get(key))).toMatchObject({
+				status: 'suspended',
+				active: false,
+				payment_status: 'unpaid',
+			});
+		}
+	});
+});
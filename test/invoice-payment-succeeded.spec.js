@@ -0,0 +1,99 @@
+import { env, fetchMock } from 'cloudflare:test';
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import { dispatchEvent } from '../src/webhooks/index.js';
+import { applySql } from './helpers/d1.js';
+import schemaSql from '../schema.sql?raw';
+import licenseRenewalColumnsSql from '../add-billing-period-renewal-date-columns.sql?raw';
+import stripeLogsSql from '../create-stripe-logs-table.sql?raw';
+
+const testEnv = { ...env, STRIPE_SECRET_KEY: 'sk_test_renewals' };
+const periodStart = 1767225600; // 2026-01-01
+const periodEnd = 1769904000; // 2026-02-01
+
+beforeAll(async () => {
+	await applySql(env.DB, schemaSql);
+	await applySql(env.DB, licenseRenewalColumnsSql);
+	await applySql(env.DB, stripeLogsSql);
+	fetchMock.activate();
+	fetchMock.disableNetConnect();
+});
+
+afterEach(() => fetchMock.assertNoPendingInterceptors());
+
+function mockSubscription(id) {
+	fetchMock
+		.get('https://api.stripe.com')
+		.intercept({ path: `/v1/subscriptions/${id}` })
+		.reply(200, {
+			id,
+			status: 'active',
+			cancel_at_period_end: false,
+			items: {
+				data: [{ id: 'si_1', current_period_start: periodStart, current_period_end: periodEnd, price: { recurring: { interval: 'month' } } }],
+			},
+		});
+}
+
+function invoiceEvent(id, subscriptionId, billingReason = 'subscription_cycle') {
+	return {
+		id,
+		type: 'invoice.payment_succeeded',
+		data: {
+			object: {
+				id: `in_${id}`,
+				customer: 'cus_1',
+				customer_email: 'owner@example.com',
+				subscription: subscriptionId,
+				billing_reason: billingReason,
+				amount_paid: 800,
+				currency: 'usd',
+			},
+		},
+	};
+}
+
+describe('invoice.payment_succeeded', () => {
+	it('refreshes renewal dates, reactivates suspended licenses and records the payment', async () => {
+		await env.DB.batch([
+			env.DB.prepare("INSERT INTO users (email) VALUES ('owner@example.com')"),
+			env.DB.prepare(
+				"INSERT INTO subscriptions (user_email, customer_id, subscription_id, status, current_period_end) VALUES ('owner@example.com', 'cus_1', 'sub_1', 'past_due', 1)"
+			),
+			env.DB.prepare(
+				"INSERT INTO sites (customer_id, subscription_id, item_id, site_domain, amount_paid, status, renewal_date) VALUES ('cus_1', 'sub_1', 'si_1', 'example.com', 800, 'suspended', 1)"
+			),
+			env.DB.prepare(
+				"INSERT INTO licenses (license_key, customer_id, subscription_id, item_id, site_domain, status, platform) VALUES ('KEY-AAAA', 'cus_1', 'sub_1', 'si_1', 'example.com', 'suspended', 'webflow')"
+			),
+		]);
+		await env.ACTIVE_SITES_CONSENTBIT.put('KEY-AAAA', JSON.stringify({ license_key: 'KEY-AAAA', status: 'suspended', active: false, site_domain: 'example.com' }));
+		mockSubscription('sub_1');
+
+		const response = await dispatchEvent(invoiceEvent('evt_renew_1', 'sub_1'), { env: testEnv });
+		expect(response.status).toBe(200);
+
+		const subscription = await env.DB.prepare('SELECT status, current_period_end FROM subscriptions WHERE subscription_id = ?').bind('sub_1').first();
+		expect(subscription).toEqual({ status: 'active', current_period_end: periodEnd });
+
+		const site = await env.DB.prepare('SELECT status, current_period_end, renewal_date FROM sites WHERE subscription_id = ?').bind('sub_1').first();
+		expect(site).toEqual({ status: 'active', current_period_end: periodEnd, renewal_date: periodEnd });
+
+		const license = await env.DB.prepare('SELECT status, renewal_date, billing_period FROM licenses WHERE license_key = ?').bind('KEY-AAAA').first();
+		expect(license).toEqual({ status: 'active', renewal_date: periodEnd, billing_period: 'monthly' });
+
+		const kvRecord = JSON.parse(await env.ACTIVE_SITES_CONSENTBIT.get('KEY-AAAA'));
+		expect(kvRecord).toMatchObject({ status: 'complete', active: true, renewal_date: periodEnd });
+
+		const payment = await env.DB.prepare('SELECT amount, email, status FROM payments WHERE subscription_id = ?').bind('sub_1').first();
+		expect(payment).toEqual({ amount: 800, email: 'owner@example.com', status: 'succeeded' });
+	});
+
+	it('does not record a second payment for the first invoice of a subscription', async () => {
+		mockSubscription('sub_2');
+
+		await dispatchEvent(invoiceEvent('evt_renew_2', 'sub_2', 'subscription_create'), { env: testEnv });
+
+		const payments = await env.DB.prepare('SELECT COUNT(*) AS count FROM payments WHERE subscription_id = ?').bind('sub_2').first();
+		expect(payments.count).toBe(0);
+	});
+});
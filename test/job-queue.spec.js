@@ -0,0 +1,130 @@
+import { env, fetchMock, createExecutionContext, createMessageBatch, getQueueResult } from 'cloudflare:test';
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import worker from '../src';
+import { enqueueSiteQueueItem } from '../src/lib/sites-queue.js';
+import { requeueStrandedJobs } from '../src/lib/job-queue.js';
+import { applySql } from './helpers/d1.js';
+import schemaSql from '../schema.sql?raw';
+
+const testEnv = { ...env, STRIPE_SECRET_KEY: 'sk_test_job_queue' };
+
+beforeAll(async () => {
+	await applySql(env.DB, schemaSql);
+	await env.DB.batch([
+		env.DB.prepare("INSERT INTO users (email) VALUES ('jobs@example.com')"),
+		env.DB.prepare("INSERT INTO customers (user_email, customer_id) VALUES ('jobs@example.com', 'cus_j')"),
+	]);
+	fetchMock.activate();
+	fetchMock.disableNetConnect();
+});
+
+afterEach(() => fetchMock.assertNoPendingInterceptors());
+
+const stripe = () => fetchMock.get('https://api.stripe.com');
+
+// Producer that records messages instead of delivering them - a delivered message would be consumed after the test
+function recordingQueue() {
+	const sent = [];
+	return {
+		sent,
+		async send(body, options) {
+			sent.push({ body, options });
+		},
+	};
+}
+
+async function enqueueSite(site, jobsEnv) {
+	return enqueueSiteQueueItem(jobsEnv, {
+		customerId: 'cus_j',
+		userEmail: 'jobs@example.com',
+		subscriptionId: null,
+		sites: [{ site, price: 'price_site' }],
+		billingPeriod: 'monthly',
+		priceId: 'price_site',
+		paymentIntentId: `pi_${site}`,
+	});
+}
+
+async function consume(queueName, queueId, type = 'sitesqueue', consumerEnv = testEnv) {
+	const batch = createMessageBatch(queueName, [{ id: 'msg_1', timestamp: new Date(), attempts: 1, body: { type, queue_id: queueId } }]);
+	const ctx = createExecutionContext();
+	await worker.queue(batch, consumerEnv, ctx);
+	return getQueueResult(batch, ctx);
+}
+
+async function jobStatus(queueId) {
+	return env.DB.prepare('SELECT status, attempts, next_retry_at, error_message FROM sitesqueue WHERE queueid = ?').bind(queueId).first();
+}
+
+describe('JOBS_QUEUE', () => {
+	it('sends a message for every enqueued job', async () => {
+		const JOBS_QUEUE = recordingQueue();
+		const queueId = await enqueueSite('sent.example.com', { ...testEnv, JOBS_QUEUE });
+		expect(JOBS_QUEUE.sent).toEqual([{ body: { type: 'sitesqueue', queue_id: queueId }, options: undefined }]);
+	});
+
+	it('runs the job named by a message and acks it', async () => {
+		const queueId = await enqueueSite('consumed.example.com', { ...testEnv, JOBS_QUEUE: undefined });
+		stripe()
+			.intercept({ path: '/v1/subscriptions', method: 'POST' })
+			.reply(200, { id: 'sub_consumed', status: 'trialing', items: { data: [{ id: 'si_consumed' }] } });
+
+		const result = await consume('consentbit-jobs', queueId);
+		expect(result.explicitAcks).toEqual(['msg_1']);
+		expect((await jobStatus(queueId)).status).toBe('completed');
+
+		// Redelivery of a finished job is acked without touching Stripe
+		expect((await consume('consentbit-jobs', queueId)).explicitAcks).toEqual(['msg_1']);
+	});
+
+	it("retries a failed attempt after the row's backoff", async () => {
+		const queueId = await enqueueSite('flaky.example.com', { ...testEnv, JOBS_QUEUE: undefined });
+		stripe()
+			.intercept({ path: '/v1/subscriptions', method: 'POST' })
+			.reply(500, { error: { message: 'boom' } });
+
+		const result = await consume('consentbit-jobs', queueId);
+		expect(result.explicitAcks).toEqual([]);
+		expect(result.retryMessages).toMatchObject([{ msgId: 'msg_1' }]);
+		const row = await jobStatus(queueId);
+		expect(row).toMatchObject({ status: 'pending', attempts: 1 });
+		expect(row.next_retry_at).toBeGreaterThan(Math.floor(Date.now() / 1000));
+	});
+
+	it('sends a job still backing off again with a delay instead of spending a queue retry', async () => {
+		const queueId = await enqueueSite('early.example.com', { ...testEnv, JOBS_QUEUE: undefined });
+		const nextRetryAt = Math.floor(Date.now() / 1000) + 120;
+		await env.DB.prepare('UPDATE sitesqueue SET next_retry_at = ? WHERE queueid = ?').bind(nextRetryAt, queueId).run();
+
+		const JOBS_QUEUE = recordingQueue();
+		const result = await consume('consentbit-jobs', queueId, 'sitesqueue', { ...testEnv, JOBS_QUEUE });
+		expect(result.explicitAcks).toEqual(['msg_1']);
+		expect(result.retryMessages).toEqual([]);
+		expect(JOBS_QUEUE.sent).toHaveLength(1);
+		expect(JOBS_QUEUE.sent[0].body).toEqual({ type: 'sitesqueue', queue_id: queueId });
+		expect(JOBS_QUEUE.sent[0].options.delaySeconds).toBeGreaterThan(100);
+		expect((await jobStatus(queueId)).status).toBe('pending');
+	});
+
+	it('marks dead-lettered jobs failed so they are refunded', async () => {
+		const queueId = await enqueueSite('dead.example.com', { ...testEnv, JOBS_QUEUE: undefined });
+
+		const result = await consume('consentbit-jobs-dlq', queueId);
+		expect(result.explicitAcks).toEqual(['msg_1']);
+		expect(await jobStatus(queueId)).toMatchObject({ status: 'failed', error_message: 'Dead-lettered after queue retries' });
+	});
+
+	it('re-sends jobs whose message was lost', async () => {
+		const old = Math.floor(Date.now() / 1000) - 60 * 60;
+		await env.DB.prepare(
+			"INSERT INTO subscription_queue (queue_id, customer_id, user_email, payment_intent_id, price_id, license_key, quantity, status, created_at, updated_at) VALUES ('queue_stranded', 'cus_j', 'jobs@example.com', 'pi_stranded', 'price_1', 'KEY-STRANDED', 1, 'pending', ?, ?)"
+		)
+			.bind(old, old)
+			.run();
+		await enqueueSite('fresh.example.com', { ...testEnv, JOBS_QUEUE: undefined });
+
+		const JOBS_QUEUE = recordingQueue();
+		expect(await requeueStrandedJobs({ ...testEnv, JOBS_QUEUE })).toEqual({ subscription_queue: 1, sitesqueue: 0 });
+		expect(JOBS_QUEUE.sent.map((message) => message.body)).toEqual([{ type: 'subscription_queue', queue_id: 'queue_stranded' }]);
+	});
+});
@@ -0,0 +1,73 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+import { createLicenseKey, generateLicenseKeys, validateLicenseKey } from '../src/lib/licenses.js';
+import { applySql } from './helpers/d1.js';
+import schemaSql from '../schema.sql?raw';
+
+const ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+beforeAll(async () => {
+	await applySql(env.DB, schemaSql);
+});
+
+describe('license key format', () => {
+	it('creates checksummed keys, optionally with a prefix', () => {
+		const key = createLicenseKey();
+		expect(key).toMatch(/^KEY(-[A-HJ-NP-Z2-9]{5}){4}$/);
+		expect(validateLicenseKey(key)).toEqual({ valid: true, legacy: false, prefix: null });
+
+		const prefixed = createLicenseKey('frm');
+		expect(prefixed).toMatch(/^KEY-FRM(-[A-HJ-NP-Z2-9]{5}){4}$/);
+		expect(validateLicenseKey(prefixed)).toEqual({ valid: true, legacy: false, prefix: 'FRM' });
+		expect(() => createLicenseKey('B0GUS!')).toThrow(/Invalid license key prefix/);
+	});
+
+	it('rejects every single-character typo', () => {
+		const key = createLicenseKey('YR');
+		for (let i = 0; i < key.length; i++) {
+			if (key[i] === '-' || i < 4) continue;
+			const replacement = ALPHABET[(ALPHABET.indexOf(key[i]) + 1) % ALPHABET.length];
+			const typo = key.slice(0, i) + replacement + key.slice(i + 1);
+			expect(validateLicenseKey(typo)).toMatchObject({ valid: false, reason: 'checksum' });
+		}
+	});
+
+	it('accepts legacy keys and normalizes case', () => {
+		expect(validateLicenseKey('KEY-ABCD-EFGH-JKLM-NPQR')).toEqual({ valid: true, legacy: true, prefix: null });
+		expect(validateLicenseKey(createLicenseKey().toLowerCase()).valid).toBe(true);
+		expect(validateLicenseKey('KEY-ABCD-1234')).toMatchObject({ valid: false, reason: 'format' });
+	});
+});
+
+describe('generateLicenseKeys', () => {
+	it('mints a large batch of distinct keys with batched uniqueness checks', async () => {
+		const calls = [];
+		const db = {
+			prepare(sql) {
+				calls.push(sql);
+				return env.DB.prepare(sql);
+			},
+		};
+		const keys = await generateLicenseKeys(250, { DB: db });
+
+		expect(new Set(keys).size).toBe(250);
+		expect(keys.every((key) => validateLicenseKey(key).valid)).toBe(true);
+		// 250 keys in chunks of 100 bound parameters
+		expect(calls).toHaveLength(3);
+	});
+
+	it('replaces keys that already exist', async () => {
+		const allZeros = (array) => array.fill(0);
+		const spy = vi.spyOn(crypto, 'getRandomValues').mockImplementationOnce(allZeros);
+		const taken = createLicenseKey();
+		await env.DB.prepare("INSERT INTO licenses (license_key, customer_id, status) VALUES (?, 'cus_1', 'active')").bind(taken).run();
+
+		// The first key minted collides with the existing one
+		spy.mockImplementationOnce(allZeros);
+		const keys = await generateLicenseKeys(2, env);
+		spy.mockRestore();
+
+		expect(keys).toHaveLength(2);
+		expect(keys).not.toContain(taken);
+	});
+});
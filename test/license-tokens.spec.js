@@ -0,0 +1,131 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, beforeAll } from 'vitest';
+import worker from '../src';
+import { issueLicenseToken, refreshLicenseTokens, verifyLicenseToken } from '../src/lib/license-tokens.js';
+import { createLicenseKey } from '../src/lib/licenses.js';
+import { applySql } from './helpers/d1.js';
+import schemaSql from '../schema.sql?raw';
+import billingColumnsSql from '../add-billing-period-renewal-date-columns.sql?raw';
+
+async function generateJwk() {
+	const pair = await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+	return crypto.subtle.exportKey('jwk', pair.privateKey);
+}
+
+function signingEnv(activeKid, keys) {
+	return { ...env, RATE_LIMIT_KV: undefined, LICENSE_TOKEN_SIGNING_KEYS: JSON.stringify({ activeKid, keys }) };
+}
+
+async function call(workerEnv, path, init) {
+	const ctx = createExecutionContext();
+	const response = await worker.fetch(new Request(`http://example.com${path}`, init), workerEnv, ctx);
+	await waitOnExecutionContext(ctx);
+	return response;
+}
+
+const now = Math.floor(Date.now() / 1000);
+const license = {
+	license_key: 'KEY-ABCDE-FGHJK-LMNPQ-RSTUV',
+	used_site_domain: 'www.example.com',
+	status: 'active',
+	billing_period: 'yearly',
+	renewal_date: now + 10 * 86400,
+};
+
+let oldKey;
+let newKey;
+
+beforeAll(async () => {
+	oldKey = await generateJwk();
+	newKey = await generateJwk();
+	await applySql(env.DB, schemaSql);
+	await applySql(env.DB, billingColumnsSql);
+});
+
+describe('license tokens', () => {
+	it('signs license, domain, plan, status and expiry', async () => {
+		const keysEnv = signingEnv('k1', { k1: oldKey });
+		const issued = await issueLicenseToken(keysEnv, license, now);
+
+		expect(issued.kid).toBe('k1');
+		expect(issued.expires_at).toBe(license.renewal_date + 3 * 86400);
+		expect(await verifyLicenseToken(keysEnv, issued.token, now)).toEqual({
+			iss: 'consentbit',
+			sub: license.license_key,
+			dom: 'www.example.com',
+			plan: 'yearly',
+			status: 'active',
+			iat: now,
+			exp: issued.expires_at,
+		});
+	});
+
+	it('rejects tampered and expired tokens', async () => {
+		const keysEnv = signingEnv('k1', { k1: oldKey });
+		const { token, expires_at } = await issueLicenseToken(keysEnv, license, now);
+
+		const [header, payload, signature] = token.split('.');
+		const forged = btoa(JSON.stringify({ ...JSON.parse(atob(payload.replace(/-/g, '+').replace(/_/g, '/'))), dom: 'evil.com' }))
+			.replace(/\+/g, '-')
+			.replace(/\//g, '_')
+			.replace(/=+$/, '');
+		expect(await verifyLicenseToken(keysEnv, `${header}.${forged}.${signature}`, now)).toBeNull();
+		expect(await verifyLicenseToken(keysEnv, token, expires_at + 1)).toBeNull();
+	});
+
+	it('keeps verifying tokens from a retired key after rotation', async () => {
+		const before = await issueLicenseToken(signingEnv('k1', { k1: oldKey }), license, now);
+		const { d, ...oldPublic } = oldKey;
+		const rotatedEnv = signingEnv('k2', { k2: newKey, k1: oldPublic });
+
+		expect(await verifyLicenseToken(rotatedEnv, before.token, now)).not.toBeNull();
+		expect((await issueLicenseToken(rotatedEnv, license, now)).kid).toBe('k2');
+
+		const jwks = await (await call(rotatedEnv, '/license-token/keys')).json();
+		expect(jwks.keys.map((k) => k.kid)).toEqual(['k2', 'k1']);
+		expect(jwks.keys.every((k) => k.x && !k.d)).toBe(true);
+	});
+});
+
+describe('POST /license-token', () => {
+	it('re-issues a token with the current renewal date for the activated domain only', async () => {
+		const keysEnv = signingEnv('k1', { k1: oldKey });
+		const licenseKey = createLicenseKey();
+		const renewalDate = now + 40 * 86400;
+		await env.DB.prepare(
+			"INSERT INTO licenses (license_key, customer_id, subscription_id, used_site_domain, status, billing_period, renewal_date) VALUES (?, 'cus_1', 'sub_tok', 'shop.example.com', 'active', 'monthly', ?)",
+		)
+			.bind(licenseKey, renewalDate)
+			.run();
+
+		const reissue = (site_domain) =>
+			call(keysEnv, '/license-token', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ license_key: licenseKey, site_domain }),
+			});
+
+		expect((await reissue('other.example.com')).status).toBe(404);
+
+		const response = await reissue('shop.example.com');
+		expect(response.status).toBe(200);
+		const body = await response.json();
+		expect(body.expires_at).toBe(renewalDate + 3 * 86400);
+		expect(await verifyLicenseToken(keysEnv, body.license_token)).toMatchObject({ sub: licenseKey, plan: 'monthly' });
+	});
+
+	it('refreshes tokens stored in KV for a subscription', async () => {
+		const keysEnv = signingEnv('k1', { k1: oldKey });
+		const licenseKey = createLicenseKey();
+		await env.DB.prepare(
+			"INSERT INTO licenses (license_key, customer_id, subscription_id, used_site_domain, status, renewal_date) VALUES (?, 'cus_1', 'sub_refresh', 'kv.example.com', 'active', ?)",
+		)
+			.bind(licenseKey, now + 5 * 86400)
+			.run();
+		await env.ACTIVE_SITES_CONSENTBIT.put(licenseKey, JSON.stringify({ license_key: licenseKey, status: 'active' }));
+
+		expect(await refreshLicenseTokens(keysEnv, 'sub_refresh')).toBe(1);
+		const record = JSON.parse(await env.ACTIVE_SITES_CONSENTBIT.get(licenseKey));
+		expect(await verifyLicenseToken(keysEnv, record.license_token)).toMatchObject({ sub: licenseKey, dom: 'kv.example.com' });
+	});
+});
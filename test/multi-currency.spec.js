@@ -0,0 +1,131 @@
+import { env, fetchMock } from 'cloudflare:test';
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import { getCatalogCurrencies, getCatalogEntry } from '../src/lib/catalog.js';
+import { getCurrencyError, getCurrencyForCountry, resolveCheckoutCurrency } from '../src/lib/currency.js';
+import { getOrCreateDynamicPrice } from '../src/lib/pricing.js';
+import { handleGetPriceOptions } from '../src/routes/checkout.js';
+import { applySql } from './helpers/d1.js';
+import priceConfigSql from '../create-price-config-table.sql?raw';
+import priceConfigColumnsSql from '../add-product-id-unit-amount-to-price-config.sql?raw';
+import stripeModeSql from '../add-stripe-mode-to-price-config.sql?raw';
+import currencySql from '../add-currency-to-price-config.sql?raw';
+
+const testEnv = { ...env, STRIPE_SECRET_KEY: 'sk_test_currency' };
+
+beforeAll(async () => {
+	await applySql(env.DB, priceConfigSql);
+	await applySql(env.DB, priceConfigColumnsSql);
+	await applySql(env.DB, stripeModeSql);
+	await applySql(env.DB, currencySql);
+	await env.DB.batch([
+		env.DB.prepare("UPDATE price_config SET price_id = 'price_' || price_type || '_usd', product_id = 'prod_cb', unit_amount = 800, currency = 'usd'"),
+		env.DB.prepare(
+			`INSERT INTO price_config (price_type, price_id, product_id, unit_amount, currency) VALUES
+       ('monthly', 'price_monthly_eur', 'prod_cb', 750, 'eur'),
+       ('yearly', 'price_yearly_eur', 'prod_cb', 7000, 'eur'),
+       ('monthly', 'price_monthly_gbp', 'prod_cb', 650, 'gbp')`
+		),
+	]);
+	fetchMock.activate();
+	fetchMock.disableNetConnect();
+});
+
+afterEach(() => fetchMock.assertNoPendingInterceptors());
+
+const stripe = () => fetchMock.get('https://api.stripe.com');
+
+function mockCustomer(customer) {
+	stripe()
+		.intercept({ path: `/v1/customers/${customer.id}` })
+		.reply(200, { metadata: {}, ...customer });
+}
+
+describe('Multi-currency pricing', () => {
+	it('picks the row in the requested currency and falls back to the default currency', async () => {
+		expect(await getCatalogCurrencies(testEnv)).toEqual(['usd', 'eur', 'gbp']);
+		expect(await getCatalogEntry(testEnv, 'monthly', { currency: 'EUR' })).toMatchObject({ price_id: 'price_monthly_eur', unit_amount: 750, currency: 'eur' });
+		expect(await getCatalogEntry(testEnv, 'yearly', { currency: 'gbp' })).toMatchObject({ price_id: 'price_yearly_usd', currency: 'usd' });
+		expect(await getCatalogEntry({ ...testEnv, DEFAULT_CURRENCY: 'eur' }, 'yearly')).toMatchObject({ price_id: 'price_yearly_eur' });
+	});
+
+	it("keeps a customer on the currency Stripe already bills them in", async () => {
+		mockCustomer({ id: 'cus_locked', currency: 'gbp', metadata: { preferred_currency: 'eur' } });
+		expect(await resolveCheckoutCurrency(testEnv, { customerId: 'cus_locked', requested: 'usd' })).toEqual({ currency: 'gbp', source: 'customer' });
+	});
+
+	it('reports an error for a customer billed in a currency the catalog has no price in', async () => {
+		mockCustomer({ id: 'cus_jpy', currency: 'jpy' });
+		const resolved = await resolveCheckoutCurrency(testEnv, { customerId: 'cus_jpy', requested: 'usd' });
+		expect(resolved).toEqual({ currency: 'jpy', source: 'customer', error: 'currency_not_supported' });
+		expect(getCurrencyError(resolved, await getCatalogEntry(testEnv, 'monthly', { currency: 'jpy' }))).toMatchObject({
+			error: 'currency_not_supported',
+			currency: 'jpy',
+		});
+
+		// GBP has a monthly price but no yearly one
+		mockCustomer({ id: 'cus_gbp', currency: 'gbp' });
+		const gbp = await resolveCheckoutCurrency(testEnv, { customerId: 'cus_gbp' });
+		expect(getCurrencyError(gbp, await getCatalogEntry(testEnv, 'monthly', { currency: 'gbp' }))).toBeNull();
+		expect(getCurrencyError(gbp, await getCatalogEntry(testEnv, 'yearly', { currency: 'gbp' }))).toMatchObject({
+			error: 'currency_not_supported',
+			message: expect.stringContaining('yearly'),
+		});
+	});
+
+	it('saves an explicit choice as the preference and otherwise goes by country', async () => {
+		mockCustomer({ id: 'cus_new' });
+		const saved = {};
+		stripe()
+			.intercept({
+				path: '/v1/customers/cus_new',
+				method: 'POST',
+				body: (body) => {
+					saved.form = new URLSearchParams(body);
+					return true;
+				},
+			})
+			.reply(200, {});
+		expect(await resolveCheckoutCurrency(testEnv, { customerId: 'cus_new', requested: 'eur' })).toEqual({ currency: 'eur', source: 'request' });
+		expect(saved.form.get('metadata[preferred_currency]')).toBe('eur');
+
+		mockCustomer({ id: 'cus_pref', metadata: { preferred_currency: 'eur' }, address: { country: 'GB' } });
+		expect(await resolveCheckoutCurrency(testEnv, { customerId: 'cus_pref' })).toEqual({ currency: 'eur', source: 'preference' });
+
+		const request = new Request('http://example.com/', { headers: { 'CF-IPCountry': 'GB' } });
+		expect(await resolveCheckoutCurrency(testEnv, { request })).toEqual({ currency: 'gbp', source: 'country' });
+		expect(getCurrencyForCountry('de')).toBe('eur');
+		expect(getCurrencyForCountry('US')).toBeNull();
+	});
+
+	it('serves the catalog in the visitor currency on /get-price-options', async () => {
+		const request = new Request('http://example.com/get-price-options', { headers: { 'CF-IPCountry': 'FR' } });
+		const response = await handleGetPriceOptions(request, testEnv, {}, {});
+		expect(await response.json()).toMatchObject({
+			currency: 'eur',
+			currency_source: 'country',
+			currencies: ['usd', 'eur', 'gbp'],
+			monthly: { price_id: 'price_monthly_eur', unit_amount: 750, currency: 'eur' },
+			yearly: { price_id: 'price_yearly_eur', unit_amount: 7000, currency: 'eur' },
+		});
+	});
+
+	it('creates dynamic prices in the purchase currency', async () => {
+		const sent = {};
+		stripe()
+			.intercept({
+				path: '/v1/prices',
+				method: 'POST',
+				body: (body) => {
+					sent.form = new URLSearchParams(body);
+					return true;
+				},
+			})
+			.reply(200, { id: 'price_dynamic' });
+
+		expect(await getOrCreateDynamicPrice(testEnv, { productId: 'prod_cb', billingPeriod: 'yearly', currency: 'GBP', unitAmount: 6000 })).toBe(
+			'price_dynamic'
+		);
+		expect(sent.form.get('currency')).toBe('gbp');
+		expect(sent.form.get('recurring[interval]')).toBe('year');
+	});
+});
@@ -0,0 +1,48 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeAll } from 'vitest';
+import { handleRemovePendingSite } from '../src/routes/sites.js';
+import { getUserByEmail } from '../src/lib/users.js';
+import { applySql } from './helpers/d1.js';
+import schemaSql from '../schema.sql?raw';
+
+beforeAll(async () => {
+	await applySql(env.DB, schemaSql);
+	await env.DB.prepare("INSERT INTO users (email) VALUES ('p@example.com')").run();
+});
+
+function removePendingSite(site) {
+	const request = new Request('http://example.com/remove-pending-site', {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		body: JSON.stringify({ site }),
+	});
+	return handleRemovePendingSite(request, env, {}, { user: { email: 'p@example.com' } });
+}
+
+describe('POST /remove-pending-site', () => {
+	it('removes the site and returns the remaining pending sites as getUserByEmail shapes them', async () => {
+		await env.DB.prepare(
+			`INSERT INTO pending_sites (user_email, site_domain, price_id, quantity, created_at) VALUES
+       ('p@example.com', 'gone.example.com', 'price_monthly', 1, 100),
+       ('p@example.com', 'keep.example.com', 'price_monthly', 1, 200),
+       ('p@example.com', 'KEEP.example.com', 'price_monthly', 1, 150),
+       ('p@example.com', 'other.example.com', 'price_yearly', NULL, 300)`
+		).run();
+
+		const response = await removePendingSite(' Gone.example.com ');
+
+		expect(response.status).toBe(200);
+		const body = await response.json();
+		expect(body).toMatchObject({ success: true, removed: true, site: 'gone.example.com' });
+		expect(body.pendingSites).toEqual([
+			{ site: 'other.example.com', price: 'price_yearly', quantity: 1, subscription_id: null, created_at: 300 },
+			{ site: 'keep.example.com', price: 'price_monthly', quantity: 1, subscription_id: null, created_at: 200 },
+		]);
+		expect(body.pendingSites).toEqual((await getUserByEmail(env, 'p@example.com')).pendingSites);
+	});
+
+	it('reports when the site was not pending', async () => {
+		const response = await removePendingSite('missing.example.com');
+		expect(await response.json()).toMatchObject({ success: true, removed: false, pendingSites: [] });
+	});
+});
@@ -0,0 +1,168 @@
+import { env, fetchMock } from 'cloudflare:test';
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import { handlePlanSwitch, handlePlanSwitchPreview } from '../src/routes/billing.js';
+import { applySql } from './helpers/d1.js';
+import schemaSql from '../schema.sql?raw';
+import licenseRenewalColumnsSql from '../add-billing-period-renewal-date-columns.sql?raw';
+import priceConfigSql from '../create-price-config-table.sql?raw';
+
+const testEnv = { ...env, STRIPE_SECRET_KEY: 'sk_test_plan_switch' };
+const yearEnd = 1900000000;
+
+beforeAll(async () => {
+	await applySql(env.DB, schemaSql);
+	await applySql(env.DB, licenseRenewalColumnsSql);
+	await applySql(env.DB, priceConfigSql);
+	await env.DB.batch([
+		env.DB.prepare("INSERT INTO users (email) VALUES ('p@example.com'), ('other@example.com')"),
+		env.DB.prepare("INSERT INTO customers (user_email, customer_id) VALUES ('p@example.com', 'cus_p'), ('other@example.com', 'cus_other')"),
+		env.DB.prepare("UPDATE price_config SET price_id = 'price_' || price_type"),
+		env.DB.prepare(
+			"INSERT INTO subscriptions (user_email, customer_id, subscription_id, status, billing_period) VALUES ('p@example.com', 'cus_p', 'sub_p', 'active', 'monthly')"
+		),
+		env.DB.prepare(
+			"INSERT INTO sites (customer_id, subscription_id, item_id, site_domain, price_id, amount_paid, status) VALUES ('cus_p', 'sub_p', 'si_a', 'a.example.com', 'price_monthly', 800, 'active'), ('cus_p', 'sub_p', 'si_b', 'b.example.com', 'price_monthly', 800, 'active')"
+		),
+		env.DB.prepare(
+			"INSERT INTO licenses (license_key, customer_id, subscription_id, item_id, used_site_domain, status, billing_period) VALUES ('KEY-A', 'cus_p', 'sub_p', 'si_a', 'a.example.com', 'active', 'monthly')"
+		),
+	]);
+	fetchMock.activate();
+	fetchMock.disableNetConnect();
+});
+
+afterEach(() => fetchMock.assertNoPendingInterceptors());
+
+const stripe = () => fetchMock.get('https://api.stripe.com');
+const monthly = { id: 'price_monthly', recurring: { interval: 'month' } };
+const yearly = { id: 'price_yearly', recurring: { interval: 'year' } };
+
+function subscription(itemIds, price = monthly) {
+	return {
+		id: 'sub_p',
+		customer: 'cus_p',
+		status: 'active',
+		cancel_at_period_end: false,
+		metadata: {},
+		items: { data: itemIds.map((id) => ({ id, quantity: 1, price, current_period_start: 1800000000, current_period_end: yearEnd })) },
+	};
+}
+
+function mockTarget(itemIds) {
+	stripe().intercept({ path: '/v1/subscriptions/sub_p' }).reply(200, subscription(itemIds));
+	stripe().intercept({ path: '/v1/prices/price_yearly' }).reply(200, yearly);
+}
+
+function mockUpcoming(check, invoice) {
+	stripe()
+		.intercept({
+			path: (path) => path.startsWith('/v1/invoices/upcoming?') && check(new URLSearchParams(path.split('?')[1])),
+		})
+		.reply(200, { currency: 'usd', ...invoice });
+}
+
+function post(body, email = 'p@example.com') {
+	const request = new Request('http://example.com/plan-switch', {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		body: JSON.stringify(body),
+	});
+	return [request, testEnv, {}, { user: { email } }];
+}
+
+describe('Plan switching', () => {
+	it('previews and switches a whole subscription to yearly', async () => {
+		mockTarget(['si_a']);
+		mockUpcoming((q) => q.get('subscription_items[0][price]') === 'price_yearly' && q.get('subscription_proration_behavior') === 'always_invoice', {
+			subtotal: 6700,
+			total: 6700,
+			amount_due: 6700,
+			lines: {
+				data: [
+					{ description: 'Unused time', amount: -800, proration: true },
+					{ description: 'Yearly', amount: 7500, proration: false, period: { end: yearEnd } },
+				],
+			},
+		});
+
+		const previewRes = await handlePlanSwitchPreview(...post({ subscription_id: 'sub_p', billing_period: 'yearly' }));
+		expect(previewRes.status).toBe(200);
+		const preview = await previewRes.json();
+		expect(preview).toMatchObject({ mode: 'subscription', from: 'monthly', to: 'yearly', amount_due_now: 6700 });
+		expect(preview.invoice.proration_amount).toBe(-800);
+
+		mockTarget(['si_a']);
+		const sent = {};
+		stripe()
+			.intercept({
+				path: '/v1/subscriptions/sub_p',
+				method: 'POST',
+				body: (body) => {
+					sent.form = new URLSearchParams(body);
+					return true;
+				},
+			})
+			.reply(200, subscription(['si_a'], yearly));
+
+		const switchRes = await handlePlanSwitch(...post({ subscription_id: 'sub_p', billing_period: 'yearly', proration_date: preview.proration_date }));
+		expect(switchRes.status).toBe(200);
+		expect(await switchRes.json()).toMatchObject({ success: true, subscription_id: 'sub_p', billing_period: 'yearly', renewal_date: yearEnd });
+		expect(sent.form.get('items[0][price]')).toBe('price_yearly');
+		expect(sent.form.get('proration_date')).toBe(String(preview.proration_date));
+
+		const sub = await env.DB.prepare("SELECT billing_period FROM subscriptions WHERE subscription_id = 'sub_p'").first();
+		expect(sub.billing_period).toBe('yearly');
+		const license = await env.DB.prepare("SELECT billing_period, renewal_date FROM licenses WHERE license_key = 'KEY-A'").first();
+		expect(license).toEqual({ billing_period: 'yearly', renewal_date: yearEnd });
+	});
+
+	it('splits one site off a shared subscription onto a new yearly subscription', async () => {
+		const activeSite = { license_key: 'KEY-A', subscription_id: 'sub_p', status: 'complete', site_domain: 'a.example.com' };
+		await env.ACTIVE_SITES_CONSENTBIT.put('KEY-A', JSON.stringify(activeSite));
+		mockTarget(['si_a', 'si_b']);
+		mockUpcoming((q) => q.get('subscription_items[0][deleted]') === 'true', {
+			amount_due: 0,
+			lines: { data: [{ description: 'Unused time on a.example.com', amount: -500, proration: true }] },
+		});
+		mockUpcoming((q) => !q.has('subscription') && q.get('subscription_items[0][price]') === 'price_yearly', {
+			amount_due: 7500,
+			lines: { data: [{ description: 'Yearly', amount: 7500, period: { end: yearEnd } }] },
+		});
+
+		const previewRes = await handlePlanSwitchPreview(...post({ site: 'a.example.com', billing_period: 'yearly' }));
+		const preview = await previewRes.json();
+		expect(preview).toMatchObject({ mode: 'split', item_id: 'si_a', amount_due_now: 7500, credit: 500 });
+
+		mockTarget(['si_a', 'si_b']);
+		stripe()
+			.intercept({ path: '/v1/subscriptions', method: 'POST' })
+			.reply(200, { ...subscription(['si_new'], yearly), id: 'sub_new' });
+		stripe().intercept({ path: '/v1/subscription_items/si_a', method: 'DELETE' }).reply(200, { id: 'si_a', deleted: true });
+
+		const switchRes = await handlePlanSwitch(...post({ site: 'a.example.com', billing_period: 'yearly', proration_date: preview.proration_date }));
+		expect(await switchRes.json()).toMatchObject({ success: true, subscription_id: 'sub_new', previous_subscription_id: 'sub_p' });
+
+		const site = await env.DB.prepare("SELECT subscription_id, item_id, price_id FROM sites WHERE site_domain = 'a.example.com'").first();
+		expect(site).toEqual({ subscription_id: 'sub_new', item_id: 'si_new', price_id: 'price_yearly' });
+		const untouched = await env.DB.prepare("SELECT subscription_id FROM sites WHERE site_domain = 'b.example.com'").first();
+		expect(untouched.subscription_id).toBe('sub_p');
+		const license = await env.DB.prepare("SELECT subscription_id, billing_period FROM licenses WHERE license_key = 'KEY-A'").first();
+		expect(license).toEqual({ subscription_id: 'sub_new', billing_period: 'yearly' });
+		expect(JSON.parse(await env.ACTIVE_SITES_CONSENTBIT.get('KEY-A'))).toMatchObject({ subscription_id: 'sub_new', billing_period: 'yearly' });
+		const created = await env.DB.prepare("SELECT user_email, billing_period FROM subscriptions WHERE subscription_id = 'sub_new'").first();
+		expect(created).toEqual({ user_email: 'p@example.com', billing_period: 'yearly' });
+	});
+
+	it('rejects a switch to the period the subscription is already on', async () => {
+		stripe().intercept({ path: '/v1/subscriptions/sub_p' }).reply(200, subscription(['si_a']));
+		const response = await handlePlanSwitchPreview(...post({ subscription_id: 'sub_p', billing_period: 'monthly' }));
+		expect(response.status).toBe(409);
+		expect((await response.json()).error).toBe('already_on_billing_period');
+	});
+
+	it("refuses to switch another customer's subscription", async () => {
+		stripe().intercept({ path: '/v1/subscriptions/sub_p' }).reply(200, subscription(['si_a']));
+		const response = await handlePlanSwitchPreview(...post({ subscription_id: 'sub_p', billing_period: 'yearly' }, 'other@example.com'));
+		expect(response.status).toBe(403);
+	});
+});
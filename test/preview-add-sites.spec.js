@@ -0,0 +1,133 @@
+import { env, fetchMock } from 'cloudflare:test';
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import { handleCreateCheckoutFromPending, handlePreviewAddSites } from '../src/routes/checkout.js';
+import { applySql } from './helpers/d1.js';
+import schemaSql from '../schema.sql?raw';
+import priceConfigSql from '../create-price-config-table.sql?raw';
+
+const testEnv = { ...env, STRIPE_SECRET_KEY: 'sk_test_preview_sites' };
+
+beforeAll(async () => {
+	await applySql(env.DB, schemaSql);
+	await applySql(env.DB, priceConfigSql);
+	await env.DB.batch([
+		env.DB.prepare("INSERT INTO users (email) VALUES ('s@example.com'), ('new@example.com')"),
+		env.DB.prepare("INSERT INTO customers (user_email, customer_id) VALUES ('s@example.com', 'cus_s'), ('new@example.com', 'cus_new')"),
+		env.DB.prepare("UPDATE price_config SET price_id = 'price_' || price_type"),
+		env.DB.prepare("INSERT INTO pending_sites (user_email, site_domain) VALUES ('s@example.com', 'saved.example.com')"),
+	]);
+	fetchMock.activate();
+	fetchMock.disableNetConnect();
+});
+
+afterEach(() => fetchMock.assertNoPendingInterceptors());
+
+const stripe = () => fetchMock.get('https://api.stripe.com');
+const monthly = { id: 'price_monthly', unit_amount: 800, currency: 'usd', recurring: { interval: 'month' } };
+
+// Preview of the one-time charge for the sites, with 10% tax
+function mockChargePreview(customer, subtotal) {
+	const sent = {};
+	stripe()
+		.intercept({
+			path: '/v1/invoices/create_preview',
+			method: 'POST',
+			body: (body) => {
+				const form = new URLSearchParams(body);
+				if (form.get('customer') !== customer) return false;
+				sent.form = form;
+				return true;
+			},
+		})
+		.reply(200, { currency: 'usd', subtotal, tax: subtotal / 10, total: subtotal * 1.1, lines: { data: [{ amount: subtotal }] } });
+	return sent;
+}
+
+function post(path, handler, body, email = 's@example.com') {
+	const request = new Request(`http://example.com${path}`, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		body: JSON.stringify(body),
+	});
+	return handler(request, testEnv, {}, { user: { email } });
+}
+
+describe('POST /preview-add-sites', () => {
+	it('quotes what /create-checkout-from-pending charges for the pending sites', async () => {
+		stripe().intercept({ path: '/v1/prices/price_monthly' }).reply(200, monthly);
+		const preview = mockChargePreview('cus_s', 800);
+		const quoteRes = await post('/preview-add-sites', handlePreviewAddSites, { billing_period: 'monthly' });
+		expect(quoteRes.status).toBe(200);
+		const quote = await quoteRes.json();
+		expect(quote).toMatchObject({
+			sites: ['saved.example.com'],
+			quantity: 1,
+			unit_amount: 800,
+			subtotal: 800,
+			tax: 80,
+			amount_due_now: 880,
+			next_renewal_total: 880,
+			estimated: false,
+		});
+		expect(Math.round((quote.next_renewal_at - Date.now() / 1000) / (24 * 60 * 60))).toBe(30);
+		expect(preview.form.get('invoice_items[0][unit_amount_decimal]')).toBe('800');
+		expect(preview.form.get('invoice_items[0][quantity]')).toBe('1');
+
+		stripe().intercept({ path: '/v1/prices/price_monthly' }).reply(200, monthly);
+		const checkout = {};
+		stripe()
+			.intercept({
+				path: '/v1/checkout/sessions',
+				method: 'POST',
+				body: (body) => {
+					checkout.form = new URLSearchParams(body);
+					return true;
+				},
+			})
+			.reply(200, { id: 'cs_pending', url: 'https://checkout.stripe.com/cs_pending' });
+		const checkoutRes = await post('/create-checkout-from-pending', handleCreateCheckoutFromPending, {
+			email: 's@example.com',
+			billing_period: 'monthly',
+		});
+		expect(checkoutRes.status).toBe(200);
+
+		const unitAmount = Number(checkout.form.get('line_items[0][price_data][unit_amount]'));
+		const quantity = Number(checkout.form.get('line_items[0][quantity]'));
+		expect(unitAmount).toBe(quote.unit_amount);
+		expect(quantity).toBe(quote.quantity);
+		expect(unitAmount * quantity).toBe(quote.subtotal);
+		expect(checkout.form.get('line_items[0][price_data][currency]')).toBe(quote.currency);
+	});
+
+	it('quotes the catalog price for each listed site, ignoring duplicates', async () => {
+		stripe().intercept({ path: '/v1/prices/price_yearly' }).reply(200, { ...monthly, id: 'price_yearly', unit_amount: 7500, recurring: { interval: 'year' } });
+		mockChargePreview('cus_new', 15000);
+
+		const response = await post(
+			'/preview-add-sites',
+			handlePreviewAddSites,
+			{ billing_period: 'yearly', sites: ['a.example.com', { site: 'B.example.com' }, 'a.example.com'] },
+			'new@example.com'
+		);
+
+		const quote = await response.json();
+		expect(quote).toMatchObject({
+			sites: ['a.example.com', 'b.example.com'],
+			unit_amount: 7500,
+			subtotal: 15000,
+			tax: 1500,
+			amount_due_now: 16500,
+		});
+		// The site subscriptions trial for the year paid for now
+		expect(Math.round((quote.next_renewal_at - Date.now() / 1000) / (24 * 60 * 60))).toBe(365);
+	});
+
+	it('quotes without tax when the preview fails', async () => {
+		stripe().intercept({ path: '/v1/prices/price_monthly' }).reply(200, monthly);
+		stripe().intercept({ path: '/v1/invoices/create_preview', method: 'POST' }).reply(400, { error: { message: 'boom' } });
+
+		const response = await post('/preview-add-sites', handlePreviewAddSites, { billing_period: 'monthly', sites: ['c.example.com'] });
+
+		expect(await response.json()).toMatchObject({ subtotal: 800, tax: 0, amount_due_now: 800, estimated: true });
+	});
+});
@@ -0,0 +1,314 @@
+import { env, fetchMock, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import { addToSubscriptionQueue, claimQueueItem, processQueueItem } from '../src/lib/queue.js';
+import { migrateToQuantitySubscriptions } from '../src/lib/quantity-subscriptions.js';
+import { handleRevokeLicense } from '../src/routes/licenses.js';
+import { handleRemoveSite } from '../src/routes/sites.js';
+import worker from '../src';
+import { createLicenseKey } from '../src/lib/licenses.js';
+import { applySql } from './helpers/d1.js';
+import schemaSql from '../schema.sql?raw';
+import licenseRenewalColumnsSql from '../add-billing-period-renewal-date-columns.sql?raw';
+
+// Queue items are run by calling processQueueItem directly; queue delivery is covered in job-queue.spec.js
+const testEnv = { ...env, STRIPE_SECRET_KEY: 'sk_test_quantity', UC3_SUBSCRIPTION_MODE: 'quantity', JOBS_QUEUE: undefined };
+const periodEnd = 1900000000;
+
+beforeAll(async () => {
+	await applySql(env.DB, schemaSql);
+	await applySql(env.DB, licenseRenewalColumnsSql);
+	await env.DB.batch([
+		env.DB.prepare("INSERT INTO users (email) VALUES ('q@example.com'), ('m@example.com')"),
+		env.DB.prepare("INSERT INTO customers (user_email, customer_id) VALUES ('q@example.com', 'cus_q'), ('m@example.com', 'cus_m')"),
+	]);
+	fetchMock.activate();
+	fetchMock.disableNetConnect();
+});
+
+afterEach(() => fetchMock.assertNoPendingInterceptors());
+
+const stripe = () => fetchMock.get('https://api.stripe.com');
+
+function sharedSubscription(quantity, overrides = {}) {
+	return {
+		id: 'sub_shared',
+		customer: 'cus_q',
+		status: 'trialing',
+		metadata: { usecase: '3', license_model: 'quantity' },
+		items: {
+			data: [{ id: 'si_shared', quantity, price: { id: 'price_monthly', recurring: { interval: 'month' } }, current_period_end: periodEnd }],
+		},
+		...overrides,
+	};
+}
+
+function captureForm(path, method, reply) {
+	const sent = {};
+	stripe()
+		.intercept({
+			path,
+			method,
+			body: (body) => {
+				sent.form = new URLSearchParams(body);
+				return true;
+			},
+		})
+		.reply(200, reply);
+	return sent;
+}
+
+async function queueBatch(paymentIntentId, licenseKeys) {
+	const { queueId } = await addToSubscriptionQueue(testEnv, {
+		customerId: 'cus_q',
+		userEmail: 'q@example.com',
+		paymentIntentId,
+		priceId: 'price_monthly',
+		licenseKey: `batch_${paymentIntentId}`,
+		licenseKeys,
+		trialEnd: periodEnd,
+	});
+	return claimQueueItem(testEnv, queueId, 'worker-test');
+}
+
+// A shared subscription with `count` active keys, as left behind by an earlier purchase
+async function seedSharedSubscription(count) {
+	const keys = Array.from({ length: count }, () => createLicenseKey());
+	await env.DB.batch([
+		env.DB.prepare(
+			"INSERT INTO subscriptions (user_email, customer_id, subscription_id, status, license_model) VALUES ('q@example.com', 'cus_q', 'sub_shared', 'trialing', 'quantity')"
+		),
+		...keys.map((key) =>
+			env.DB.prepare(
+				"INSERT INTO licenses (license_key, customer_id, subscription_id, item_id, status, purchase_type) VALUES (?, 'cus_q', 'sub_shared', 'si_shared', 'active', 'quantity')"
+			).bind(key)
+		),
+	]);
+	return keys;
+}
+
+describe('Use Case 3 quantity mode', () => {
+	it('creates one subscription item with quantity N for a batch and replaces temporary keys', async () => {
+		const row = await queueBatch('pi_q1', ['L1', 'L2', 'L3']);
+		expect(row.quantity).toBe(3);
+
+		const create = captureForm('/v1/subscriptions', 'POST', sharedSubscription(3));
+		stripe().intercept({ path: '/v1/payment_intents/pi_q1' }).reply(200, { id: 'pi_q1', amount: 2400, currency: 'usd' });
+
+		const result = await processQueueItem(testEnv, row);
+
+		expect(result).toMatchObject({ success: true, subscriptionId: 'sub_shared', itemId: 'si_shared', quantity: 3 });
+		expect(create.form.get('items[0][quantity]')).toBe('3');
+		expect(create.form.get('metadata[license_model]')).toBe('quantity');
+		expect(create.form.get('trial_end')).toBe(String(periodEnd));
+
+		const licenses = await env.DB.prepare("SELECT license_key, item_id, billing_period, renewal_date FROM licenses WHERE customer_id = 'cus_q'").all();
+		expect(licenses.results).toHaveLength(3);
+		for (const license of licenses.results) {
+			expect(license.license_key).toMatch(/^KEY-/);
+			expect(license).toMatchObject({ item_id: 'si_shared', billing_period: 'monthly', renewal_date: periodEnd });
+		}
+
+		const queued = await env.DB.prepare('SELECT status, license_keys FROM subscription_queue WHERE queue_id = ?').bind(row.queue_id).first();
+		expect(queued.status).toBe('completed');
+		expect(JSON.parse(queued.license_keys).sort()).toEqual(licenses.results.map((l) => l.license_key).sort());
+
+		const subscription = await env.DB.prepare("SELECT license_model FROM subscriptions WHERE subscription_id = 'sub_shared'").first();
+		expect(subscription.license_model).toBe('quantity');
+		const payments = await env.DB.prepare("SELECT amount FROM payments WHERE subscription_id = 'sub_shared'").all();
+		expect(payments.results).toEqual([{ amount: 2400 }]);
+	});
+
+	it('extends the existing item on a later purchase without proration', async () => {
+		await seedSharedSubscription(3);
+		const row = await queueBatch('pi_q2', [createLicenseKey(), createLicenseKey()]);
+
+		stripe().intercept({ path: '/v1/subscriptions/sub_shared' }).reply(200, sharedSubscription(3));
+		const update = captureForm('/v1/subscription_items/si_shared', 'POST', { id: 'si_shared', quantity: 5 });
+		stripe().intercept({ path: '/v1/payment_intents/pi_q2' }).reply(200, { id: 'pi_q2', amount: 1600, currency: 'usd' });
+
+		const result = await processQueueItem(testEnv, row);
+
+		expect(result).toMatchObject({ success: true, subscriptionId: 'sub_shared', quantity: 5 });
+		expect(update.form.get('quantity')).toBe('5');
+		expect(update.form.get('proration_behavior')).toBe('none');
+		const count = await env.DB.prepare("SELECT COUNT(*) AS count FROM licenses WHERE item_id = 'si_shared'").first();
+		expect(count.count).toBe(5);
+	});
+
+	it('credits new keys for the paid period the shared item would bill again', async () => {
+		const DAY = 24 * 60 * 60;
+		await seedSharedSubscription(3);
+		const row = await queueBatch('pi_q3', [createLicenseKey(), createLicenseKey()]);
+
+		// The shared item renews 10 days before the new keys' paid month ends
+		const renewing = sharedSubscription(3);
+		renewing.items.data[0] = {
+			...renewing.items.data[0],
+			price: { id: 'price_monthly', unit_amount: 800, currency: 'usd', recurring: { interval: 'month' } },
+			current_period_start: periodEnd - 40 * DAY,
+			current_period_end: periodEnd - 10 * DAY,
+		};
+		stripe().intercept({ path: '/v1/subscriptions/sub_shared' }).reply(200, renewing);
+		captureForm('/v1/subscription_items/si_shared', 'POST', { id: 'si_shared', quantity: 5 });
+		const credit = captureForm('/v1/invoiceitems', 'POST', { id: 'ii_credit' });
+		stripe().intercept({ path: '/v1/payment_intents/pi_q3' }).reply(200, { id: 'pi_q3', amount: 1600, currency: 'usd' });
+
+		expect(await processQueueItem(testEnv, row)).toMatchObject({ success: true, quantity: 5 });
+		expect(credit.form.get('subscription')).toBe('sub_shared');
+		expect(credit.form.get('currency')).toBe('usd');
+		// 2 keys x 800 x 10 of 30 days
+		expect(credit.form.get('amount')).toBe('-533');
+	});
+
+	it('revokes a license by lowering the quantity with proration', async () => {
+		const [license_key] = await seedSharedSubscription(5);
+
+		stripe().intercept({ path: '/v1/subscriptions/sub_shared' }).reply(200, sharedSubscription(5));
+		const update = captureForm('/v1/subscription_items/si_shared', 'POST', { id: 'si_shared', quantity: 4 });
+
+		const request = new Request('http://example.com/revoke-license', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({ license_key }),
+		});
+		const response = await handleRevokeLicense(request, testEnv, {}, { user: { email: 'q@example.com' } });
+
+		expect(response.status).toBe(200);
+		expect(await response.json()).toMatchObject({ success: true, quantity: 4, subscription_canceled: false });
+		expect(update.form.get('quantity')).toBe('4');
+		expect(update.form.get('proration_behavior')).toBe('create_prorations');
+		const license = await env.DB.prepare('SELECT status FROM licenses WHERE license_key = ?').bind(license_key).first();
+		expect(license.status).toBe('inactive');
+	});
+
+	it('refuses to revoke a license that belongs to another customer', async () => {
+		const [license_key] = await seedSharedSubscription(1);
+		const request = new Request('http://example.com/revoke-license', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({ license_key }),
+		});
+		const response = await handleRevokeLicense(request, testEnv, {}, { user: { email: 'm@example.com' } });
+		expect(response.status).toBe(403);
+	});
+
+	it('removes a site from a shared subscription only for the subscription owner', async () => {
+		const [license_key] = await seedSharedSubscription(2);
+		await env.DB.prepare("UPDATE licenses SET used_site_domain = 'shop.example.com' WHERE license_key = ?").bind(license_key).run();
+		const removeSite = (email) =>
+			handleRemoveSite(
+				new Request('http://example.com/remove-site', {
+					method: 'POST',
+					headers: { 'Content-Type': 'application/json' },
+					body: JSON.stringify({ site: 'shop.example.com', subscription_id: 'sub_shared', email: 'q@example.com' }),
+				}),
+				testEnv,
+				{},
+				{ user: { email } }
+			);
+
+		// The email in the body is ignored - the verified caller does not own sub_shared
+		const foreign = await removeSite('m@example.com');
+		expect(foreign.status).toBe(403);
+		const untouched = await env.DB.prepare('SELECT status FROM licenses WHERE license_key = ?').bind(license_key).first();
+		expect(untouched.status).toBe('active');
+		// Refused before the site lookup, even for a site the subscription does not have
+		const unknownSite = await handleRemoveSite(
+			new Request('http://example.com/remove-site', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ site: 'unknown.example.com', subscription_id: 'sub_shared' }),
+			}),
+			testEnv,
+			{},
+			{ user: { email: 'm@example.com' } }
+		);
+		expect(unknownSite.status).toBe(403);
+
+		stripe().intercept({ path: '/v1/subscriptions/sub_shared' }).reply(200, sharedSubscription(2));
+		const update = captureForm('/v1/subscription_items/si_shared', 'POST', { id: 'si_shared', quantity: 1 });
+		const owned = await removeSite('q@example.com');
+		expect(owned.status).toBe(200);
+		expect(await owned.json()).toMatchObject({ success: true, license_key, quantity: 1 });
+		expect(update.form.get('quantity')).toBe('1');
+	});
+
+	it('requires authentication on POST /remove-site', async () => {
+		const ctx = createExecutionContext();
+		const response = await worker.fetch(
+			new Request('http://example.com/remove-site', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ site: 'shop.example.com', subscription_id: 'sub_shared', email: 'q@example.com' }),
+			}),
+			testEnv,
+			ctx
+		);
+		await waitOnExecutionContext(ctx);
+		expect(response.status).toBe(401);
+	});
+
+	it('migrates per-license subscriptions onto one shared item', async () => {
+		const [keyA, keyB] = [createLicenseKey(), createLicenseKey()];
+		await env.DB.batch([
+			env.DB.prepare(
+				"INSERT INTO licenses (license_key, customer_id, subscription_id, item_id, status, purchase_type, used_site_domain) VALUES (?, 'cus_m', 'sub_a', 'si_a', 'active', 'quantity', 'a.example.com'), (?, 'cus_m', 'sub_b', 'si_b', 'active', 'quantity', NULL)"
+			).bind(keyA, keyB),
+			env.DB.prepare(
+				"INSERT INTO subscriptions (user_email, customer_id, subscription_id, status) VALUES ('m@example.com', 'cus_m', 'sub_a', 'active'), ('m@example.com', 'cus_m', 'sub_b', 'active')"
+			),
+		]);
+		// keyA is activated on a site, keyB is still in the unassigned pool
+		const activeRecord = JSON.stringify({ license_key: keyA, subscription_id: 'sub_a', status: 'complete', site_domain: 'a.example.com' });
+		await env.ACTIVE_SITES_CONSENTBIT.put(keyA, activeRecord);
+		await env.ACTIVE_SITES_CONSENTBIT.put('https://a.example.com', activeRecord);
+		await env.UN_ASSIGNED_LICENSE_KEYS.put(keyB, JSON.stringify({ subscriptionId: 'sub_b', status: 'complete', active: true }));
+		const perLicense = (id, end) => ({
+			id,
+			customer: 'cus_m',
+			status: 'active',
+			metadata: { usecase: '3', purchase_type: 'quantity' },
+			items: { data: [{ id: `si_${id}`, quantity: 1, price: { id: 'price_yearly', recurring: { interval: 'year' } }, current_period_end: end }] },
+		});
+		const mockOldSubscriptions = () => {
+			stripe().intercept({ path: '/v1/subscriptions/sub_a' }).reply(200, perLicense('sub_a', periodEnd - 1000));
+			stripe().intercept({ path: '/v1/subscriptions/sub_b' }).reply(200, perLicense('sub_b', periodEnd));
+		};
+
+		mockOldSubscriptions();
+		const plan = await migrateToQuantitySubscriptions(testEnv, 'cus_m', { dryRun: true });
+		expect(plan).toMatchObject({ dry_run: true, migrated: [], plan: [{ price_id: 'price_yearly', license_count: 2, paid_through: periodEnd }] });
+
+		mockOldSubscriptions();
+		const create = captureForm('/v1/subscriptions', 'POST', {
+			...sharedSubscription(2),
+			id: 'sub_m_shared',
+			customer: 'cus_m',
+			items: { data: [{ id: 'si_m_shared', quantity: 2, price: { id: 'price_yearly', recurring: { interval: 'year' } } }] },
+		});
+		stripe().intercept({ path: '/v1/subscriptions/sub_a', method: 'DELETE' }).reply(200, { id: 'sub_a', status: 'canceled' });
+		stripe().intercept({ path: '/v1/subscriptions/sub_b', method: 'DELETE' }).reply(200, { id: 'sub_b', status: 'canceled' });
+
+		const result = await migrateToQuantitySubscriptions(testEnv, 'cus_m');
+
+		expect(result.migrated).toEqual([
+			expect.objectContaining({ subscriptionId: 'sub_m_shared', itemId: 'si_m_shared', license_count: 2, replaced: ['sub_a', 'sub_b'] }),
+		]);
+		expect(create.form.get('items[0][quantity]')).toBe('2');
+		expect(create.form.get('trial_end')).toBe(String(periodEnd));
+
+		const licenses = await env.DB.prepare("SELECT subscription_id, item_id, status FROM licenses WHERE customer_id = 'cus_m'").all();
+		expect(licenses.results).toEqual([
+			{ subscription_id: 'sub_m_shared', item_id: 'si_m_shared', status: 'active' },
+			{ subscription_id: 'sub_m_shared', item_id: 'si_m_shared', status: 'active' },
+		]);
+		for (const key of [keyA, 'https://a.example.com']) {
+			const record = JSON.parse(await env.ACTIVE_SITES_CONSENTBIT.get(key));
+			expect(record.subscription_id).toBe('sub_m_shared');
+			expect(record).not.toHaveProperty('subscriptionId');
+		}
+		expect(JSON.parse(await env.UN_ASSIGNED_LICENSE_KEYS.get(keyB))).toMatchObject({ subscriptionId: 'sub_m_shared' });
+		const old = await env.DB.prepare("SELECT status FROM subscriptions WHERE subscription_id IN ('sub_a', 'sub_b')").all();
+		expect(old.results.map((s) => s.status)).toEqual(['canceled', 'canceled']);
+	});
+});
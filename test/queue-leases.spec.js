@@ -0,0 +1,145 @@
+import { env, fetchMock, createExecutionContext, createMessageBatch, getQueueResult } from 'cloudflare:test';
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import worker from '../src';
+import { claimQueueItem, reclaimExpiredLeases, processQueueItem } from '../src/lib/queue.js';
+import { applySql } from './helpers/d1.js';
+import schemaSql from '../schema.sql?raw';
+
+const testEnv = { ...env, STRIPE_SECRET_KEY: 'sk_test_queue_leases', JOBS_QUEUE: undefined };
+
+beforeAll(async () => {
+	await applySql(env.DB, schemaSql);
+	fetchMock.activate();
+	fetchMock.disableNetConnect();
+});
+
+afterEach(() => fetchMock.assertNoPendingInterceptors());
+
+async function insertItem(queueId, fields = {}) {
+	const now = Math.floor(Date.now() / 1000);
+	const row = { status: 'pending', claimed_by: null, lease_expires_at: null, reclaim_count: 0, updated_at: now, ...fields };
+	await env.DB.prepare(
+		`INSERT INTO subscription_queue (queue_id, customer_id, user_email, payment_intent_id, price_id, license_key, quantity, status,
+       claimed_by, lease_expires_at, reclaim_count, created_at, updated_at)
+     VALUES (?, 'cus_l', 'leases@example.com', 'pi_leases', 'price_1', ?, 1, ?, ?, ?, ?, ?, ?)`
+	)
+		.bind(queueId, `KEY-${queueId}`, row.status, row.claimed_by, row.lease_expires_at, row.reclaim_count, now, row.updated_at)
+		.run();
+}
+
+async function item(queueId) {
+	return env.DB.prepare('SELECT status, claimed_by, lease_expires_at, reclaim_count, attempts FROM subscription_queue WHERE queue_id = ?')
+		.bind(queueId)
+		.first();
+}
+
+// Producer that records messages instead of delivering them
+function recordingQueue() {
+	const sent = [];
+	return { sent, send: async (body) => sent.push(body) };
+}
+
+const expiredAt = () => Math.floor(Date.now() / 1000) - 60;
+
+describe('subscription_queue leases', () => {
+	it('lets only one worker claim a pending row', async () => {
+		await insertItem('q_race');
+		const [first, second] = await Promise.all([
+			claimQueueItem(testEnv, 'q_race', 'worker-a'),
+			claimQueueItem(testEnv, 'q_race', 'worker-b'),
+		]);
+
+		expect([first, second].filter(Boolean)).toHaveLength(1);
+		const row = await item('q_race');
+		expect(row).toMatchObject({ status: 'processing', claimed_by: (first || second).claimed_by });
+		expect(row.lease_expires_at).toBeGreaterThan(Math.floor(Date.now() / 1000));
+	});
+
+	it('reclaims rows whose lease expired, re-sends them and counts them', async () => {
+		await insertItem('q_expired', { status: 'processing', claimed_by: 'worker-dead', lease_expires_at: expiredAt() });
+		await insertItem('q_held', { status: 'processing', claimed_by: 'worker-alive', lease_expires_at: expiredAt() + 10 * 60 });
+
+		const JOBS_QUEUE = recordingQueue();
+		const points = [];
+		const QUEUE_METRICS = { writeDataPoint: (point) => points.push(point) };
+		expect(await reclaimExpiredLeases({ ...testEnv, JOBS_QUEUE, QUEUE_METRICS })).toEqual({ reclaimed: 1, failed: 0 });
+
+		expect(await item('q_expired')).toMatchObject({
+			status: 'pending',
+			claimed_by: null,
+			lease_expires_at: null,
+			reclaim_count: 1,
+			attempts: 0,
+		});
+		expect((await item('q_held')).claimed_by).toBe('worker-alive');
+		expect(JOBS_QUEUE.sent).toEqual([{ type: 'subscription_queue', queue_id: 'q_expired' }]);
+		expect(points).toEqual([{ indexes: ['subscription_queue'], blobs: ['lease_reclaimed'], doubles: [1, 0] }]);
+	});
+
+	it('fails a row after its lease expired five times', async () => {
+		await insertItem('q_crashy', { status: 'processing', claimed_by: 'worker-dead', lease_expires_at: expiredAt(), reclaim_count: 4 });
+
+		expect(await reclaimExpiredLeases(testEnv)).toEqual({ reclaimed: 0, failed: 1 });
+		expect(await item('q_crashy')).toMatchObject({ status: 'failed', claimed_by: null, reclaim_count: 5 });
+	});
+
+	it('ignores the failure of a worker whose lease was reclaimed', async () => {
+		await insertItem('q_stale', { status: 'processing', claimed_by: 'worker-old', lease_expires_at: expiredAt() });
+		const staleCopy = await env.DB.prepare("SELECT * FROM subscription_queue WHERE queue_id = 'q_stale'").first();
+		await reclaimExpiredLeases(testEnv);
+		expect(await claimQueueItem(testEnv, 'q_stale', 'worker-new')).toMatchObject({ claimed_by: 'worker-new' });
+
+		const sent = {};
+		fetchMock
+			.get('https://api.stripe.com')
+			.intercept({
+				path: '/v1/subscriptions',
+				method: 'POST',
+				headers: (headers) => {
+					sent.idempotencyKey = headers['Idempotency-Key'] ?? headers['idempotency-key'];
+					return true;
+				},
+			})
+			.reply(500, { error: { message: 'boom' } });
+
+		expect(await processQueueItem(testEnv, staleCopy)).toMatchObject({ success: false, leaseLost: true });
+		expect(sent.idempotencyKey).toBe('uc3-q_stale-0');
+		expect(await item('q_stale')).toMatchObject({ status: 'processing', claimed_by: 'worker-new', attempts: 0 });
+	});
+
+	it('completes a row only while the worker still holds a live lease', async () => {
+		await env.DB.prepare(
+			"INSERT INTO licenses (license_key, customer_id, subscription_id, item_id, status) VALUES ('KEY-q_done', 'cus_l', 'sub_done', 'si_done', 'active')"
+		).run();
+		await insertItem('q_done', { status: 'processing', claimed_by: 'worker-slow', lease_expires_at: expiredAt() });
+		const expired = await env.DB.prepare("SELECT * FROM subscription_queue WHERE queue_id = 'q_done'").first();
+
+		// The lease ran out while the worker was busy - the reaper will hand the row to someone else
+		expect(await processQueueItem(testEnv, expired)).toMatchObject({ success: false, leaseLost: true });
+		expect(await item('q_done')).toMatchObject({ status: 'processing', claimed_by: 'worker-slow' });
+
+		const live = await env.DB.prepare("UPDATE subscription_queue SET lease_expires_at = ? WHERE queue_id = 'q_done' RETURNING *")
+			.bind(expiredAt() + 10 * 60)
+			.first();
+		expect(await processQueueItem(testEnv, live)).toMatchObject({ success: true, subscriptionId: 'sub_done', skipped: true });
+		expect(await item('q_done')).toMatchObject({ status: 'completed', claimed_by: null, lease_expires_at: null });
+	});
+
+	it('leaves a row with a live lease to its holder when a message arrives', async () => {
+		await insertItem('q_busy', { status: 'processing', claimed_by: 'cron-1', lease_expires_at: expiredAt() + 10 * 60 });
+
+		const batch = createMessageBatch('consentbit-jobs', [
+			{ id: 'msg_busy', timestamp: new Date(), attempts: 1, body: { type: 'subscription_queue', queue_id: 'q_busy' } },
+		]);
+		const JOBS_QUEUE = recordingQueue();
+		const ctx = createExecutionContext();
+		await worker.queue(batch, { ...testEnv, JOBS_QUEUE }, ctx);
+		const result = await getQueueResult(batch, ctx);
+
+		// Acked and sent again, so waiting on the lease does not count against the message's retries
+		expect(result.explicitAcks).toEqual(['msg_busy']);
+		expect(result.retryMessages).toEqual([]);
+		expect(JOBS_QUEUE.sent).toEqual([{ type: 'subscription_queue', queue_id: 'q_busy' }]);
+		expect((await item('q_busy')).claimed_by).toBe('cron-1');
+	});
+});
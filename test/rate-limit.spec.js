@@ -0,0 +1,101 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, beforeAll } from 'vitest';
+import worker from '../src';
+import { consumeRateLimit, createMemoryRateLimitStore } from '../src/lib/rate-limit.js';
+import { createLicenseKey } from '../src/lib/licenses.js';
+import { applySql } from './helpers/d1.js';
+import schemaSql from '../schema.sql?raw';
+import billingColumnsSql from '../add-billing-period-renewal-date-columns.sql?raw';
+
+const RATE_LIMITS = JSON.stringify({
+	'check-license-status': { limits: { ip: 2 } },
+	'activate-license': { limits: { ip: 100 }, lockout: { maxFailures: 3 } },
+});
+
+async function call(path, ip, { method = 'GET', body, workerEnv } = {}) {
+	const ctx = createExecutionContext();
+	const request = new Request(`http://example.com${path}`, {
+		method,
+		headers: { 'CF-Connecting-IP': ip, 'Content-Type': 'application/json' },
+		body: body ? JSON.stringify(body) : undefined,
+	});
+	const response = await worker.fetch(request, workerEnv, ctx);
+	await waitOnExecutionContext(ctx);
+	return response;
+}
+
+beforeAll(async () => {
+	await applySql(env.DB, schemaSql);
+	await applySql(env.DB, billingColumnsSql);
+});
+
+describe('consumeRateLimit', () => {
+	it('counts requests per identifier within a fixed window', async () => {
+		const store = createMemoryRateLimitStore();
+		const config = { windowSeconds: 60, limits: { ip: 2, email: 5 } };
+		const ids = { ip: '1.1.1.1', email: 'a@example.com' };
+
+		expect((await consumeRateLimit(store, 'test', config, ids, 120)).allowed).toBe(true);
+		expect((await consumeRateLimit(store, 'test', config, ids, 130)).allowed).toBe(true);
+		expect(await consumeRateLimit(store, 'test', config, ids, 150)).toEqual({ allowed: false, retryAfter: 30, limitedBy: 'ip' });
+		expect((await consumeRateLimit(store, 'test', config, { ip: '2.2.2.2' }, 150)).allowed).toBe(true);
+		// next window
+		expect((await consumeRateLimit(store, 'test', config, ids, 180)).allowed).toBe(true);
+	});
+});
+
+describe('rate-limited license routes (in-memory store)', () => {
+	const memoryEnv = () => ({ ...env, RATE_LIMIT_KV: undefined, RATE_LIMITS });
+
+	it('returns 429 with Retry-After once an IP exceeds the route limit', async () => {
+		const workerEnv = memoryEnv();
+		expect((await call('/check-license-status?site=a.com', '10.0.0.1', { workerEnv })).status).toBe(200);
+		expect((await call('/check-license-status?site=b.com', '10.0.0.1', { workerEnv })).status).toBe(200);
+
+		const limited = await call('/check-license-status?site=c.com', '10.0.0.1', { workerEnv });
+		expect(limited.status).toBe(429);
+		expect(Number(limited.headers.get('Retry-After'))).toBeGreaterThan(0);
+		expect(await limited.json()).toMatchObject({ error: 'rate_limited' });
+
+		expect((await call('/check-license-status?site=c.com', '10.0.0.2', { workerEnv })).status).toBe(200);
+	});
+
+	it('locks out an IP after repeated failed activations', async () => {
+		const workerEnv = memoryEnv();
+		const attempt = () =>
+			call('/activate-license', '10.0.1.1', {
+				method: 'POST',
+				body: { license_key: createLicenseKey(), site_domain: 'probe.com', email: 'prober@example.com' },
+				workerEnv,
+			});
+
+		for (let n = 1; n <= 3; n++) {
+			expect((await attempt()).status).toBe(404);
+		}
+		const locked = await attempt();
+		expect(locked.status).toBe(429);
+		expect(Number(locked.headers.get('Retry-After'))).toBeGreaterThan(800);
+		expect(await locked.json()).toMatchObject({ error: 'too_many_failed_attempts' });
+	});
+});
+
+describe('rate-limited license routes (KV store)', () => {
+	it('locks out a license key across IPs and stores the lock in RATE_LIMIT_KV', async () => {
+		const workerEnv = { ...env, RATE_LIMITS };
+		const licenseKey = createLicenseKey();
+		const attempt = (ip) =>
+			call('/activate-license', ip, {
+				method: 'POST',
+				body: { license_key: licenseKey.toLowerCase(), site_domain: 'probe.com', email: 'prober@example.com' },
+				workerEnv,
+			});
+
+		expect((await attempt('10.0.2.1')).status).toBe(404);
+		expect((await attempt('10.0.2.2')).status).toBe(404);
+		expect((await attempt('10.0.2.3')).status).toBe(404);
+		expect((await attempt('10.0.2.4')).status).toBe(429);
+
+		const lock = await env.RATE_LIMIT_KV.get(`rl-lock:activate-license:license_key:${licenseKey}`, 'json');
+		expect(lock.until).toBeGreaterThan(Math.floor(Date.now() / 1000));
+	});
+});
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { Router, parseJson } from '../src/router.js';
+
+const env = {};
+const ctx = {};
+
+describe('Router', () => {
+	it('passes path params and url to the handler', async () => {
+		const router = new Router();
+		router.get('/sites/:domain', (request, env, ctx, route) => Response.json({ domain: route.params.domain, path: route.pathname }));
+
+		const response = await router.handle(new Request('http://example.com/sites/example.com'), env, ctx);
+		expect(await response.json()).toEqual({ domain: 'example.com', path: '/sites/example.com' });
+	});
+
+	it('runs middleware in order and lets it short-circuit', async () => {
+		const router = new Router();
+		const calls = [];
+		const first = (request, env, ctx, route, next) => {
+			calls.push('first');
+			return next();
+		};
+		const deny = () => {
+			calls.push('deny');
+			return new Response('denied', { status: 403 });
+		};
+		router.post('/thing', first, deny, () => new Response('ok'));
+
+		const response = await router.handle(new Request('http://example.com/thing', { method: 'POST' }), env, ctx);
+		expect(response.status).toBe(403);
+		expect(calls).toEqual(['first', 'deny']);
+	});
+
+	it('rejects invalid JSON bodies with 400', async () => {
+		const router = new Router();
+		router.post('/json', parseJson, (request, env, ctx, route) => Response.json(route.body));
+
+		const bad = await router.handle(new Request('http://example.com/json', { method: 'POST', body: '{' }), env, ctx);
+		expect(bad.status).toBe(400);
+
+		const good = await router.handle(new Request('http://example.com/json', { method: 'POST', body: '{"a":1}' }), env, ctx);
+		expect(await good.json()).toEqual({ a: 1 });
+	});
+
+	it('turns handler exceptions into a 500 JSON response', async () => {
+		const router = new Router();
+		router.get('/boom', () => {
+			throw new Error('boom');
+		});
+
+		const response = await router.handle(new Request('http://example.com/boom'), env, ctx);
+		expect(response.status).toBe(500);
+		expect(await response.json()).toMatchObject({ error: 'internal_server_error', message: 'boom' });
+	});
+});
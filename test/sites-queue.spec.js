@@ -0,0 +1,211 @@
+import { env, fetchMock } from 'cloudflare:test';
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import { enqueueSiteQueueItem, processSitesQueue, processRefundsForOldFailedSitesItems } from '../src/lib/sites-queue.js';
+import { handleSitesQueueStatus } from '../src/routes/queue.js';
+import { dispatchEvent } from '../src/webhooks/index.js';
+import { applySql } from './helpers/d1.js';
+import schemaSql from '../schema.sql?raw';
+
+// Jobs are drained by calling processSitesQueue directly; queue delivery is covered in job-queue.spec.js
+const testEnv = { ...env, STRIPE_SECRET_KEY: 'sk_test_sites_queue', MONTHLY_PRICE_ID: 'price_site', JOBS_QUEUE: undefined };
+
+beforeAll(async () => {
+	await applySql(env.DB, schemaSql);
+	await env.DB.batch([
+		env.DB.prepare("INSERT INTO users (email) VALUES ('sites@example.com')"),
+		env.DB.prepare("INSERT INTO customers (user_email, customer_id) VALUES ('sites@example.com', 'cus_s')"),
+	]);
+	fetchMock.activate();
+	fetchMock.disableNetConnect();
+});
+
+afterEach(() => fetchMock.assertNoPendingInterceptors());
+
+const stripe = () => fetchMock.get('https://api.stripe.com');
+
+// Reply to one subscription create, recording the site and license key it was sent with
+function mockSubscription(id, status = 200) {
+	const sent = {};
+	stripe()
+		.intercept({
+			path: '/v1/subscriptions',
+			method: 'POST',
+			body: (body) => {
+				const form = new URLSearchParams(body);
+				sent.site = form.get('metadata[site]');
+				sent.license_key = form.get('metadata[license_key]');
+				sent.trial_end = Number(form.get('trial_end'));
+				return true;
+			},
+		})
+		.reply(status, status === 200 ? { id, status: 'trialing', items: { data: [{ id: `si_${id}` }] } } : { error: { message: 'boom' } });
+	return sent;
+}
+
+async function enqueue(paymentIntentId, sites, billingPeriod = 'monthly') {
+	return enqueueSiteQueueItem(testEnv, {
+		customerId: 'cus_s',
+		userEmail: 'sites@example.com',
+		subscriptionId: null,
+		sites: sites.map((site) => ({ site, price: 'price_site', billing_period: billingPeriod })),
+		billingPeriod,
+		priceId: 'price_site',
+		paymentIntentId,
+	});
+}
+
+// Metadata the site checkout puts on the payment intent (Use Case 2)
+const siteMetadata = { usecase: '2', sites_json: JSON.stringify(['both.example.com']), product_id: 'prod_site', billing_period: 'monthly' };
+
+async function job(queueId) {
+	return env.DB.prepare('SELECT status, attempts, next_retry_at, error_message, refund_id, sites_json FROM sitesqueue WHERE queueid = ?')
+		.bind(queueId)
+		.first();
+}
+
+describe('Use Case 2 sites queue', () => {
+	it('creates a subscription and license per site and reports them by payment intent', async () => {
+		const queueId = await enqueue('pi_sites_ok', ['one.example.com', 'two.example.com']);
+		expect(queueId).toMatch(/^sitequeue_/);
+
+		const sent = [mockSubscription('sub_one'), mockSubscription('sub_two')];
+		expect(await processSitesQueue(testEnv)).toMatchObject({ processed: 1, successCount: 1, failCount: 0 });
+
+		expect((await job(queueId)).status).toBe('completed');
+		const licenses = await env.DB.prepare(
+			"SELECT site_domain, subscription_id FROM licenses WHERE customer_id = 'cus_s' ORDER BY site_domain"
+		).all();
+		expect(licenses.results).toEqual([
+			{ site_domain: 'one.example.com', subscription_id: 'sub_one' },
+			{ site_domain: 'two.example.com', subscription_id: 'sub_two' },
+		]);
+
+		const url = new URL('http://example.com/sites-queue-status?payment_intent_id=pi_sites_ok');
+		const response = await handleSitesQueueStatus(new Request(url), testEnv, {}, { url });
+		const status = await response.json();
+		expect(status).toMatchObject({ total: 1, completed: 1, failed: 0 });
+		expect(status.items[0].sites).toEqual([
+			{ site: 'one.example.com', license_key: sent[0].license_key, subscription_id: 'sub_one' },
+			{ site: 'two.example.com', license_key: sent[1].license_key, subscription_id: 'sub_two' },
+		]);
+	});
+
+	it('enqueues one job when both checkout.session.completed and payment_intent.succeeded arrive for a payment', async () => {
+		const ctx = { env: testEnv };
+		stripe()
+			.intercept({ path: '/v1/payment_intents/pi_both' })
+			.reply(200, { id: 'pi_both', currency: 'usd', metadata: siteMetadata });
+		stripe().intercept({ path: '/v1/customers/cus_s' }).reply(200, { id: 'cus_s', email: 'sites@example.com' });
+		stripe()
+			.intercept({ path: '/v1/products/prod_site' })
+			.reply(200, { id: 'prod_site', metadata: { usedfor: 'dashboard' } });
+		stripe().intercept({ path: '/v1/prices', method: 'POST' }).reply(200, { id: 'price_site_dynamic' });
+		const session = { id: 'cs_both', mode: 'payment', customer: 'cus_s', payment_intent: 'pi_both', amount_total: 800, metadata: { usecase: '2' } };
+		await dispatchEvent({ id: 'evt_cs_both', type: 'checkout.session.completed', data: { object: session } }, ctx);
+
+		const [first] = (await env.DB.prepare("SELECT queueid FROM sitesqueue WHERE paymentintentid = 'pi_both'").all()).results;
+		expect(first.queueid).toMatch(/^sitequeue_/);
+
+		stripe().intercept({ path: '/v1/customers/cus_s' }).reply(200, { id: 'cus_s', email: 'sites@example.com' });
+		stripe()
+			.intercept({ path: '/v1/prices/price_site' })
+			.reply(200, { id: 'price_site', product: 'prod_site', unit_amount: 800, currency: 'usd', recurring: { interval: 'month' } });
+		stripe().intercept({ path: '/v1/payment_methods/pm_both/attach', method: 'POST' }).reply(200, { id: 'pm_both' });
+		stripe().intercept({ path: '/v1/customers/cus_s', method: 'POST' }).reply(200, { id: 'cus_s' });
+		const paymentIntent = { id: 'pi_both', customer: 'cus_s', currency: 'usd', payment_method: 'pm_both', metadata: siteMetadata };
+		await dispatchEvent({ id: 'evt_pi_both', type: 'payment_intent.succeeded', data: { object: paymentIntent } }, ctx);
+
+		const rows = await env.DB.prepare("SELECT queueid FROM sitesqueue WHERE paymentintentid = 'pi_both'").all();
+		expect(rows.results).toEqual([first]);
+		expect(await enqueue('pi_both', ['both.example.com'])).toBe(first.queueid);
+	});
+
+	it('trials each site subscription until the end of the period the checkout paid for', async () => {
+		await enqueue('pi_sites_monthly', ['monthly.example.com']);
+		await enqueue('pi_sites_yearly', ['yearly.example.com'], 'yearly');
+
+		const sent = [mockSubscription('sub_monthly'), mockSubscription('sub_yearly')];
+		const now = Math.floor(Date.now() / 1000);
+		expect(await processSitesQueue(testEnv)).toMatchObject({ successCount: 2 });
+
+		const trials = Object.fromEntries(sent.map(({ site, trial_end }) => [site, Math.round((trial_end - now) / (24 * 60 * 60))]));
+		expect(trials).toEqual({ 'monthly.example.com': 30, 'yearly.example.com': 365 });
+	});
+
+	it('retries with backoff and only creates the sites an earlier attempt missed', async () => {
+		const queueId = await enqueue('pi_sites_retry', ['three.example.com', 'four.example.com']);
+
+		const first = [mockSubscription('sub_three'), mockSubscription(null, 500)];
+		expect(await processSitesQueue(testEnv)).toMatchObject({ successCount: 0, failCount: 1 });
+
+		let row = await job(queueId);
+		expect(row).toMatchObject({ status: 'pending', attempts: 1 });
+		expect(row.next_retry_at).toBeGreaterThan(Math.floor(Date.now() / 1000));
+		expect(await processSitesQueue(testEnv)).toMatchObject({ processed: 0 });
+
+		await env.DB.prepare('UPDATE sitesqueue SET next_retry_at = 0 WHERE queueid = ?').bind(queueId).run();
+		const second = mockSubscription('sub_four');
+		expect(await processSitesQueue(testEnv)).toMatchObject({ successCount: 1 });
+
+		// The retried site keeps the license key and trial end saved before the failed call
+		expect(second).toEqual({ site: 'four.example.com', license_key: first[1].license_key, trial_end: first[1].trial_end });
+		row = await job(queueId);
+		expect(row.status).toBe('completed');
+		expect(JSON.parse(row.sites_json).map((site) => site.subscription_id)).toEqual(['sub_three', 'sub_four']);
+	});
+
+	it('fails jobs stuck in processing after max attempts and refunds the missing sites', async () => {
+		const queueId = await enqueue('pi_sites_stuck', ['five.example.com', 'six.example.com']);
+		const sites = [
+			{ site: 'five.example.com', price: 'price_site', license_key: 'KEY-FIVE', subscription_id: 'sub_five' },
+			{ site: 'six.example.com', price: 'price_site' },
+		];
+		const old = Math.floor(Date.now() / 1000) - 13 * 60 * 60;
+		await env.DB.prepare(
+			"UPDATE sitesqueue SET status = 'processing', attempts = 2, sites_json = ?, createdat = ?, updatedat = ? WHERE queueid = ?"
+		)
+			.bind(JSON.stringify(sites), old, old, queueId)
+			.run();
+
+		await processSitesQueue(testEnv);
+		expect(await job(queueId)).toMatchObject({ status: 'failed', attempts: 3, error_message: 'Processing timed out' });
+
+		stripe()
+			.intercept({ path: '/v1/payment_intents/pi_sites_stuck' })
+			.reply(200, { id: 'pi_sites_stuck', amount_received: 1600, currency: 'usd', latest_charge: 'ch_sites' });
+		stripe().intercept({ path: '/v1/prices/price_site' }).reply(200, { id: 'price_site', unit_amount: 800, currency: 'usd' });
+		const refund = {};
+		stripe()
+			.intercept({
+				path: '/v1/refunds',
+				method: 'POST',
+				body: (body) => {
+					refund.form = new URLSearchParams(body);
+					return true;
+				},
+			})
+			.reply(200, { id: 're_sites', status: 'succeeded' });
+
+		expect(await processRefundsForOldFailedSitesItems(testEnv)).toMatchObject({ processed: 1, refunded: 1 });
+		expect(refund.form.get('amount')).toBe('800');
+		expect(refund.form.get('metadata[sites]')).toBe('six.example.com');
+		expect((await job(queueId)).refund_id).toBe('re_sites');
+		const row = await env.DB.prepare("SELECT queue_id, amount, reason FROM refunds WHERE refund_id = 're_sites'").first();
+		expect(row).toEqual({ queue_id: queueId, amount: 800, reason: 'site_creation_failed_after_retries' });
+
+		expect(await processRefundsForOldFailedSitesItems(testEnv)).toMatchObject({ processed: 0 });
+	});
+
+	it('sweeps a failed job with nothing to refund only once', async () => {
+		const queueId = await enqueue('pi_sites_done', ['seven.example.com']);
+		const sites = [{ site: 'seven.example.com', price: 'price_site', license_key: 'KEY-SEVEN', subscription_id: 'sub_seven' }];
+		const old = Math.floor(Date.now() / 1000) - 13 * 60 * 60;
+		await env.DB.prepare("UPDATE sitesqueue SET status = 'failed', sites_json = ?, createdat = ? WHERE queueid = ?")
+			.bind(JSON.stringify(sites), old, queueId)
+			.run();
+
+		expect(await processRefundsForOldFailedSitesItems(testEnv)).toMatchObject({ processed: 1, refunded: 0 });
+		expect((await job(queueId)).refund_id).toBe('none');
+		expect(await processRefundsForOldFailedSitesItems(testEnv)).toMatchObject({ processed: 0 });
+	});
+});
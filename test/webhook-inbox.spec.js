@@ -0,0 +1,62 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeAll } from 'vitest';
+import { enqueueWebhookEvent, processWebhookInbox } from '../src/lib/webhook-inbox.js';
+import { registerEventHandler } from '../src/webhooks/registry.js';
+import { applySql } from './helpers/d1.js';
+import stripeEventsSql from '../create-stripe-events-table.sql?raw';
+import webhookInboxSql from '../create-webhook-inbox-table.sql?raw';
+
+const handled = [];
+let failuresLeft = 0;
+
+beforeAll(async () => {
+	await applySql(env.DB, stripeEventsSql);
+	await applySql(env.DB, webhookInboxSql);
+	registerEventHandler('test.inbox', async (event) => {
+		if (failuresLeft > 0) {
+			failuresLeft--;
+			throw new Error('temporary failure');
+		}
+		handled.push(event.id);
+	});
+});
+
+const inboxRow = (eventId) =>
+	env.DB.prepare('SELECT status, attempts, error_message, next_retry_at FROM webhook_inbox WHERE event_id = ?').bind(eventId).first();
+
+describe('webhook inbox', () => {
+	it('stores each event once and processes it from the inbox', async () => {
+		const event = { id: 'evt_inbox_1', type: 'test.inbox', data: { object: {} } };
+
+		expect(await enqueueWebhookEvent(env, event, JSON.stringify(event))).toEqual({ stored: true, duplicate: false });
+		expect(await enqueueWebhookEvent(env, event, JSON.stringify(event))).toEqual({ stored: true, duplicate: true });
+
+		const result = await processWebhookInbox(env, 10);
+		expect(result).toMatchObject({ processed: 1, successCount: 1, failCount: 0 });
+		expect(handled).toContain('evt_inbox_1');
+		expect(await inboxRow(event.id)).toMatchObject({ status: 'completed', attempts: 1, error_message: null });
+	});
+
+	it('schedules a retry with backoff when processing fails', async () => {
+		const event = { id: 'evt_inbox_2', type: 'test.inbox', data: { object: {} } };
+		failuresLeft = 1;
+		await enqueueWebhookEvent(env, event, JSON.stringify(event));
+
+		const before = Math.floor(Date.now() / 1000);
+		const first = await processWebhookInbox(env, 10);
+		expect(first).toMatchObject({ processed: 1, failCount: 1 });
+
+		const row = await inboxRow(event.id);
+		expect(row.status).toBe('pending');
+		expect(row.attempts).toBe(1);
+		expect(row.error_message).toMatch(/status 500/);
+		expect(row.next_retry_at).toBeGreaterThanOrEqual(before + 120);
+
+		// Not due yet - left alone
+		expect(await processWebhookInbox(env, 10)).toMatchObject({ processed: 0 });
+
+		await env.DB.prepare('UPDATE webhook_inbox SET next_retry_at = 0 WHERE event_id = ?').bind(event.id).run();
+		expect(await processWebhookInbox(env, 10)).toMatchObject({ processed: 1, successCount: 1 });
+		expect(await inboxRow(event.id)).toMatchObject({ status: 'completed', attempts: 2 });
+	});
+});
@@ -0,0 +1,102 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeAll } from 'vitest';
+import { dispatchEvent, getHandledEventTypes } from '../src/webhooks/index.js';
+import { registerEventHandler } from '../src/webhooks/registry.js';
+import { applySql } from './helpers/d1.js';
+import stripeEventsSql from '../create-stripe-events-table.sql?raw';
+
+const ctx = { env: {} };
+
+describe('webhook event registry', () => {
+	it('registers a handler for every supported Stripe event', () => {
+		expect(getHandledEventTypes()).toEqual(
+			expect.arrayContaining([
+				'checkout.session.completed',
+				'customer.subscription.updated',
+				'customer.subscription.deleted',
+				'payment_intent.succeeded',
+				'invoice.payment_failed',
+				'charge.refunded',
+				'charge.dispute.created',
+				'charge.dispute.closed',
+			])
+		);
+	});
+
+	it('dispatches to the handler for the event type and defaults to 200 ok', async () => {
+		const seen = [];
+		registerEventHandler('test.dispatched', async (event, handlerCtx) => {
+			seen.push([event.id, handlerCtx]);
+		});
+
+		const response = await dispatchEvent({ id: 'evt_1', type: 'test.dispatched', data: { object: {} } }, ctx);
+		expect(response.status).toBe(200);
+		expect(await response.text()).toBe('ok');
+		expect(seen).toEqual([['evt_1', expect.objectContaining({ env: ctx.env, step: expect.any(Function) })]]);
+	});
+
+	it('acknowledges unhandled event types', async () => {
+		const response = await dispatchEvent({ id: 'evt_2', type: 'test.unknown', data: { object: {} } }, ctx);
+		expect(response.status).toBe(200);
+	});
+
+	it('reports handler errors as 500', async () => {
+		registerEventHandler('test.failing', async () => {
+			throw new Error('kaboom');
+		});
+
+		const response = await dispatchEvent({ id: 'evt_3', type: 'test.failing', data: { object: {} } }, ctx);
+		expect(response.status).toBe(500);
+		expect(await response.json()).toEqual({ error: 'Internal server error', message: 'kaboom' });
+	});
+
+	it('refuses to register two handlers for the same type', () => {
+		expect(() => registerEventHandler('checkout.session.completed', async () => {})).toThrow(/already registered/);
+	});
+});
+
+describe('webhook event deduplication', () => {
+	beforeAll(async () => {
+		await applySql(env.DB, stripeEventsSql);
+	});
+
+	it('short-circuits redeliveries of a completed event', async () => {
+		let calls = 0;
+		registerEventHandler('test.dedup', async () => {
+			calls++;
+		});
+		const event = { id: 'evt_dedup_1', type: 'test.dedup', data: { object: {} } };
+
+		expect((await dispatchEvent(event, { env })).status).toBe(200);
+		expect((await dispatchEvent(event, { env })).status).toBe(200);
+		expect(calls).toBe(1);
+
+		const row = await env.DB.prepare('SELECT status, attempts FROM stripe_events WHERE event_id = ?').bind(event.id).first();
+		expect(row).toEqual({ status: 'completed', attempts: 1 });
+	});
+
+	it('resumes a failed event from its checkpoints instead of re-running completed steps', async () => {
+		let minted = 0;
+		let failNext = true;
+		registerEventHandler('test.resume', async (event, ctx) => {
+			const keys = await ctx.step('license_keys', async () => {
+				minted++;
+				return [`KEY-${minted}`];
+			});
+			if (failNext) {
+				failNext = false;
+				throw new Error('downstream failure');
+			}
+			return new Response(keys.join(','));
+		});
+		const event = { id: 'evt_resume_1', type: 'test.resume', data: { object: {} } };
+
+		expect((await dispatchEvent(event, { env })).status).toBe(500);
+		const failed = await env.DB.prepare('SELECT status, last_error FROM stripe_events WHERE event_id = ?').bind(event.id).first();
+		expect(failed).toEqual({ status: 'failed', last_error: 'downstream failure' });
+
+		const retried = await dispatchEvent(event, { env });
+		expect(await retried.text()).toBe('KEY-1');
+		expect(minted).toBe(1);
+	});
+});
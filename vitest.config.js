@@ -5,6 +5,8 @@ export default defineWorkersConfig({
 		poolOptions: {
 			workers: {
 				wrangler: { configPath: './wrangler.jsonc' },
+				// Not bound in wrangler.jsonc until a namespace is created; the KV rate-limit tests need it
+				miniflare: { kvNamespaces: { RATE_LIMIT_KV: { id: 'rate-limit-kv-test' } } },
 			},
 		},
 	},